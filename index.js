@@ -28,6 +28,15 @@ import uploadRoutes from './src/routes/upload.route.js';
 import { connectDB, testConnection, isConnected } from './src/config/db.js';
 import identityRoutes from "./src/routes/identity.route.js";
 import visitorRoutes from './src/routes/visitor.route.js';
+import donorRoutes from './src/routes/donor.route.js';
+import bloodRequestRoutes from './src/routes/bloodRequest.route.js';
+import { startMembershipExpiryJob } from './src/jobs/membershipExpiry.js';
+import { startBloodRequestExpiryJob } from './src/jobs/bloodRequestExpiry.js';
+import { startJobWorker } from './src/jobs/queue.js';
+import { closeRenderService } from './src/utils/renderService.js';
+import './src/jobs/cardRender.js';
+import './src/jobs/notifications.js';
+import './src/jobs/memberImport.js';
 
 
 
@@ -116,7 +125,7 @@ app.use(
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Applicant-Token'],
     exposedHeaders: ['set-cookie'],
   })
 );
@@ -236,6 +245,9 @@ app.use('/api/auth/google', authRoutes);
 // ✅ Rate-limit only email/password auth
 app.use('/api/auth', authLimiter, authRoutes);
 
+// ✅ Identity admin login shares the brute-force limiter
+app.use('/api/identity/admin/login', authLimiter);
+
 // Apply stricter rate limiting to upload routes
 app.use('/api/upload', uploadLimiter, uploadRoutes);
 
@@ -245,6 +257,8 @@ app.use('/api/post', postRoutes);
 app.use('/api/comment', commentRoutes);
 app.use("/api/identity", identityRoutes);
 app.use('/api/visitor', visitorRoutes);
+app.use('/api/donors', donorRoutes);
+app.use('/api/blood-requests', bloodRequestRoutes);
 
 
 
@@ -377,6 +391,11 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Background jobs
+    startMembershipExpiryJob();
+    startBloodRequestExpiryJob();
+    startJobWorker();
+
     // Start Express server
     const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
@@ -394,6 +413,7 @@ const startServer = async () => {
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('👋 SIGTERM signal received: closing HTTP server');
+      closeRenderService();
       server.close(() => {
         console.log('🔴 HTTP server closed');
         process.exit(0);
@@ -402,6 +422,7 @@ const startServer = async () => {
 
     process.on('SIGINT', () => {
       console.log('👋 SIGINT signal received: closing HTTP server');
+      closeRenderService();
       server.close(() => {
         console.log('🔴 HTTP server closed');
         process.exit(0);
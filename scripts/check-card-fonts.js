@@ -0,0 +1,72 @@
+/**
+ * Render check for the embedded card fonts.
+ * Renders both faces of the built-in card in every label language with
+ * Bengali and English member details, and fails if any text uses characters
+ * the embedded fonts do not cover or falls back to a system font (missing
+ * glyphs show as boxes on Vercel).
+ * Needs Chromium; npm test runs the font-table check on the labels without it.
+ *
+ * Usage: npm run check:card-fonts
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { DEFAULT_CARD_TEMPLATE, SAMPLE_CARD_DATA, CARD_SIDES, checkCardGlyphs } = await import(
+  '../src/utils/idCardRenderer.js'
+);
+const { CARD_LANGUAGES } = await import('../src/utils/cardLabels.js');
+const { closeRenderService } = await import('../src/utils/renderService.js');
+
+const BENGALI_MEMBER = {
+  name: 'সুব্রত কুমার দাস',
+  address: 'গ্রাম নারায়ণপুর, পোস্ট অফিস হাট, জেলা নদীয়া, পশ্চিমবঙ্গ ৭৪১১২৬',
+  emergencyContactName: 'রীনা দাস',
+  emergencyContactRelation: '(মা)',
+  medicalConditions: 'হাঁপানি, পেনিসিলিনে অ্যালার্জি',
+};
+
+const samples = [
+  { label: 'English details', data: SAMPLE_CARD_DATA },
+  { label: 'Bengali details', data: { ...SAMPLE_CARD_DATA, ...BENGALI_MEMBER } },
+];
+
+let failures = 0;
+
+try {
+  for (const language of CARD_LANGUAGES) {
+    for (const sample of samples) {
+      for (const side of CARD_SIDES) {
+        const result = await checkCardGlyphs(
+          { ...sample.data, language },
+          DEFAULT_CARD_TEMPLATE,
+          side
+        );
+        const name = `${language} / ${sample.label} / ${side}`;
+
+        if (result.ok) {
+          console.log(`✅ ${name}`);
+          continue;
+        }
+
+        failures++;
+        console.error(`❌ ${name}`);
+        for (const { text, chars, fonts } of result.missing) {
+          if (chars.length > 0) console.error(`   "${text}": no glyph for ${chars.join(' ')}`);
+          if (fonts.length > 0) console.error(`   "${text}": drawn with ${fonts.join(', ')}`);
+        }
+        for (const family of result.failedFonts) {
+          console.error(`   Font failed to load: ${family}`);
+        }
+      }
+    }
+  }
+} finally {
+  await closeRenderService();
+}
+
+if (failures > 0) {
+  console.error(`❌ ${failures} render(s) with missing glyphs`);
+  process.exit(1);
+}
+console.log('✅ All card renders use the embedded fonts');
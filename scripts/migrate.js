@@ -0,0 +1,84 @@
+/**
+ * Data migrations CLI (see src/utils/migrations.js)
+ *
+ * Usage:
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js up [--to 003] [--dry-run]
+ *   node scripts/migrate.js down [--steps 1] [--dry-run]
+ */
+import { connectDB, disconnectDB } from '../src/config/db.js';
+import { getMigrationStatus, migrateUp, migrateDown } from '../src/utils/migrations.js';
+
+const USAGE = 'Usage: node scripts/migrate.js up|down|status [--dry-run] [--to NNN] [--steps N]';
+
+const readOption = (args, name) => {
+  const inline = args.find((arg) => arg.startsWith(`--${name}=`));
+  if (inline) return inline.split('=')[1];
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? null : args[index + 1];
+};
+
+const printStatus = async () => {
+  const status = await getMigrationStatus();
+  if (status.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  for (const migration of status) {
+    const mark = migration.missing ? '❓' : migration.applied ? '✅' : '⏳';
+    const when = migration.appliedAt ? ` (applied ${migration.appliedAt.toISOString()})` : '';
+    const notes = [
+      !migration.reversible && !migration.missing ? 'irreversible' : null,
+      migration.missing ? 'file missing' : null,
+    ].filter(Boolean);
+    console.log(
+      `${mark} ${migration.name} - ${migration.description}${when}` +
+        (notes.length ? ` [${notes.join(', ')}]` : '')
+    );
+  }
+
+  const pending = status.filter((migration) => !migration.applied).length;
+  console.log(`\n${pending} pending`);
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const to = readOption(args, 'to');
+  if (to !== null && !/^\d{3}$/.test(to)) {
+    console.error('--to expects a migration number such as 003');
+    return 1;
+  }
+
+  const steps = readOption(args, 'steps');
+  if (steps !== null && !(parseInt(steps) > 0)) {
+    console.error('--steps expects a positive number');
+    return 1;
+  }
+
+  await connectDB();
+  try {
+    if (command === 'status') {
+      await printStatus();
+    } else if (command === 'up') {
+      await migrateUp({ to, dryRun });
+    } else {
+      await migrateDown({ steps: steps ? parseInt(steps) : 1, dryRun });
+    }
+    return 0;
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    return 1;
+  } finally {
+    await disconnectDB();
+  }
+};
+
+process.exit(await main());
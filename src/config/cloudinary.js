@@ -247,6 +247,24 @@ export const getOptimizedImageUrl = (publicId, options = {}) => {
   });
 };
 
+/**
+ * Build a small thumbnail URL for an existing Cloudinary image URL
+ * @param {String} imageUrl - Cloudinary image URL
+ * @param {Number} width - Thumbnail width
+ * @param {Number} height - Thumbnail height
+ * @returns {String|null} - Thumbnail URL (or original URL if not Cloudinary)
+ */
+export const getThumbnailUrl = (imageUrl, width = 120, height = 150) => {
+  if (!imageUrl) return null;
+  if (!imageUrl.includes('cloudinary.com') || !imageUrl.includes('/upload/')) {
+    return imageUrl;
+  }
+  return imageUrl.replace(
+    '/upload/',
+    `/upload/c_fill,g_face,w_${width},h_${height},q_auto,f_auto/`
+  );
+};
+
 /**
  * Upload image with progress tracking (for large files)
  * @param {Buffer} buffer - Image buffer
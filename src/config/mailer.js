@@ -0,0 +1,101 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * Pluggable mail transport, selected with MAIL_TRANSPORT:
+ * - "smtp"    → SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS (nodemailer)
+ * - "file"    → writes each message as JSON to MAIL_OUTBOX_DIR (local dev)
+ * - "console" → logs the message (default outside production)
+ */
+
+const MAIL_FROM =
+  process.env.MAIL_FROM || 'Bipader Bondhu <narayanpurbipaderbondhu@gmail.com>';
+
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('Missing SMTP_HOST for MAIL_TRANSPORT=smtp');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+};
+
+const createFileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'uploads/outbox');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const file = path.join(dir, `${id}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+      console.log(`📧 Mail written to ${file}`);
+      return { id };
+    },
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 Mail (console transport):');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+    return { id: `console-${Date.now()}` };
+  },
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+/**
+ * Get the configured mail transport (created once)
+ * @returns {Object} - { name, send(message) }
+ */
+export const getMailTransport = () => {
+  if (!transport) {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - { id }
+ */
+export const sendMail = (message) =>
+  getMailTransport().send({ from: MAIL_FROM, ...message });
@@ -0,0 +1,81 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import { sendMail } from './mailer.js';
+
+/**
+ * Notification channel adapters. NOTIFY_CHANNELS picks which channels
+ * applicants are notified on (comma separated, default "email"):
+ * - "email"  → configured mail transport (see mailer.js)
+ * - "sms"    → HTTP SMS gateway: POST SMS_API_URL { to, message } with SMS_API_KEY bearer
+ * - "outbox" → writes JSON files to NOTIFY_OUTBOX_DIR (local development)
+ */
+
+const adapters = {
+  email: {
+    send: async ({ to, subject, body }) => sendMail({ to, subject, text: body }),
+  },
+
+  sms: {
+    send: async ({ to, body }) => {
+      if (!process.env.SMS_API_URL) {
+        throw new Error('Missing SMS_API_URL for sms notifications');
+      }
+
+      const response = await fetch(process.env.SMS_API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_API_KEY && { Authorization: `Bearer ${process.env.SMS_API_KEY}` }),
+        },
+        body: JSON.stringify({ to, message: body }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded ${response.status}`);
+      }
+
+      const result = await response.json().catch(() => ({}));
+      return { id: result.id || result.messageId || null };
+    },
+  },
+
+  outbox: {
+    send: async (message) => {
+      const dir = path.resolve(process.env.NOTIFY_OUTBOX_DIR || 'uploads/outbox');
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      await fs.writeFile(
+        path.join(dir, `notification-${id}.json`),
+        JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+      );
+      return { id };
+    },
+  },
+};
+
+/**
+ * @returns {Array<String>} - Enabled channel names
+ */
+export const getEnabledChannels = () =>
+  (process.env.NOTIFY_CHANNELS || 'email')
+    .split(',')
+    .map((c) => c.trim())
+    .filter((c) => adapters[c]);
+
+/**
+ * Deliver one message on a channel
+ * @param {String} channel - 'email' | 'sms' | 'outbox'
+ * @param {Object} message - { to, subject, body }
+ * @returns {Promise<Object>} - { id }
+ */
+export const deliver = (channel, message) => {
+  const adapter = adapters[channel];
+  if (!adapter) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  return adapter.send(message);
+};
@@ -99,7 +99,7 @@ export const signin = async (req, res, next) => {
     }
 
     const token = jwt.sign(
-      { id: validUser._id, isAdmin: validUser.isAdmin },
+      { id: validUser._id, isAdmin: validUser.isAdmin, isNgoAdmin: validUser.isNgoAdmin },
       process.env.JWT_SECRET,
       { expiresIn: '7d' }
     );
@@ -149,7 +149,7 @@ export const google = async (req, res, next) => {
       await user.save();
 
       const token = jwt.sign(
-        { id: user._id, isAdmin: user.isAdmin },
+        { id: user._id, isAdmin: user.isAdmin, isNgoAdmin: user.isNgoAdmin },
         process.env.JWT_SECRET,
         { expiresIn: '7d' }
       );
@@ -183,7 +183,7 @@ export const google = async (req, res, next) => {
       await newUser.save();
 
       const token = jwt.sign(
-        { id: newUser._id, isAdmin: newUser.isAdmin },
+        { id: newUser._id, isAdmin: newUser.isAdmin, isNgoAdmin: newUser.isNgoAdmin },
         process.env.JWT_SECRET,
         { expiresIn: '7d' }
       );
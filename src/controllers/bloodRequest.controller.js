@@ -0,0 +1,464 @@
+import mongoose from "mongoose";
+import BloodRequest, { OPEN_REQUEST_STATUSES } from "../models/bloodRequest.model.js";
+import NgoApplication from "../models/ngoApplication.model.js";
+import { validateApplicationFields } from "../utils/applicationValidation.js";
+import { parseBloodGroup, getCompatibleDonorGroups } from "../utils/bloodCompatibility.js";
+import { eligibleDonorFilter } from "../utils/donorEligibility.js";
+import { expireBloodRequests } from "../jobs/bloodRequestExpiry.js";
+
+const MAX_UNITS = 20;
+// Requests further out than this are not "urgent" and go through the office
+const MAX_DEADLINE_DAYS = 30;
+const MAX_SHORTLIST = 100;
+// Matches the donation log limit on NgoApplication
+const MAX_DONOR_UNITS = 4;
+const PAGE_SIZE = 20;
+
+const serverError = (res, label, error) => {
+  console.error(`❌ ${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server error: " + error.message,
+  });
+};
+
+const readText = (value, max) => {
+  const text = typeof value === "string" ? value.trim() : "";
+  return text.length > max ? null : text;
+};
+
+const findRequest = async (res, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid request id" });
+    return null;
+  }
+  const request = await BloodRequest.findById(id);
+  if (!request) {
+    res.status(404).json({ success: false, message: "Blood request not found" });
+    return null;
+  }
+  return request;
+};
+
+const rejectIfClosed = (res, request) => {
+  if (OPEN_REQUEST_STATUSES.includes(request.status)) return false;
+  res.status(400).json({
+    success: false,
+    message: `Request is already ${request.status}`,
+  });
+  return true;
+};
+
+/**
+ * SUBMIT BLOOD REQUEST (Public)
+ * Body: { patientName, hospital, requiredGroup, units, deadline, contactName, contactPhone, notes? }
+ */
+export const createBloodRequest = async (req, res) => {
+  try {
+    const { patientName, hospital, requiredGroup, units, deadline, contactName, contactPhone } =
+      req.body;
+
+    if (!patientName || !hospital || !requiredGroup || !units || !deadline || !contactName || !contactPhone) {
+      return res.status(400).json({
+        success: false,
+        message: "All fields are required",
+      });
+    }
+
+    const patient = validateApplicationFields({ name: patientName }, ["name"]);
+    const contact = validateApplicationFields({ name: contactName, phone: contactPhone }, ["name", "phone"]);
+    const errors = {
+      ...(patient.errors.name && { patientName: patient.errors.name }),
+      ...(contact.errors.name && { contactName: contact.errors.name }),
+      ...(contact.errors.phone && { contactPhone: contact.errors.phone }),
+    };
+
+    const group = parseBloodGroup(requiredGroup);
+    if (!group) errors.requiredGroup = "Invalid blood group";
+
+    const unitCount = parseInt(units);
+    if (!unitCount || unitCount < 1 || unitCount > MAX_UNITS) {
+      errors.units = `Units must be between 1 and ${MAX_UNITS}`;
+    }
+
+    const deadlineDate = new Date(deadline);
+    const latest = Date.now() + MAX_DEADLINE_DAYS * 24 * 60 * 60 * 1000;
+    if (Number.isNaN(deadlineDate.getTime()) || deadlineDate <= new Date() || deadlineDate > latest) {
+      errors.deadline = `Deadline must be in the next ${MAX_DEADLINE_DAYS} days`;
+    }
+
+    const hospitalText = readText(hospital, 200);
+    if (!hospitalText) errors.hospital = "Hospital must be at most 200 characters";
+
+    const notes = readText(req.body.notes, 1000);
+    if (notes === null) errors.notes = "Notes must be at most 1000 characters";
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(errors)[0],
+        errors,
+      });
+    }
+
+    const request = await BloodRequest.create({
+      patientName: patient.values.name,
+      hospital: hospitalText,
+      requiredGroup: group,
+      units: unitCount,
+      deadline: deadlineDate,
+      contactName: contact.values.name,
+      contactPhone: contact.values.phone,
+      notes: notes || undefined,
+    });
+
+    console.log(`🩸 Blood request ${request.ref}: ${group} x${unitCount} at ${hospitalText}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Request received. Our volunteers will contact you shortly.",
+      ref: request.ref,
+      status: request.status,
+    });
+  } catch (error) {
+    serverError(res, "Create blood request", error);
+  }
+};
+
+/**
+ * BLOOD REQUEST STATUS (Public, by reference)
+ */
+export const getBloodRequestStatus = async (req, res) => {
+  try {
+    const request = await BloodRequest.findOne({ ref: String(req.params.ref).toUpperCase() });
+
+    if (!request) {
+      return res.status(404).json({ success: false, message: "Blood request not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      ref: request.ref,
+      status: request.status,
+      requiredGroup: request.requiredGroup,
+      units: request.units,
+      unitsFulfilled: request.unitsFulfilled,
+      deadline: request.deadline,
+    });
+  } catch (error) {
+    serverError(res, "Blood request status", error);
+  }
+};
+
+/**
+ * LIST BLOOD REQUESTS (Admin)
+ * Query: status (comma separated), group, page
+ */
+export const getBloodRequests = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const query = {};
+
+    if (req.query.status) {
+      query.status = { $in: String(req.query.status).split(",") };
+    }
+    if (req.query.group) {
+      query.requiredGroup = parseBloodGroup(req.query.group);
+      if (!query.requiredGroup) {
+        return res.status(400).json({ success: false, message: "Invalid blood group" });
+      }
+    }
+
+    const [requests, total] = await Promise.all([
+      BloodRequest.find(query)
+        .sort({ deadline: 1 })
+        .skip((page - 1) * PAGE_SIZE)
+        .limit(PAGE_SIZE),
+      BloodRequest.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page,
+      requests,
+    });
+  } catch (error) {
+    serverError(res, "List blood requests", error);
+  }
+};
+
+/**
+ * GET BLOOD REQUEST (Admin)
+ */
+export const getBloodRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid request id" });
+    }
+
+    const request = await BloodRequest.findById(req.params.id)
+      .populate("contacts.donor", "name ngoId bloodGroup phone")
+      .populate("fulfilments.donor", "name ngoId bloodGroup")
+      .populate("triagedBy", "username");
+
+    if (!request) {
+      return res.status(404).json({ success: false, message: "Blood request not found" });
+    }
+
+    res.status(200).json({ success: true, request });
+  } catch (error) {
+    serverError(res, "Get blood request", error);
+  }
+};
+
+/**
+ * TRIAGE BLOOD REQUEST (Admin)
+ * Body: { priority?, note?, cancel?: Boolean, reason? }
+ */
+export const triageBloodRequest = async (req, res) => {
+  try {
+    const request = await findRequest(res, req.params.id);
+    if (!request || rejectIfClosed(res, request)) return;
+
+    const note = readText(req.body.note, 1000);
+    if (note === null) {
+      return res.status(400).json({ success: false, message: "Note must be at most 1000 characters" });
+    }
+
+    if (req.body.priority !== undefined) {
+      if (!["normal", "urgent", "critical"].includes(req.body.priority)) {
+        return res.status(400).json({ success: false, message: "Invalid priority" });
+      }
+      request.priority = req.body.priority;
+    }
+
+    request.triagedBy = req.user.id;
+    request.triagedAt = new Date();
+    if (note) request.triageNote = note;
+
+    if (req.body.cancel === true) {
+      const reason = readText(req.body.reason, 500);
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: "A reason (up to 500 characters) is required to cancel a request",
+        });
+      }
+      request.status = "cancelled";
+      request.closedAt = new Date();
+      request.closeReason = reason;
+    } else {
+      request.status = "in-progress";
+    }
+
+    await request.save();
+
+    res.status(200).json({
+      success: true,
+      message: request.status === "cancelled" ? "Request cancelled" : "Request triaged",
+      request,
+    });
+  } catch (error) {
+    serverError(res, "Triage blood request", error);
+  }
+};
+
+/**
+ * SHORTLIST DONORS (Admin)
+ * Verified, opted-in members with a compatible group who have not donated recently.
+ * Query: locality (optional address filter)
+ */
+export const getDonorShortlist = async (req, res) => {
+  try {
+    const request = await findRequest(res, req.params.id);
+    if (!request) return;
+
+    const donorGroups = getCompatibleDonorGroups(request.requiredGroup);
+    const query = {
+      status: "verified",
+      donorConsent: true,
+      bloodGroup: { $in: donorGroups },
+      $and: [
+        { $or: [{ validUntil: { $exists: false } }, { validUntil: { $gte: new Date() } }] },
+        eligibleDonorFilter(),
+      ],
+    };
+
+    if (req.query.locality) {
+      const text = String(req.query.locality).trim().slice(0, 100).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      if (text) query.address = { $regex: text, $options: "i" };
+    }
+
+    const donors = await NgoApplication.find(query)
+      .select("name ngoId bloodGroup phone address lastDonationAt donationCount")
+      .limit(MAX_SHORTLIST)
+      .lean();
+
+    const contacted = new Map(request.contacts.map((c) => [String(c.donor), c.outcome]));
+
+    // Exact group first, then members not yet contacted
+    donors.sort(
+      (a, b) =>
+        (b.bloodGroup === request.requiredGroup) - (a.bloodGroup === request.requiredGroup) ||
+        contacted.has(String(a._id)) - contacted.has(String(b._id)) ||
+        a.name.localeCompare(b.name)
+    );
+
+    res.status(200).json({
+      success: true,
+      requiredGroup: request.requiredGroup,
+      donorGroups,
+      count: donors.length,
+      donors: donors.map((donor) => ({
+        ...donor,
+        contactOutcome: contacted.get(String(donor._id)) || null,
+      })),
+    });
+  } catch (error) {
+    serverError(res, "Donor shortlist", error);
+  }
+};
+
+/**
+ * RECORD DONOR CONTACT (Admin)
+ * Body: { donorId, outcome, note? } — one entry per donor, updated on repeat calls
+ */
+export const recordDonorContact = async (req, res) => {
+  try {
+    const request = await findRequest(res, req.params.id);
+    if (!request || rejectIfClosed(res, request)) return;
+
+    const { donorId, outcome = "pending" } = req.body;
+    const note = readText(req.body.note, 500);
+
+    if (!mongoose.Types.ObjectId.isValid(donorId)) {
+      return res.status(400).json({ success: false, message: "Invalid donor id" });
+    }
+    if (!["pending", "agreed", "declined", "unreachable"].includes(outcome)) {
+      return res.status(400).json({ success: false, message: "Invalid contact outcome" });
+    }
+    if (note === null) {
+      return res.status(400).json({ success: false, message: "Note must be at most 500 characters" });
+    }
+
+    const donorExists = await NgoApplication.exists({ _id: donorId });
+    if (!donorExists) {
+      return res.status(404).json({ success: false, message: "Donor not found" });
+    }
+
+    const entry = { donor: donorId, contactedBy: req.user.id, outcome, note: note || undefined, at: new Date() };
+    const index = request.contacts.findIndex((c) => String(c.donor) === String(donorId));
+    if (index === -1) {
+      request.contacts.push(entry);
+    } else {
+      request.contacts.set(index, entry);
+    }
+
+    if (request.status === "open") request.status = "in-progress";
+    await request.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Contact recorded",
+      contacts: request.contacts,
+    });
+  } catch (error) {
+    serverError(res, "Record donor contact", error);
+  }
+};
+
+/**
+ * RECORD FULFILMENT (Admin)
+ * Body: { donorId? | donorName?, units }
+ * The request is marked fulfilled once the required units are covered.
+ */
+export const recordFulfilment = async (req, res) => {
+  try {
+    const request = await findRequest(res, req.params.id);
+    if (!request || rejectIfClosed(res, request)) return;
+
+    const { donorId } = req.body;
+    const donorName = readText(req.body.donorName, 100);
+    const units = parseInt(req.body.units) || 1;
+
+    if (units < 1 || units > MAX_UNITS) {
+      return res.status(400).json({ success: false, message: `Units must be between 1 and ${MAX_UNITS}` });
+    }
+
+    let donor = null;
+    if (donorId) {
+      if (!mongoose.Types.ObjectId.isValid(donorId)) {
+        return res.status(400).json({ success: false, message: "Invalid donor id" });
+      }
+      donor = await NgoApplication.findById(donorId);
+      if (!donor) {
+        return res.status(404).json({ success: false, message: "Donor not found" });
+      }
+      if (units > MAX_DONOR_UNITS) {
+        return res.status(400).json({
+          success: false,
+          message: `A single donor can give at most ${MAX_DONOR_UNITS} units`,
+        });
+      }
+    } else if (!donorName) {
+      return res.status(400).json({ success: false, message: "donorId or donorName is required" });
+    }
+
+    const now = new Date();
+    request.fulfilments.push({
+      donor: donor?._id,
+      donorName: donor ? undefined : donorName,
+      units,
+      recordedBy: req.user.id,
+      at: now,
+    });
+
+    if (request.unitsFulfilled >= request.units) {
+      request.status = "fulfilled";
+      request.closedAt = now;
+    } else if (request.status === "open") {
+      request.status = "in-progress";
+    }
+    await request.save();
+
+    if (donor) {
+      donor.recordDonation({
+        date: now,
+        venue: request.hospital,
+        units,
+        source: "blood-request",
+        bloodRequest: request._id,
+        verifiedBy: req.user.id,
+      });
+      await donor.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: request.status === "fulfilled" ? "Request fulfilled" : "Donation recorded",
+      unitsFulfilled: request.unitsFulfilled,
+      donorNextEligibleAt: donor ? donor.getDonorEligibility().nextEligibleAt : null,
+      request,
+    });
+  } catch (error) {
+    serverError(res, "Record fulfilment", error);
+  }
+};
+
+/**
+ * RUN DEADLINE SWEEP NOW (Admin)
+ */
+export const runBloodRequestSweep = async (req, res) => {
+  try {
+    const result = await expireBloodRequests();
+
+    res.status(200).json({
+      success: true,
+      message: `Expired ${result.expired} requests`,
+      ...result,
+    });
+  } catch (error) {
+    serverError(res, "Blood request sweep", error);
+  }
+};
@@ -0,0 +1,336 @@
+import mongoose from "mongoose";
+import CardTemplate from "../models/cardTemplate.model.js";
+import { uploadToCloudinary, deleteFromCloudinary } from "../config/cloudinary.js";
+import { DEFAULT_CARD_TEMPLATE, SAMPLE_CARD_DATA, renderCardPng } from "../utils/idCardRenderer.js";
+import { listPlaceholders } from "../utils/cardTemplate.js";
+import { normalizeCardLanguage } from "../utils/cardLabels.js";
+
+const notFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Template not found",
+  });
+
+// Ids that are not ObjectIds (typos, "default" where it is not allowed) are
+// simply not found instead of a CastError 500
+const findTemplate = (id) => (mongoose.isValidObjectId(id) ? CardTemplate.findById(id) : null);
+
+const serverError = (res, label, error) => {
+  console.error(`❌ ${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server error: " + error.message,
+  });
+};
+
+/**
+ * Validate name/html/width/height from the request body
+ * @returns {Object} - { values, error }
+ */
+const readTemplateFields = (body, partial) => {
+  const values = {};
+
+  if (body.name !== undefined) values.name = String(body.name).trim();
+  if (body.html !== undefined) values.html = String(body.html);
+  if (body.backHtml !== undefined) values.backHtml = String(body.backHtml);
+  if (body.width !== undefined) values.width = parseInt(body.width);
+  if (body.height !== undefined) values.height = parseInt(body.height);
+
+  if (!partial && (!values.name || !values.html || !values.width || !values.height)) {
+    return { error: "Name, html, width and height are required" };
+  }
+  if (values.html !== undefined && !values.html.includes("<")) {
+    return { error: "Template html is empty or invalid" };
+  }
+  if (values.backHtml && !values.backHtml.includes("<")) {
+    return { error: "Template backHtml is invalid" };
+  }
+  for (const dim of ["width", "height"]) {
+    if (values[dim] !== undefined && (!values[dim] || values[dim] < 100 || values[dim] > 4000)) {
+      return { error: `${dim} must be between 100 and 4000 pixels` };
+    }
+  }
+
+  return { values };
+};
+
+/**
+ * LIST TEMPLATES (Admin)
+ */
+export const getTemplates = async (req, res) => {
+  try {
+    const templates = await CardTemplate.find()
+      .select("-html -__v")
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      usingBuiltin: !templates.some((t) => t.isActive),
+      templates,
+    });
+  } catch (error) {
+    serverError(res, "Get templates", error);
+  }
+};
+
+/**
+ * GET TEMPLATE (Admin) - ":id" may be "default" for the built-in design
+ */
+export const getTemplate = async (req, res) => {
+  try {
+    const template =
+      req.params.id === "default"
+        ? DEFAULT_CARD_TEMPLATE
+        : await findTemplate(req.params.id);
+
+    if (!template) return notFound(res);
+
+    res.status(200).json({
+      success: true,
+      template,
+      placeholders: listPlaceholders(`${template.html}${template.backHtml || ""}`),
+    });
+  } catch (error) {
+    serverError(res, "Get template", error);
+  }
+};
+
+/**
+ * CREATE TEMPLATE (Admin)
+ * Pass `fromDefault: true` to start from a copy of the built-in design.
+ */
+export const createTemplate = async (req, res) => {
+  try {
+    const body = req.body.fromDefault
+      ? { ...DEFAULT_CARD_TEMPLATE, ...req.body }
+      : req.body;
+
+    const { values, error } = readTemplateFields(body, false);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const template = await CardTemplate.create({
+      ...values,
+      isActive: false,
+      updatedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Template created",
+      template,
+      placeholders: listPlaceholders(`${template.html}${template.backHtml || ""}`),
+    });
+  } catch (error) {
+    serverError(res, "Create template", error);
+  }
+};
+
+/**
+ * UPDATE TEMPLATE (Admin)
+ */
+export const updateTemplate = async (req, res) => {
+  try {
+    const { values, error } = readTemplateFields(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+
+    const template = await CardTemplate.findByIdAndUpdate(
+      req.params.id,
+      { $set: { ...values, updatedBy: req.user.id } },
+      { new: true, runValidators: true }
+    );
+
+    if (!template) return notFound(res);
+
+    res.status(200).json({
+      success: true,
+      message: "Template updated",
+      template,
+      placeholders: listPlaceholders(`${template.html}${template.backHtml || ""}`),
+    });
+  } catch (error) {
+    serverError(res, "Update template", error);
+  }
+};
+
+/**
+ * UPLOAD TEMPLATE ASSET (Admin) - e.g. key "logo" or "signature"
+ * Referenced in the template html as {{asset.<key>}}.
+ */
+export const uploadTemplateAsset = async (req, res) => {
+  try {
+    const key = String(req.body.key || "").trim();
+
+    if (!/^[a-zA-Z0-9_]+$/.test(key)) {
+      return res.status(400).json({
+        success: false,
+        message: "Asset key is required (letters, numbers and _ only)",
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No image file provided",
+      });
+    }
+
+    const template = await findTemplate(req.params.id);
+    if (!template) return notFound(res);
+
+    const upload = await uploadToCloudinary(
+      req.file.buffer,
+      "ngo-card-assets",
+      `${template._id}-${key}-${Date.now()}`,
+      "image"
+    );
+
+    const existing = template.assets.find((asset) => asset.key === key);
+    const previousUrl = existing?.url;
+
+    if (existing) {
+      existing.url = upload.secure_url;
+    } else {
+      template.assets.push({ key, url: upload.secure_url });
+    }
+    template.updatedBy = req.user.id;
+    await template.save();
+
+    if (previousUrl) {
+      await deleteFromCloudinary(previousUrl);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Asset "${key}" uploaded`,
+      template,
+    });
+  } catch (error) {
+    serverError(res, "Upload template asset", error);
+  }
+};
+
+/**
+ * ACTIVATE TEMPLATE (Admin) - ":id" may be "default" to go back to the built-in design
+ * Only newly rendered cards use the new template.
+ */
+export const activateTemplate = async (req, res) => {
+  try {
+    let template = null;
+
+    if (req.params.id !== "default") {
+      template = await findTemplate(req.params.id);
+      if (!template) return notFound(res);
+    }
+
+    await CardTemplate.updateMany({ isActive: true }, { $set: { isActive: false } });
+
+    if (template) {
+      template.isActive = true;
+      template.updatedBy = req.user.id;
+      await template.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: template ? `Template "${template.name}" is now active` : "Using built-in template",
+      activeTemplateId: template ? template._id : null,
+    });
+  } catch (error) {
+    serverError(res, "Activate template", error);
+  }
+};
+
+/**
+ * DELETE TEMPLATE (Admin)
+ */
+export const deleteTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+    if (!template) return notFound(res);
+
+    if (template.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Activate another template before deleting the active one",
+      });
+    }
+
+    for (const asset of template.assets) {
+      await deleteFromCloudinary(asset.url);
+    }
+    await CardTemplate.findByIdAndDelete(template._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Template deleted",
+    });
+  } catch (error) {
+    serverError(res, "Delete template", error);
+  }
+};
+
+/**
+ * PREVIEW TEMPLATE (Admin) - renders sample data to PNG (?side=back for the back face)
+ * Body may override sample fields, pick a label `language` (en/bn/bilingual)
+ * and supply unsaved `html`/`width`/`height`.
+ */
+export const previewTemplate = async (req, res) => {
+  try {
+    const stored =
+      req.params.id === "default"
+        ? DEFAULT_CARD_TEMPLATE
+        : await findTemplate(req.params.id);
+
+    if (!stored) return notFound(res);
+
+    const side = req.query.side === "back" ? "back" : "front";
+    const { values, error } = readTemplateFields(
+      { html: req.body.html, backHtml: req.body.backHtml, width: req.body.width, height: req.body.height },
+      true
+    );
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const template = {
+      html: values.html ?? stored.html,
+      backHtml: values.backHtml ?? stored.backHtml,
+      width: values.width ?? stored.width,
+      height: values.height ?? stored.height,
+      assets: stored.assets || [],
+    };
+
+    const sample = { ...SAMPLE_CARD_DATA };
+    for (const field of [
+      "name",
+      "address",
+      "phone",
+      "bloodGroup",
+      "joiningDate",
+      "ngoId",
+      "photoUrl",
+      "emergencyContactName",
+      "emergencyContactPhone",
+      "medicalConditions",
+    ]) {
+      if (typeof req.body[field] === "string" && req.body[field].trim()) {
+        sample[field] = req.body[field].trim();
+      }
+    }
+    sample.language = normalizeCardLanguage(req.body.language) || sample.language;
+
+    const png = await renderCardPng(sample, template, side);
+
+    res.set("Content-Type", "image/png");
+    res.set("Cache-Control", "no-store");
+    res.status(200).send(png);
+  } catch (error) {
+    serverError(res, "Preview template", error);
+  }
+};
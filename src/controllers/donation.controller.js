@@ -0,0 +1,224 @@
+import mongoose from "mongoose";
+import NgoApplication from "../models/ngoApplication.model.js";
+
+const MAX_UNITS = 4;
+// Older entries are almost certainly typos
+const EARLIEST_DONATION = new Date("1970-01-01");
+
+const serverError = (res, label, error) => {
+  console.error(`❌ ${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server error: " + error.message,
+  });
+};
+
+/**
+ * Validate date/venue/units/note from the request body
+ * @returns {Object} - { values, error }
+ */
+const readDonationFields = (body) => {
+  const date = new Date(body.date);
+  if (!body.date || Number.isNaN(date.getTime())) {
+    return { error: "Donation date is invalid" };
+  }
+  if (date > new Date() || date < EARLIEST_DONATION) {
+    return { error: "Donation date must be between 1970 and today" };
+  }
+
+  const venue = typeof body.venue === "string" ? body.venue.trim() : "";
+  if (!venue || venue.length > 200) {
+    return { error: "Venue is required (up to 200 characters)" };
+  }
+
+  const units = body.units === undefined ? 1 : parseInt(body.units);
+  if (!units || units < 1 || units > MAX_UNITS) {
+    return { error: `Units must be between 1 and ${MAX_UNITS}` };
+  }
+
+  const note = typeof body.note === "string" ? body.note.trim() : "";
+  if (note.length > 500) {
+    return { error: "Note must be at most 500 characters" };
+  }
+
+  return { values: { date, venue, units, note: note || undefined } };
+};
+
+const donationSummary = (application) => ({
+  ngoId: application.ngoId,
+  ...application.getDonorEligibility(),
+  donations: [...application.donations].sort((a, b) => b.date - a.date),
+});
+
+const findApplication = async (res, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid application id" });
+    return null;
+  }
+  const application = await NgoApplication.findById(id);
+  if (!application) {
+    res.status(404).json({ success: false, message: "Application not found" });
+    return null;
+  }
+  return application;
+};
+
+/**
+ * MY DONATIONS (Applicant session)
+ */
+export const getMyDonations = async (req, res) => {
+  try {
+    if (!req.applicant) {
+      return res.status(401).json({ success: false, message: "Please verify your email first" });
+    }
+
+    const application = await NgoApplication.findOne({ email: req.applicant.email });
+    if (!application) {
+      return res.status(404).json({ success: false, message: "Application not found" });
+    }
+
+    res.status(200).json({ success: true, ...donationSummary(application) });
+  } catch (error) {
+    serverError(res, "Get my donations", error);
+  }
+};
+
+/**
+ * REPORT A DONATION (Applicant session, verified members)
+ * Body: { date, venue, units?, note? } — stays unverified until an admin confirms it
+ */
+export const addMyDonation = async (req, res) => {
+  try {
+    if (!req.applicant) {
+      return res.status(401).json({ success: false, message: "Please verify your email first" });
+    }
+
+    const { values, error } = readDonationFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const application = await NgoApplication.findOne({ email: req.applicant.email });
+    if (!application) {
+      return res.status(404).json({ success: false, message: "Application not found" });
+    }
+    if (application.status !== "verified") {
+      return res.status(403).json({
+        success: false,
+        message: "Only verified members can log donations",
+      });
+    }
+
+    const donation = application.recordDonation({ ...values, source: "member" });
+    await application.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Donation recorded. An admin will confirm it.",
+      donation,
+      ...application.getDonorEligibility(),
+    });
+  } catch (error) {
+    serverError(res, "Add my donation", error);
+  }
+};
+
+/**
+ * LIST MEMBER DONATIONS (Admin)
+ */
+export const getDonations = async (req, res) => {
+  try {
+    const application = await findApplication(res, req.params.id);
+    if (!application) return;
+
+    res.status(200).json({ success: true, ...donationSummary(application) });
+  } catch (error) {
+    serverError(res, "Get donations", error);
+  }
+};
+
+/**
+ * ADD DONATION (Admin, recorded as verified)
+ * Body: { date, venue, units?, note? }
+ */
+export const addDonation = async (req, res) => {
+  try {
+    const { values, error } = readDonationFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const application = await findApplication(res, req.params.id);
+    if (!application) return;
+
+    const donation = application.recordDonation({
+      ...values,
+      source: "admin",
+      verifiedBy: req.user.id,
+    });
+    await application.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Donation recorded",
+      donation,
+      ...application.getDonorEligibility(),
+    });
+  } catch (error) {
+    serverError(res, "Add donation", error);
+  }
+};
+
+/**
+ * CONFIRM A MEMBER-REPORTED DONATION (Admin)
+ */
+export const verifyDonation = async (req, res) => {
+  try {
+    const application = await findApplication(res, req.params.id);
+    if (!application) return;
+
+    const donation = application.donations.id(req.params.donationId);
+    if (!donation) {
+      return res.status(404).json({ success: false, message: "Donation not found" });
+    }
+
+    donation.verifiedBy = req.user.id;
+    donation.verifiedAt = new Date();
+    await application.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Donation verified",
+      donation,
+    });
+  } catch (error) {
+    serverError(res, "Verify donation", error);
+  }
+};
+
+/**
+ * DELETE DONATION (Admin)
+ */
+export const deleteDonation = async (req, res) => {
+  try {
+    const application = await findApplication(res, req.params.id);
+    if (!application) return;
+
+    const donation = application.donations.id(req.params.donationId);
+    if (!donation) {
+      return res.status(404).json({ success: false, message: "Donation not found" });
+    }
+
+    donation.deleteOne();
+    application.syncDonationSummary();
+    await application.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Donation deleted",
+      ...application.getDonorEligibility(),
+    });
+  } catch (error) {
+    serverError(res, "Delete donation", error);
+  }
+};
@@ -0,0 +1,222 @@
+import mongoose from "mongoose";
+import NgoApplication from "../models/ngoApplication.model.js";
+import DonorAccess from "../models/donorAccess.model.js";
+import { parseBloodGroup, getCompatibleDonorGroups } from "../utils/bloodCompatibility.js";
+import { eligibleDonorFilter, getNextEligibleDate } from "../utils/donorEligibility.js";
+import { loadAdminRoles } from "../utils/verifyUser.js";
+
+const MAX_PAGE_SIZE = 50;
+const MAX_REASON_LENGTH = 500;
+// Non-admins may reveal this many donor phone numbers per 24 hours
+const MAX_REVEALS_PER_DAY = 20;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Verified, opted-in, not past validity
+const listedDonorFilter = () => ({
+  status: "verified",
+  donorConsent: true,
+  $or: [{ validUntil: { $exists: false } }, { validUntil: { $gte: new Date() } }],
+});
+
+// Last two address parts ("..., Narayanpur, Howrah") are enough to locate a donor
+const toLocality = (address = "") =>
+  address
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .slice(-2)
+    .join(", ");
+
+const serverError = (res, label, error) => {
+  console.error(`❌ ${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server error: " + error.message,
+  });
+};
+
+/**
+ * SEARCH DONORS (Authenticated)
+ * Query: bloodGroup (exact) or recipient (compatible groups), locality,
+ * eligibleOnly (skip members who donated recently), page, limit
+ * Full addresses are only included for admins. Phone numbers are never
+ * listed; everyone, admins included, goes through the audited reveal.
+ */
+export const searchDonors = async (req, res) => {
+  try {
+    const { bloodGroup, recipient, locality } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+    const query = listedDonorFilter();
+
+    if (recipient) {
+      const group = parseBloodGroup(recipient);
+      if (!group) {
+        return res.status(400).json({ success: false, message: "Invalid recipient blood group" });
+      }
+      query.bloodGroup = { $in: getCompatibleDonorGroups(group) };
+    } else if (bloodGroup) {
+      const group = parseBloodGroup(bloodGroup);
+      if (!group) {
+        return res.status(400).json({ success: false, message: "Invalid blood group" });
+      }
+      query.bloodGroup = group;
+    }
+
+    if (locality) {
+      const text = String(locality).trim().slice(0, 100);
+      if (text) {
+        query.address = { $regex: escapeRegex(text), $options: "i" };
+      }
+    }
+
+    if (req.query.eligibleOnly === "true") {
+      query.$and = [eligibleDonorFilter()];
+    }
+
+    const admin = Boolean(await loadAdminRoles(req.user));
+    const fields = admin
+      ? "name ngoId bloodGroup address photoUrl donationCount lastDonationAt"
+      : "name ngoId bloodGroup address donationCount lastDonationAt";
+
+    const [donors, total] = await Promise.all([
+      NgoApplication.find(query)
+        .select(fields)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      NgoApplication.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      donorGroups: query.bloodGroup?.$in || (query.bloodGroup ? [query.bloodGroup] : null),
+      donors: donors.map((donor) => {
+        const nextEligibleAt = getNextEligibleDate(donor.lastDonationAt);
+        const donation = {
+          donationCount: donor.donationCount || 0,
+          lastDonationAt: donor.lastDonationAt || null,
+          nextEligibleAt,
+          eligible: !nextEligibleAt || nextEligibleAt <= new Date(),
+        };
+
+        return admin
+          ? { ...donor, ...donation, locality: toLocality(donor.address) }
+          : {
+              _id: donor._id,
+              name: donor.name,
+              ngoId: donor.ngoId,
+              bloodGroup: donor.bloodGroup,
+              locality: toLocality(donor.address),
+              ...donation,
+            };
+      }),
+    });
+  } catch (error) {
+    serverError(res, "Donor search", error);
+  }
+};
+
+/**
+ * REVEAL DONOR CONTACT (Authenticated)
+ * Body: { reason } — every reveal is recorded in DonorAccess; only
+ * non-admins are limited per day
+ */
+export const revealDonorContact = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid donor id" });
+    }
+
+    if (!reason || reason.length > MAX_REASON_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `A reason (up to ${MAX_REASON_LENGTH} characters) is required`,
+      });
+    }
+
+    if (!(await loadAdminRoles(req.user))) {
+      const recentReveals = await DonorAccess.countDocuments({
+        viewer: req.user.id,
+        createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+      });
+      if (recentReveals >= MAX_REVEALS_PER_DAY) {
+        return res.status(429).json({
+          success: false,
+          message: "Daily donor contact limit reached. Please contact the NGO office.",
+        });
+      }
+    }
+
+    const donor = await NgoApplication.findOne({ _id: id, ...listedDonorFilter() })
+      .select("name ngoId bloodGroup phone")
+      .lean();
+
+    if (!donor) {
+      return res.status(404).json({ success: false, message: "Donor not found" });
+    }
+
+    await DonorAccess.create({
+      viewer: req.user.id,
+      donor: donor._id,
+      reason,
+      ip: req.headers["x-forwarded-for"]?.split(",")[0] || req.socket.remoteAddress,
+    });
+
+    res.status(200).json({
+      success: true,
+      donor,
+    });
+  } catch (error) {
+    serverError(res, "Reveal donor contact", error);
+  }
+};
+
+/**
+ * DONOR CONTACT ACCESS LOG (Admin)
+ * Query: donor, viewer (optional filters), page
+ */
+export const getDonorAccessLog = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const query = {};
+
+    for (const key of ["donor", "viewer"]) {
+      if (req.query[key]) {
+        if (!mongoose.Types.ObjectId.isValid(req.query[key])) {
+          return res.status(400).json({ success: false, message: `Invalid ${key} id` });
+        }
+        query[key] = req.query[key];
+      }
+    }
+
+    const [records, total] = await Promise.all([
+      DonorAccess.find(query)
+        .populate("viewer", "username email")
+        .populate("donor", "name ngoId bloodGroup")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * MAX_PAGE_SIZE)
+        .limit(MAX_PAGE_SIZE)
+        .lean(),
+      DonorAccess.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page,
+      records,
+    });
+  } catch (error) {
+    serverError(res, "Donor access log", error);
+  }
+};
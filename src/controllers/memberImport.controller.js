@@ -0,0 +1,361 @@
+import path from "path";
+import mongoose from "mongoose";
+import JSZip from "jszip";
+import { parse } from "csv-parse/sync";
+import NgoApplication, { computeValidity } from "../models/ngoApplication.model.js";
+import MemberImport from "../models/memberImport.model.js";
+import MemberImportRow from "../models/memberImportRow.model.js";
+import {
+  validateApplicationFields,
+  APPLICATION_FIELDS,
+  CARD_FIELDS,
+} from "../utils/applicationValidation.js";
+import { enqueueMemberImport } from "../jobs/memberImport.js";
+import { detectImageType } from "../utils/photo.js";
+
+const MAX_ROWS = 1000;
+const MAX_ZIP_ENTRIES = 2000;
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const PHOTO_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp"];
+
+// CSV headers are matched case/space-insensitively ("Blood Group" → bloodGroup)
+const HEADER_ALIASES = {
+  name: "name",
+  address: "address",
+  phone: "phone",
+  mobile: "phone",
+  email: "email",
+  bloodgroup: "bloodGroup",
+  joiningdate: "joiningDate",
+  photo: "photo",
+  status: "status",
+  language: "preferredLanguage",
+  preferredlanguage: "preferredLanguage",
+  donorconsent: "donorConsent",
+  emergencycontactname: "emergencyContactName",
+  emergencyname: "emergencyContactName",
+  emergencycontactphone: "emergencyContactPhone",
+  emergencyphone: "emergencyContactPhone",
+  emergencycontactrelation: "emergencyContactRelation",
+  relation: "emergencyContactRelation",
+  medicalconditions: "medicalConditions",
+  cardlanguage: "cardLanguage",
+};
+
+const normalizeHeader = (header) =>
+  HEADER_ALIASES[String(header).toLowerCase().replace(/[\s_-]+/g, "")] || null;
+
+const phoneKey = (phone) => String(phone).replace(/\D/g, "").slice(-10);
+
+const isYes = (value) => ["yes", "y", "true", "1"].includes(String(value).trim().toLowerCase());
+
+/**
+ * Index photo entries by lowercase file name and by phone digits in the name
+ * @returns {Promise<Object>} - { byName: Map, byPhone: Map, error }
+ */
+const readPhotoArchive = async (buffer) => {
+  const byName = new Map();
+  const byPhone = new Map();
+  if (!buffer) return { byName, byPhone };
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    return { error: "Photo archive is not a valid ZIP file" };
+  }
+
+  const entries = Object.values(zip.files).filter((entry) => !entry.dir);
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    return { error: `Photo archive has more than ${MAX_ZIP_ENTRIES} files` };
+  }
+
+  for (const entry of entries) {
+    const base = path.posix.basename(entry.name);
+    const ext = path.extname(base).toLowerCase();
+    if (base.startsWith(".") || !PHOTO_EXTENSIONS.includes(ext)) continue;
+
+    byName.set(base.toLowerCase(), entry);
+    const digits = phoneKey(path.basename(base, ext));
+    if (digits.length === 10) byPhone.set(digits, entry);
+  }
+
+  return { byName, byPhone };
+};
+
+/**
+ * Read a photo from the archive, stopping as soon as more than
+ * MAX_PHOTO_BYTES have been inflated (the ZIP directory sizes can lie)
+ * @returns {Promise<Object>} - { buffer } or { error }
+ */
+const readPhoto = (entry) =>
+  new Promise((resolve) => {
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    const stream = entry.nodeStream("nodebuffer");
+
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      resolve(result);
+    };
+
+    stream.on("data", (chunk) => {
+      if (done) return;
+      size += chunk.length;
+      if (size > MAX_PHOTO_BYTES) {
+        finish({ error: "Photo is larger than 5MB" });
+        stream.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("end", () => {
+      const buffer = Buffer.concat(chunks);
+      finish(detectImageType(buffer) ? { buffer } : { error: "Photo must be a JPEG, PNG or WebP image" });
+    });
+    // Corrupt entry, or inflated size differs from the one in the directory
+    stream.on("error", () => finish({ error: "Photo could not be read from the archive" }));
+  });
+
+/**
+ * Validate one CSV row
+ * @returns {Object} - { values, photoEntry, errors, warnings }
+ */
+const checkRow = (raw, photos, seenEmails) => {
+  const { values, errors } = validateApplicationFields(raw, [...APPLICATION_FIELDS, ...CARD_FIELDS]);
+  const warnings = [];
+
+  for (const field of APPLICATION_FIELDS) {
+    if (!raw[field] && !errors[field]) errors[field] = `${field} is required`;
+  }
+
+  if (values.email) {
+    if (seenEmails.has(values.email)) {
+      errors.email = `Duplicate email (also on row ${seenEmails.get(values.email)})`;
+    }
+  }
+
+  const status = raw.status ? String(raw.status).trim().toLowerCase() : "verified";
+  if (!["pending", "verified"].includes(status)) {
+    errors.status = "Status must be pending or verified";
+  }
+  values.status = status;
+  values.preferredLanguage = String(raw.preferredLanguage || "").trim().toLowerCase() === "bn" ? "bn" : "en";
+  values.donorConsent = raw.donorConsent !== undefined && isYes(raw.donorConsent);
+
+  let photoEntry = null;
+  if (raw.photo) {
+    photoEntry = photos.byName.get(path.posix.basename(String(raw.photo).trim()).toLowerCase());
+    if (!photoEntry) errors.photo = `Photo "${raw.photo}" not found in archive`;
+  } else if (values.phone) {
+    photoEntry = photos.byPhone.get(phoneKey(values.phone));
+    if (!photoEntry) errors.photo = "No photo column and no photo named after the phone number";
+  }
+
+  if (values.joiningDate && computeValidity(values.joiningDate).validUntil < new Date()) {
+    warnings.push("Membership validity has already ended; the card will show as expired");
+  }
+
+  return { values, photoEntry, errors, warnings };
+};
+
+const toReportRow = (row) => ({
+  row: row.row,
+  email: row.email || null,
+  result: row.result,
+  ...(row.rowErrors && { errors: row.rowErrors }),
+  warnings: row.warnings || [],
+  ...(row.ngoId && { ngoId: row.ngoId, id: row.application }),
+});
+
+/**
+ * BULK IMPORT MEMBERS (Admin)
+ * multipart: csv (file), photos (ZIP, optional if no rows need photos), dryRun ("true")
+ * Photos are matched by the row's "photo" file name, else by a file named after the phone number.
+ * Rows are validated and staged here; photo uploads and record creation run
+ * on the job queue. Poll GET /admin/import/:id for the result.
+ */
+export const importMembers = async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === "true" || req.query.dryRun === "true";
+    const csvFile = req.files?.csv?.[0];
+    const zipFile = req.files?.photos?.[0];
+
+    if (!csvFile) {
+      return res.status(400).json({
+        success: false,
+        message: "A CSV file is required",
+      });
+    }
+
+    let records;
+    try {
+      records = parse(csvFile.buffer, {
+        bom: true,
+        columns: (headers) => headers.map(normalizeHeader),
+        skip_empty_lines: true,
+        trim: true,
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Could not read CSV: " + error.message,
+      });
+    }
+
+    if (records.length === 0 || records.length > MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV must contain between 1 and ${MAX_ROWS} rows`,
+      });
+    }
+
+    const photos = await readPhotoArchive(zipFile?.buffer);
+    if (photos.error) {
+      return res.status(400).json({
+        success: false,
+        message: photos.error,
+      });
+    }
+
+    const emails = records
+      .map((r) => String(r.email || "").toLowerCase().trim())
+      .filter(Boolean);
+    const existing = new Set(
+      (await NgoApplication.find({ email: { $in: emails } }).select("email").lean()).map(
+        (a) => a.email
+      )
+    );
+
+    const staged = [];
+    const seenEmails = new Map();
+
+    for (const [index, raw] of records.entries()) {
+      const row = index + 2; // header is row 1
+      const { values, photoEntry, errors, warnings } = checkRow(raw, photos, seenEmails);
+
+      if (values.email) {
+        if (existing.has(values.email)) errors.email = "An application with this email already exists";
+        if (!seenEmails.has(values.email)) seenEmails.set(values.email, row);
+      }
+
+      let photo = null;
+      if (photoEntry && !errors.photo) {
+        photo = await readPhoto(photoEntry);
+        if (photo.error) errors.photo = photo.error;
+      }
+
+      const valid = Object.keys(errors).length === 0;
+      staged.push({
+        row,
+        email: values.email || raw.email || null,
+        result: valid ? (dryRun ? "valid" : "queued") : "error",
+        ...(valid ? { values, photo: photo?.buffer } : { rowErrors: errors }),
+        warnings,
+      });
+    }
+
+    const queued = staged.filter((r) => r.result !== "error").length;
+    const invalid = staged.length - queued;
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun,
+        message: `${queued} of ${staged.length} rows are valid`,
+        summary: { total: staged.length, valid: queued, error: invalid },
+        report: staged.map(toReportRow),
+      });
+    }
+
+    const memberImport = await MemberImport.create({
+      createdBy: req.user.id,
+      total: staged.length,
+      invalid,
+      status: queued > 0 ? "queued" : "done",
+      completedAt: queued > 0 ? undefined : new Date(),
+    });
+
+    // In small batches: each row may carry a photo of up to 5MB
+    for (let i = 0; i < staged.length; i += 20) {
+      await MemberImportRow.insertMany(
+        staged.slice(i, i + 20).map((r) => ({ ...r, import: memberImport._id }))
+      );
+    }
+
+    if (queued > 0) {
+      await enqueueMemberImport(memberImport._id);
+    }
+
+    console.log(`📥 Member import ${memberImport._id}: ${queued} rows queued, ${invalid} invalid`);
+
+    res.status(202).json({
+      success: true,
+      dryRun,
+      message: `${queued} of ${staged.length} rows queued for import`,
+      importId: memberImport._id,
+      status: memberImport.status,
+      summary: { total: staged.length, queued, error: invalid },
+      report: staged.filter((r) => r.result === "error").map(toReportRow),
+    });
+  } catch (error) {
+    console.error("❌ Member import error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error: " + error.message,
+    });
+  }
+};
+
+/**
+ * MEMBER IMPORT STATUS (Admin)
+ * Progress and per-row report of an import started with POST /admin/import
+ */
+export const getMemberImport = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    const memberImport = await MemberImport.findById(req.params.id).lean();
+    if (!memberImport) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    const rows = await MemberImportRow.find({ import: memberImport._id })
+      .select("row email result rowErrors warnings ngoId application")
+      .sort({ row: 1 })
+      .lean();
+
+    const queued = rows.filter((r) => r.result === "queued").length;
+
+    res.status(200).json({
+      success: true,
+      importId: memberImport._id,
+      status: memberImport.status,
+      summary: {
+        total: memberImport.total,
+        imported: memberImport.imported,
+        queued,
+        error: memberImport.invalid + memberImport.failed,
+      },
+      createdAt: memberImport.createdAt,
+      completedAt: memberImport.completedAt || null,
+      report: rows.map(toReportRow),
+    });
+  } catch (error) {
+    console.error("❌ Member import status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error: " + error.message,
+    });
+  }
+};
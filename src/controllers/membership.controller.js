@@ -0,0 +1,227 @@
+import NgoApplication from "../models/ngoApplication.model.js";
+import User from "../models/user.model.js";
+import { validateNgoId } from "../utils/ngoId.js";
+import { issueOtp, checkOtp, registerOtpPurpose } from "../utils/otp.js";
+import { createDownloadLink } from "../utils/applicantSession.js";
+
+/**
+ * Links between website accounts (User) and NGO memberships (NgoApplication).
+ * A signed-in user claims their verified application with a code sent to
+ * the application email; account emails are not verified, so a matching
+ * email alone never links a membership.
+ */
+
+export const MEMBERSHIP_CLAIM_OTP_PURPOSE = "membership-claim";
+
+registerOtpPurpose(MEMBERSHIP_CLAIM_OTP_PURPOSE, "link your NGO membership to your website account");
+
+const sendError = (res, label, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`❌ ${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server error: " + error.message,
+  });
+};
+
+// "someone@example.com" → "so*****@example.com"
+const maskEmail = (email) => {
+  const [local, domain] = email.split("@");
+  return `${local.slice(0, 2)}${"*".repeat(Math.max(local.length - 2, 1))}@${domain}`;
+};
+
+const toMembership = (application) => {
+  const status = application.getEffectiveStatus();
+  return {
+    id: application._id,
+    ngoId: application.ngoId,
+    name: application.name,
+    bloodGroup: application.bloodGroup,
+    joiningDate: application.joiningDate,
+    status,
+    validUntil: application.getValidUntil(),
+    imageUrl: status === "verified" ? application.imageUrl : null,
+    backImageUrl: status === "verified" ? application.backImageUrl : null,
+    renderStatus: application.renderStatus,
+    linkedAt: application.linkedAt,
+  };
+};
+
+/**
+ * Application a signed-in user may claim by ngoId
+ * @returns {Promise<Object>} - { application } or { status, message }
+ */
+const findClaimable = async (userId, ngoId) => {
+  const idCheck = validateNgoId(ngoId);
+  if (!idCheck.valid) {
+    return { status: 400, message: idCheck.reason };
+  }
+
+  if (await NgoApplication.exists({ user: userId })) {
+    return { status: 400, message: "Your account is already linked to a membership" };
+  }
+
+  const application = await NgoApplication.findOne({ ngoId: idCheck.ngoId });
+  if (!application || application.getEffectiveStatus() !== "verified") {
+    return { status: 404, message: "No verified membership found for this NGO ID" };
+  }
+
+  if (application.user) {
+    return { status: 409, message: "This membership is already linked to another account" };
+  }
+
+  return { application };
+};
+
+/**
+ * MY MEMBERSHIP (signed-in user)
+ * Linked membership, or the NGO ID of an application using the account email
+ * (claimed with a code) and the values the ID card form can be prefilled with
+ */
+export const getMyMembership = async (req, res) => {
+  try {
+    const application = await NgoApplication.findOne({ user: req.user.id });
+
+    if (application) {
+      const membership = toMembership(application);
+      return res.status(200).json({
+        success: true,
+        linked: true,
+        membership,
+        download: membership.status === "verified" ? createDownloadLink(application._id) : null,
+      });
+    }
+
+    const user = await User.findById(req.user.id).select("email");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const email = user.email.toLowerCase();
+    const match = await NgoApplication.findOne({ email, user: { $exists: false } }).select(
+      "ngoId status validUntil joiningDate revocation"
+    );
+
+    res.status(200).json({
+      success: true,
+      linked: false,
+      membership: null,
+      ngoId: match ? match.ngoId : null,
+      // Nothing to apply for when an application already uses this email
+      applyPrefill: match ? null : { email },
+    });
+  } catch (error) {
+    sendError(res, "Get membership", error);
+  }
+};
+
+/**
+ * SEND CLAIM CODE (signed-in user)
+ * Body: { ngoId } → emails a code to the application email
+ */
+export const requestMembershipClaimOtp = async (req, res) => {
+  try {
+    const { application, status, message } = await findClaimable(req.user.id, req.body.ngoId);
+    if (!application) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { expiresAt, resendAfter } = await issueOtp(application.email, MEMBERSHIP_CLAIM_OTP_PURPOSE);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification code sent to ${maskEmail(application.email)}`,
+      sentTo: maskEmail(application.email),
+      expiresAt,
+      resendAfter,
+    });
+  } catch (error) {
+    sendError(res, "Membership claim OTP", error);
+  }
+};
+
+/**
+ * CLAIM MEMBERSHIP (signed-in user)
+ * Body: { ngoId, code } - code from POST /api/user/me/membership/otp
+ */
+export const claimMembership = async (req, res) => {
+  try {
+    const { application, status, message } = await findClaimable(req.user.id, req.body.ngoId);
+    if (!application) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!req.body.code) {
+      return res.status(401).json({
+        success: false,
+        message: "Enter the code sent to the email on your membership application",
+        otpRequired: true,
+      });
+    }
+    await checkOtp(application.email, MEMBERSHIP_CLAIM_OTP_PURPOSE, req.body.code);
+
+    // Conditional update so two accounts cannot claim the same membership at once
+    const linked = await NgoApplication.findOneAndUpdate(
+      { _id: application._id, user: { $exists: false } },
+      { $set: { user: req.user.id, linkedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!linked) {
+      return res.status(409).json({
+        success: false,
+        message: "This membership is already linked to another account",
+      });
+    }
+
+    console.log(`🔗 Membership ${linked.ngoId} linked to user ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Membership linked to your account",
+      membership: toMembership(linked),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Your account is already linked to a membership",
+      });
+    }
+    sendError(res, "Claim membership", error);
+  }
+};
+
+/**
+ * UNLINK MEMBERSHIP (signed-in user)
+ */
+export const unlinkMembership = async (req, res) => {
+  try {
+    const application = await NgoApplication.findOneAndUpdate(
+      { user: req.user.id },
+      { $unset: { user: "", linkedAt: "" } }
+    );
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "No membership is linked to your account",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Membership unlinked from your account",
+    });
+  } catch (error) {
+    sendError(res, "Unlink membership", error);
+  }
+};
@@ -0,0 +1,84 @@
+import NgoApplication from "../models/ngoApplication.model.js";
+import { issueOtp, checkOtp } from "../utils/otp.js";
+import { APPLICANT_OTP_PURPOSE } from "../utils/applicantSession.js";
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const readEmail = (email) => {
+  const value = typeof email === "string" ? email.toLowerCase().trim() : "";
+  return EMAIL_REGEX.test(value) ? value : null;
+};
+
+const sendError = (res, label, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`❌ ${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server error: " + error.message,
+  });
+};
+
+/**
+ * REQUEST EMAIL OTP
+ * Body: { email, purpose? } (purpose defaults to "ngo-apply")
+ */
+export const requestOtp = async (req, res) => {
+  try {
+    const email = readEmail(req.body.email);
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid email format",
+      });
+    }
+
+    const purpose = req.body.purpose || "ngo-apply";
+
+    // Sign-in codes only go to emails with an application; the code is still
+    // stored and throttled otherwise so the response cannot be used to probe emails
+    const send =
+      purpose !== APPLICANT_OTP_PURPOSE || Boolean(await NgoApplication.exists({ email }));
+
+    const { expiresAt, resendAfter } = await issueOtp(email, purpose, { send });
+
+    res.status(200).json({
+      success: true,
+      message: "Verification code sent to your email",
+      expiresAt,
+      resendAfter,
+    });
+  } catch (error) {
+    sendError(res, "Request OTP", error);
+  }
+};
+
+/**
+ * VERIFY EMAIL OTP
+ * Body: { email, code, purpose? } → { otpToken } to send with the follow-up request
+ */
+export const verifyOtp = async (req, res) => {
+  try {
+    const email = readEmail(req.body.email);
+    if (!email || !req.body.code) {
+      return res.status(400).json({
+        success: false,
+        message: "Email and code are required",
+      });
+    }
+
+    const otpToken = await checkOtp(email, req.body.purpose || "ngo-apply", req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified",
+      otpToken,
+    });
+  } catch (error) {
+    sendError(res, "Verify OTP", error);
+  }
+};
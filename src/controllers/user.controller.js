@@ -3,6 +3,7 @@ import { errorHandler } from '../utils/error.js';
 import User from '../models/user.model.js';
 import Post from '../models/post.model.js';
 import Comment from '../models/comment.model.js';
+import NgoApplication from '../models/ngoApplication.model.js';
 import { deleteFromCloudinary } from '../config/cloudinary.js';
 
 export const test = (req, res) => {
@@ -151,7 +152,13 @@ export const deleteUser = async (req, res, next) => {
       console.log(`   ✅ Deleted profile picture`);
     }
 
-    // 6. Finally, delete the user
+    // 6. Release a linked NGO membership so it can be claimed again
+    await NgoApplication.updateMany(
+      { user: req.params.userId },
+      { $unset: { user: '', linkedAt: '' } }
+    );
+
+    // 7. Finally, delete the user
     await User.findByIdAndDelete(req.params.userId);
     console.log(`   ✅ Deleted user account`);
 
@@ -203,6 +210,12 @@ export const getUsers = async (req, res, next) => {
       .limit(limit)
       .select('-password'); // Don't include password field
 
+    const badges = await NgoApplication.getMemberBadges(users.map((user) => user._id));
+    const usersWithMembership = users.map((user) => ({
+      ...user.toObject(),
+      membership: badges.get(String(user._id)) || null,
+    }));
+
     const totalUsers = await User.countDocuments();
 
     const oneMonthAgo = new Date();
@@ -213,7 +226,7 @@ export const getUsers = async (req, res, next) => {
     });
 
     res.status(200).json({
-      users,
+      users: usersWithMembership,
       totalUsers,
       lastMonthUsers,
     });
@@ -224,6 +237,7 @@ export const getUsers = async (req, res, next) => {
 
 /**
  * ✅ GET SINGLE USER
+ * Includes a public member badge when the account has a verified NGO membership
  */
 export const getUser = async (req, res, next) => {
   try {
@@ -233,7 +247,13 @@ export const getUser = async (req, res, next) => {
       return next(errorHandler(404, 'User not found'));
     }
 
-    res.status(200).json(user);
+    const badge = (await NgoApplication.getMemberBadges([user._id])).get(String(user._id));
+
+    res.status(200).json({
+      ...user.toObject(),
+      isMember: Boolean(badge?.verified),
+      memberSince: badge?.verified ? badge.memberSince : null,
+    });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,38 @@
+import BloodRequest, { OPEN_REQUEST_STATUSES } from '../models/bloodRequest.model.js';
+
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000; // every 15 minutes
+
+/**
+ * Close open blood requests whose deadline has passed
+ * @returns {Promise<Object>} - { expired }
+ */
+export const expireBloodRequests = async () => {
+  const now = new Date();
+  const result = await BloodRequest.updateMany(
+    { status: { $in: OPEN_REQUEST_STATUSES }, deadline: { $lt: now } },
+    { $set: { status: 'expired', closedAt: now, closeReason: 'Deadline passed' } }
+  );
+
+  if (result.modifiedCount) {
+    console.log(`⏰ Blood request sweep: expired ${result.modifiedCount}`);
+  }
+
+  return { expired: result.modifiedCount };
+};
+
+/**
+ * Run the blood request sweep periodically (long-running servers only;
+ * on Vercel the vercel.json cron calls GET /api/blood-requests/cron/expire,
+ * and an admin can still trigger POST /api/blood-requests/admin/jobs/expire)
+ */
+export const startBloodRequestExpiryJob = () => {
+  const run = () =>
+    expireBloodRequests().catch((error) =>
+      console.error('❌ Blood request sweep failed:', error.message)
+    );
+
+  run();
+  const timer = setInterval(run, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
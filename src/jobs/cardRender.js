@@ -0,0 +1,122 @@
+import NgoApplication from '../models/ngoApplication.model.js';
+import Job from '../models/job.model.js';
+import { deleteFromCloudinary } from '../config/cloudinary.js';
+import { renderAndUploadCard, getCardRenderData } from '../utils/idCardRenderer.js';
+import { registerJobHandler, enqueueJob, requeueFailedJobs } from './queue.js';
+import { notifyCardReady } from './notifications.js';
+
+export const RENDER_CARD_JOB = 'render-card';
+
+/**
+ * Render an application's card (both sides) from its current stored state,
+ * then swap in the new images and delete the previous ones.
+ */
+const renderCard = async ({ applicationId }) => {
+  const application = await NgoApplication.findById(applicationId);
+  if (!application) {
+    console.log(`⚠️ Render skipped, application ${applicationId} no longer exists`);
+    return;
+  }
+
+  application.renderStatus = 'rendering';
+  application.renderError = undefined;
+  if (!application.cardIssuedAt) {
+    application.cardIssuedAt = application.createdAt || new Date();
+  }
+  await application.save();
+
+  const previous = [application.imageUrl, application.backImageUrl];
+  const { imageUrl, backImageUrl } = await renderAndUploadCard(getCardRenderData(application));
+
+  const rendered = { imageUrl, backImageUrl, renderedAt: new Date() };
+  application.set(rendered);
+
+  // Details changed while rendering: keep these images but leave the status
+  // 'queued' so the newer render job is not reported as done
+  const { modifiedCount } = await NgoApplication.updateOne(
+    { _id: application._id, renderStatus: 'rendering' },
+    { $set: { ...rendered, renderStatus: 'done' } }
+  );
+  const superseded = modifiedCount === 0;
+  if (superseded) {
+    await NgoApplication.updateOne({ _id: application._id }, { $set: rendered });
+  }
+
+  for (const url of previous) {
+    if (url && url !== imageUrl && url !== backImageUrl) {
+      await deleteFromCloudinary(url);
+    }
+  }
+
+  if (superseded) {
+    console.log('🔁 ID card rendered, newer render queued:', application.ngoId);
+    return;
+  }
+
+  console.log('✅ ID card rendered:', application.ngoId);
+
+  // Member was verified before the card was ready: send the link now
+  if (application.status === 'verified' && !application.cardNotifiedAt) {
+    await notifyCardReady(application).catch((error) =>
+      console.error('❌ Card ready notification failed:', error.message)
+    );
+  }
+};
+
+registerJobHandler(RENDER_CARD_JOB, {
+  run: renderCard,
+  onError: ({ applicationId }, error, { willRetry }) =>
+    NgoApplication.updateOne(
+      { _id: applicationId },
+      { $set: { renderStatus: willRetry ? 'queued' : 'failed', renderError: error.message } }
+    ),
+});
+
+/**
+ * Queue a card render unless one is already waiting for this application
+ * @param {String|ObjectId} applicationId
+ * @returns {Promise<Object>} - Job document
+ */
+export const enqueueCardRender = async (applicationId) => {
+  const id = String(applicationId);
+
+  await NgoApplication.updateOne(
+    { _id: id },
+    { $set: { renderStatus: 'queued' }, $unset: { renderError: '' } }
+  );
+
+  const pending = await Job.findOne({
+    type: RENDER_CARD_JOB,
+    'payload.applicationId': id,
+    status: 'queued',
+  });
+  if (pending) return pending;
+
+  return enqueueJob(RENDER_CARD_JOB, { applicationId: id }, { maxAttempts: 4 });
+};
+
+/**
+ * Re-queue failed card renders
+ * @param {String} applicationId - Optional, limit to one application
+ * @returns {Promise<Number>} - Number of renders re-queued
+ */
+export const requeueFailedCardRenders = async (applicationId = null) => {
+  const filter = { type: RENDER_CARD_JOB };
+  if (applicationId) {
+    filter['payload.applicationId'] = String(applicationId);
+  }
+
+  const failedIds = (await Job.find({ ...filter, status: 'failed' }).select('payload')).map(
+    (job) => job.payload.applicationId
+  );
+
+  const count = await requeueFailedJobs(filter);
+  if (failedIds.length > 0) {
+    await NgoApplication.updateMany(
+      { _id: { $in: failedIds } },
+      { $set: { renderStatus: 'queued' }, $unset: { renderError: '' } }
+    );
+  }
+
+  return count;
+};
@@ -0,0 +1,132 @@
+import MemberImport from '../models/memberImport.model.js';
+import MemberImportRow from '../models/memberImportRow.model.js';
+import NgoApplication, { computeValidity } from '../models/ngoApplication.model.js';
+import { uploadToCloudinary } from '../config/cloudinary.js';
+import { allocateNgoId } from '../utils/ngoId.js';
+import { normalizePhoto } from '../utils/photo.js';
+import { registerJobHandler, enqueueJob } from './queue.js';
+import { enqueueCardRender } from './cardRender.js';
+
+export const IMPORT_MEMBERS_JOB = 'import-members';
+
+// Rows per job run: each is a photo resize plus an upload, and one queue run
+// has to finish within the serverless function timeout
+const ROWS_PER_RUN = 5;
+
+/**
+ * Upload the row's photo and create its application
+ * @returns {Promise<Object>} - NgoApplication document
+ */
+const createMember = async (row, adminId) => {
+  const { values } = row;
+  const photo = await normalizePhoto(row.photo, 'idCard');
+
+  const ngoId = await allocateNgoId(new Date(values.joiningDate));
+  const photoUpload = await uploadToCloudinary(photo, 'ngo-id-photos', ngoId);
+  const { validFrom, validUntil } = computeValidity(values.joiningDate);
+
+  const history = [
+    { to: 'pending', actor: adminId, actorRole: 'admin', note: 'Imported from member register' },
+  ];
+  if (values.status === 'verified') {
+    history.push({ from: 'pending', to: 'verified', actor: adminId, actorRole: 'admin', note: 'Verified on paper before import' });
+  }
+
+  const application = await NgoApplication.create({
+    ...values,
+    donorConsentAt: values.donorConsent ? new Date() : undefined,
+    photoUrl: photoUpload.secure_url,
+    ngoId,
+    cardIssuedAt: new Date(),
+    validFrom,
+    validUntil,
+    statusHistory: history,
+    renderStatus: 'queued',
+    // Paper members already hold a card; no "card ready" message on import
+    cardNotifiedAt: new Date(),
+  });
+
+  await enqueueCardRender(application._id);
+  return application;
+};
+
+const finishImport = async (importId) => {
+  const memberImport = await MemberImport.findOneAndUpdate(
+    { _id: importId, status: { $ne: 'done' } },
+    { $set: { status: 'done', completedAt: new Date() } },
+    { new: true }
+  );
+  if (memberImport) {
+    console.log(
+      `📥 Member import ${importId} done: ${memberImport.imported} imported, ` +
+        `${memberImport.failed + memberImport.invalid} of ${memberImport.total} rows failed`
+    );
+  }
+};
+
+/**
+ * Process the next few queued rows in CSV order (so ngoIds follow it), then
+ * queue another run for the rest
+ */
+const processImport = async ({ importId }) => {
+  const memberImport = await MemberImport.findById(importId);
+  if (!memberImport || memberImport.status === 'done') return;
+
+  if (memberImport.status === 'queued') {
+    await MemberImport.updateOne({ _id: importId }, { $set: { status: 'running' } });
+  }
+
+  const rows = await MemberImportRow.find({ import: importId, result: 'queued' })
+    .select('+photo')
+    .sort({ row: 1 })
+    .limit(ROWS_PER_RUN);
+
+  for (const row of rows) {
+    try {
+      const application = await createMember(row, memberImport.createdBy);
+      row.set({ result: 'imported', ngoId: application.ngoId, application: application._id });
+    } catch (error) {
+      console.error(`❌ Import row ${row.row} failed:`, error.message);
+      const message =
+        error.code === 11000 ? 'An application with this email already exists' : error.message;
+      row.set({ result: 'error', rowErrors: { [error.statusCode ? 'photo' : 'row']: message } });
+    }
+
+    row.photo = undefined;
+    await row.save();
+    await MemberImport.updateOne(
+      { _id: importId },
+      { $inc: { [row.result === 'imported' ? 'imported' : 'failed']: 1 } }
+    );
+  }
+
+  if (await MemberImportRow.exists({ import: importId, result: 'queued' })) {
+    await enqueueMemberImport(importId);
+    return;
+  }
+
+  await finishImport(importId);
+};
+
+registerJobHandler(IMPORT_MEMBERS_JOB, {
+  run: processImport,
+  // Out of retries: fail what is left so the import does not stay "running"
+  onError: async ({ importId }, error, { willRetry }) => {
+    if (willRetry) return;
+
+    const { modifiedCount } = await MemberImportRow.updateMany(
+      { import: importId, result: 'queued' },
+      { $set: { result: 'error', rowErrors: { row: error.message } }, $unset: { photo: '' } }
+    );
+    await MemberImport.updateOne({ _id: importId }, { $inc: { failed: modifiedCount } });
+    await finishImport(importId);
+  },
+});
+
+/**
+ * Queue processing of a staged import
+ * @param {String|ObjectId} importId
+ * @returns {Promise<Object>} - Job document
+ */
+export const enqueueMemberImport = (importId) =>
+  enqueueJob(IMPORT_MEMBERS_JOB, { importId: String(importId) }, { maxAttempts: 5 });
@@ -0,0 +1,100 @@
+import NgoApplication, { computeValidity } from '../models/ngoApplication.model.js';
+
+const SWEEP_INTERVAL_MS = 6 * 60 * 60 * 1000; // every 6 hours
+
+/**
+ * Mark verified memberships past their validUntil date as expired.
+ * Records without validity dates are backfilled from their joining date first.
+ * @returns {Promise<Object>} - { backfilled, expired }
+ */
+export const expireMemberships = async () => {
+  const missing = await NgoApplication.find({ validUntil: { $exists: false } }).select(
+    'joiningDate'
+  );
+
+  let backfilled = 0;
+  for (const application of missing) {
+    const { validFrom, validUntil } = computeValidity(application.joiningDate);
+    if (Number.isNaN(validUntil.getTime())) continue;
+
+    await NgoApplication.updateOne(
+      { _id: application._id },
+      { $set: { validFrom, validUntil } }
+    );
+    backfilled++;
+  }
+
+  const result = await NgoApplication.updateMany(
+    { status: 'verified', validUntil: { $lt: new Date() } },
+    {
+      $set: { status: 'expired' },
+      $push: {
+        statusHistory: {
+          from: 'verified',
+          to: 'expired',
+          actorRole: 'system',
+          note: 'Membership validity period ended',
+          at: new Date(),
+        },
+      },
+    }
+  );
+
+  if (backfilled || result.modifiedCount) {
+    console.log(
+      `⏰ Membership sweep: backfilled ${backfilled}, expired ${result.modifiedCount}`
+    );
+  }
+
+  return { backfilled, expired: result.modifiedCount };
+};
+
+/**
+ * Move cards whose scheduled suspension/revocation has become effective
+ * into that status. Verification already honours the effective date; this
+ * keeps the stored status (listings, exports) in line.
+ * @returns {Promise<Number>} - Number of cards updated
+ */
+export const applyScheduledRevocations = async () => {
+  const due = await NgoApplication.find({
+    status: { $in: ['verified', 'expired', 'suspended'] },
+    'revocation.effectiveAt': { $lte: new Date() },
+    'revocation.reinstatedAt': { $exists: false },
+  });
+
+  let applied = 0;
+  for (const application of due) {
+    const { action, reason } = application.revocation;
+    if (application.status === action) continue;
+
+    application.changeStatus(action, {
+      actorRole: 'system',
+      reason,
+      note: 'Scheduled change took effect',
+    });
+    await application.save();
+    applied++;
+  }
+
+  if (applied) {
+    console.log(`⏰ Revocation sweep: applied ${applied}`);
+  }
+  return applied;
+};
+
+/**
+ * Run the expiry sweep periodically (long-running servers only;
+ * on Vercel the vercel.json cron calls GET /api/identity/cron/expire-memberships,
+ * and an admin can still trigger POST /api/identity/admin/jobs/expire-memberships)
+ */
+export const startMembershipExpiryJob = () => {
+  const run = () =>
+    applyScheduledRevocations()
+      .then(expireMemberships)
+      .catch((error) => console.error('❌ Membership expiry sweep failed:', error.message));
+
+  run();
+  const timer = setInterval(run, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,114 @@
+import Notification from '../models/notification.model.js';
+import { deliver, getEnabledChannels } from '../config/notifier.js';
+import { buildNotification } from '../utils/notificationTemplates.js';
+import { registerJobHandler, enqueueJob, requeueFailedJobs } from './queue.js';
+
+export const SEND_NOTIFICATION_JOB = 'send-notification';
+
+const sendNotification = async ({ notificationId }) => {
+  const notification = await Notification.findById(notificationId);
+  if (!notification || notification.status === 'sent') return;
+
+  try {
+    const result = await deliver(notification.channel, {
+      to: notification.to,
+      subject: notification.subject,
+      body: notification.body,
+    });
+
+    notification.attempts.push({ ok: true, providerId: result?.id || undefined });
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    await notification.save();
+  } catch (error) {
+    notification.attempts.push({ ok: false, error: error.message });
+    await notification.save();
+    throw error; // let the queue retry with backoff
+  }
+};
+
+registerJobHandler(SEND_NOTIFICATION_JOB, {
+  run: sendNotification,
+  onError: ({ notificationId }, error, { willRetry }) =>
+    willRetry
+      ? null
+      : Notification.updateOne({ _id: notificationId }, { $set: { status: 'failed' } }),
+});
+
+/**
+ * Notify an applicant on every enabled channel
+ * @param {Object} application - NgoApplication document
+ * @param {String} template - Template key (see notificationTemplates.js)
+ * @param {Object} context - Extra placeholder values
+ * @returns {Promise<Array>} - Created Notification documents
+ */
+export const notifyApplicant = async (application, template, context = {}) => {
+  const locale = application.preferredLanguage || 'en';
+  const values = {
+    name: application.name,
+    ngoId: application.ngoId,
+    ...context,
+  };
+
+  const notifications = [];
+  for (const channel of getEnabledChannels()) {
+    const to = channel === 'sms' ? application.phone : application.email;
+    if (!to) continue;
+
+    const { subject, body } = buildNotification(template, locale, channel, values);
+    const notification = await Notification.create({
+      channel,
+      to,
+      template,
+      locale,
+      subject,
+      body,
+      application: application._id,
+    });
+
+    await enqueueJob(
+      SEND_NOTIFICATION_JOB,
+      { notificationId: String(notification._id) },
+      { maxAttempts: 6 }
+    );
+    notifications.push(notification);
+  }
+
+  return notifications;
+};
+
+/**
+ * Send a verified member their card image link (once per verification)
+ * @param {Object} application - NgoApplication document with a rendered card
+ * @param {Object} context - Extra placeholder values (e.g. admin note)
+ */
+export const notifyCardReady = async (application, context = {}) => {
+  await notifyApplicant(application, 'application-verified', {
+    cardUrl: application.imageUrl,
+    ...context,
+  });
+
+  await application.constructor.updateOne(
+    { _id: application._id },
+    { $set: { cardNotifiedAt: new Date() } }
+  );
+};
+
+/**
+ * Retry notifications that exhausted their attempts
+ * @param {String} applicationId - Optional, limit to one application
+ * @returns {Promise<Number>} - Number of notifications re-queued
+ */
+export const retryFailedNotifications = async (applicationId = null) => {
+  const filter = { status: 'failed' };
+  if (applicationId) filter.application = applicationId;
+
+  const ids = (await Notification.find(filter).select('_id')).map((n) => String(n._id));
+  if (ids.length === 0) return 0;
+
+  await Notification.updateMany({ _id: { $in: ids } }, { $set: { status: 'queued' } });
+  return requeueFailedJobs({
+    type: SEND_NOTIFICATION_JOB,
+    'payload.notificationId': { $in: ids },
+  });
+};
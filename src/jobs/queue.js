@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import Job from '../models/job.model.js';
+
+/**
+ * Minimal Mongo-backed job queue.
+ * Jobs are claimed atomically, retried with exponential backoff and
+ * reclaimed if a worker dies while holding the lock.
+ */
+
+const WORKER_ID = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 15 * 1000;
+
+const handlers = new Map();
+let processing = false;
+
+/**
+ * Register a handler for a job type
+ * @param {String} type - Job type
+ * @param {Object} handler - { run(payload, job), onError?(payload, error, { willRetry }) }
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Add a job to the queue and nudge the in-process worker
+ * @param {String} type - Job type
+ * @param {Object} payload - Job data (must be JSON-serializable)
+ * @param {Object} options - { maxAttempts, runAt }
+ * @returns {Promise<Object>} - Job document
+ */
+export const enqueueJob = async (type, payload = {}, options = {}) => {
+  const job = await Job.create({
+    type,
+    payload,
+    maxAttempts: options.maxAttempts || 5,
+    runAt: options.runAt || new Date(),
+  });
+
+  kickJobWorker();
+  return job;
+};
+
+const getBackoffMs = (attempts) => {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return delay + Math.floor(Math.random() * 1000);
+};
+
+const claimNextJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    await handler.run(job.payload, job);
+    // Only while we still hold the lock: a job that overran LOCK_TIMEOUT_MS may
+    // have been claimed by another worker, and its result is the one that counts
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: { status: 'done', completedAt: new Date(), lockedAt: null, lockedBy: null } }
+    );
+  } catch (error) {
+    const willRetry = job.attempts < job.maxAttempts;
+    console.error(
+      `❌ Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`,
+      error.message
+    );
+
+    const { matchedCount } = await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: {
+          status: willRetry ? 'queued' : 'failed',
+          runAt: willRetry ? new Date(Date.now() + getBackoffMs(job.attempts)) : job.runAt,
+          lastError: error.message,
+          lockedAt: null,
+          lockedBy: null,
+        },
+      }
+    );
+
+    if (matchedCount === 0) {
+      console.log(`⚠️ Job ${job.type} ${job._id} was taken over by another worker`);
+      return;
+    }
+
+    if (handler.onError) {
+      await Promise.resolve(handler.onError(job.payload, error, { willRetry })).catch((err) =>
+        console.error(`❌ Job ${job.type} onError hook failed:`, err.message)
+      );
+    }
+  }
+};
+
+/**
+ * Process runnable jobs one at a time (rendering is memory-heavy)
+ * @param {Number} limit - Maximum number of jobs to run in this pass
+ * @returns {Promise<Number>} - Number of jobs processed
+ */
+export const processJobs = async (limit = 20) => {
+  if (processing || handlers.size === 0) return 0;
+  processing = true;
+
+  let count = 0;
+  try {
+    while (count < limit) {
+      const job = await claimNextJob();
+      if (!job) break;
+      await runJob(job);
+      count++;
+    }
+  } catch (error) {
+    console.error('❌ Job worker error:', error.message);
+  } finally {
+    processing = false;
+  }
+
+  return count;
+};
+
+/**
+ * Start processing soon without blocking the caller
+ */
+export const kickJobWorker = () => {
+  setImmediate(() => {
+    processJobs().catch(() => {});
+  });
+};
+
+/**
+ * Poll the queue periodically (long-running servers)
+ */
+export const startJobWorker = () => {
+  const timer = setInterval(() => {
+    processJobs().catch(() => {});
+  }, POLL_INTERVAL_MS);
+  timer.unref();
+  kickJobWorker();
+  return timer;
+};
+
+/**
+ * Put failed jobs back in the queue with a fresh attempt budget
+ * @param {Object} filter - Extra Job filter (e.g. { type, 'payload.applicationId': id })
+ * @returns {Promise<Number>} - Number of re-queued jobs
+ */
+export const requeueFailedJobs = async (filter = {}) => {
+  const result = await Job.updateMany(
+    { ...filter, status: 'failed' },
+    { $set: { status: 'queued', attempts: 0, runAt: new Date(), lastError: null } }
+  );
+
+  if (result.modifiedCount > 0) {
+    kickJobWorker();
+  }
+  return result.modifiedCount;
+};
@@ -0,0 +1,34 @@
+/**
+ * Applications approved before the "verified" status existed.
+ * Replaces the old PUT /api/identity/admin/fix-old-data route.
+ */
+
+export const description = 'Rename NGO application status "approved" to "verified"';
+
+export const up = async ({ db, dryRun, log }) => {
+  const applications = db.collection('ngoapplications');
+  const ids = await applications.distinct('_id', { status: 'approved' });
+
+  log(`${ids.length} application(s) with status "approved"`);
+  if (dryRun) return null;
+
+  const result = await applications.updateMany(
+    { _id: { $in: ids } },
+    { $set: { status: 'verified' } }
+  );
+  log(`Updated ${result.modifiedCount} application(s)`);
+
+  return { ids };
+};
+
+export const down = async ({ db, dryRun, state, log }) => {
+  const ids = state?.ids || [];
+  log(`${ids.length} application(s) to set back to "approved"`);
+  if (dryRun || ids.length === 0) return;
+
+  // Leave records that have moved on (rejected, revoked, ...) alone
+  const result = await db
+    .collection('ngoapplications')
+    .updateMany({ _id: { $in: ids }, status: 'verified' }, { $set: { status: 'approved' } });
+  log(`Reverted ${result.modifiedCount} application(s)`);
+};
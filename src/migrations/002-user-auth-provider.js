@@ -0,0 +1,33 @@
+/**
+ * Accounts created before `authProvider` was added have no value stored.
+ * Accounts still showing their Google profile picture are marked "google";
+ * everyone else is treated as an email/password account (a later Google
+ * sign-in switches the provider anyway, see auth.controller.js).
+ */
+
+export const description = 'Backfill User.authProvider';
+
+const missing = { authProvider: { $exists: false } };
+const googlePicture = { profilePicture: /googleusercontent\.com/ };
+
+export const up = async ({ db, dryRun, log }) => {
+  const users = db.collection('users');
+  const googleIds = await users.distinct('_id', { ...missing, ...googlePicture });
+  const localIds = await users.distinct('_id', { ...missing, _id: { $nin: googleIds } });
+
+  log(`${googleIds.length} Google account(s), ${localIds.length} local account(s) to backfill`);
+  if (dryRun) return null;
+
+  await users.updateMany({ _id: { $in: googleIds } }, { $set: { authProvider: 'google' } });
+  await users.updateMany({ _id: { $in: localIds } }, { $set: { authProvider: 'local' } });
+
+  return { ids: [...googleIds, ...localIds] };
+};
+
+export const down = async ({ db, dryRun, state, log }) => {
+  const ids = state?.ids || [];
+  log(`${ids.length} account(s) to clear authProvider on`);
+  if (dryRun || ids.length === 0) return;
+
+  await db.collection('users').updateMany({ _id: { $in: ids } }, { $unset: { authProvider: '' } });
+};
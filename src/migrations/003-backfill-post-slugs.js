@@ -0,0 +1,37 @@
+import { generateSlug } from '../utils/slug.js';
+
+/**
+ * Posts written before slugs were required have none, so their URLs 404.
+ */
+
+export const description = 'Backfill missing Post.slug from the title';
+
+const missingSlug = { $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] };
+
+export const up = async ({ db, dryRun, log }) => {
+  const posts = db.collection('posts');
+  const pending = await posts.find(missingSlug).project({ title: 1 }).toArray();
+
+  log(`${pending.length} post(s) without a slug`);
+  if (dryRun) return null;
+
+  // generateSlug only needs findOne() to check for clashes; slugs are stored lowercase
+  const slugLookup = { findOne: ({ slug }) => posts.findOne({ slug: slug.toLowerCase() }) };
+  const ids = [];
+  for (const post of pending) {
+    const slug = (await generateSlug(post.title || `post-${post._id}`, slugLookup)).toLowerCase();
+    await posts.updateOne({ _id: post._id }, { $set: { slug } });
+    log(`"${post.title}" → ${slug}`);
+    ids.push(post._id);
+  }
+
+  return { ids };
+};
+
+export const down = async ({ db, dryRun, state, log }) => {
+  const ids = state?.ids || [];
+  log(`${ids.length} post slug(s) to remove`);
+  if (dryRun || ids.length === 0) return;
+
+  await db.collection('posts').updateMany({ _id: { $in: ids } }, { $unset: { slug: '' } });
+};
@@ -0,0 +1,59 @@
+import { validateApplicationFields } from '../utils/applicationValidation.js';
+
+/**
+ * Applications submitted before POST /apply validated these fields stored
+ * them as typed ("b +ve", " 98300 12345"), so exact-match donor and blood
+ * group searches missed them. Values that still do not validate are left
+ * for an admin to correct.
+ */
+
+export const description = 'Normalize NGO application bloodGroup and phone';
+
+const FIELDS = ['bloodGroup', 'phone'];
+
+export const up = async ({ db, dryRun, log }) => {
+  const applications = db.collection('ngoapplications');
+  const all = await applications.find({}).project({ ngoId: 1, bloodGroup: 1, phone: 1 }).toArray();
+
+  const changes = [];
+  for (const application of all) {
+    const { values, errors } = validateApplicationFields(application, FIELDS);
+
+    for (const field of Object.keys(errors)) {
+      log(`${application.ngoId}: ${field} "${application[field]}" is invalid, left as is`);
+    }
+
+    const set = {};
+    const previous = {};
+    for (const field of FIELDS) {
+      if (values[field] !== undefined && values[field] !== application[field]) {
+        set[field] = values[field];
+        previous[field] = application[field];
+      }
+    }
+    if (Object.keys(set).length > 0) {
+      changes.push({ _id: application._id, set, previous });
+    }
+  }
+
+  log(`${changes.length} application(s) to normalize`);
+  if (dryRun) return null;
+
+  for (const { _id, set } of changes) {
+    await applications.updateOne({ _id }, { $set: set });
+  }
+  log(`Updated ${changes.length} application(s)`);
+
+  return { previous: changes.map(({ _id, previous }) => ({ _id, ...previous })) };
+};
+
+export const down = async ({ db, dryRun, state, log }) => {
+  const previous = state?.previous || [];
+  log(`${previous.length} application(s) to restore`);
+  if (dryRun || previous.length === 0) return;
+
+  const applications = db.collection('ngoapplications');
+  for (const { _id, ...values } of previous) {
+    await applications.updateOne({ _id }, { $set: values });
+  }
+};
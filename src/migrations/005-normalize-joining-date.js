@@ -0,0 +1,45 @@
+import { toIsoDate } from '../utils/applicationValidation.js';
+
+/**
+ * joiningDate used to be stored as typed ("08/15/2019", "Jan 1 2024"), which
+ * breaks the string comparisons of the joinedFrom/joinedTo filter and the
+ * export sort. Unparseable values are left for an admin to correct.
+ */
+
+export const description = 'Normalize NGO application joiningDate to YYYY-MM-DD';
+
+export const up = async ({ db, dryRun, log }) => {
+  const applications = db.collection('ngoapplications');
+  const all = await applications.find({}).project({ ngoId: 1, joiningDate: 1 }).toArray();
+
+  const changes = [];
+  for (const application of all) {
+    const joiningDate = toIsoDate(application.joiningDate);
+    if (!joiningDate) {
+      log(`${application.ngoId}: joiningDate "${application.joiningDate}" is invalid, left as is`);
+    } else if (joiningDate !== application.joiningDate) {
+      changes.push({ _id: application._id, joiningDate, previous: application.joiningDate });
+    }
+  }
+
+  log(`${changes.length} application(s) to normalize`);
+  if (dryRun) return null;
+
+  for (const { _id, joiningDate } of changes) {
+    await applications.updateOne({ _id }, { $set: { joiningDate } });
+  }
+  log(`Updated ${changes.length} application(s)`);
+
+  return { previous: changes.map(({ _id, previous }) => ({ _id, joiningDate: previous })) };
+};
+
+export const down = async ({ db, dryRun, state, log }) => {
+  const previous = state?.previous || [];
+  log(`${previous.length} application(s) to restore`);
+  if (dryRun || previous.length === 0) return;
+
+  const applications = db.collection('ngoapplications');
+  for (const { _id, joiningDate } of previous) {
+    await applications.updateOne({ _id }, { $set: { joiningDate } });
+  }
+};
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { BLOOD_GROUPS } from '../utils/applicationValidation.js';
+
+const donorContactSchema = new mongoose.Schema(
+  {
+    donor: { type: mongoose.Schema.Types.ObjectId, ref: 'NgoApplication', required: true },
+    contactedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    outcome: {
+      type: String,
+      enum: ['pending', 'agreed', 'declined', 'unreachable'],
+      default: 'pending',
+    },
+    note: { type: String, maxlength: 500 },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const fulfilmentSchema = new mongoose.Schema(
+  {
+    donor: { type: mongoose.Schema.Types.ObjectId, ref: 'NgoApplication' },
+    // Non-member donors (family, walk-ins) are recorded by name only
+    donorName: { type: String, maxlength: 100 },
+    units: { type: Number, min: 1, required: true },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const bloodRequestSchema = new mongoose.Schema(
+  {
+    // Public reference the requester uses to check progress
+    ref: {
+      type: String,
+      unique: true,
+      default: () => crypto.randomBytes(4).toString('hex').toUpperCase(),
+    },
+    patientName: { type: String, required: true, maxlength: 100 },
+    hospital: { type: String, required: true, maxlength: 200 },
+    requiredGroup: { type: String, enum: BLOOD_GROUPS, required: true },
+    units: { type: Number, min: 1, max: 20, required: true },
+    deadline: { type: Date, required: true, index: true },
+    contactName: { type: String, required: true, maxlength: 100 },
+    contactPhone: { type: String, required: true },
+    notes: { type: String, maxlength: 1000 },
+
+    status: {
+      type: String,
+      enum: ['open', 'in-progress', 'fulfilled', 'cancelled', 'expired'],
+      default: 'open',
+      index: true,
+    },
+    priority: {
+      type: String,
+      enum: ['normal', 'urgent', 'critical'],
+      default: 'urgent',
+    },
+    triagedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    triagedAt: { type: Date },
+    triageNote: { type: String, maxlength: 1000 },
+
+    contacts: { type: [donorContactSchema], default: [] },
+    fulfilments: { type: [fulfilmentSchema], default: [] },
+
+    closedAt: { type: Date },
+    closeReason: { type: String, maxlength: 500 },
+  },
+  { timestamps: true }
+);
+
+export const OPEN_REQUEST_STATUSES = ['open', 'in-progress'];
+
+bloodRequestSchema.virtual('unitsFulfilled').get(function () {
+  return this.fulfilments.reduce((sum, f) => sum + f.units, 0);
+});
+
+bloodRequestSchema.set('toJSON', { virtuals: true });
+
+const BloodRequest = mongoose.model('BloodRequest', bloodRequestSchema);
+
+export default BloodRequest;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const cardAssetSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      match: /^[a-zA-Z0-9_]+$/, // referenced as {{asset.<key>}}
+    },
+    url: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const cardTemplateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    html: { type: String, required: true, maxlength: 500000 },
+    // Back face; the built-in back is used when empty
+    backHtml: { type: String, maxlength: 500000 },
+    assets: { type: [cardAssetSchema], default: [] },
+    width: { type: Number, required: true, min: 100, max: 4000 },
+    height: { type: Number, required: true, min: 100, max: 4000 },
+    isActive: { type: Boolean, default: false, index: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+const CardTemplate = mongoose.model('CardTemplate', cardTemplateSchema);
+
+export default CardTemplate;
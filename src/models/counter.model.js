@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// Atomic sequences, keyed by name (e.g. "ngoId:2025")
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Audit record written whenever a donor's phone number is revealed (admins included)
+const donorAccessSchema = new mongoose.Schema(
+  {
+    viewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    donor: { type: mongoose.Schema.Types.ObjectId, ref: 'NgoApplication', required: true, index: true },
+    reason: { type: String, required: true, maxlength: 500 },
+    ip: { type: String },
+  },
+  { timestamps: true }
+);
+
+const DonorAccess = mongoose.model('DonorAccess', donorAccessSchema);
+
+export default DonorAccess;
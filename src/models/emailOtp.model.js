@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+const emailOtpSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, lowercase: true, trim: true },
+    purpose: { type: String, required: true },
+    codeHash: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    sendCount: { type: Number, default: 1 },
+    lastSentAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+emailOtpSchema.index({ email: 1, purpose: 1 }, { unique: true });
+
+// Documents are removed an hour after the code expires (keeps resend limits meaningful)
+emailOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+const EmailOtp = mongoose.model('EmailOtp', emailOtpSchema);
+
+export default EmailOtp;
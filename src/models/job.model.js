@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true, index: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'done', 'failed'],
+      default: 'queued',
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    runAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date },
+    lockedBy: { type: String },
+    lastError: { type: String },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// Worker polling: next runnable job
+jobSchema.index({ status: 1, runAt: 1 });
+
+// Finished jobs are cleaned up after 30 days
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: 'done' } }
+);
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Bulk member import; the rows are MemberImportRow documents processed by the job queue
+const memberImportSchema = new mongoose.Schema(
+  {
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'done'],
+      default: 'queued',
+      index: true,
+    },
+    total: { type: Number, required: true },
+    // Rows rejected while staging (never queued)
+    invalid: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+const MemberImport = mongoose.model('MemberImport', memberImportSchema);
+
+export default MemberImport;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// One CSV row of a MemberImport: validated values and the raw photo, staged
+// until the import job uploads it and creates the application
+const memberImportRowSchema = new mongoose.Schema(
+  {
+    import: { type: mongoose.Schema.Types.ObjectId, ref: 'MemberImport', required: true },
+    row: { type: Number, required: true },
+    email: { type: String },
+    result: {
+      type: String,
+      enum: ['queued', 'imported', 'error'],
+      default: 'queued',
+    },
+    values: { type: mongoose.Schema.Types.Mixed },
+    // Removed once the row is processed
+    photo: { type: Buffer, select: false },
+    // field → message ("errors" is reserved by mongoose)
+    rowErrors: { type: mongoose.Schema.Types.Mixed },
+    warnings: { type: [String], default: [] },
+    ngoId: { type: String },
+    application: { type: mongoose.Schema.Types.ObjectId, ref: 'NgoApplication' },
+  },
+  { timestamps: true }
+);
+
+memberImportRowSchema.index({ import: 1, result: 1, row: 1 });
+
+const MemberImportRow = mongoose.model('MemberImportRow', memberImportRowSchema);
+
+export default MemberImportRow;
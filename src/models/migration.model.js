@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// One document per applied migration (see src/utils/migrations.js)
+const migrationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    description: { type: String },
+    appliedAt: { type: Date, default: Date.now },
+    durationMs: { type: Number },
+    // Whatever `up` returned, handed back to `down` (e.g. ids it changed)
+    state: { type: mongoose.Schema.Types.Mixed },
+  },
+  { collection: 'migrations' }
+);
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+export default Migration;
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Single document while a migration run is in progress
+const migrationLockSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+    lockedBy: { type: String, required: true },
+    lockedAt: { type: Date, default: Date.now },
+    // A crashed run's lock can be taken over after this
+    expiresAt: { type: Date, required: true },
+  },
+  { collection: 'migrationlocks' }
+);
+
+const MigrationLock = mongoose.model('MigrationLock', migrationLockSchema);
+
+export default MigrationLock;
@@ -1,4 +1,55 @@
 import mongoose from "mongoose";
+import { getNextEligibleDate } from "../utils/donorEligibility.js";
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String },
+    to: { type: String, required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    actorRole: {
+      type: String,
+      enum: ["admin", "applicant", "system"],
+      required: true,
+    },
+    reason: { type: String, maxlength: 500 },
+    note: { type: String, maxlength: 1000 },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Current suspension/revocation; reinstatement keeps the entry for the revocation list
+const revocationSchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: ["suspended", "revoked"], required: true },
+    reason: { type: String, required: true, maxlength: 500 },
+    effectiveAt: { type: Date, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    at: { type: Date, default: Date.now },
+    reinstatedAt: { type: Date },
+    reinstatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false }
+);
+
+const donationSchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true },
+    venue: { type: String, required: true, maxlength: 200 },
+    units: { type: Number, min: 1, max: 4, default: 1 },
+    source: {
+      type: String,
+      enum: ["member", "admin", "blood-request"],
+      required: true,
+    },
+    bloodRequest: { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest" },
+    // Empty until an admin confirms a member-reported donation
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    verifiedAt: { type: Date },
+    note: { type: String, maxlength: 500 },
+  },
+  { timestamps: true }
+);
 
 const ngoApplicationSchema = new mongoose.Schema(
   {
@@ -12,16 +63,198 @@ const ngoApplicationSchema = new mongoose.Schema(
     photoUrl: { type: String, required: true },
     ngoId: { type: String, unique: true, required: true },
 
+    // Card back: emergency contact and medical notes (optional)
+    emergencyContactName: { type: String, maxlength: 100 },
+    emergencyContactPhone: { type: String },
+    emergencyContactRelation: { type: String, maxlength: 40 },
+    medicalConditions: { type: String, maxlength: 200 },
+    // Language of the printed labels (src/utils/cardLabels.js)
+    cardLanguage: { type: String, enum: ["en", "bn", "bilingual"], default: "en" },
+
     imageUrl: { type: String },
+    backImageUrl: { type: String },
+    // Card image is rendered by a background job (src/jobs/cardRender.js)
+    renderStatus: {
+      type: String,
+      enum: ["queued", "rendering", "done", "failed"],
+    },
+    renderError: { type: String },
+    renderedAt: { type: Date },
+    // Issue timestamp signed into the card QR token; a re-issued card supersedes older ones
+    cardIssuedAt: { type: Date },
     status: {
       type: String,
-      enum: ["pending", "verified", "rejected"],
+      enum: ["pending", "verified", "rejected", "expired", "suspended", "revoked"],
       default: "pending",
     },
+
+    // Membership validity (printed on the card as "Valid Till")
+    validFrom: { type: Date },
+    validUntil: { type: Date, index: true },
+    renewalRequestedAt: { type: Date },
+    lastRenewedAt: { type: Date },
+
+    rejectionReason: { type: String, maxlength: 500 },
+    revocation: { type: revocationSchema },
+    statusHistory: { type: [statusChangeSchema], default: [] },
+
+    // Language for status notifications (src/jobs/notifications.js)
+    preferredLanguage: { type: String, enum: ["en", "bn"], default: "en" },
+    // Set once the verified member has been sent their card link
+    cardNotifiedAt: { type: Date },
+
+    // Opt-in to the blood donor directory (src/controllers/donor.controller.js)
+    donorConsent: { type: Boolean, default: false },
+    donorConsentAt: { type: Date },
+
+    // Website account that claimed this membership (src/controllers/membership.controller.js)
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    linkedAt: { type: Date },
+
+    // Donation log; lastDonationAt/donationCount are kept in sync by recordDonation
+    donations: { type: [donationSchema], default: [] },
+    lastDonationAt: { type: Date },
+    donationCount: { type: Number, default: 0 },
   },
   { timestamps: true }
 );
 
 ngoApplicationSchema.index({ email: 1 });
+ngoApplicationSchema.index({ status: 1, donorConsent: 1, bloodGroup: 1 });
+ngoApplicationSchema.index({ "revocation.at": 1 });
+ngoApplicationSchema.index({ "revocation.reinstatedAt": 1 }, { sparse: true });
+// One membership per account
+ngoApplicationSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $exists: true } } }
+);
+
+export const MEMBERSHIP_VALIDITY_YEARS = 10;
+
+/**
+ * Validity window for a membership starting at `from`.
+ * Cards are valid until the end of the year, `MEMBERSHIP_VALIDITY_YEARS` later.
+ */
+export const computeValidity = (from) => {
+  const validFrom = new Date(from);
+  const validUntil = new Date(
+    validFrom.getFullYear() + MEMBERSHIP_VALIDITY_YEARS, 11, 31, 23, 59, 59, 999
+  );
+  return { validFrom, validUntil };
+};
+
+// Records created before validity was tracked fall back to the joining date
+ngoApplicationSchema.methods.getValidUntil = function () {
+  return this.validUntil || computeValidity(this.joiningDate).validUntil;
+};
+
+/**
+ * Change status and record who did it and why (caller saves)
+ * @param {String} to - New status
+ * @param {Object} change - { actor, actorRole, reason, note }
+ */
+ngoApplicationSchema.methods.changeStatus = function (to, { actor, actorRole, reason, note } = {}) {
+  this.statusHistory.push({
+    from: this.status,
+    to,
+    actor,
+    actorRole,
+    reason,
+    note,
+    at: new Date(),
+  });
+  this.status = to;
+  this.rejectionReason = to === "rejected" ? reason : undefined;
+};
+
+/**
+ * Recompute lastDonationAt/donationCount from the donation log (caller saves).
+ * Member-reported donations count too, so nobody is asked to donate too early.
+ */
+ngoApplicationSchema.methods.syncDonationSummary = function () {
+  this.donationCount = this.donations.length;
+  const latest = this.donations.reduce(
+    (last, d) => (!last || d.date > last ? d.date : last),
+    null
+  );
+  this.lastDonationAt = latest || undefined;
+};
+
+/**
+ * Append a donation to the log (caller saves)
+ * @param {Object} donation - { date, venue, units, source, verifiedBy, bloodRequest, note }
+ * @returns {Object} - The new donation subdocument
+ */
+ngoApplicationSchema.methods.recordDonation = function (donation) {
+  this.donations.push({
+    ...donation,
+    verifiedAt: donation.verifiedBy ? new Date() : undefined,
+  });
+  this.syncDonationSummary();
+  return this.donations[this.donations.length - 1];
+};
+
+/**
+ * @returns {Object} - { donationCount, lastDonationAt, nextEligibleAt, eligible }
+ */
+ngoApplicationSchema.methods.getDonorEligibility = function () {
+  const nextEligibleAt = getNextEligibleDate(this.lastDonationAt);
+  return {
+    donationCount: this.donationCount || 0,
+    lastDonationAt: this.lastDonationAt || null,
+    nextEligibleAt,
+    eligible: !nextEligibleAt || nextEligibleAt <= new Date(),
+  };
+};
+
+ngoApplicationSchema.methods.isExpired = function () {
+  return (
+    this.status === "expired" ||
+    (this.status === "verified" && this.getValidUntil() < new Date())
+  );
+};
+
+// Suspension/revocation in force at `at` (may be scheduled ahead of the status change)
+ngoApplicationSchema.methods.getActiveRevocation = function (at = new Date()) {
+  const revocation = this.revocation;
+  if (!revocation || revocation.reinstatedAt || revocation.effectiveAt > at) return null;
+  return revocation;
+};
+
+/**
+ * Status as a card scanner should see it: revocations apply from their
+ * effective date and expiry from validUntil, even before the sweep runs.
+ */
+ngoApplicationSchema.methods.getEffectiveStatus = function (at = new Date()) {
+  const revocation = this.getActiveRevocation(at);
+  if (revocation) return revocation.action;
+  return this.isExpired() ? "expired" : this.status;
+};
+
+/**
+ * Public member badges for website accounts, keyed by user id
+ * @param {Array<String|ObjectId>} userIds
+ * @returns {Promise<Map<String, Object>>} - userId → { ngoId, status, verified, memberSince }
+ */
+ngoApplicationSchema.statics.getMemberBadges = async function (userIds) {
+  const applications = await this.find({ user: { $in: userIds } }).select(
+    "user ngoId status joiningDate validUntil revocation"
+  );
+
+  return new Map(
+    applications.map((application) => {
+      const status = application.getEffectiveStatus();
+      return [
+        String(application.user),
+        {
+          ngoId: application.ngoId,
+          status,
+          verified: status === "verified",
+          memberSince: application.joiningDate,
+        },
+      ];
+    })
+  );
+};
 
 export default mongoose.model("NgoApplication", ngoApplicationSchema);
\ No newline at end of file
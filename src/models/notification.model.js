@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    ok: { type: Boolean, required: true },
+    providerId: { type: String },
+    error: { type: String },
+  },
+  { _id: false }
+);
+
+const notificationSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'outbox'],
+      required: true,
+    },
+    to: { type: String, required: true },
+    template: { type: String, required: true },
+    locale: { type: String, enum: ['en', 'bn'], default: 'en' },
+    subject: { type: String },
+    body: { type: String, required: true },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NgoApplication',
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'sent', 'failed'],
+      default: 'queued',
+      index: true,
+    },
+    attempts: { type: [deliveryAttemptSchema], default: [] },
+    sentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
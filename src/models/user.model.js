@@ -28,6 +28,11 @@ const userSchema = new mongoose.Schema(
       default: false,
       index: true, // ✅ Add index
     },
+    // NGO committee members who manage ID cards but not the blog
+    isNgoAdmin: {
+      type: Boolean,
+      default: false,
+    },
     authProvider: {
       type: String,
       enum: ['local', 'google'],
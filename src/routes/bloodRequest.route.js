@@ -0,0 +1,42 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  createBloodRequest,
+  getBloodRequestStatus,
+  getBloodRequests,
+  getBloodRequest,
+  triageBloodRequest,
+  getDonorShortlist,
+  recordDonorContact,
+  recordFulfilment,
+  runBloodRequestSweep,
+} from "../controllers/bloodRequest.controller.js";
+import { verifyToken, verifyAdmin, verifyCron } from "../utils/verifyUser.js";
+
+const router = express.Router();
+
+// Public intake is unauthenticated, keep spam in check per IP
+const intakeLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: "Too many blood requests from this network, please call the NGO helpline.",
+});
+
+// ================= PUBLIC ROUTES =================
+router.post("/", intakeLimiter, createBloodRequest);
+router.get("/status/:ref", getBloodRequestStatus);
+
+// ================= ADMIN ROUTES =================
+router.get("/admin", verifyToken, verifyAdmin, getBloodRequests);
+router.post("/admin/jobs/expire", verifyToken, verifyAdmin, runBloodRequestSweep);
+router.get("/admin/:id", verifyToken, verifyAdmin, getBloodRequest);
+router.put("/admin/:id/triage", verifyToken, verifyAdmin, triageBloodRequest);
+router.get("/admin/:id/shortlist", verifyToken, verifyAdmin, getDonorShortlist);
+router.post("/admin/:id/contacts", verifyToken, verifyAdmin, recordDonorContact);
+router.post("/admin/:id/fulfilments", verifyToken, verifyAdmin, recordFulfilment);
+
+// ================= CRON ROUTES =================
+// Daily on Vercel Hobby (see vercel.json and the identity cron routes)
+router.get("/cron/expire", verifyCron, runBloodRequestSweep);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from "express";
+import {
+  searchDonors,
+  revealDonorContact,
+  getDonorAccessLog,
+} from "../controllers/donor.controller.js";
+import { verifyToken, verifyAdmin } from "../utils/verifyUser.js";
+
+const router = express.Router();
+
+router.get("/search", verifyToken, searchDonors);
+router.post("/:id/contact", verifyToken, revealDonorContact);
+router.get("/admin/access-log", verifyToken, verifyAdmin, getDonorAccessLog);
+
+export default router;
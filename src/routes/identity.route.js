@@ -1,17 +1,60 @@
 import express from "express";
 import multer from "multer";
+import rateLimit from "express-rate-limit";
 import {
   applyForId,
   checkApplication,
   getAllApplications,
+  exportApplications,
   adminLogin,
+  adminLogout,
   deleteApplication,
   getSingleApplication,
   downloadImage,
   verifyApplication,
   rejectApplication,
-  fixOldData,
+  suspendApplication,
+  revokeApplication,
+  reinstateApplication,
+  getRevocationList,
+  verifyCard,
+  requestRenewal,
+  approveRenewal,
+  runExpirySweep,
+  runJobQueue,
+  updateApplication,
+  requeueCardRender,
+  updateDonorConsent,
+  getApplicationNotifications,
+  retryNotifications,
+  requeueAllFailedRenders,
+  printCardSheet,
+  getCardPdf,
+  resubmitApplication,
+  createApplicantSession,
 } from "../controllers/Identity.controller.js";
+import {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  uploadTemplateAsset,
+  activateTemplate,
+  deleteTemplate,
+  previewTemplate,
+} from "../controllers/cardTemplate.controller.js";
+import { requestOtp, verifyOtp } from "../controllers/otp.controller.js";
+import { importMembers, getMemberImport } from "../controllers/memberImport.controller.js";
+import {
+  getMyDonations,
+  addMyDonation,
+  getDonations,
+  addDonation,
+  verifyDonation,
+  deleteDonation,
+} from "../controllers/donation.controller.js";
+import { verifyToken, verifyAdmin, readOptionalUser, verifyCron } from "../utils/verifyUser.js";
+import { readApplicantSession } from "../utils/applicantSession.js";
 
 const router = express.Router();
 
@@ -27,18 +70,92 @@ const upload = multer({
   },
 });
 
+// Bulk import: one CSV plus one ZIP of photos
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024, files: 2 },
+  fileFilter: (req, file, cb) => {
+    const ext = file.originalname.toLowerCase().split(".").pop();
+    if ((file.fieldname === "csv" && ext === "csv") || (file.fieldname === "photos" && ext === "zip")) {
+      cb(null, true);
+    } else {
+      cb(new Error("Expected a .csv file (csv) and a .zip file (photos)"));
+    }
+  },
+});
+
+// Per-IP cap on top of the per-email throttling in utils/otp.js
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: "Too many verification requests, please try again later.",
+});
+
 // PUBLIC ROUTES
-router.post("/apply", applyForId);
-router.get("/check/:email", checkApplication);
+router.post("/otp", otpLimiter, requestOtp);
+router.post("/otp/verify", otpLimiter, verifyOtp);
+router.post("/apply", readOptionalUser, applyForId);
+router.post("/session", otpLimiter, createApplicantSession);
+router.get("/check/:email", readApplicantSession, checkApplication);
 router.get("/download/:id", downloadImage);
+router.get("/verify/:token", verifyCard);
+router.get("/revocations", getRevocationList);
+router.post("/renew", readApplicantSession, requestRenewal);
+router.post("/resubmit", readApplicantSession, resubmitApplication);
+router.put("/donor-consent", readApplicantSession, updateDonorConsent);
+router.get("/donations", readApplicantSession, getMyDonations);
+router.post("/donations", readApplicantSession, addMyDonation);
 
 // ADMIN ROUTES
 router.post("/admin/login", adminLogin);
-router.get("/admin/applications", getAllApplications);
-router.delete("/admin/application/:id", deleteApplication);
-router.get("/admin/application/:id", getSingleApplication);
-router.put("/admin/application/:id/verify", verifyApplication);
-router.put("/admin/application/:id/reject", rejectApplication);
-router.put("/admin/fix-old-data", fixOldData);
+router.post("/admin/signout", adminLogout);
+router.get("/admin/applications", verifyToken, verifyAdmin, getAllApplications);
+router.get("/admin/applications/export", verifyToken, verifyAdmin, exportApplications);
+router.post(
+  "/admin/import",
+  verifyToken,
+  verifyAdmin,
+  importUpload.fields([{ name: "csv", maxCount: 1 }, { name: "photos", maxCount: 1 }]),
+  importMembers
+);
+router.get("/admin/import/:id", verifyToken, verifyAdmin, getMemberImport);
+router.delete("/admin/application/:id", verifyToken, verifyAdmin, deleteApplication);
+router.get("/admin/application/:id", verifyToken, verifyAdmin, getSingleApplication);
+router.put("/admin/application/:id", verifyToken, verifyAdmin, updateApplication);
+router.put("/admin/application/:id/verify", verifyToken, verifyAdmin, verifyApplication);
+router.put("/admin/application/:id/reject", verifyToken, verifyAdmin, rejectApplication);
+router.put("/admin/application/:id/renew", verifyToken, verifyAdmin, approveRenewal);
+router.put("/admin/application/:id/suspend", verifyToken, verifyAdmin, suspendApplication);
+router.put("/admin/application/:id/revoke", verifyToken, verifyAdmin, revokeApplication);
+router.put("/admin/application/:id/reinstate", verifyToken, verifyAdmin, reinstateApplication);
+router.get("/admin/application/:id/donations", verifyToken, verifyAdmin, getDonations);
+router.post("/admin/application/:id/donations", verifyToken, verifyAdmin, addDonation);
+router.put("/admin/application/:id/donations/:donationId/verify", verifyToken, verifyAdmin, verifyDonation);
+router.delete("/admin/application/:id/donations/:donationId", verifyToken, verifyAdmin, deleteDonation);
+router.post("/admin/application/:id/render", verifyToken, verifyAdmin, requeueCardRender);
+router.get("/admin/application/:id/card.pdf", verifyToken, verifyAdmin, getCardPdf);
+router.post("/admin/renders/retry-failed", verifyToken, verifyAdmin, requeueAllFailedRenders);
+router.get("/admin/application/:id/notifications", verifyToken, verifyAdmin, getApplicationNotifications);
+router.post("/admin/notifications/retry-failed", verifyToken, verifyAdmin, retryNotifications);
+router.post("/admin/print-sheet", verifyToken, verifyAdmin, printCardSheet);
+router.post("/admin/jobs/expire-memberships", verifyToken, verifyAdmin, runExpirySweep);
+router.post("/admin/jobs/run", verifyToken, verifyAdmin, runJobQueue);
+
+// CRON ROUTES (Vercel Cron, see vercel.json)
+// Daily, the most the Hobby plan allows (a tighter schedule fails the deploy there).
+// In between, admins use the /admin/jobs routes above; on Pro the schedules can be
+// shortened (e.g. jobs every 5 minutes, expiry every 6 hours).
+router.get("/cron/expire-memberships", verifyCron, runExpirySweep);
+router.get("/cron/jobs", verifyCron, runJobQueue);
+
+// CARD TEMPLATE ROUTES (Admin)
+router.get("/admin/templates", verifyToken, verifyAdmin, getTemplates);
+router.post("/admin/templates", verifyToken, verifyAdmin, createTemplate);
+router.get("/admin/templates/:id", verifyToken, verifyAdmin, getTemplate);
+router.put("/admin/templates/:id", verifyToken, verifyAdmin, updateTemplate);
+router.delete("/admin/templates/:id", verifyToken, verifyAdmin, deleteTemplate);
+router.post("/admin/templates/:id/assets", verifyToken, verifyAdmin, upload.single("image"), uploadTemplateAsset);
+router.put("/admin/templates/:id/activate", verifyToken, verifyAdmin, activateTemplate);
+router.post("/admin/templates/:id/preview", verifyToken, verifyAdmin, previewTemplate);
 
 export default router;
\ No newline at end of file
@@ -8,8 +8,15 @@ import {
   test,
   updateUser,
 } from '../controllers/user.controller.js';
+import {
+  getMyMembership,
+  requestMembershipClaimOtp,
+  claimMembership,
+  unlinkMembership,
+} from '../controllers/membership.controller.js';
 import { verifyToken } from '../utils/verifyUser.js';
 import { uploadToCloudinary } from '../config/cloudinary.js';
+import { normalizePhoto } from '../utils/photo.js';
 import User from '../models/user.model.js';
 
 const router = express.Router();
@@ -43,9 +50,17 @@ router.post(
         return res.status(404).json({ message: 'User not found' });
       }
 
+      let photo;
+      try {
+        photo = await normalizePhoto(req.file.buffer, 'avatar');
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+
       // Upload to Cloudinary (overwrite by user ID)
       const result = await uploadToCloudinary(
-        req.file.buffer,
+        photo,
         'profile-pictures',
         req.user.id
       );
@@ -64,6 +79,12 @@ router.post(
   }
 );
 
+// NGO membership linked to the signed-in account
+router.get('/me/membership', verifyToken, getMyMembership);
+router.post('/me/membership/otp', verifyToken, requestMembershipClaimOtp);
+router.post('/me/membership/claim', verifyToken, claimMembership);
+router.delete('/me/membership', verifyToken, unlinkMembership);
+
 // Other routes
 router.get('/test', test);
 router.put('/update/:userId', verifyToken, updateUser);
@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { registerOtpPurpose } from './otp.js';
+
+/**
+ * Applicant sessions: an applicant proves they own the application email
+ * with an OTP and receives a short-lived token, sent back in the
+ * `X-Applicant-Token` header.
+ */
+
+export const APPLICANT_OTP_PURPOSE = 'applicant-session';
+const APPLICANT_SESSION_TTL = '24h';
+const DOWNLOAD_LINK_TTL_MS = 15 * 60 * 1000;
+// Audience claim so an applicant token is never accepted as a user session
+const APPLICANT_AUDIENCE = 'applicant-session';
+
+registerOtpPurpose(APPLICANT_OTP_PURPOSE, 'view your NGO ID card application');
+
+/**
+ * @param {String} email - Verified applicant email
+ * @returns {String} - Applicant session token
+ */
+export const signApplicantToken = (email) =>
+  jwt.sign({ applicantEmail: email }, process.env.JWT_SECRET, {
+    expiresIn: APPLICANT_SESSION_TTL,
+    audience: APPLICANT_AUDIENCE,
+  });
+
+/**
+ * Optional middleware: sets req.applicant = { email } for a valid token
+ */
+export const readApplicantSession = (req, res, next) => {
+  const token = req.headers['x-applicant-token'];
+  if (token) {
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: APPLICANT_AUDIENCE });
+      if (payload.applicantEmail) {
+        req.applicant = { email: payload.applicantEmail };
+      }
+    } catch {
+      // invalid/expired token → treated as anonymous
+    }
+  }
+  next();
+};
+
+const signDownload = (id, expires) =>
+  crypto
+    .createHmac('sha256', process.env.CARD_SIGNING_SECRET || process.env.JWT_SECRET)
+    .update(`download:${id}:${expires}`)
+    .digest('base64url');
+
+/**
+ * Time-limited signed link to an application's card download
+ * @param {String} id - Application id
+ * @returns {Object} - { url, expiresAt }
+ */
+export const createDownloadLink = (id) => {
+  const expires = Date.now() + DOWNLOAD_LINK_TTL_MS;
+  return {
+    url: `/api/identity/download/${id}?expires=${expires}&sig=${signDownload(String(id), expires)}`,
+    expiresAt: new Date(expires),
+  };
+};
+
+/**
+ * @returns {Boolean} - true if the signature matches and the link has not expired
+ */
+export const verifyDownloadLink = (id, expires, sig) => {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt < Date.now() || typeof sig !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signDownload(String(id), expiresAt));
+  const actual = Buffer.from(sig);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
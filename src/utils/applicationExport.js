@@ -0,0 +1,72 @@
+import ExcelJS from 'exceljs';
+
+/**
+ * Membership register export (CSV / XLSX), streamed row by row from a
+ * Mongo cursor so large registers never sit in memory.
+ */
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' }) : '';
+
+export const EXPORT_COLUMNS = [
+  { header: 'NGO ID', key: 'ngoId', width: 20 },
+  { header: 'Name', key: 'name', width: 28 },
+  { header: 'Email', key: 'email', width: 30 },
+  { header: 'Phone', key: 'phone', width: 16 },
+  { header: 'Address', key: 'address', width: 40 },
+  { header: 'Blood Group', key: 'bloodGroup', width: 12 },
+  { header: 'Joining Date', key: 'joiningDate', width: 14 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Valid Until', key: 'validUntil', width: 14, format: formatDate },
+  { header: 'Donations', key: 'donationCount', width: 10 },
+  { header: 'Last Donation', key: 'lastDonationAt', width: 14, format: formatDate },
+  { header: 'Applied On', key: 'createdAt', width: 14, format: formatDate },
+];
+
+export const EXPORT_FIELDS = EXPORT_COLUMNS.map((c) => c.key).join(' ');
+
+const toRow = (doc) =>
+  EXPORT_COLUMNS.map(({ key, format }) => (format ? format(doc[key]) : doc[key] ?? ''));
+
+// Quote every cell; neutralise leading = + - @ so spreadsheets don't run
+// formulas (plain numbers like "+91 98000 00000" are left alone)
+const csvCell = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s-]+$/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * @param {Object} cursor - Mongoose query cursor (lean documents)
+ * @param {Object} res - Express response, headers already set
+ */
+export const streamApplicationsCsv = async (cursor, res) => {
+  // BOM so Excel opens Bengali names as UTF-8
+  res.write('\uFEFF' + EXPORT_COLUMNS.map((c) => csvCell(c.header)).join(',') + '\r\n');
+
+  for await (const doc of cursor) {
+    const ok = res.write(toRow(doc).map(csvCell).join(',') + '\r\n');
+    if (!ok) await new Promise((resolve) => res.once('drain', resolve));
+  }
+
+  res.end();
+};
+
+/**
+ * @param {Object} cursor - Mongoose query cursor (lean documents)
+ * @param {Object} res - Express response, headers already set
+ */
+export const streamApplicationsXlsx = async (cursor, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Members');
+  sheet.columns = EXPORT_COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const doc of cursor) {
+    sheet.addRow(toRow(doc)).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
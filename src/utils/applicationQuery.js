@@ -0,0 +1,84 @@
+import { parseBloodGroup } from './bloodCompatibility.js';
+
+/**
+ * Admin listing/export filters for NgoApplication
+ * Query: status, bloodGroup (comma separated), joinedFrom, joinedTo,
+ * createdFrom, createdTo (YYYY-MM-DD), q (name/phone/ngoId/email search)
+ */
+
+const STATUSES = ['pending', 'verified', 'rejected', 'expired', 'suspended', 'revoked'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const readList = (value) =>
+  String(value)
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+/**
+ * @param {Object} query - req.query
+ * @returns {Object} - { filter, error }
+ */
+export const buildApplicationFilter = (query) => {
+  const filter = {};
+
+  if (query.status) {
+    const statuses = readList(query.status);
+    if (statuses.some((s) => !STATUSES.includes(s))) {
+      return { error: `Status must be one of ${STATUSES.join(', ')}` };
+    }
+    filter.status = { $in: statuses };
+  }
+
+  if (query.bloodGroup) {
+    const groups = readList(query.bloodGroup).map(parseBloodGroup);
+    if (groups.includes(null)) {
+      return { error: 'Invalid blood group' };
+    }
+    filter.bloodGroup = { $in: groups };
+  }
+
+  // joiningDate is stored as "YYYY-MM-DD" (toIsoDate; older records fixed by
+  // migration 005), so string bounds sort correctly
+  for (const [key, op] of [['joinedFrom', '$gte'], ['joinedTo', '$lte']]) {
+    if (!query[key]) continue;
+    if (!ISO_DATE.test(query[key])) {
+      return { error: `${key} must be a YYYY-MM-DD date` };
+    }
+    filter.joiningDate = { ...filter.joiningDate, [op]: query[key] };
+  }
+
+  if (query.createdFrom || query.createdTo) {
+    filter.createdAt = {};
+    if (query.createdFrom) {
+      const from = new Date(query.createdFrom);
+      if (!ISO_DATE.test(query.createdFrom) || Number.isNaN(from.getTime())) {
+        return { error: 'createdFrom must be a YYYY-MM-DD date' };
+      }
+      filter.createdAt.$gte = from;
+    }
+    if (query.createdTo) {
+      const to = new Date(query.createdTo);
+      if (!ISO_DATE.test(query.createdTo) || Number.isNaN(to.getTime())) {
+        return { error: 'createdTo must be a YYYY-MM-DD date' };
+      }
+      // inclusive: up to the end of that day
+      filter.createdAt.$lt = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+    }
+  }
+
+  const search = typeof query.q === 'string' ? query.q.trim().slice(0, 100) : '';
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    filter.$or = [
+      { name: pattern },
+      { phone: pattern },
+      { ngoId: pattern },
+      { email: pattern },
+    ];
+  }
+
+  return { filter };
+};
@@ -0,0 +1,145 @@
+/**
+ * Field validation shared by NGO application create/edit flows
+ */
+
+import { CARD_LANGUAGES, normalizeCardLanguage } from './cardLabels.js';
+
+export const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+const PHONE_REGEX = /^\+?[0-9][0-9\s-]{8,14}[0-9]$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const normalizeBloodGroup = (value) =>
+  String(value).toUpperCase().replace(/\s+/g, '').replace('VE', '');
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const formatLocalDate = (date) =>
+  `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+// Date-only ISO forms ("2024", "2024-01", "2024-01-05") parse as UTC, anything else as local time
+const UTC_DATE_FORM = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+/**
+ * Normalize a date typed in any format Date understands to "YYYY-MM-DD",
+ * so stored joining dates compare and sort correctly as strings
+ * @param {String} value - e.g. "2024-01-05", "01/05/2024", "Jan 5 2024"
+ * @returns {String|null} - null if unparseable or not a real calendar date
+ */
+export const toIsoDate = (value) => {
+  const v = String(value ?? '').trim();
+  const date = new Date(v);
+  if (!v || Number.isNaN(date.getTime())) return null;
+
+  if (UTC_DATE_FORM.test(v)) {
+    const iso = date.toISOString().slice(0, 10);
+    // "2024-02-30" rolls over to March 1st instead of failing
+    return v.length === 10 && iso !== v ? null : iso;
+  }
+
+  return formatLocalDate(date);
+};
+
+const validators = {
+  name: (value) => {
+    const v = String(value).trim().replace(/\s+/g, ' ');
+    if (v.length < 2 || v.length > 100) return [null, 'Name must be between 2 and 100 characters'];
+    return [v];
+  },
+  address: (value) => {
+    const v = String(value).trim();
+    if (v.length < 5 || v.length > 300) return [null, 'Address must be between 5 and 300 characters'];
+    return [v];
+  },
+  phone: (value) => {
+    const v = String(value).trim();
+    if (!PHONE_REGEX.test(v)) return [null, 'Please provide a valid phone number'];
+    return [v];
+  },
+  email: (value) => {
+    const v = String(value).toLowerCase().trim();
+    if (!EMAIL_REGEX.test(v)) return [null, 'Invalid email format'];
+    return [v];
+  },
+  bloodGroup: (value) => {
+    const v = normalizeBloodGroup(value);
+    if (!BLOOD_GROUPS.includes(v)) {
+      return [null, `Blood group must be one of ${BLOOD_GROUPS.join(', ')}`];
+    }
+    return [v];
+  },
+  joiningDate: (value) => {
+    const v = toIsoDate(value);
+    if (!v) return [null, 'Joining date is invalid'];
+    if (v > formatLocalDate(new Date())) return [null, 'Joining date cannot be in the future'];
+    return [v];
+  },
+
+  // Optional card back fields; an empty string clears the value
+  emergencyContactName: (value) => {
+    const v = String(value).trim().replace(/\s+/g, ' ');
+    if (v && (v.length < 2 || v.length > 100)) {
+      return [null, 'Emergency contact name must be between 2 and 100 characters'];
+    }
+    return [v];
+  },
+  emergencyContactPhone: (value) => {
+    const v = String(value).trim();
+    if (v && !PHONE_REGEX.test(v)) return [null, 'Please provide a valid emergency contact phone'];
+    return [v];
+  },
+  emergencyContactRelation: (value) => {
+    const v = String(value).trim();
+    if (v.length > 40) return [null, 'Relation must be at most 40 characters'];
+    return [v];
+  },
+  medicalConditions: (value) => {
+    const v = String(value).trim().replace(/\s+/g, ' ');
+    if (v.length > 200) return [null, 'Medical conditions must be at most 200 characters'];
+    return [v];
+  },
+
+  // Empty resets to English
+  cardLanguage: (value) => {
+    if (!String(value).trim()) return ['en'];
+    const v = normalizeCardLanguage(value);
+    if (!v) return [null, `Card language must be one of ${CARD_LANGUAGES.join(', ')}`];
+    return [v];
+  },
+};
+
+export const APPLICATION_FIELDS = ['name', 'address', 'phone', 'email', 'bloodGroup', 'joiningDate'];
+
+// Printed on the back of the card
+export const CARD_BACK_FIELDS = [
+  'emergencyContactName',
+  'emergencyContactPhone',
+  'emergencyContactRelation',
+  'medicalConditions',
+];
+
+// Optional fields that only change what is printed on the card
+export const CARD_FIELDS = [...CARD_BACK_FIELDS, 'cardLanguage'];
+
+/**
+ * Validate and normalize application fields
+ * @param {Object} input - Raw request body
+ * @param {Array<String>} fields - Fields to validate (only those present are checked)
+ * @returns {Object} - { values, errors } where errors maps field -> message
+ */
+export const validateApplicationFields = (input, fields = APPLICATION_FIELDS) => {
+  const values = {};
+  const errors = {};
+
+  for (const field of fields) {
+    if (input[field] === undefined || input[field] === null) continue;
+
+    const [value, error] = validators[field](input[field]);
+    if (error) {
+      errors[field] = error;
+    } else {
+      values[field] = value;
+    }
+  }
+
+  return { values, errors };
+};
@@ -0,0 +1,31 @@
+import { BLOOD_GROUPS, normalizeBloodGroup } from './applicationValidation.js';
+
+/**
+ * Red cell compatibility: recipient group → groups that can donate to it
+ */
+const DONORS_FOR_RECIPIENT = {
+  'O-': ['O-'],
+  'O+': ['O-', 'O+'],
+  'A-': ['O-', 'A-'],
+  'A+': ['O-', 'O+', 'A-', 'A+'],
+  'B-': ['O-', 'B-'],
+  'B+': ['O-', 'O+', 'B-', 'B+'],
+  'AB-': ['O-', 'A-', 'B-', 'AB-'],
+  'AB+': BLOOD_GROUPS,
+};
+
+/**
+ * @param {String} value - Raw blood group input ("a+", "B +ve", ...)
+ * @returns {String|null} - Normalized group or null if unknown
+ */
+export const parseBloodGroup = (value) => {
+  if (!value) return null;
+  const group = normalizeBloodGroup(value);
+  return BLOOD_GROUPS.includes(group) ? group : null;
+};
+
+/**
+ * @param {String} recipient - Normalized recipient group
+ * @returns {Array<String>} - Donor groups compatible with the recipient
+ */
+export const getCompatibleDonorGroups = (recipient) => DONORS_FOR_RECIPIENT[recipient] || [];
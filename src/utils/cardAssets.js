@@ -0,0 +1,8 @@
+/**
+ * Built-in card artwork, used when the active template does not provide its own
+ */
+
+export const DEFAULT_CARD_ASSETS = {
+  logo: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAABDcAAAQ3BAMAAAAeY5jkAAAAGFBMVEX8/fwAAAAJCQrm19TxAhCwoZ3TRElRWWJBM6i1AAAACHRSTlP/AP/+/v/8/89GBfIAAO7tSURBVHic5L1LbyPJsqAZDQdRW3UfYHo7o+m83LIQiOK2MRC01kkikuvGSam2BQqs+PsTbmbubuZvDwYfyvKLW0cpkfHw+MLebt7993/8eI6P/+fe13X38dTd+wruNv5HAopg3PtC7zb+mXDUYvEPlyP/LDieOj72NVB824nv/MOm695XcLPR+WMRHPP4b/e+k1uNfwgcT/4DVn3fHy0B/zX///96seP/e/7TwdHrERBy7xu6yfgnwCGRoDGO48f274+Pj58vL/r/xXj9MOPPv0c9zLc4JL++APnl4ZDSQiPhxktxvDJOPj4Akn+Qgvm14eDapO+HcfzRhIYnRebxDnxw+XHvW7zm+JXh6AQa/fgx2Yfs65HCkHwc/inq5ZeF48lRoZXJuJSLOCPzAQ9Mxdz7Zq80flE4nJkhwFjORUDIiHz80uLjV4TDWRqqH6bLBUZkgCEy/T3j8StbH78eHE/WNZkNULJA1yUDBjdQ+18Uj18NDmdqOM9kfTJeuBMz87H7NaXHrwWHVSj9KgZoLR/v/a+Jx68Ex5PzTwZyW69HBgwrPA690y73nob1xq8Dh7U1rD65Mhk+Ie/jr2Z7/CpwGIWihvGKhkaej5mOXwuPXwMO57z2P+7AhrU+xl8rLvZLwGFiGsZ1vS0ZNGxsjAD5BcJivwAcvu/68y5svFj5YSNjXx6PLw+HsUPvYmsEAy5hsoGPe0/OheOrw2GioSA2FjxNF8uKjZ8Lj6h1y+7rC4+vDceT8V6XCA3BxSjHJYS8kuey+/LC40vDQdbG0JpACZjo/RGhpPXw74cvb5h+YThMOBTZqHt2Vlq8jxTVLI/BIVILiKFj97Xx+LJwPHE7tPKhERXy2fOiLuX+oUJEmvzkX0G3fFU46BHWSw0jMKy86OqHsoA0eMuotr60V/tF4TBPrZYN40LEF6HUDGaOVMoPUGHj7gvT8SXheMKnNVY9p1epTJaAkZIgVXSYkOm9J23B+Ipw4JsMGqUoNF5R9S8WGJHBBUhRgjC/5esJj68Hh7FEaxTKR2ylyVqEoBdTcQkzHV/TLv1ycAAZfYXcIAP0cmWSpEPLj7J9SrLjKwqPrwYHPpixCg0iY30waCi0P0rqxURMvx4dXwuOJ3wmpUQKWYKH67LRkfgYSvGPVx4wvfcUtowvBQexMRReVUDjcIHbWj/IfylKMqZa7j2JDeMrwQFPYyi5r8zSuKrUMIPH2EvEfjHV8oXgwEdREOEWjVtw4YYi8ZGWHqjqQJJ9GTq+DBzowYJKychvlN63RoPwGLLCAy2PL2V4fBU4NBsYeUqTATHyGxgaSTryDvaribp8GTq+CBww+4XYhrFC70GG5QNcl8wlmojYl1AtXwMOmPq+9FreT2qYYQNjqct0quUr0PEl4MB5z5gbrx/3MzbkKCiXV40H+rRfgI4vAAfmYHMe7CtJjTuDQcNIj4zwGL9GxOPx4WBsJOQGea/3RYKNMh0ULr331JbGw8OBUdFcUBTFxl1tDX9o5ZKOerg87b0ntzAeHQ7NRi4q+krGxp1pCAaZHnE8qF6xe3Q6HhwOPc/owsZfwlcw7x4ODT0yuuX1i7i0jw0HznLa+Cex8VAqxYze+C0J2fEFXNqHhqPDvsMJnfKKXuFjyg09AI8E2CZz/NB0PDIcXbZS9CGiXoVhoh4p3QJey+PS8cBwdDkv5RX910cmA4bKGKYg+nYPTMfjwtFpuZyRG7x/8AMPhYZp7CZeP36i4fGodDwsHJ3RKfF3ThuiDy82cGCDiDgdmvHHlR2PCoee1WR9xKvJT3yRAXZpko7HlR0PCoeeUnVM6ur3B/ZRIgMDpgk6Hjje8ZhwdFqnJDQ1eilfRKWYQb2Horfz/rCa5SHh0NOZ8gBdGffXGmiXJu7oQTXLI8LRmU5O0Zl8qARsw8AS5LhqeVC74wHh6EzfyFCpPHAqpTxUyi59pd7HD0fH48HRUaotMosfX8mDDUfSLgWn5QHtjoeDozOxr6hKuabcUFdfB0XLF+J0PKBV+mhwdKBTEtJXeynqaoJjgG3briuXVMos1VbpbvdgdDwYHB1VBEZ1yroebG8aSh4nPs63oCN6e2CWPhQdjwVHR7m2FBtrPJ7edOZBKp63z2JsD2ucJHv+KB2PqFkeCg5Y1pa0N1ZiA5k4PafG5xpnyQzM00bpOD9Y5eAjwfFEcdGQjVUSbdhLNMcFjG+J0/Rok1x2DXpQ9XGMDqjvuPdjcOOB4JjZUNGqL5q1S9kYZjDyXKBeeYs/0kF/ebuOSRJXLR/k0d77QdjxOHBonRKv7bk4vKFferAvqoZ7/hvnu6gjflvTMRzPfLvQBSPhtMw3/6cWTfd+FGY8DBxabvQ//o68UK8XrUuBYptjSZfERcdgtYgaDVmzwTqcnqfpspCLisbSXzUc/ePIjoeBo0vk2jBivvg1BfuzHgwY1q4YTkaKbBxc507BP7bT+ZKoSDxaChr0YVyWR4GjQ4MjoVIWzv8wFtDYonk6yWElx+ZEjq06uu/MBuvRflt3pVsISDzT8vpIDu2DwKFna4jaou+LZ78b8jJjfrYT2qjSylTup9MsJ/TY8K+9dQM/yLhUucRd2kdK4D8GHE/UWzQUHBcUb6hj0tDYAhZgN+y5HvGP8B3h4IJDB0KGkzjUdF6kXuIBj1fqWXrvR6LHQ8DxRInYVeWG90jtgBj5jMVMhz64tiY4HGL7le/PW/2/g6DsvFO+RJoWFZkolaADNMu9H8p/fww4TGA0nKbLir7mZ+thcdLeBobPtVjRfqkPhxgEx9Ed4VkbHSF2s3V6aL5S1QEdEbPj/TFCpY8ARyIotEhuzNPtZPz+xJ6eth41EPhXFAbbw64Ex/zx/mTQGLVHq42OUGHNxseC2EfUZ8FeNA9gdjwAHKlkm+0I3TTbs3vCIlfuyR12atefTGLNCJXtQcNxTh3tCHAQCvDNAeAwITGPj/OC4LqmI7hzrEm/Ox33h6OL65SXBXKDghrO+dCPFRxOyNqBhYpw2Ff/PBTgOBitgpFz/fE33TFkjERcdeijlWcVo4M0y73puDscT9R5NmSjNfSlegpjsqz78dkZAwqIwD/u7fMcc3Ds4eMoZRA5bYv+BX/rh5g3NDUnj1VMs0ADgbubHfeGw2TbvNlZYG8MLt412efTswIhyJw9bz8FHM9TFg4dBaOAKIXDLBzzU425Q1pQtQq8MElrFjvd++Hc+fS0w+OFbOj8CbM+Y7nTgR6lhoP5MVuAQ8XF1KCjYKiC6JAMjpSvrA2cNukRkR0/Xx/AZbkzHB0Jjoi90bS35yD1f6ycyzxJDcdGKoTzbrYhYudjcFANkAKbA8fmOTUahUcfsTt0HL27s9lxXzg6KhkN5EZTTCnMuk4hHBYfBodVQyOEOcMjzyh8k5Jj4+BwgiN0XXT0tYGPmN1BkdJ70nFXOMjgCO2Nth2BxzBgGTwY9yQdHNuzCWDg448cXMOB0RKKj2xcSt+Kn200hzO1xdRDOl7vHim9JxwUNffmRPspDdPa+/VdEBsPPubCVgyOT6GNYrroNEOBxishMTg4TG52dl+jxkdUFiWHCmOlr/c2Su8JBy6JDdloMOd07Z98JNuoPGe2I4dDptAipcUzHObJv80cHvQ/vjnT1CBgDrMV2m3bEvWIRdJfYfee+ymWO8LRoaMSCNMWNgKN8hwv8mQQ6A+QRvjsRAotole+z/LEwDEDNkFUhAfgMWNv2Dt7kdPtuYmOqEN7R7PjfnA8Udg8fFkqJ1R5FcNYuRONWXjFOgwOrhAiX9UhUoqJvGkaWPXHEeUUXuxgwm+ebdwSMo2I0df7VhzfDQ5KxQazUe+o+PUa84M6JVYWcNdVf4DiHJ/yL1E4nj8JjgP3hTsKjVk5RYm8NxdPsVdVbUD1IR33TdDeDY5oeU/D1hhqEK8oRJ6Oz3E4WAIOHyD9ogzHwOAwn/x0NDgblkh9M1F6Jjyqgx6xmnR0aO+kWO4FRxczOEBudDULVGYFLV5QKMbqvz/Hl51YAs5H+sCeHrNiWf3YWrcZjm8kFEYDGAKxF4LD8GbDr0K3VOfyQ81yV7PjTnDE0231QfNBWH5bSK7hyxtxSNXePlfjiZr3nhukMW9l/pyBw65NQPq+++fqjT0CqeBRiI9IUC4+Qs1yz7qw+8DxRHuO/wzYqFIps5MiqjjRex2MlRl8fDIM7QwcIEu2b1bfaMs2FufQcKA+ORs4UG+BybEVJB8ZHOfgEisNqSBUijWluzs9pnucFXuMSrFRH+BQ8rWkWJORDyEcg3usBg6gwoU5ZpfkFIVjZmD7Btbr2aomQ41/Kg2cPvgePyTTctXrKCPBMLBK76FY7gIHOrGBcq3TKUqqFJvEMIbFp38Q85T0w9e5Mkiqzgc5O7tl/jEDxwBi5eSO0iEB8gsKGEQ4sGhs5Be6rbRLI8EwjKPfgY57wKGVStRRqZk9aYlunTY3hkXwipoSUIh+GTjmR9dbX3hWD2k4Zvlw1D1dInCIM+F1HcAepb/0HsZ1bljgslBd2D0e1O3PGa0LrGxYLYIb2hA1D0h5BqMbTHCAePmLnsHOZc7ScEwaDnCvDWL4++/PnutLYbBPDoe2L7nwqIuX6lBpYJTeRbHcAY6YUnl5raoKFCplKxYT2eiCD0f/nUkUlAR0MCuCtl0SjqMVRXk4DLTnnaxYFoZpXbIlkr//uI9iuT0cOmweKV6oqhgVWVSR9GTmnweHoQarzk/OKHHxryo4iLFP+13x+cHqLg6HvidhmG4r8vh9pPZnFh138GdvDscT1vf4915jjCr+FnrVNCws+Zf8Fl9YAGrCFPy5h5aGA6xLpM3k1hwc7PyW2mn3myVo0GtldjoFxC67Jo8fWQmH7eRu/qxufMJYus1s0ZwfPY9L+7Y/ez09d0UZOHadkAQs/pW2OVj9BjnE3xwc9gwMtPPOLr6FaD6U/KQFXpqOjyDccXvFcms4niLWaF0mVokKYi8kQh7JlqXU7aAHB34Ng4Me9vZo4YhdA3NvTgyO356FyeEMnoMyEfoOr1dXws8OCOe6go4wy3IPj+XGcDxFPLWqJSqKrxIJZTM9nXMfgcOaAweEA1fEKbNUSYe/MnBYC3b+gg6hOzjcNVjveouLrLcsYLsFhrhdGpAdvd9IpPTmgdIbwxHzYqvKAnklXvjqmaUGEA/f+kezoS5EYuvi3/ofiEUKDsWqe6bzLAC2Fo634ATPtDAbvmB++c3EPNwN1PQ6jdHxftjdVLHcFo6YF/tRUfolXzwwN/qRWR0b40cyA9INFyRnBibBMZK1kYTDaonZHj4MJ0JLnIYpFYTjcyd+CdeqpMVUlh1BpPQVXJZb0nFTOFIGR1mncHPDmAxbB9Xe5tzkK01fN/Yghwd/SVjk4XAKpCc4dB7HCSguOMCUOXR8weVZL+4+2EAt/rIilh6UDd7c7LgpHOjFemy8F41RYYoSSmA8mBk29sObbwyIP+uk/M4tLTiSqkE4+hQc+2dmxSj6lDNd9Phu2OgJijexpu58PNF5WCvtikRcLFI63lR03BKOLtK/pyIVK0LQZk5Blhjp7LRKF+2oYAXPdNhYyWI6dOThgIc9cTg8p8fBYf+i6WMVZlCS/m0HGX1hlpbwCCKlty78uSEcGBr1BUcxpSJLRc2DN76GsQDsw/kegcNW+zx/uhVrpGzODo6ombh5ZgZkzySHy9eb8Niuc1G2/bMc24NOuRx6djM1suNHEBC6ZaD0hnBElrdVREZZNmX77BaNfDeioHNaxUS5AncFYpX4+cHBQUiNeckBIsDgZgxSfRbmyZ7spRjvJlxjfYaYqmJ0VPR68Y1S3A7uZqLjdnA8QTPJVja43Di7mDV3QIwIxwjEPgbH7C7QcfT/HNhjhzWRGYMUMTRH3FNcVD97Z/bSSuudOeingZevcdIX/w2CqeyGym7aEAZKbyc6bgYH5lQ8AytijKqjzKcx3Y2SGX5vTUyoqnE/JuCAHtcgOyYHB73dE8ChUmoFPkXlpfqRfwvh4KsU9LWYovZpZH0htkYAMROqXAAURDtummO5GRwgIyUbr7F6YnV0lhoXwlB080yq3vkCZ0sKvfj759RTxgwHy9nv7ZqozzQcaD2gNhtOBo5JRFNODk5jj9Iv+sldv+3/woI2pdXWYV0YWPA3Uiy3guMpDH+9xpXK0TXm8bLdne3f5eIe37zMGvwpUkbesWiJsQTnmZ8MHEmDlGIon+Zyzik48C9HVkcKQXR+B+a+GPOlREsfUSzjraLoN4KDPBV5l/EIx/60JftPNt3SZt6J3mHnC7BKXnRsM90BTWGycxPMZgg5OMg0GXvMniEcJxNK64iIZ9JmeIUUOlM7sWjKpnF5gUFBs8BCJyk6bhcKuxEckbh5aiGCMiFqz+I/oIxgC9YMHAYVcGyjvqwZRw8Owoy8lYTAQRW2HdmymPlCIPZBCcOjEW0GX/KZVL9T3CaNwVFKtASVPzdM3t8GjidY3xYolTgcRx3J1O4nlxsok/VT+EuGHztWLqHpgBLO1EzjJzkctiw4LXCMYDLx9g7Uij7VOE2o5ey19OSsnHDpynTW+bYtrXmxFMgmVQXN0vthdKTjNo/tFmcJy80zG/odoYO0tx7ZafBPIau1fejWNOqURTTQIR40/zN+9xPCnAk4xNpXK9R0Anai4Kkr9SCLBxxaXNEARsggTuv3einEOyJmx43KjW8CBwoOz+hO1nBsTnwtmlmHeKA/wVNxE2s9Syujk+6KfdCCHag/PiOSiYfD4Zg6OuGs3vZGklCwdbszJ4ee2SiTdCx1J0+7FyLxmadpYkMFayRfbyQ6bgHHU8Rdz6yKhQi0tUVJJrs8Oz0VDgd7uZPLkzrzVD04jAtyPKXgEP31zw4ORFL/gpzT+bTOk90eUIVBE2QMs/K0kBiFPEtIB/SDusWDu/45wkR9vn2PyEucd/gMIGoNz8PAgQkt94RpnvukL6vHxofDrF4cknDw+lQXet++oXLjF/CplRM0h3k2S6kncHrhoyBjAjvb3GUGjrBB+o3WsdwADqri8JVKeipE9Ubf0bzjn0A4kNPx3T4b9hVYt5h0V1D2iCdBwZP5maV2lOXX4+LoaEiICzgripJpOM7PBMe3nVjJENlxoZhn8bP3N7JJbwBHWLaCXfLSU+HeLW3JH90bi0YHhh230FXFPFAXEjmfktZD55fpMDi6Y2pH2Y65o2cHxyc5sPQh/a9vPR1LyyfK9B31L9hKBtZIhrfWL6yG8/XybUTH9eGIhb8KNRxWr8D7BGYCPTcIIFAlBuzAZRcewt708PvTc1IGEAsH/xfgEJ9mMyL+ZBysRl/9ho1gGBywXcd48jskn4/TJ8Ii+sw949ajZjXec7H6Z1Ys0uq4BR1XhwOTsZKNUhNamltaJS3g0EBgj51vu/2JVXIOPWs7mfZlw52ZDBzqmAw4uGIhc7bNieIe5C716EJPMk+skYAdzodnVsOObOAUMFu3UDmofOl7A8VydTjgtjxTu5in/87fJQ4HFmbhtGPhnXmg8NKbatFc1PGYgMPLB4vrMaLjL/Mb/fTNZXRQewxJf6M9GBw2hPppz2Yc4Pn/vORRbk6CQOl/rh4nvTYcT8Hix4pGo+hwGhtNeJ9u2jGq6c0ohc4SkXAY+5OzV/sR9/bCJzykwyOosM7WKJFp4WGazm9mnQr82RoTZ1uBxCpXnZAQIY98itZPat8gAXdtOKLhr8wUuDmzj13AYZ/KFjth+F5rsvcT/4SFY37o0ACdfpGxVOYP8ji3M0PIKtp+Khsm5X/GCoOTESE9K/1gl2vpyE1KxGO5sui4MhxgcfhKpQwHyATzgAeuVlyZz45La/dNl2FPHfvIq/7c65+/oN7be9om+w70xKfdkR3KmtRv5jxMqzBppwQcz040RUaYgbt2Udh14XiKqMp8ZSC1If3OnpiEwz6VHQoY8Vx7U72ZM/339jtWqKddXzuURNpwpSPf+MTf9laSOO1Hq2YtrsHFkX1qPp4LdwRLFaDu57qP75pHx2ajvjWafnBKjRMsaNszf1TCYatHd/jKCq91MO9xxpedP3DuvJqACjj88d3JHLQj3jZGknRO+1l7lML/38W92NsZ7ZVkHdqZDml1vF9XsVwVjrCmuLD2UVeJ66YW0G3B7mtixTPM78nNovLg0IYh7gicimfBEY4Um5BWZeNAqQNWwncOB4W69s4rYZc5nPznj4AebF3TNrdQ0hPDV682viocgRtbUComl73FTtVkOAAO7mHzd/IoMTjaYsIcHJ2BgzmcmU+nrhV0CVyFgYOnXjescsQ6y5EehKZnpVuonzNKA5v0uu7sNeEIs7G5EMeOlVZOEH40XVZOz8+JJUQSDnovFZUEJccw0QPUnz+x971l6PZktJ8GHuIN/Fdbn6r/fPbKWsOcsM0Ku/qVnMvit79+fb9qV4ZrwqGDQ9695JUKS3BN7vWHSf/0P2ULjb2/0GbiOTgU26+N6ruC5qUVw2waaOGQztNwHF2ghu2D7UupPSLl9jDMGqVeYOC6a5yuCIe2OP6WrkpWqcha88nqEsWkiH0WttCXPQ50F3CHndzTVqNbxdDjl3IGbHL0/IJIYkXUmes9Cfk3//WwDT2cY53TvFKxfPx5TavjinAEdaOFEEeYy6ZZ2ssJY/EEuaDZwnEsWf34x9+e7T5MNe1UkgNsjs8dJHwjcGxsmvi32JMfCA7XuyiXg/MU9etVHZbrwdH5HSUhaJMZe58Nu/ZRauojMUDf8UMgWMKZr7zrzLPamgdS25o8Nox7lIBD2qP+HIChpc+ul2ya+84apZ5iuWJDl6vBEWRjX23LwPj2z7ZJF1tC6CJKvt3pgk1+CASXMWfdFRr6uOZcNZ9PDfPu7+OM7a3JcQzOQy2LNMpH7cSb0FqGDl+xXHEVy9XgCDwVtEZ1HBpGsGjFbAR8YHXnVLF5Em+cYnAonoDf2MTF/FMlHDDCBF7bgM49WOQRwuHW/YMBLIIcZt3sREsqbM1Bho4g2DH21+oUdi04nsLSQO3X9bajQrCIeGPCRq6bBm/85+xOESDnbysGtT7xp4qHbZdHSou3ffTYbui3aE4HVlkhHM/eB1xwY2e60ViXJWN2DH5R2LXc2WvBAUqFw6FDHOD8W51hW5crECJ7OykODrZFAe/6eXQ5lQ2fx6M1RvanTOqNPzY4p/Yia4yU5EAh+FvUWXHrM027MHN6t9wTFzVonWroyBilgei4mk16JTieOvWHZ3HosjhvP0f9QBSUyuxIXsCSQubSxptJgztip979xcVG+1ONJKATvaVMycphigs30YO4LmXeWdjapu2Obvq8sy5LWvT5VsfVasKuBIe/NBY0o88GvR7qCOmUPb1CCMfE6qxQH8t3zsAheuzMR7K7vtbAYS3YoLB00djEIq3OwfU8bL4mcmu299i+WWSmNK0yTgql6FcRHdeB4ylwuD76XvR4fraJKUXaFiblW2eCXihfKWRkY4zQhgVmltWBswXK42TWMNTsi4Th7IMQRReMTcoeJdNpCi0nC4dRpZ+UldFTkAwK+XUQ2mO5zmO8xlHDEp+xZ0Gu6Qy14hNICupvgi2SzmbaztgGf+tqZEhvo2OgRmMjDCe+bto6yWqoeZzDdELplfBCKwb71iZm6NgAqOvbgBf4ncNh5YUWY9bsSJ40yN1fx+q4ChxPkdjozr4qWyzLH0a9Ct3219taP5TC5djxyW239w1V0GlLdLhJjqrncrkZHGXETIYwXZaOzRSD45nt0cLh4GL0PDDT1O5vmPZnVf+Hb5PurvIcr3DQXRfERp3gEC/EcLAlVUcjSk0WlrdqO5KGEb39OvOnyzVC930FOKLl61pfIBIbverJ/l50uz5YBw3wYWIkdarAne2vIDquAceTv0k9Fxyy7bdprWNsjtm/fUM4dmiMkFQw6VfsZeAvLbgkRmGf4UVhMBhqDG1IFhUdRJRDcSXLWofpz9q6lvSNebn761gd14Aj4FrHRo05Lu/XlffY0BeshIasKqsuN4tQKRgipj+3qr56DKcV4Bgi9qg1OQgORZFhC8d0Fg1H3vBqzLQkz+UHO67hsFwBjid/iRuUBg4xNow42WJOE38ebXHP4GYWX0D6vEywH7PF5pVDrQBHbLj9WrRw+tQRvDNFYggNDQtYWSg9bBYGX4OkPxvapOtbHVeAI8jG6nIl0y9YPAHX3++NxUUnC4fpAdahU/Jpk3O+XllUjiHH8TpwuG3AOujUAQVirnpjCwVBmB8YTyEcacWi5OJZHURfXXSsD8eTt4wJV7jZCKC4QS49f3vmw1Xy/2U/et5F4VhHr1wJjqMHh0nvi7bH+BJQrTH8wgZB9FXF+ZBx0tdrZFjWh8OvDcS6UXUKn6p17nF9aQQOT68cTGs2oUa0z3u5STrUbL3WPr67F+KIWzSQXWGjsx2tv6HcmwdH2p+9gdWxOhx+cJSWxm4ihbzcuRebUDxzO5RePAwmEUHSdx2m6XI41HXgYHWMR1t3poUhh4OyzsqVRrLCp+Stya4Mr1dwWFaHI3RVeicX5AbfrqhHz5/rU8/gOD7byg0QHRRblouQVD9Uhbyy42pwbDkc3+3Nkc1hhAjI1D03sezkpKI4vbBJr5FhWRsOP8Zh1tQPARwi+WocV/tymRSJe3VAxVAl3YIVasUxXgsOc9yjIJ8ev2YBlveNfa/3KzYV92xykrtYS9GhA2ErOyxrw6EtDlHGQYsREA4+/zY0al6gPeKDPh7B4fdLojjzNeBIN2C4ZLBOYzqUS3BYI+zZlCicj+fx8JtTvLygNqVYlHRndWvXdUXHynD4ropdxRTAYdJL59HcP0lXxeFQLh+Lf+eZ/HVHxeL/BcMt6QeT+mRtDsqgfNILoAtIzyz9J3qmp0SHtElnxXJeV3SsDIdemyMsDrOKSfbwZeGvw2B17x4DFkcGh1iW4ETt5UGvyLg8VhIZg7tWd/lv7t+4YSVSozfHNuttREY/ucxJio7XP8/rWh3rwvGkhuPf3OKwjVp8OCjzuB3Jn8VMqy4JQ4lqppSvA7KthK8TkrjKGOz+IG53DW50UuwGBSIvOYJZMNXoaY9FOCx/zhSt+jhXPZpOpHE4PqxA9OCwSsVsKwC33zvb1cDB9YrtJxnfcOshh3K1qRYOswZ4gp83TlvyMkLMP5t6BvY2iHtXQnT8Oa3rsKwKx5PXVdIJjm4j4LBKxWbymVARcIjiYjXS7K7x2G4zbN0JS7VxlbmF0I3dIIKJCO28nc1Esd/LF8N3WFYNk64KB7gqDA7WjAP7E5j3whBxdmY5q/UTcNg6H5gKvbBhe52IxJWGe5ZBq0NYydc7rSIhwMgYiViXY/E8buXFOsY1RceacDx5KTcmOMRKJNH3xlTLbaX4dSbnd/432OLkK7HBx94DABQK+GCjgeMv92kKm1rDHX+rJk9s9gOfcb1MYc0Hut6xvEaqoqckvjYm2Enp6kMnugPS8OA4PvPOkX0/lLqYPuxgPUhhQHIAOl0aOJzJ0Y8Eh0lAkbjcnwI4+Pu4bph0RTj8ylHRqYWWqbFJQlHpt3PtAjhY8u2LD71y4pmlgcDY1i/N5yjnoO/H0RYukB1rlnH4BpeMdXysmmFZEQ7fGv3gsRsGh5rYTLgurc4geRb9Wlny7asPrRR5leTe3LkB4GA+xpwU25hQ/4M3UaURBNHXEx3rwZEMjuIN7w0cLvy163iY2PUdPU4jn8Lj81cKbGRHP4gK2t/MW2I2idN/VONx4jzYGaL2Af5UqCD/tuIjXetIeq3KC79K2eJpb6xOE8qy3VeeSbimdAdt7PYLDoLj01a76LWhbCUcrLey/8RNfUIh6m2osKLVsRocQR3HKA1H9GUPVnBg5NAUhY4Z3aFn7qJlzg87fjMPHZfejTuySzgcLHn/lmhZ5OXf1nNYVoMjcFU8p4I6Zx1YiKOzCvXTVpxHRqTnyS8yNtb20g1Y0eLkJU/mXTJ7ICaW9Cqv6uc/a4mOteCAGAfn9z++x4m607RgoIWgBg6sv/6n6RWUptrWUv1IdS8eHJiAwUzUmHpLRKwDwktrPdR1juMXgIW94cjLN7eND3vDJyFldm5+GWfWG0bV6mFKGwQc1I4Ze/Y+6wVg0XmYRccLfzHXCpOuBEcQHP1PkBsTW+0aQUBat/f7Scp7P/rVp191eDexeQ5u2ocDM7f4ySkpQZUQHR8fK2VYVoPDtzjCxKlrZOMKFFDX6NzJ8JwUHeAG/yLOrBi/hfc8ODJ05yOz8YzN68crWVQvS8JWMklXgsOrHA0tDrhxuxTBTAgtdYLdNuEdiU/ir6pXfnsOyg/cghUdLnNryc2qnoTkEKvuX9cKhK0Dx5PnqiS60boqDnNTrl5Y8Zov/95/Gb0iR6RprYkQnkc9hc4SM3Ak3DblhUnXWRu5DhydH4eJJ8cGHv+Cezq6f28yJqlusvIL6pWIusQJoV56aI7Ce2bXAybeH69gcB3RsQocOnLOrVE/xiHvnMPB8pTRrvH2g0c/G/krjH0oEI80IfDrzcnSYOFI2WWDl/Nc57mucBDPVfkIXRUYboWbucENgwN3/UsVAPbXWVZy1xELeH5nusO2LOv4SuK46PAL0VfpA7UGHN5CppTgcF2wbI6NwhwU88jola6yj9OXGvrh+94Hh4MJDgZHYor6XjyCVeoF14DD63I+C47og2R7qJo2igSHm6uMU/LrGaSxNBq+QFSe/mxtEtbVORUH46JjpW1FV4DDXwH5EbQ1x8snWwtWuH2KACl0Qt+V99/6xcYm0h0A4UAjjL0skJulFEtcdMjM/To7Eq8Ch2hIq/3YGNsixzZxOJ511kkXOuiZucp6pccc84z85f+OrRSGCaMPgBCZKEIWbVUzi44/uF5ZIxC2AhzQyfqnEBzRq9etJafpjZtZLh6omxgf8nrllxuxdtisM8PRM02fP6O9a8zo+17olRW82cvh8PZHeM3sRq63dSYiaN/EZza251xVx7VGXxhXPHW047FZJIlFUXwPxK1tLJeKdTCrY5UlLJfD4S+dSK367TrahYeJDr6W/JnW9txUdNjtX5LjinRsthEdareeZQLWEpMVHV5FzQq52Yvh8Ao5PjKCI7j/yM5d2Ybwaw6FgmE8Ttmhw9gwroDsJvaQjRmKMUGqRrdtKszWmPFJ7kfxJC4WHRfDMd8OM4Re8jtOs/uHiTlG4LhB/hWxgGGLeRMD2rTjxlKrA7KJthmhHBMvcGFLy83yyPh98TDp658Xe7OXwvEke+m+ZnYVdsOKjsHfZCOjUVcaPbZdR+t4cnsDJekwEkSrmHXxUEEh+TDbZJtnu/aeBATmZin2QevB4q+gYlmMFZqEXQ6HDOpnLA52DyA6MLUU0nHVFJvqDyOikZcYcQlyuI5+MaM/Trjqntbe00QMZn2THiQ6ElZHL2Idl3qzl8Ih0yp1goPfLm2Bp19Nu8XXFVNseo85HG1sMAlyPTr0m7I9ABz9/vlZ9Ltyq68plpgIokvRcaFJeiEcT3IPyBqLA+7XrbmH1vi4yYYxAK6iV9Cs5JvMLRhbCMdcycXFfs7QdQF2nTMvySDKoKjrc8zR6WTm/vXiDnIXwrFMcAhJ2ffHMzGlepOxXn2ogezPC9AgPtBAXR9gXL501nNw9gNgbEqi/d/tHz3RcVkHucvg8NZOf8SjAiqyDocvcRvsTNOGieuLDmXUSas2CQepl/WFB4kEgINNz+DPiFmsH50kmX67cH3ThXCIff78FZD2giOSAGKjkYiGs1XXG+CfrICFQGQc11YuFODScNi4Rkf9f/gMZkWHF0O/Jxxy7fRHXKvAai6/VkeIDvHp4ymlUJcN8FxL4YzmsUXvdk2KMSE7aTi2zzJyHlu+sI3WGnsdGS7TKxfB4S1IiAsOWtA3xn6ri+79zw+ppTuLBu0ltzYbz9Q5NF6dsGyY4Cc5q/iCqMiSjegOFPaGZeb+okrji+DQ+VhhjsauNmFdQw5pin5hWi/7RmisTQYNkIhrubampTGFub4lBYeNhCXqOoRJetG62UvgqBIcXcIv941wNmbndo2lsYpc12uh8UzKZaXAmCm2NhsE4DGPsdpJUzcVt/CG1QJhl8AR+LHRayVpGfwhs4ppU7XZeGlA+uSKZOAA02MVOhCKHXq0VGkNxISmZ050dOuJjovgkMZP1LdSCcGRFR1qXKGbpIKE6+q2hj/A9lglsQ8ZlE/auJz5sWB5DpT+Y0HTVJhUllBcEiW9AA6ZVknUnJscc8wvSYc0oju0Ng2lNcq1wbCAgG658IpB/047sfRemWAYbLZswrNd0pCjWxfy/AKT9AI4pOCIrKvvumx1ir3zyLhwqnUNz+3Y0JbpCmVBw7TVC8z50nsQHLyRmhZU464U6xDFpBd4s8vhCMzRTFVxXD4MuXY+yyaYvtxf0UVJ0DHh6tZLrtrtC8AFB+7O7tTjVrtIO7+nqTjQWibpWnAk0ipY6pWKeNqC4otQCIaOhzajESsDazFY8JmtcPV6ynhxvl1IzMa5z8U6hDd7Hzi6inys2ZItMWlY7bR6rHysj5Vv/aJAMxYwAhbBxTeDe8y6H9HolFtn6phithDdy80u1SuL4fDM0UTknO4lEdNSqRj68tH31bFyC0auvtiUf9TRcbFqwTkxVV8ubz/459qahgVF0fGyXHQshkMGOeJ1xbaHZiqmlWnns2zMGqWuYmPL5cQhuTBhYIRUHfRi1cIa1TBfP1psC6eMvncyN7u4MelSODyLI26OhsvqvbG26KiLiG6dvLAU7EJf1P6tAZDL0y1uf3Pm6qskHPEwIm/IoBP3v98YjgrBwXjPdZFcTXTUxTa2tlq4sqJLWRFSE1WDUMQFN7GXgoMKftK3FTf2vbKOhaGOpXCI1SqJQg7WXDIpOlZcAamGCmuD1EnrcjajY45FA/VS1WK7m/OUm+JtOt2ZAMZUbpa/ugv1ykI4qsxRtqw+CUBQyrJ4qL5obRiHZOGrrUB+lNTL9rIyMbsRLe85gK+Z5pIBMtlNV2OXyhMsSwvCFsKhN+wq+bEmToOJpAQAm3QMvWmocrEXknHR6iTSLyX1colPezSCg614I2dl7MHeNhAekgVTnZ+bXSg6FsPBQ+dRwWHCNH0uSJpLv7UMVQxuWHXif7FxuaPjI306XYS8VLWcKBEvWjrjewb/6s19moVPiXnlTY1vC4dcIPv6n6izjYLjjSK/qdK/nq/YWTpUX0ilbDH7kfZIWiwQdGBySmy7OFGrJhY5t8FDB4eaT4+toQ4odlNTxxepLo2SLoNDBDl0d7LI2FPq2UR+E1l4DANeVvkFuZSsnIeSrUA8zGJjPJjV9C3yAx3c3DkX0xETHOStEAeYtj1T+i05c9KbXSQ6FsLRfxQFh+lR4++1G0z05aKjH3JobJML1SjGBeMDAalXBrRCP3nac+UCL29gra2i/L0ZRwYH5KvQg505ScIh183eDg7pq+QCYLO57e/SHdzExaJjfkoZNiDeFY89EBwfNN7b1kpjpD6J5cKVk3idfmdF1jsO8lUubZuGQ5iki9ZUL4JD+yoFP9b1Ji5GwgCjC0zSXOhra9BIOHyajh8fHwyPFumRxeOigMcgBQeqEpgjZVv/wOfSb5Ws+RmXZN+WwOEJjmh01LWfdXDkRMdib7YvsHHOhTUUuh4fHI+mlfRZ02M7jctUS9j4GuYIfjGwQjFdA5K+VD/BciM4ZOg8+nq4cgMKheVEx7Tcm82WfCVcFD4QDyY8PtKCJnr+PhOXnaal9WF7b7IsHFJwZFv3+on728DRDUdmCcfzsa5QCR2vUQDvffh4Wio6YA1s8sWtC0Zp5cLpmKVHi2GqMsJjog73zWP/7HWhNKJkyMyjP1iU9PXjfGjXKwvgeJotDta2LhMdhQeOP/Ue8XxAxecyOPr02gN0X6On834Lca0fvm6pvgaVqxNYaHfsfR1McOSmMRhcdOiutbeB48dPdtaMOQq+lwl3oJGduK2Zj7bZM99KS/SEseGS9OJA/SXCI2d5TIt8lj3XHP3OwIHNOWrXA3KTdFFf0gVwdJtizs36sUbBnHd0X6mJirRpKI8+VSu6RR8l9hXKvnt4gOnx4QmPhktKC4/tomjY0WmOHpZr68b4b4HFkb9CJRuTvt0Ajic1lKp8ePUrwvFpsihrFgVm2Ej5KKzv6EFaqr7l0UpHsjxxuyDeoUY7TzrXPP8D4MAXrH7Bl6z5+U+zXmmHQ4beouYoExy0HPIv89sVGxSraC/CZ3IS4q8rc00Cr8RXLW10pC2PBZWlykkbeM/eNByUpmrx67zEfavoWADH5m/ux0ZuW5TNDxYOXyZeOFQqvoF5lMRs8aCXFw/VquUiOlJLIlKWcWbYE/eUcvsN2rq01jdIb/b6cDx1w38V4LDbTOuBcLzZH9cqCtRsRAVH9kXtebg88EouoyO9YEaX/yx8J/Y0lb+Zfamb5s+3AK4Nhwy8RbWKWMnE4FCZ0qXW0SecWL0ba+ZBQMBcRLw8OnrPLG17qKqPGx7bxZH07wTHnrrINU6fCHU065V2OIo5N77lo7Q0BpYzumhA4CkqNqZCPwTlBUR9u9MzPN4bq4VTTu1SOqhSCjbTOC8QvEqEOq4NxxOvD4yvrLf708MQZuieUXPBSL2gNYvOFJRipHWHkqrlvdFa0BGTFekwjThgZ90FcpeHOl6b42CtcIhFkCLnpjt9uui/rWIScPTrFAUmanu2dZYfLUWppaPVEU14LcviHQTHm1m4cm6dO2YEtOuVZjgGETpnl6G0Q97bNRZGPkgHFmzVbxcuGUz5sPU+oxJ4+NFQGQ97b3VEE4t1F9FhggKFWsv0YHrltVmvNMIhErLSHIXO3ec322uV356FAyNhl9V9JXzYbUt1jcJIqaPD+6Ogo7mUPF4JP19fs2LByTTtfhYY83LFfePqpkY4OnkuAQd2GjkIc9TeninIQ1f9EtGh4n5KExudwcPSsfP+dikdMZtoQYoWQ6KmnG6JQpZVHW0lP41wyICsd6/44ElLml9SnfFk5gdZuYCOeFFgwYWNDuVMU/+7AR2tQaxoxGNBuOM79ART3hvXMLwn9vv14BBaJWhYDLs9bD35t5cr+baZjjR1Nxst7mmVGzhcrj4wOy+UHSpBR7PLMoAhh3As6qKnpEnapFfa4BDLVWbB4d2pXVXPyl73UdtxeZ/RqMGxXbrGrDdB0cBlXcPuiNHRKoJwz8TTUsEhNyNubOTSCEdOq3Ru3yVmOMXhWCo64gbHBcWaNlcfvNMyHNZOh4rRsZ0WtUvHbgyLwmhKLc+vNMHxJBRYpJLDuuMlOJYG0aMGxwVsdK7QJ3inZablvdkRVTGfZWqOVOhx0XJz4UM05Vea4PAWQRorzS+hF1pDwrF1y4CX3KeKrV7SAYSLIiegQab34MX06GgGMFqotqz2Z/nr1IltzNvqwdrgkHmViKAlxcJMJwYHdtO5ZK+umMFRZW/Y9dKJ+dOyI2LRCjrazZqYZtkuqBtUp0tseC9v//t14HhSfxR7SwYtEJ2ROtGrOWR7MmRvM6FTSpPNV0unSpx//BkzBy6VHQk6Gg/TL67Ox69zvdJSD9YCh+erJN5CoGPrgmDWSDVfoGx7s2OmZzouN0qTw9bEJvDQsiMWo1IX0hGLlW6nVstyX3yXVG4VuDBJW/RKExzCZU7d4SAVi6KtcPDuFNwDmA6t5aRR+66GDcXKv8LSYhqwLDrySks62o2bGB3NRun3vBurDPyJRyJTsw3ObAMcRV8Fr4TMDl5ar1cewd2pAapl0SNtVCzRZQg1foou/f3bPd8EHtDGIaJYLqcjjKQ3mh39d5eqig0rnFNdLkTJT4O/0gCHaPUUNUfNtaJicX832XywSIAOyLo3Sdc+kordVmUrvOIvvVr6EDFNNR0xa6BfgY7LzI7htM0IDv7SxN8VHgfTRR3VoqMFDl7K8Z5Z9JNu2i62i2jbPi/mqNRlsnpRVWyCFhHZMcQFs09Hq2UY6TrUFgvbp/cm2nGLH17JyB3Mutz1gGoJktbD4WuVpFdIqdfnc7gKAYvEzuaj9fODG1eHbFQdIlxLHxSP4ueG+LpnX7M05/cidLSEO/cZGau8Q29jrSd3/cD1Sv0jr/9kX/ZVoBXoRHBE9rakCsIl9XKhUtG5ttqve8VfFLbwvz5ffvy2RCR9STAsoKNFsWTWEasx8IVidocoJa1PvtXDIX2V+OszTPnrpLKE9mKfSEqlKQ+rqE+1p1uCmOiQMukYHauEShv82d7fk5eNIbTRY+aJ8Ffq9Uo1HEKrJLcX9q7Tv6shff2F+QkER3OOPsQjLAAMFuC7P6xNR31th8oEMGJZyGgcRwYh1odDZutj13r0L9SngFIv3+pmxc1O3OBv1069t/IgtEtTj11b/CvTcfmektF++SW90lDUUQ0HD4/OWiV2rRFf07tQU5neNgcxL3bh1ILwkPmS6m+OHKrm9EgQ3t02mEyJY9K0bCFnZeGL6hVpdFTqlXo4hrpuPp7o8D742xI4wrB5XYAjNpQnPOrjFj2XHe2lRaH0W3wPZpDBgZ6PS1gn9IqzCaqLOmrhqNAq0coNz9DemIYMDSPixdY6sbHR9yJw0SI7VqZje1GhtV0DQpeielIyUb3SL/FXauGQSbdMNx+s2NiaZKTXywfc8raUW2SVSosTGxuSjuoePopplgWVYaFDe9FmxejFcq/HTFTCX2nXK9VwbFh8PqdVzrha2q5l9YIy8y1t2yrlQi/2Ym2txILpFs3C6GiOo4dG6cKiQTpcWBbTy8WG8uQ8v1LZ5KcSDunIRrUKbbN96HFlSk+Wgp987Ru7L6pIiGCFveN5m6eWtVCcqWajNKTjArPjeAq+r/ZpvSJM0kpnthqOYrbedJKwPWcpenfZ0thwedvydgbywMwwrVcRnI52syd0WZYrFtiPxbc9aYfRmE3nhanWhEOxJbJxrUL92qmpGVx1v7zmy95SqFQuMUb9Y/9ojlswzdIe7QhRXy46ojXH+ILGq8Zk3v739eCQi5niu9bvjbqDHyDpRrJjeYVbpMDnUmOUH92qlgZZpJwtu2QZlW+UTpnYeG5A5/zA8iQ4oo3X+j94HKxKdFTC0X+UTA7q+NWJDv/4y+WiQwUlmCuy0TE50HBQRke7PxuaHQtt0n3spSObI6lXnNHxsSIcXVmrgA4EONwO7CbbsmgdH3w9YnBcboyyYQyPhlUpLM3S7s+GdCxTLNDMJZhVC8dKeqUOjnTjBXdh4HVrZMWefsMliiUMf63Mhgt5hKtW0lflgmGrmB1LRIee47Byw8IR1ysiv7IaHNLkiE/jxsKBmNCHKFSzbCVfEP66OOIcOQkZHg2PmbksC5ZTBRnm5mJ0UtdhuYyFo6xXqoyOKjhkr6fE0g8bGJcbPlIr9yWKJfBULs9VRQbR0SIEXIxkgegIKqUXRNFBq0Skg4UjJqqVyK/UFHVUwlE0OZhB6rWFW6xYIoLjCmxYOlpsUhd+TxXhZ7/teyzNb46e05hwMJstFpNvdSuqa+B44rt2pdarIBzfxuM4OkzwD6BY2ulYL42p8ls/Ih0tQoDRscAI8s2ObXPkJmqOdrzAo1wsWKFXquDoRV4lAQcGwea73iIm3hU3+7NBmVP7HNKBylvHgnvaJJaUNUoXXJQvE5up/x5PoHC9EvsrW1L9+n5YB45uYHDEI2DcGKJHaT9HT7lVdAQLYxd6KortD5rCA9zT9xZ8nVHa4OewL3uKpc3sgLWz0b/s83pFFKGX9UoNHDLpFl01o5tvenC4qVb7BYolcGOXRpqV2wEyt0/k/JEmGaDbKTUH0Nw1eYqlzeyYTY7twWUwlVOZtuC4VNRRFemogKNc57OJdThiBhPfuKl6AjzBsTi9rXhX0eQuKjMdfzcuUhzaMzPudL7H0kSYXlitBSu9bpvxYC7dVaPHizqYv1JhdNTAsfmR91XUXqOx9bQAv7r2QGngxi4Ofym5BVNqu40+sd4td4mX2KSjb5M2HEPbozp+hGs85unHFcgd7XIODyJqk8hiwTXgELHzmMlBkfPv8mmKq7P+bO0U+ILjgvBXsEFXogvD7Gi1KT5Lxxo2aYvo0P0nYbbB6ofp53CkHQBmdNRUkpbh0C1b8iYHrYA1RodZ8MaDNKZrh6qsyfMtjmWdw+lYdZv76br0xpUwlygWLxTWIjqABlcrw7c2117BtyFZqMuKBWtWKNTAIbSKKEtD7xCd2N4UQ+82EXQ3WNpBm6sV5yEQHBdVW8pNVFINnFSrXulskmWJyvMUS8MdKiuj9RwrlqDFQiuS5MU42ApwiAUrQqvonkazmUjhL7M3yJY2gvTQZQv3tsVgum9xXFJO1wWbqCReddW3rftfV7E0rI90a0AAjslJaRIipu4qHDzSUa4krYBjSK2fhv480/loUEC9Mu26GLp8VWdJSfi5qUuUCh7Q258rnjBLraPOHNcqliXL7zzRUZ1/YnC84cRywTH1ma0WZSXp75fCMZscFrYX6auI593zLArqFVxO0bnrZh/PTURQ4rNCMtbzWRJ0tLdyc4ql4sNeIb4X7Kh+A5xa+UZz/QlhSDT+DuYD0ciBcGZLeqUCjuSahJ6t/9fFBW4v7RBdfzl4Lmqh1gpxiIv11tjHzITkOur0pRrFUhMnDbZJX2qTWjjO9Nb9hRcDgkO/dkfzSMJrEMm3S+EQh/OunokDEGxAgAYWzI/pLfpJQ0dSdgRJlWVdf4PDerolTkf7UX+kDxdcgPeRpaLDwAEmB8w5uAaDrbLK6RUOR8HoKMMxZFa6ufwHPD69ng3V38kr8GFqctIjp1iC2OhaFT693JN8WSv94KCGuIquhj4d/grxWpvUvGlQsXuyk+p6arnimvAieGb298vg8BxZ/1z27vBRz/7LgS5fplIcHGfck2dKSo41Qxzh1HC/ZSU6jGIp6qSgbMBPwNWmn0hHOw0SHMIq+PAiGoyOC+EwK/C8C5lFSMRXmZ6ZwEjOpJ+NXbU0UHHhsSCfGj1krejoez9077uzlfqTF0EE+hp+CysAysvtC+mVEhxdYRmkGo6x+/JbFaE6nBKyThwwCHGsYI3y4/eijGuFY5vjFVmbxVawI5QfCasUHUcdYQLQws4lzugoVPwUI+glOIRjHH01yHzcyjZG3kfhYt+cYZ277xVjo9EhyrjWOLhRLCXRoaNs7IRqFyiWWtHRuSxhvGFOZvceUYN+ERwlrdI55yKrMOFi/zqWJUcoOFavN7+wyC8cPSmWUiRMw8FEBzT69mzSWpPUeT5hUxSAY0rC0ZC2L8HBD5V4M0xPmdwCDIDjzBe0JMawcmw0ejFMs6xhlFrYSteqywKs6KA28DLYUS067IjCQRGoaFNsWfFzCRzdH+XSYhvFyIU9YbnCcxEOP8ZxsTW6i2y1gn0FjVG6AnwmFFayOqBmxNA4I6WvyRcd9RYWxp4Dg1Q/BRNyjDqz3FD4T1avFOBIZ2TZxLhGLenJya6oYNO3kuDQLPDC4nBckhUJhvFYCloKGinbj6B5GoqOtusJOpFuD041l53Z35fDwbsWJ0wOSM3ai0nKDruiIlynxUYgOJaxITEYg3HgdKwS7TA5lvyThRfJiiowT3d+iqX1lpVfoLntBytNos6sqjY6CnAU+/kEMb7UPZgLzhqkvsWxRKlYgRH0O6cx/f2OjBgPdBWzY6yQQwSH0SsDliyqi0QH7GeDkUUUGGf2gpV7kmaNjjwcIsoRXZMQhLpT3BufJhbwZzd6qeBw0uJHDIwZDT3+hn1XbPuFFRVL/skKvQK7NPShO9sY1+lpBxmbXOFWSDwzy42O35fD8QffRCNynk1gLCdtiiHtetur9vL6rYLDqRFDxs8X/d+XF4+PD6NgVrNJjWJJLBa1H2L7KSlDioyTNi+ddXOEaVk6jCsyDa7ixxpwiCjHf2KVdW4lk22RmqJD6ahe1lPzBEeTNaocGI4CIzvdeOfrm0y/2lXC6FZ0+Hl5LpeEXnH/kKJjeYECy31PuI4Iq7zVIJMbfOFbLr2Sh2PDTY7Y1djksbNKk+0WUtuZ2OG7KtWt463IcKrEXrdlw1qizKsls3QdxRJv9NELWoReQTj6UHQsrVAQ9YMsgj4cpTLnRsfbUjhkhWDkaoxWOeubHKn2J0l+oZYmdFUqHxmR8REhg4Hh3Jcd/6oGap0MHCkW7wXoRYhecb3S42V1q4mOgR8B2w2+wbxOEg6uV3K1glk42Or6uCNLrQ3JRzHW6YJuJHDJi1YXK3JMAjCYJgmhcCel/YaXXHBwJTHR0YuFEHqZhHVmUYzofwSiY9EEWq2Cqp3g0KlRz6WtjXTk4JCJldj1oslht2QyqxM8UCtvbfAtjooZkkLjxQ0rMnxNEh4B1lCvKDqka4yhLvMbhdJiZ05twh5KlFQvDO8YrUL+zhHh0NPq2YG8HCxndBTgcAeJTh/BYf9EsmOR1gzbEhQnwxManpnxbnRJIaatQxRrVnZI0iDZxuAYPDjoH0KxtG9LDMc+GrmBaGGDJXjlPtNw5CIdOTiKUQ6Cg7mn8dqfqlsLXJXSIRSg8cOXGSg1rDIpX8hslP6d90BrB0VdR88EPbCyEadKjBhBDmSKZVETuf4k516L8W/Ahh9cEgvfMjUdBTjyJgc1bMFIywZuszeyo/XuVJvgUEyfcDBehTKpu4hZsaxVFDYG7ixmYiUc5u/K/aOXNukC0RtUXUHQY4o+jEqjIwPHU3Kpm50MhMMUF0PnnX5axr6sTy8JDranTgSNnI0RPdjY0Ic0f6QffiQMM7HMeWZGB/aVgThYL0VHu16hr7NOH9ogxYB6YALyCHrG6MjCUexazODYP5MP1tv8vWq6OW/5V97rtaWgPz0y2tHoIESxSrN9o1i4HOJ6pENVYreldOYpwM6tjtYwqXm3XGzIxaAih+KRjnTuLQNH15dMjs7BgRcH2NJjboNfmhwFwdEbNhgaL46M9sUns+mylugYPauD9Ai3SN+dM2siHQAHl52NosOsL2NfsxGxmIZ3kY6c0ZGDg4XAEgYbGqTa5tiwCzHL7VscWr/kJfOoDBqcDNQn9WaGN7ToWKfiLBAdWnXwWlV97RYW/WlKvh180dF0I2bKD8GvZgUfu0xe4LcAjic12gPETQ6DhM7uUHAOpchoZEf1zfl1thnBYawNT2q8oxW6TDnolbTr6JVAdEB3ELaRHMAxSji0Mh4OvdCsTV3CxlBYu4hY7EC8ddx7GoH0XzLrIM1w24+byC14LtSDIdgbMj08wZH5Yo8VfgEaS9SJG2r8c6UVEJhieWd6BIJs/N+u6l0xOObfCW+2HlYVkRvKVojFC36qLNI0HKUVK3pgbkX7sgYOlIZmk6Za2ehbHMkkem+KP4VGuRSNNfUKxUmtHkZRMgaw2D/ivtgQDhmY1dEQQzelMvwLTAolWsdVGB1pOFgz/HT56MkQYeAgQ6Mx3OEv/Eo8J7txn2eGHi5Eo8NA5oWHMEfqhdVBcLgHxyUJgwOKBpfE0M2yMm7DK45Zoa9gZgeFNBz9sVQ+6lowfPpwMIe26v48VyWxBsI4KYKN5WaouJdhJWfWiA57D2CivnOj44eTJGCQ0BKF0TdJ62g1pf+fcbkx/yX2JbZv0wI4nlgPwbhWOboWK9NoLse6KCQMqtJnvsURnxUqCv7Jyfi4wAr1jt7a8ylzqB88TIpwsKJzhKOnf4zO6Dh4gbAq0WGCX0za2s2p+cJ7b8hVkQvgcIInBgfWC5zMjZisj/VfN9Uui5ePTfCkQKX8fGW2xnpodM1bmmYG2qQ2Rt7LeiIhSbTnhb4Lhtm9GHr51lREf9sX9YwFP9HVK06vLICDNZiMmxx4YoP6NAXBDdIsZTqqlprTxhdco7zXJF1rh64FX+VAHS2eNVYHwWEfNBghzCId0ejAcmOx28ZUtthUKDccG2PP9jkJrpHBkdIraTiEPRo5OgTAvtmXfhtGvvTftuWe71WCo/fYeCWxsRIaHRRerHUsRcWH+I9e7vWD/7ZwDDZGOoZWR1GWbYISCVs3BGjhQ4pOqC0kTVukKTie1A8rwDObDJ/9FVeyEZheUVGc8b4sOFRoblS1M20Zaj04SHSwSJfQKyO3SAdTGoaVPzJzX5Rle9ujz55alPKm4RBGR6KQNAmH3N06cvDvqM685QTiQpRoOZAa5cWiygt8vaKPUjxy01D9enAIq4O2CfOMDpd7+2Et0kB0FK9o/+xFRKzcQLnFMqP+JfbcpmyDo5hY2RhDWCqFS6t8YoKDohvc2lhbbOBp1jskFx2BXvHheHdwSNFRrHvAN9TNWG9eVZNQScPR8UhHIgyWgkOVCn02Rk4Ik2HB/sLFlJuSebariA08z3pwcNERGh284F3DMTI4hOgo5WZ15pV/xviwW2PSICsxd4U3M04tbUrCwTa3ji1nYrv88bWe7aXFQWuboGoJC76kSlldbMCZVjwqRMLeGRwfEg4WBiEDhCp/pOgoCOJZfE8xnWK+trER7NgVLoWjWFuM+4Oe6W6zGcDs8FumBYKUOqO4G7mKSll9oHgwRocImSbgMMUdwj4vREl/k8m2YFkZFVLE26D3xdxbCo6hsJGsaDqlsA/DtKCkPki5yXNRft5dC7DRepJ7DCDCFA//8CxSxgpk7R0c890JNZ23OvbcfA/khoYnDYes6WiBo87kYDl5xL5u3vhQfq5eTIbCLBZjY50Wb7cYEOvCp46puD5qkWpjG/XkjMl7m+gQ3rdvi+pBcMS79LEls4lIRwqOPwq1xYMxEey1LQtI9VlzFN85aW60n6PySlY+spYPaHYqmWwxKse6K3RXUEA49i0maR+RG3wKDRxx02VYBgcvPI9HOewCmsv6F3j5WPmeKJ+N1A5ca4z2pvjFA46kPHyLtOPuioNDx0ghtie92brLcmzwCdrk4WCJ2ajRkYKDpWSjJocNfbXvtS2OM6YDYL00RV+va270w2qpFRpaewACCi1SBgffAFuXdBwIjh+weyXfjaJyBYt9WeW7auBIGB0sRtoCx1Bo2sIb3V+Szcz0HqBS0RuZon3zRjwVxzSiIwYHT+k7OKC8VIjTppoH/8O2t07CInWTG7VI43CwEsHEWremDEBySK0iMOtxRhkbV4l8mQvpx5J+XLAZixYdaGrKomMBh3JwDAiHMMRqVrBYW9R/EvYxLYuRJuAYHRzRScPG6+ahtq7AcRc/SsHBbG+ZTblWVNSeLl8I5np7tB11RAZElrbzfFkLB3q1GlLhzZb1ipUbeAuKtR0z2r8QBkskZqNwPLF8faIKDM5oWz0tFcnJZlhY2PMi2Lhi5EtlS31oMf/YXKuKosPV+7jfCzhGBgcueOKio6hXbFsU8mF1Lty80aYtV3zXJmt0JPYRLcMRfSgAx8HeQ/u6abwt2dCGrQQCe4O5KVeOfEHXx9TfbNPK97Eqy8zGjLh+8U0FujukC59SIQd8mgzVnZiYol7ZyMVuPHZt4YivTyhZpHE4evtkMiaHbgxiCpeW7bSVMkd7zsbrlZKwbGDH+sSfRK+xRjpm0aENKUV6xBWDSThoWYRbxSCqx0vZN8y8WgGDTRcO7G8xa4QugxkdtXAwe/QjmnUze4jtXIBziezwzFEbXoa5vJVK6TAhGj1D7xbz03hvo6MfdfcqRWk4ew4v0CHh8PVKQSzjanYXUQBz0FQG2m6P0cQsL/iJWaRxOP4omBxQgHTGhIDJ9rR3DUiYozL2dWU3BUYf3YuaWoB4zW7fi26NOPJw1LVwPhxq5HAMAo53NGFFlDR3Cth02E0+ZN+MEHbhqGgdKYcj1iI/BoeMj8aOemQwui7srXT0UXNUpmFvwUa8B2bPGgd5sqP+PnV34vnYvSjhIIvUVnQ4OFxhuoiSZid2cxL4aKFulQjb2Dx+dfkYaRSOoWBy4N6Vb+beDB2twdIhao6KalHtCl490xYTHMrrXgn2xoJm6bP1ML80BId0VwI4eLVpL0zSLBzytTxyFQ+2Ki5eiavNvNGRgONnFg7b4hLSVa7Ypy1Y6msVut7esfEKbFy7eAMWBciThGiApzIs6IcNoqMWjt7m9uWCxtxbNwiFrk4MDnRcRuwcF711lpithIPHRzP2KCQcB23J5Zf7p4Zo9GS4Uqxc9DZsdH1YbOArlHfbsdJboVQeIDp6Ud9DUTEHxyjhgD+IUEdGr6ijcHXtvs96gOA491CFnLBIGRyh0RGDo5SSpb0ed1jjc+jYliEtskOsKTf3D5LVsHGTwh7la5XeFxuEBv7JW/lac/jp0IuAOfmyxkFyJo8iOCCYXhvqkBeP0Umk1zi1rqIzuDhetvN7DRy8RDC3ZIVSy1hHemwOlsrC5DPTukxu3KAesBdaJeKiiBUyvVgHXTPmN2fsRcCcp/PhmKMQm3Tb3CTN6RUx32iBbifAGUHZUS14/MtZoyMGRyklS3iStEAFZw2oijV8OLxFw5gWcAbHjeQGC1DCsO3GhNTgH2+lQ/Var1TBYTN0qFcmf3rKwy4x49uXb5ZapHE4nKyJhl0BT5tYIXfdBjwqKxC8dgNYMmWjXyvtoFQeNmMO//CDXpGV2j3vvlIzQHT4cAwZODAgwiVrdXNBf8c3cHT81S382rIWaQQO3ocwqlW8HXjMWa0NUSU7lAxyEBsm+vW60hY55cuYnwcFIFSAxns0Fdzzxk01YzZJSdzws8bgULzd3CBM0rpT7Z/lwAWI4K4ULdJwfUIEDlY/Gjc5PDjO9kR0N1UdiyJBDldNfDO5QfW9+iflaxTQazEEMHtaT4dWXBIOqjl3f7cBQGeReiZp3WwEkgOgAmRKAfSIRRrCwezRRLun37wLsJ+xD7xMRyTIoWxLp9ebscGeku+jQK1v/CJEmV/FGBAOnlzJwWHcGmGS1p0t2EgUoNpbx8EfPPcWxkijcHxk4VCe7No6veJa/ZToiPSw6Ydb2xsEJDYCtfsQO2sj9a1mm3Q8jx4c/Q93AFeiSHCYsAcTHZV6xcXLzcPRoUpAJrrWXlikbXB8xDue2/gElYJ94n2NovFIwaUdAnNUT8zPG7Nh4YiFNjKBJy9sUTzLMHobQgk4MJKIv+dwCJO00l+RPQ/o4ZgKi8jgbTqCRgwhHJ1iJkfs/p3JccafwIX29lkqtQ8YfHNU22g/b2qL6oGhytASLST7lKclSqMf373MG5g6KThMAIGJ11qjw7dIn92mTVHZwxvHBTHSEA62d1e8CszCcR5dy0C5rfJzSbGoIMihRfXP29obXWdaJUhLtKIvjFe9UzzNEEiOkdmnDA70ZU02f2z2V+bnMIm3FODgWXQ5RGL29zIchaybXQzxfLDbeIk8CS2bLcDBr/+ws+Gvm8oNK8Z9/7X80BttUsW7hHUYaGVwuGqMgVukQq9UFkRATqMeDrFitgjHE4cjej229OzNtsNnxaTYgSRnznl3jREeheGv28oNuwV9m9jAbzbZpKiHuFqJw9EZODDyskCvYIx3tPLDwRE/AIfDt0gDOP7FUrLxoJp56T93RsN8Gy0bdXyLNV26mTWa6S8fN8qn2OsI4Ej7r3KoNtFBH0/AwV6knsMh/JWm9R9Ofnzqc8GP0Qr07Fr75XDAlqXkObnmhnXXLhqJ6bu2T+mmbHTSe21qlC1WQ9edicOhsnC4rZyc6GgtpepNoa+x7+Luisjal+DgMbM4HHS533ae6aDd18plYb5WMZujsT4FNxn9j6VskGKpFx3DjwbJYaFjPmD7xmgQ+jo4VyEKB19r729AHMLBijmy9ijYN8Jz+tQVHjW3oAahVXZmW8Xr15n719Fuibove8Kg9OkQDvYv+zl8Sywcaqle0QPqfth7mLBI0wH0CBwFe9RsuwOXuhFPWc1+VM0KFuHIQum+ZaPx/mvGrg+GDU1ysdF6duXlS/LD27029RoZOMxhh+YgqTsFFJDyhZVxo4O1jSzA8VSEgzQJtQP7zs+9CVqmxofcV4SKsxtrM+uGCsHgg8GRDYnGR5PoqIVjkDNxgV4J8izxkg5e2tUX4GBSJlo/qsziO/yne8zbg2n3UyLc0yq9m5G1dQohMEbHgWVTFrWFwWK/Wht8ECCpxMptu+W5+ZzTK437fAdplhQc6ZIOHw7e7iV69QiHW3xnn/NsoAqhkrlssZzLapWW2rvyUAwMZllwOnprjy4sOuullVn47DI4uL/SJDrEG4hRj4S7wmKk/y0PR6mYA5M49k+9vYRPK0bi5YrsanxfZVidDUJjtNk0HbRFEcHHD6tSFp5llDsMZwZUnJXhwLng7Rp4HKzhMpVU3bjyPfrBBjhKi90ASNaLlq9KMHDkn3Loq4wXPKD4KUhoCF/ECQw7aO18gwMrR4PoqIVD5GU76a80mKSKMzUf7ZgW6bzeJwvHU/8js9hN3w2u03X3ZbcvPThHJj9bMgJ2MO2emeCg9756Jrx5IX0iakHH0S09sQ4L7SW/XGTJQuHCRwUcXQmOsIKqAQ7FQtBoqojl1XLwko4+Cwdfz+TfNNSk+Dkc1CvYAaAODt9XMWlzc0BjKyx7aOHagnchLMQxL4IQz1YrOkI4oudVXhRM6pVaOJihcsa3bpOBg5V0HApwuPiovGcFu6cgkX+xXx9nMqYz3CpFPWKbp7MviDabegn6+KfoXYG2wjguMkKw1UoCjcjxLo26iUrh/IUthIP7K3UWae+a0U+mcoLBobwTiyboOTi69GI3nj5+E7+3LhY1384DLvfHnE8y/Jj45omgEf7UvNWGEMTRpT6xZLQfqW7A5p91cIweHPG76/3luGzVbF1mlpsb9owbV0Y6nP23PmWRenCIiIgHh4xqsrth1QjlKFjEVzmebXDS7g7aHrCk7zM0rPHZfpyGM/J1L5nRe6suk3B4vqx4myqS3m5pKlqiNDZmDe38Z0+7qGQA3YOjT8dHvarPuFDcPxd7jUitohfpu1kjB+LPv7P1vZmD9zZbYizQq+dq+h9VeqWXPenUkHjOKoCDzVg50tFzOcPOB3AcFPzZNz34Q8/BMaThUKJlRKK9pBqPBboDrcL6cfXm2b7XllX4l2gSeEZm3CCNp6SPmhoBHIlri8Ax1AdJ3RpKr3kwrLTHDG3YrZSpi3+n4eDOSnjDihegJYRH8o0ww9uvHVdtYN2TrfKNrzQrDtrSyWwpeqsErygHTQ6vm6VKXR5likW/Xl7UkVXZo/3kJN9RCIlNaKgG/kIygB7AkY2PygWuSwxGTzvt9NxSwaSt8r0oYGnZWHSIRacd/qwQHX6r09QFKlmADh/lQYvMibiI8fQPdgrDwwQOregbl4Hjj0J8tB95QXTFvqDhhfhl54q2DLDmwuKwlDX0b1oUAgsPyqLDh0MlrjECh9ArmVsbY5YoDqwKS2gm0TcuDYfLrCQqz73ir6n5HfdKOezvJRvLwl+mOPfGbOjIeDlhmm+SzD8XwCFjWumv2kxGYA+q0T2yt86fHu6uiKaCrXB4a5eahYfMyDpnHtvEfVySuDf9C27NBoQwitOQa5IsRhAFE3olY3RQDjSyjQVb/xJ1F5i7UglH/CKCZdyFBSrB9/kCFzej1NHnkpUJSlT133TEe1UGn6nN0AVwZIwJNvDRTGEkgbmZxS1m03A8ue4L8UqfSAVJY22jbL5qE/+03O3jY/l7bxL/d4Aj0eVWDA1H3bHEojccVUHSI8ITPA0urOMJc1b9959dGg77qbg9StkTvXTJebVaeFTddudrFfM1YuOiFU3K7LJ3BzbS/bHFR1rgkM4iD5KmzqPf24hKkevbbamNgjy1+YezSN/TcAyFynOqNj+/dc0bxuDY8CgHzSduAflCW8ZWHigY/m5Itx2qJDr66q2gjHoUYQpudCS+N2uVUKwouaezhUNnUScXR0/4sgIO9qG4PYquyhYbWowswVO7H09MqyjaW+Wy6nN/k73bjuKajL7SWWG2k/hd2ejYn6Ygj83ys/Rt+oC3Bo7D8XsCDtbwKQeHAa4/sn3Kq7aJVJHsnekS93qZveCa/95jFB3VS+E4smmLf28fyJRZWPGEh2ku2Nl6K1t44yxS0RlMwsEbPsUuYMNOoK9Z6JYKYzzmyGKZr1Yql0Q11V21StnerNhEzn4yiJ9XVfz4ZRp+v8YefAks0zIrWkM4ROqNw8EX2MedlaCj5cDkVoVTG9ljhmLerzEndL7fWlFwX5Ojg75fuZNXhznicKiSNxoehhuisJG8q+HDxzid7KF4peBbAo5s2g2Oqo8vi8t5xLRYbhDZRUSZhUWBwmQLkspz4e0IfvvRj1nRUR3mMG+LBwdzZqvCjirIYTE4sIHcODk42FaAhyIc8WUJ2EfQS9wwo2c75fGIaBXqBPYaGqOuRLzCFjFb7N0PjsLTV/X71nrLZXHwCHpFCpjnz6mGE5HQcOBmCge9n4O9uo8SHP8qerIxOETLp/z25cJEwReAWggGL72rJMXC8dJsDPeKjtqRtzgbNjWOhEjFe1WsQfcqb8yJcUOFHUUyv0EljfkGrxSMwyEW2EeneR/XeXz39dxC6ojJgUshXn1rga06qYfjnloFTc40m32pzoV/NAyRVmdm9RiY/8rcW8i96O9uzA+9jYLFO4NJOJizErsAtC8iOk8XLtoykyQcQg8iQ2qg0KhIJfS9KPerqEO/ryNL1zC6qB77Lf6uT1V+RY7jraXGUVtmrISPwCOmyngTGzgInMqeM+qucDj6Uqs4CnNEn767+OS182ZPZHKg4JDvfM+b+411Gfxe+ztxD+tmQ5sV+gr8lf14gdVSTcXhqImg65HIbOphupH+Fsp/7q5E4eD2aLQ7LS092Ebz9IbYTHfaITA5FMDxKjZyY2U/Zhuc8kMfNByLKtPWG6hX+mDg31rg+BGBQ6Tdk18eeFzSN4K+ExwR40CxhU19CY5EcblZ+jhF/QL98DMyT9adw5MEc/RVpMsEG7V1P+oR4ADRER1dumQ0MvpIiFTo5HRNB1+yElaqQxTsjdqTS7ci7q5wOEq7ybI+PpFTd/6+NpkrJ/q14Hh9EWzQ4oSflH6vnNL+jxmOyuXuVxw9CLqD3wVE09FgK0ejYCLSkYRjw8RGOHUU6IjB0UUrBTkcP4pwuIcL3nPwIZV7mGGUYzaSf8rQqCI2XprYAO30EHCM3AF3q/qbRJqNgslvOaMjLZ335tW1RaQ8qG7giK2472O+LIMjsxSSxvDMR1O7iE7CgYJHCzPhqSjWbKdhUsHnuWfsnIZpFfN+bTgSd2qi1UzvDMy2oEAHfsprotL/iPiyDA62lUai1Ef0DtSOUtMm1CqIcsyzINpZe2xUH1ubHCmgbzpMt5h32Qak8SWKw8EXvqVybxNqfDejA/8o7TmbgCPiyzI4mCebCJAen72xPTcEJZmTRUVg/m6rvdlUtjESro+TCM3cdijDdrrrQ8WIRsFEpCORXtl4YkML6zc4IrpM4E0SHF6fDO6uFODIhDm2o8Bjqm9UFe4e4vUPJ7nx86WxFBTs2tr2S1cdLItIWCwBNgFHWa8cYcUKiwoMJ+gzPWBSkLZdMRVb/pXn4BCblMfrUAEOaXigO13lboZbLOumSY4CYOOnmduKI/IbCwLwdxm26+14yXpME+jws9SlSIc6enp+fh2/7bAkUFuoSMUbeisZOA5ROF4KcIBYCtpbPtfVCMrECv5q5BXFmIN7NUmSlsAAwHF/rdLZftnjJWt141EwLnrjRofyiwaObPcC7eIgHGQ6fsrvVsORmGg0aKjP05FndyrqfGLbpPajYAMN4vYEmjamHsLksKXjl63JjEfBKtIr3im1pHFb4czfAaFvdsnxomB9pMaYwVH0ZAUcgyhrnh934YHKKAdlo3hH+N7u1NQ6rwRH03euNEyj7svg6ONwiC4uFYfB+g1lLZU3ggN39/T44r5sCEdX2sEewxyfWJy61dkxJjxKdT4xk0P8eTY4iI3m9Qla5IXt7e4y7PYPlzQpjIdIhdFR0VcQJcZfLHJ5ppaCqGe++XDYCKj1ZR0cmY5PNODYf/XWE9JlihyPbNlFpEKQX5rZN3RBxQ6oy8cwOSAORinD5UZHEo6qVZHmwyMlYZ0DMY0oMcgIeZMXHgl0xOB4TcAhjF1KNop11Rm3VpocETh+0Dbl7W8cLKh4GDiM1XGB6IhWkerBC35KgtISwLzLCeHANa0+HH/k4OhL6xJwS3QydskTgt1kRceOZGQ3NDnYbJg1b0vWrjxIYgWHC/IupyMJR0UE3R6DVqaEcGwpCua5K71zV97/7cPBPdmE/iY4UIlZY1fUdyXTyWHsXMzGD7NNeXulHyRWHsTk0MPtOrV4cWe0irRrMjrI0nCbNLpXc1fty8bgSIno71E4wkZO0fsNoxxiMn6+0FbU+XuOHfmRTA49ePuqZbIjCcfQCsdsdSbhkI+K7WofgaO0XQKWmX0zQRW3JNfJukwmTiRWPAKUqTJetBtPPz4YHOrCvnc5OKqrjB0cygta6n1xYu1i+ZJIH45//cHESibMYc5mPCEWtjtn5KiwR/2kgREci5YWgMnxWHAYOpY12k3DwQotS3AMDg4vXWrhSLorNtBh4eDOSnymKajS8cSNZVm3Rc892jEd5XDdOeJTWVj59kDxURyqN0bp+7L+7anMW32VsSv7eQubMR3o9c7A8XsGjkSYw8CB7grYM3Zj2YIKlCEw746pq0+8c4tXyx3+HezRR3FW9ICVFczsaD9C38OXI6HCck0HDQaHLzrOXcGXzcKRmGkDBzN2N0dK6pSkOrdHPZPDrHmLKhWzdwovq/I+gfboA8HRsQ7uH4vMDoqCReBgRkdh4amDQ3gMAAeWGnu7ejlfNoRjKFVz4FrLv7rOxeaNPJjeol9gI5J1M9dES1eSbLANlwgPeU+PFAIzw5kdi5qOqERypa6QFI5gXsZP+Ied/RODw5Mc3Jf9t4TjqQwHLr/tOhebp0dekbEfkiEwBDZucCi+vOnjY/qYwuVvaI8+kMmhB5gdNgW3IhyqGQ4oxzTLWbYQUi/DcZBw8EXU+RiYi8yaKNwB8qv5a/Vri/k8JNhgM2zFRrBwVj1QSpaP3kVK20VHBg5ndOThMPONTqUaRvQijsvg4GGO+FSbBVPGCv0kcXDWsYZjNomskiEwFBwxy9yKjRdEAxaA9AEcD2eP0mAuS7vVkci8dVw/18FhCcAGCQAHVf14cEQCHVE4kDb/hN+fTVkqwnGezMOGbcpz5rOwR/nnMC4Xq/Hjleh2H4TQZdG8fyRazdx1uJV7CxRLBg47k1l3ZRO4vAjHnsPhh5uScKig1CcKB0opdFe2pPu6eMRNnDcVH4X412sk3mNevFeTpdCKS+9Kv5O9r/Qdxez6+4/e0tHusaQybyIMlrtpl20ztaJ7B8eBNhJNw0HuioODhTngs0HsFqLneGq+rrG3sKR9Fm6PcpMDLY5ILa21Nl6DFbNKfhBTsg8Ih7uJ9tqOfkjBway3nB/AUrHIAHXzATg+E3C43k8eHJvAWfHvZojDoc1hkgtJOFQqPqqrtUOlYkOMLy9ol/kvnjsCBEkeYlVCZPSCjqZvUvw8/EtlYpapcRQduKfGAeXHDuyCT+87fJfIEhz+YHCwXA6E4ChM6p/N3VEqPorrGMOWTwMtYHmJTixbkQtqKeVe3X1Yo7Q1P6vScJRK0HHwoKgOSJmFTDk4eO+nf3twvNTDQRaplU3fuQCLfTVVBaaVQuCyoa7+CRouWhTBOudA6P0hTQ4YfW8KjttERxqOOotUZGLnKSdLhcpHt2fTxkV+qU/Awas5cgFSos2BCb+gQP6UhCMeAsMCMN8ahUI7FGMJS5+tz0A4HtLkgGHT923RjgwcLkaagaMXubbtmb5zMCGqU/RVDlYnROBAizH46p6JosGZzPZPlXBwexRUq1fEYTqhv6Qr0RVv9//x8xGjHHaYurA2fxZXzkXvS9W4K1hmLlMq4LuyDishWik4/hXUgWXh8GIsJhqWuFje8dyzR4M4IGMjKYyVXUIFy+sfGg5bF9a2+ndINsBzk1naeuVzFPIDjQ9rEET2lA8CHQaOYNFKFA6Lm9ErGEghVlIGqXRWxNVMXqcBZbbloWLjEhy6GdEjhsDcsPuZhk5X5ktpOHiMNKlXAIE3L1fPfYdIN9mO78nznoKjj8PxPQLH1jjRsIo25cpyZ0Xao8dJKpU+YCMOh9FNGCZ5aDjsTsgtHgvtLBS9sQqLdDBLVqRdumNwxMBKwRHGwIJvuuh55xQJnUJbSemG7bzlv4yPHv8WqtiXG7s+utJB2c5j/cfjw2E6S7w3KJYcHCxrn5rxvSno5KID393vma8qf+lKCEdCg8sNE3DBvVUJKrvJGS8uFvHRwcu/0zaAjI0CHJR1e2w4jGJpqQrLwOGUdBKOo1HyPIaAB8N4R2IBid/AxcBRjIFtWJgDo7HVbVvYJU7SWfHT7yOxQX3yEw2j+5F4UF8Cjo4Cpe8NO23n4HAWaeIBKGsBuAy/sV736S+qbojDUS71kXDMJ6lZ6E13w+AQzkovZ8s0YdDuNIjgxAY3Mxx4GFyy8qjxUTuUUyy1GGfhcA+8+KjMhy0O+4Qxqj+7Yy6rhMP+OrGh7EYedajvFcc9WUmUFLO0fMX6sMmtsfofBg6tDB/d5OiQjvGjZQ0c7VgXvTPmrqTDlVsTdBh1OYWbSB7KDI/shUgRDlEHFp/r+G4aNUM4K+kHqUyFq8ngq+EYF04zRDBtCnpKPHB81A6Tgqv2WLJwlGKke24dyi4obglBxBFUfo8OhKNiLeRyOEQxRwaO4YdxVFDbqGNcqygHx0daDT7UMFVt1VVhub0uSwH0zcl7UvwoBAeUZwVPOg7Hv8ZiV5+MsiqMoQoOReveXqjB4G7+XlyrODiGrwKHre2oFR05OFTBl90n/9IZONDjCehIwMHrwOIHjdaHVI2UsyKHWcj7amKms6Wd4HTGCIhQD9TSpzRIsbxX+rNZOJwvG3seENxIJ8gBDrICw+VlzXDocAR1eNKLHpvXD6WC596FGcFBMdPZ4kj5QwaOr2KP6gGK5Ud1KCy32WXBXbG7dUUHejI2wC1nmC96c3CIDbyCixEh+raW1nqkgudysNY+eNYhKWa+Ihx2i6E6jyW7E2o+u6IzsumKTWxUm1hxq7wVkQEcgQoXO2E8Q6OFYJuX3FDc5Eh+DffzYrXGs8mUeuwaDj0r0HL5S5gcenCPpfzhLBwsuxJMUV6r8DqtUDEpGwX7+HBw9B+u549/Qb3M7eFFTWN1klElgufeWagJqQn8ZLQKJOoPu69kj8Iw1Y81iiULR7akY8gFMjofDmm5Ki9EinDkAqSDJzksH5kNu+StuO8kVYDqbYsO+sWYNl4Bjh5vJdFs+SGHWatQ4c/WwhGKCLsuMf7V3n+Y/Ah87+F/x+AIjH81W6PzCAnZ1pmnIniemQy9LY+r7hjSWoXg6HE91BcxOWCYMHp50giORO5k8DMm7IvxCkA6+zgGz5GLDn8tNcBR3N1N9wyM4PHMtrRNDb6zW9oetXW45hdDpqG6wob6Xw8O17i6dNFZOHJrIiF0HhUcsqmwG0wF+T2u6+DQEjGuXUC95DqfJyt95O3+kK9Uf5xy8TKAA1fZfi04rE1a+KDKw2E1ddC08xjbfk9nqXRIlD011gVmxz4Xg+NHCY7QaRHi45w2T5MrIeVcTLIId8gvvf2h3z6E48vYo3pQfrZcbZyHwwXQfTiGU9ABGHxoDsYz9gWb3M/u8mQULIQjRSsWtZ9FU1rGR2rjhCpnpR+nv7kVr3cOyTx1Dcc7apWv46zgAMVSzt2rnEHKXlQPjnnevEPr7X7DB/a5082nzTHY1Vk4XhkcPy0cicumZzyLiAEM1OB828SeTXVwHKcPsb3GMVtJpHcK/YBG+q933oW6eYDoKJf9FOCwQWfPalc8AKXQAo29y3/pvxvZIeD4GcARlheH14OCwxT2DjH5Ec329IlKHzkV0M5p5/6d1SpmV5OvCAfUDL4Xg4h5tRIWeJkhKnTH4xQ8IwaHKQRm2X1eRWrgEBWkiVof2WWBoBQnj6dcU2Vg8p4G4ftrczQHB22l9uXsUT10sKPcgjIvOYotXHpwL+P6X/8XPRTWmcmcVpYYAxzlnvhYCOaJBrgCd974dSbLwMRceA1Z8loF1zKRoMt87CEHCPuiXqmGIyphdWgqKjG07meBEFocyeCQ2wAiHMUKUlpg5+f/tSFsAImXELAawVynf9l0Y4wUoogP2Av+avZoh1H0cSz4KyU4kmtXYCL38ZAUxCx5lMz17XKn5VEwgIOFOVKzDbU+UUp7jKAm6ngUX7NSW62e91U6Zzh9OWelQ6sj6IkYfCgPR37tyiZgY4L9IfFwUOaDJbiEGIOjj8Hh3Nucs5IM2c/3m3jyC+CYzdHSR42R9LXiozQU6JUrwrEPZAYPM7j2C0aos82pWRTs/4RwJKx/VcrnpGJgm6qcrBizOZrXKg6Or2ePduSwXBEOXn+jN7LwGvtaOOznOBw/cnCkcj15ONKjylnxv5L3VTqXW/4Klefh0LGO+JoUOwpw8FVvwXFYm4VYaNLCYa3BLBwVW60o/Yz93oQ1I9V9IT36sbwFOhlOX9Hk6KgINm+RluBwwe8wkULt+2Afi4hEt3BYAROH4z/1cJwuh6NyidxwzEfA4HKo/OMLFXOwodeLF+H4kYOjyyTtZyFP9mfcQzBwuG4MBTh+XgsOsdptNa3SYbr+a5ocHVx+wSKthiOcVQV+SbrewRgI7skwOFQAx79Y/4UsHO2teNudFa1Vyp/EvRISyygefsz+yqVwuKR9WJyVL0M0cOxtqTGHw4VILRysgjRjczyf6ytHzfccHHWL8lWNVtHvHrSv/ZImRweufwUcmYqxqrZx8WHhgCf6PQnHeyA5knDQKpgJS8+rHwqHo0oHqBqtgvU+f/79RbUKZhqzAfQSHOoyOJ7fSL2sCQcRgq5zjY4ZmuHQWqVmYcf4MX1Vk4PguERyVHRwSQ0DBzTxGH04Bh+OitSKv/8keEoVa9/YOtk6xLVWqdE/PdSRfmE48oGOIhyxQq66QXBgp6YcHL8DHOXOLSEcqGJGWYcRDhYDq/JktVapoqi3TTq+4lB9HRzpj2QCHalBe+WdcnB0IvO2HA4nQYCO+CVyT7bGUFHHqbhNO93pwm05H2KsAIdt9lnnBCqsJDVIJeHoc3AkzuTveS3wQBEStVKHRk+2Vqvo6f26gqPQYK+rgEM5OErvkinM4sU/Bw6H6OWRgSNVdZeBA0Zq/WwjHNVaRWvtr+rHduvAYWuM0/OlaOMzr2TvWZeCUYv8CjhequCYwpMIQCKrelvhOFY5sl2y0eAXGWvCkWtrEV8qwOE4eSat2DlBwpHK2CMcn6ORTzFGYk+VB0hrtIUWHHW2SaLR4BcZK8AxFuGAeGLiRSY4nqcAjh8Sjoq8G1YJvtkbi5w02sNfeLJlOHSQoy4cQo0Gg33ovsiohCNjcVf4skNGzJ93DA5+FgbHYQEcUDlqHzpVk4zxYvuqRdTsyo6VJocWHF9Yq9wEjk16iSKDQx+Af4vtnLAIjs6tloJqkkzZcGr7rsQArVIFR0v3mAccl8PBAx3xI0TZ2JJJYODQg3uyfFnTfzQc4ZaykUsRcJgLmwob29UtouY3XOnIfnHBUQ1H5hMs0BH/u8fG9jRh+c9w8uAQ33dLmD7eF8FBCZOK9gvHphhYvDlm7INf2xztWIfuxCjD0eejYLxlzhaLf2g9hPLhEFMZwOEy9kk4eAmpOe95V2wkkNpLI3W/9VrlSwuOdeBIrbSHYZ79DMbxPIglY3k4eOYN4HD/roHDrLevSKzX9S42A0yOSsHxteGoDJ/XqezolOHuCCguZPYLSnOmna0SlPV9OThSl8PgoCf+rSqm1QDHrl6rjNU7NjzoqIMjq7XzUTDaRzZ2APjTDId5NlMBjpcWOAZ/gWXuBhwccZuaj6HWkU13KP0qY1U4Yo8CK/eiRb9Y5bNTZumT14q0t3B8aDhUExymUUdVdozBUX7qteFR3fe64uSPPNaAw5X7RF4V2TFD7JxAcNh1cXIuORz/boajQXDILpPFD4+Vjmx/PO++amiUxrpwRF5U5T2lwZnwHhz+SjUfDpd3S17O0XLYIDga4fjnaJXKSrA8HNkeHahWTAgDptbMmgdH0DnBwPECcLBt7JPRzqOxXKjq57BTNQrAwVE2IWvDo7rvdflTjz1WgCPfwMX0ZcG/CGnvwfHpw/GRhCN1wXbdvjnPUBPAdp0Ey2EO0Co1Amk4VuVtH3pcHQ569LiZlwtM2X85ODytshSOM4NjhHhV6VEOLXAc60yOzG4KX2esAkeyGSn8leZdSwsbEEM49hyOYHH8Aji+m2vApjFbtCOKcEyNcPxDtMoqcORDpBv2t9/MU8CJE3AE4SreoUPAkV4IcjTXwHo/FM1Stod9udSn1uSYtcqXFxyV61bySz/ycJiKcF1mY5u5ODiezW/D5ukuueLBkcwRW8kh4CisrBZhjsITRZOjKjnXpFWgjLJuARYOExBQ16xtr8vK5uHIx89djKtXOTg+/S/6cPwsw2FtDglH/k1viYH1lSZHZhuW+CVMNCqRmhkF+113u2w4T+MoSo6+Ao4xm1wxKXvdc9pKevgLUPFWCcewGI7cpi+dbHteeqJDXWJF5XZTiAybe9xWFrUf6T77k6yQWnfcAI6NTay5GuN2OJ6a4LAdP9jZkndYHwNDrVKT561tHoWDNdaretYaDmyY9fBwuHKeuBEmX2MYTK0QHNscHP+5Khz1FaRX0ip8pV40RRl8Xk/p5+4h4HgvNDNwcESnJFJfzOA4UN42+CqD413DkdkZ0oxFcDQslNW+So1WGaviZOwLJ1xu41fgJz9v3LLhEeDI36qd3sSbF4oOjGlsOBx+mENsH/rUsSrBdHVJwuZYCw5V6cj2jVoFBADUxk9122mb8OEN4Cg2b6mGI+EKBqJjy+A4o9wJq3J8OH42wLEXpyvAUV1BCk5FhaU5VK6Hs2O2OXBK9lRlrZxbq3/y2+3h+3RgaiXWkK9r7G8UjJXhSEhTv8bYdDwHaXNMPECVgCPTudELn7fCUQqQgslRVhhaq7Q9FXVylQYaDr0KjPiCDuvKE+8Ix9nBEW1RNn/rshB+EY4ateLs/WT3aAkHvVe4xwFWA4XuJmt//mcDHJ8BHHk1Xr9QVlU6soU9emJHPlGkjuCY1ZdZtzm/eNvJf/SkiXcGDqU3zQuIVLkd6KouqwaOUouJIhyeYjHZjk3+AToTVMNRUUKKcMBtXQWOSke2sEdPZGwkHKyMDX+cvJm1NjzBEewrgJ86LermzA5QB0fhIK6KNHUxvEW+lRIMjm+R77D2LU/d/yy3bmFwCIs0Hz7nqZUCHHUmR7tWcZLjCDNh9iY68ObOIRwzDAiHEczeW3ADOMZV4FBut1D3CBwc0ZdbwPE//uulDo6/8LsMxrzJUZ9329RFOdq1CjxGXZvff4erPVLAkP0YwjFp6tFbGcATPvl3+mXg0G4gvQ9n+xkGRzTuLuD4uwmO+oQJg6Owt05llKNdq9g4x2R1xaizmd8gYHOGpYE+HLpnxfaAkmOvv6Z1u3T51rE5ch+Y4Xgvb+dchsPs7sL7Lm3yz4+FvergUA4OXoFUyrvVwlFncmitsgQOcw09JEx6CGH0IFKA9ACOTy0pMLeC8mbwBcU63kruA7CvQgmOoQKODp1xfigDR0LXN8MxMDhcvu+Q6BJnLr4Wjr7S5Chu4BT5joPjk6xSNWsUIxl0wVQIhyYG1AoSBCoon2JsHWoo0NUIR9M7Y+BIICXhcIVgyU0IBBwKu/uci/te1MIBWqVckjpUNnYR1+DssQOUsZ3nt0jDYVzbCBxvGoxRw2F8ndXh6EsLOgUciZlRpfh5YlCcI1XlmYAjvUOFgANWQVTIVbEwIfNphK343FVzeLTjcOiv7nXXCB1K334SHJsYHFpgaMPDxtDXhkM1wZGsVFrYqBYjpOkNoC+EIx5TDr7EFyZkpgK0Shn+foFWQcWgEytgNLjYv4ZDeyBxOI7QD2lrImdavtxccvwwXXHUkOyLUUiuJAbAkRbUKTiS2zv7cFSN2rzbUGdyLNEq6HSCctYoWDi2Bg4Vg0PDsH1GOMCHXR2OYp8ABke6b+KCLsZ6QGQs/UAWwdHs2ddu0gQmR9E1LG1hnvjWST98KOHZoWeKRYOHDBwHsxnvneFA4ZyxXV1zn2Y4MoqItYwTcCQvGIJBl8BxuclR2sI8cXAwKbXo0NNBNoc2mNIGqdlugmyOqxikFXCY0ISfGuQfWg5HZlWJgON/1sFRvWUw/1INHJUmx7Ao8ETh8w3qlT1KAm3hka0ZiXNo9YkldDb4vj4chVofBodXp85XkBc6P6UGTEYlHP9XHRztr20lHHUmh9YqCwJP9HhJr5js2+yFUwgD4VDWISA4sL2v7n6zpdqOg/AaLq7nKHX1t3D4NWP8a8vhyLk3C+BoFxzVcNSZHGPF8svI1+jdR73SQ6ZlOOnT8fD5MI2kMwkOLAgDds7Qf282uFhbkIsjpMUtHywc+gf2JBVv76UWw5GV5Avg6JvbBbfAUZxrtcjksCkyhXpFE3FAaaFlyZkSb0feDM86vZh420KJIWZ0jW5R02WJN3VnOLIXL+D4XzVwzE+mWZDWlXOQyVG6u2Umh8ufOiKmySRMniedgY3CAe6Zy8rqWgjmslyalVV9qUcBwLFDrSLgEP8wIehGOPIz6eB4/d+VcIztnT/r4ECTozjVixxZ9hhRr7B6DoydAhykS+DzBMcG4bD1HDuA4//1j7pwFDeLsRsEzgpMdJzoE3C0vLmb/GyzHsb/dxUci5RsFRyq2uRYBIctMNYsfJrptNWw59EIFBIKBg6wYDsTZ5p0t7vBVXVcCkdfDUev4WAfHVaQHKrgKDXD0Q/tj6YOjrHK5FgW5eCVF7OA+iQ5hZjp8rODIoPUkjdfDjz2/YRrZZ1FNMABvKMuG3VwkFbhcKhV4Mh/uBkOt/i84RqqCsEaTI5F3mPvVs2DCaizGhg/gN8oz5XVP5r/xRiUsx3Xc2WrJYcaZrebTZ4ao3DU7Z9Xe3EL4Gh+U1z/iBwcaHKUhMLCKEf0UHQn86z3YYQ0MhraN9SOKjg0f2o8itKI3rNO8wsiF17cH81wtA+WlE1nDcnkKIbAjstMjswAF0StnjWpGjMceeIMHL3XftOHY1lBR+HiOBwvP1vgMM1Qyq8TS8pm4Bir7NGlJkdmfIc8y/TQcOB6HgbH8MhwWDR6vzAxHCwGlrYpRIfMzLGWmhzpYUIezTs6rzCKcPQcDneByoNj+bbUuXMvg0OjgbXMVNCcvUMBR/JDVfboGiaHH9+1lbCrWxTl0feFkCLFwPzK68eFQyEZH2aU8KjZ341MjqI9elxS6JMfZC8n9jm67uiHOjh6z1pXfiz9ynD87yo4FHhv448POd5zG9lXwTHW2qNrmxyqU9C04x5s6Mq/GjiU78oFiZaHgEOzMYwf4cCdoaKjCo67mRyUtrjPPoJlOHQ0Zqf8snw/0fIgcETEhhMe8a/UlJCiyVHcimW9KMdjjHTNMA0M1VH0WMLBs7KuTvAqcLxwONKrIZnYgE8L4ZGgg8OROvAw1VSBLazleNzRD6XuChA996115cHRNcFR241V/WF4eJkN0pciHLPc4GgYqWNlR/ScFXCQyVFhj379Xvh89EPhdhgcnj0qJGgtHKo+ANEMh/Lkhh1WdsToqIejxh79lQRHOTUDcASvTu/D0VfBAUSw+ENBfrTB4eSGD8crSY8oHRVd8ftKe3R9R/a+owaOftcHJsdxijWpysMhY1MVfDTBoXruprzI8Zq2OzgciWupDoH9WiZHEQ5MBQevzuCr4DIcCoUGdyZoN9H0yVvgEGy4RdevIER+Ih7vEY+2Bo46e/RXMzmKcOisbd/5AUKtZsY2OBCNMACR22ZeDfVwQKNlNn5akfET4EDDIxLvKMNRaY8uaOjz4KOk9iGlHxhkAIf4oqv2ic8haJQADXAiDkk6GuDo+zC+8ZNsUWOAaOER9mIuw4Fys2hr/nImRxkOvSAu1CrHRjgSgUvzNifdj5+VcEiDw+HxKnSM/jmI+ZXhGKrs0UWtFx56qKI9qqsBA4MMWqjWw6FybIAlEL+KBjiGaGAUxcUrhyNoqVoBx1Rjj/btPQQffFTBEeQkoSpMQpCFQ5sbQtjbR2VUS/wyquFICA7PoyWzw/t2EQ5VZ496fTladl26cFy66DE1quAgreI+qX9h4cBixxwcjg35sF5LsoPB8b+zcPjWaAiiJgPx8He0K8NxrLJHxXImNYxnt3i0j/7Yucdq1gbNRzn0BwoPsih0bjstONXO/cN8ULkYdi8WssqguOrt54aDDE2WwxzD2Me0ipsILAjJwKGsTvFeZMZHfNldLRwqYo2KE75+kOGhf3hfBkeFPerMElpHcqADnMyPvfuxcyFV/QGKwMG58Ej6GHRJOv6cohNORT3xIP9Jx9dtsc/BbzED9Oa+3h9tZ4K9Ozf+qQoO/80RcAwjYp6EI8MGoyOWHK6Fox/ibFD2zZ0MDVR5qiIcdfaocFaUqdCxQnULy0zwR/tshhN1sD6ZD9t9d/Vp9W/hvPS1+BWMrAEOYxJ+xGPSj/QZuYCWn5v2qHGvfUkx6hiYv54HWvqbf6sSHDMb9F5H2HCWR4yOSjgS1iie8vUnPxcEw6RNyuCIA1Bnj4rCczEZ1Nj7U/6ov7K3G+rAh+dHZhrHnc3OuNC+hD4QFx2A0xtdw7M5Pm21uN2J39K1MThi526Bg5JuDI6RCRJaa2sLOnw4FFVYxMSGpCO8lEo4EtYowPH6IU4F/5GdM68BBzwOs72HfsrUh2Qvpl9N4rdm2TR+AhY6UkPj47M9QjhgDTU+bVg5i8dXk30aG/nQj6Izlj33jp2bHlwpYQ+m0tFLSQp7dCjAAbZikgwQ9vgcIyn1OjiSFkcKDumwlOCoz9c7tY7Nqk/w5kLPP+wTyH6EM+MDx99O/AHNYh762ozQkQH6H03PiXWv0H0BL3wwlepvsPjWrNN3v6VrcwfCc59icPRjVNWzATHviFaxvosqwIEGRxYOIzvCVrh1rmzS4nBmh8XwJXRYinDUOSseHLrN/WCI2B4G6OEFvWr0M8CHc6SXfP7Fod9D+5b9CVvFHaivzZ7gwM7m0Wtg/W+wh8uk1+LrVVD9YNbmY/sXOKvsqaftjEOPPcX0f6dZElDBG9T6ZUWHhsMr5cBXyZocYxYOCkBk2bDCIxAdlXBk4mt+YQehyEVHCY5NnbPSMzj6k9l/DYmYdtoE+KQfzVp52JRyPi6usMcHpFvFHeB9w742YLL+Bmpmz/dEsL4t9pij2zniCn0Nx5HOt31Tk/stGSAODjz3xoA5jYfBzA2WruZuW1+EX+gCO0YdLBzHHBwYgMgLDis8AtHR18CRMUejWH54oqMExzB5kjM+OBxmLy4jLjQB+gHDf7rf6CkPJwvHbHXqvl67zhFg4Zh2e2OOODjASdA3MYAnShMHzdL1Mf6CH12f4zcwUP8yJxVwRM6NNzEW+z/3Y+DIDcLkOE4ZOFBwlNkgzeKHtqvgyAqOyLnh1wzDAhyqzh4NJMeho9acG0OAgcP0ujqSgsemIu4BYXTBSY4OpA78wl7UUV+0VgB718gDnifat5/aXz2YVrZweIJjL+EIzs3DeGNJsQxkjnGTg4dLTTV+HA4UHGU2Xl6jiqUGjpw5Gjv3x4enV64Ah8K3eaf0WTaw69yG9MOni264x6pQB22hPQtFVvU73fd7BwffXtjs2tWTt+G8T7RvP0lcoAZT9Nu/QJhtpWWrr3FjVNrZKRINx7mwJmLwQ+eeyWGCxlE4oHCvQm7Yh+Yplio4slolgOOVZJR72CU46uxRAQcIBVPwsjdNIUE/mB/hAU+sXx48IG0fbrHPrv5xHMAK3RumDBy2y9Mn7VbGe7lyXXJ0faIw9LWBk/puj39unFd4zjnRocIKOci0OJNjSsOhQHDUsRHNivWuniPpyua1SgoOplcKcFAxRzG11fMqBnhkVA9lidj27kd4lfV+GBYOCIjxIKW2DyfgaG88TQMH9OI9gvM7QDhEaP0TwbHjcFDoS0utEI7g3J2VmOeMTaqCIIfclNlOSQwOdGNr4Xj13uhOwJGUHHmtEpzd/N6ZNwU4aI5KWgUkjP2+C1cYZQ9wHBkcWs8MDg5l3Ascb0Y8UBSLvFw6/N72lzy4rQM798dvO+qlvrdx0eMzNVffHgI4vHMf3HP2LAr/lkf/7/gbZnIk4aDYaC0cEdHRl2tIC1olBgeG0A9NcJTr/xTPN5k05BZd0Bgcul2oa8NKXc8hxAkeLnm6YK+AoID9Nuj4R9xvGDySDrb84tdBm0Z+2xmp1YGJbIzaPoBjMP6sPXfn4PDKQfkId67CJi42BJaH46Pa5HgxooNLMQmHPdKHgCPLRgwOPFMbHOX6PwGHXcYzT3ocDrAMHBz6T7MC2WhVoTGYbMBy/oDeMlKHOA0c2rnQjxcZ8eCw8oTDYTruD9ZWxQVEdOXBud2N53a68lu2+CbHMJmedyEc1a4Ke3AfYh0sWw6ZasFQ0CoxmwNPZcVPHg7aC6xojyIc/MXAvTAP9ICUZ3Oga2vhGOjN1kVUGLCER3a0nc/xAvHgZteuvYFDmqOgP05mb46/+G+ZrTra5dlwbg2HPTfNixEdCXtLGhj4nSObK5g6giPIyvaNbBjRwU4fXyvL4SholQgcPwkOG6nJw1Fpj+IHRRz5iDmLuEE6UEwbJxdIeIOww4GeLIbajy4dtw3gGKCdtYQDVFDnS46BmhvPv+0hCLPD+zrQubd47tFJJatPZ4c2kWIBMSHIkSaHS8GFcKhixi0YvuhQYpV9rGFcSatE4hyGQ3OQteCw74ltzqN1hYDjKH48H44m9K1ObpfuTvcB2x5YEAxt02+nAI5TAIfZzkfCoR0RSv+eD4BPjxbNudsZoeXOTRYpVvHovGtCdAyBSEUjxOrro5m4EI6+xVUxr/WHMEkr4Mg7spELeDVnsjkEB0fEJ6n1ZHGujJLAVs8KkmkWDsbJuT9SqhQqc8zL6x7Q9vCbzbvssHh5rIGDBEcnXdn9yW4sSCfVZumzMWtFbOq7+RdtIZLMv0kx4b4iTA583WyvSXMiiFz+DJ5NfoBeYY++CEfJ5EjS6fRXHg6M85Q9WQHHkWbBKBDyE3T4/NPBQePsHqnpQktwfHbWUZ3/oE4s7ZKAA9STEUVvpgk2ODC7/7+9d+ltJFcWdQUQxppun71P37kPGpoKIHJ5fICCxw0buXK8sao83nBBV3//Jt8RwSAZzIce7stBo0uWlMrML+MdwUOyXYxKu6Rjv9BjpzM3LWcjb3Xk5igeDQaCpVkNqdEqvWx4PyL+lCYcSjfYKP4CcxwRHEJPFqWcJn+9nenJ5VYQHC6pbj9g5bTK4DAB8KcMjikzSIeQv1cp8QZ2tYFw+OBmxMkfm8Ix+0rDxIkOBb1Wt7BrG3ODDBxGq3Sz4ZvS4r1vwtEyOapwBKu8DUfbWQkW6cnfBKPxrQMJUrHgf82GwlbAh+jG2bYyzO6kK/BwaiW4vdZUTFlZ5e0ClzkBcNg7/WG/ycFxiSVGtid5vl22Usz8DO+t+GOfdDj2e/g6HSSDZpOzyGv11wrJEvCwUDisVumHA5fiADj+4/BfHBwtk6MGxyiAQ+zJejjcd3od78S5K5kwguAUE1y/5+81pp6r+321xVwfw4fL0Lsc3D9izPz0FILo4We8O8n0HoJg8XKYO22qjPwGC165uFcHfRpsvPsLDlx12/iMHx8+5fMUvy6ejxlsnl8AlJt3H8CuLcjPZnD0pFXwTUsmKZh9zsPRMjmKbFgI9aZwOKMjRg5mC3L6CsWgNrjknmH7vx/z46jdvlsf2voi9jCWnvMYmbLlX64SbBxBYPPVioLRhb8AHLbKy3yR3XLWf5H5X/+q7UqxOIQrzB87nbqFXY95IMwW9eBXsVaB+VkKh63dWwDH2ycIddweDrmzAl07m423oWjz+JpbOXE1pL5mI21VHquK548NqYZUhRpSCIH9m1FeCY446WB2UULd6W9gabhIOtqEJWTb4rGDeQrvrmJMUptU0xWtArRsNoKhI1kP1k+sVzAc8etA6LuhVcpHSoeRwCGwR5EWjvfD3IbXGAcHIXEAxxOGw19E5n9/xwtvbunFX2sgOQAG/jPg0xCOKAnBsUMhevQoosVJd34058p0SxOtMqWkHIFjQQTM3rIfKD61Fo7KDxDCIWxocpfgX/GtMZdgvvHpEq8L+F8WjvBBApLDC+ymDHpaoOSIg7r/J0hyKJg4yVE4drrZVmJoWvRjiz2INFFIq0CTI4ejfm8qcPxIRsducLx9GvXlfOY6HGJPFkWFFBIRoVgU/+8hwPGPl3SDQI2nixzFCDfa0sHdeqfDeDjCZw51OMCxT6SEEMAxm6QEDlhGHH8T0ipR7pxyOPoSsvjGRaOjZXOozsQK4jAcpgaHtEbQLRBP1r5m/5Qu5YH87yGkUp7iiLQTusQ6/W82DwVscAIczfhFf/lfY78RvYo/gI89oF1TABxk/xTf8kgEB3ZfYhW6adUncGhZ0XkJDn83WvvKNuzR+vFFcHQ4K+TZUbANGe2s1SCN3YUrn4bQnvDQnKDAHRt8BNgQrlQ6vS1XKjQoFtup1fhxwnAs1CoBjqBXVsLRPI79nioc02I40G5zCuSL2vcU/G/iJLeVm79nwYAQ+BFoYA5QdBixmAVNUcMKSKwoOxkKwrHUkQ1w/BLB0Sg8/9kLR96M6p0VKRx5KuqRF9QTUK9oO2eUCg7YBukvxYcLkmRwLHJkw72PeqUFR90e3QAOedotXqDvMxcMnY2OekUPI7PvN8ik2H/Gzw7TBx5vvSgjC+H4ZOD4f3rhaByGg4Oech8c3oTsuQH3vGAYK8ExszFRY/RAmuu9Be1iJBkcy6IcdTj+VyccreO/+exKbUsNael5uJxjz7vvfSE4Dtp7XkZu5Gwo7E/Zf/pe3ksGh+DmVOFwRodOPCA4/i2Bo3WYNz8AqgJHnyeLvb/HXwQObf3SQns1NkedO/PhQ+8Ujv4iMHzXGnD4qV7VMEf7OAI4xj44cCnUoy/sfBnvqMgGMUeTVjFfQuBYUCFI6KjC8eadmfVwmO+pbOPV58keUNzq8Rfqe7WrxAaNmKqUeZn/7wPv1LTKHgVtJQiO5y44BIeXwtHhf3wrZ1YN1IKyIys5NojgSEEyO9YZw7HKHgVwDHU4amEOwWF8e0Jl0+GehD24nt9Fr2QWVGn/pCA4YsorDhQ0ldF/ITiWlY/a2x7psOAth0N0MA/HpQhHpyd7+GZGRwaH4mP2KkiKkIS1UTL7vx6OC4RjqeD4jHD8wnD89wzH/yuHQ3T0PeBQ38noyDva+KWHkGTz/057ahhMTlvBEVuOODjCd7bhkB7NnFENjo6EvV9jn5Fy10sa8KXFHckcdfu3JzguH4uD52a8z88yHGlYdSjwuw4cXVpi6P7E/S5X2tZ+2zjh6T5Dqiy2MkSP6+H4/Bk1wqfrKsFwpOKOFhzCg3s4phIcvTEw+5u+kV4RwkErBlXaXlcTOGYLZnlXwkZwiA9ozkFP0V05Ejh6wxzhgn4TvSKDQ9N4+pAEiZ2FZTb68tf3fFrWsvIGH/tPe9/AGFIOjuLcFukhHRwKwDGuhsMFVb+HXqGDA/g30TycSjsE+GAYgmNRy8obvLcejjSBYU84UqCDVPs8XTpjYGYN3Tbs3S4JHHYiJXqPToLDF0UmOMbTsjAHshg+baADNLwZONK/Pj0cqyyOAMehBUffjfbN6V2fudOFM2/80rQJ3/bHxTy/h+NrMzjctn2/MjiSkqnD0XHIOhydCXt/Qb6P0ZHKucpvyVpaYAeULfI4ATiMWlmgVbJb/EvD4vMOOH5yX389ONQ3cmZFcFAPL/XkK19lnLohl8GR3+Nf+lSBw2X89oVDLYLDGx3fQq+YU/ldh0PTdBQYBBRqn/Q6ON6WwcEapCvgwEWkS5yV8LHvoVeytGy+SLIFqZk44QPC0T+Zg7nHv7ROcHxaOFIariY5eo66CxzSlMT9LwEcZMHGSRWykKn4/Kz74eDusQQOTnL8ZI+wHI7+25wPUnvUtQQO0rtiLsT2cHwiOJ5nOP43rTBmE29dh5XA0W09PH2bCHo3HGHfLveP4NRDOLoHPr2xcHxoUHzu4IisJDh+kg//ZI9QOm7WmwAf+GX26HcyOrrh0CMpJF0PB8uGgSOJCgzHWxmOnuO+uZlxm8ORzYt/1IX2D5YsDRxbv8k9TG0ex55NVvw96ofDBTpWwuEHCsLJfpvA4XTtN3BmdSccqHncZ5kOEI6PUy8cPBtSOBYrFdPiYFkAmTe0z6Ev9Vl2Tb9FBJ20sTUX6uv3wywPQDSbQrC+8uKC4Mjh+M8s80YlRx8bDBwwHtg3fgFdo++iV3rhiIO9zRqi6QXh6JQcFTjitxTgGNbC4b5m5OFYFuY4BJnzDfwVYbUPu7zJgZo/zMy8PslRYAPB8d8yOPrYaMChF8PxbTKzooKOwrJt9xfcjWy38ujegmcFHMsFhwiORS6pz8w+vOhYAYdyl89YbKlgZoajT63I4WCqffAnOtl48wOECnB4Z2XJ86/G76FXwDYhvUunueDp+nZLjhIbEI43D0e4/W+/2BBpJxxh0AOAA9YJLvVk42cfPzO7Bo4xyt10fS+dcBQFxwxHTMNmcMD4+c+gWzrZ2BOOb1LxsxwOBQa46nh9z51wFNmowfHDb4fhZxZ+/vixwOJg4QBaZEFHE76qj1/xsxqODwLHqavhrSw4IByfDo5/spk3C8ePfjbewuQxVGG8ERzfRK8Mi+EAQSJYzuHsROEdKrMxwxFLSEtwuAlCi+edcns14Zzi4qf/m+iVYekVGICrF+G4fHTBUWHjl4aFYDU43pbBAQYlcyPj1sHxTfTKUjgUFLsxd2VYkcNRUSocHPmwyRVwvIER6zU4ll3VlJJ86LUYDjgva1gGR4UNC0e8kc8FONzWtYvg+EybyWkuZ7+0Dsx/evgWeiWbud7xuXj6UWt3wVETHAiOTwdHKgV7+zeEY9GC27rAVupwft1TffAKG+wt/PidrIVwKDTYJMFxOoinkFbZMHCApCyFI8wTXLw5wxvcEGoHOL6HXlkKxwg9vQF4sgfpSLAqG0I4Fg88fYNbyXFw9E/1wdfnW+gVvQyOARrzCsMhGyZYFxyknCODww8HGZbqlc+4OyQZwhBPcEWA1P6076BXlsERusHctVTjLnDE7yjCsdzo+EybhaEQaerI6YyB2WFqYA8Mn3x77DjYMjhcXiVu5DMtgKPOBgyQBjjyeYLLN/1B29eCKNiI4ZA/+XowvV1DouM76BW1CA6vVcIkfQyHKH7eEBwkteLhiK8EOHqiseTovzQ4mzxEWocj21LH7WUES/O/g7+yCA4VTA73z3RxN4Njtkd3hgNO3O2GIxvW6npEbTdg/GnLczP3shbBEbTKCjgagmOGA0znYOAIMYpl88fegMlxAFuvHqMeGCD92UWj01rNGGfrqE1pK95hTRTtPpaBo9smH5AjqzI42nespVV+aZXDAUrBYgBrkeh4gyYHhCP6sqoKh6ZbnIVxNm4viWCJPbxesXB02tQKObLAoPMDLpxFWpMeLTZmoc9IjizztjTS8Ym0CguHC3P8Fd+DLtFA980cwwPmqvl9nciqMNo9rCVw+MLsc9Ku2Ni3W2rUnugmG8aTTRn75woci3ZowIKjAkfyTKEe0WSDZrtxhIfDjf01f/4ucPQpRoV9FRAD85eoCUeTDdJG7eFgdg91x+qlowxH8GWrcOBdVp3giOFWN57DBD18GeUD6xW8R7LwI8hXgTEwGLis3LIt4Rjqh+LWG9YqEjgGgIMiwxWNJE0IWGP9PKtFjQyzh1wL4CC+CpoW515YDYcd3ZLBkU3oOBzC5rKdcCDBgeA4s3AoCAfVKnbHGfAvFxudF1K+j7j64aBaBU2Lc680ApdvAjhUHY5fCY5u0fFmJ47BM4JweOFH4ACKxAzMQ9JgFhzQ3wsJa8fGQzuz/RXGXqvAupioVvwrDUOgrVXGEw9H+E4Q39RDr+j4JFoFTbhGcKRMCxw8MWJVYWBAFzA8PX49MhzdFcZBqyQtmyRHeKXqYLYFx6w1FErKOjj+k4NDOfO3jCJzeKxVYOYt1IJhONQA9caEhQE0R8PbIR2PbJH2wpFpFTCc4xzfsw6O+eapOB/OhDkcHEz8/NBvklrBQWJY2SaABI4xRTzM/GbEghn2Te6/hnQ8csVPLxzUHEWTW/wr9eiDAA59YOGA3bLAy2yYv9nRf9GxO6jcx0WwJqgRZh6gViGzbKfcrNA+hvw3gyMKDtj+QyJIjax9W6uMPXC0nSNKZrY1Kuhr4uAImRN3akRQwGHf8LKO3wSOHoM6Cg5gvedwpJbIN/b2NJZJcKLoeYAj2iEIDt9QLYLDyKX8Zg60XZbCkc5smLAVQf8d3zeOf1844iswQJpeCzcrv2UCrdKGAyZVvdUhEh1vn5k5ai8CC0c4SbshezwzYn4OBZNTBdXywHCoTjgycxS22KfvCan0t/yWSeA4HHBqxcPxBx1F6n+B3GGxcinXAtlwfAdHCNtMqJ+FapXS3bdbv0/nBw6R2iCYPIinSej8gMIcAA6vVxg42jaH3cAWjC9uwRHGuMjgGBtwaHdSAA7onwwEDhIBI1dLZ/uRPNSycMh/vs5jwiBAml4NBT/c89yEw1xOHAPzcMAhxig54lN9EjYYiwP5so5wDMcFwSExOcBPo9bvAy01duWGcq2Sgs9wuxJf8MMK+6ZWMZczxsDeBHCEMGmDjjcnlpizrcIBNYe5XEijlUyO9I5HhmPqgcMLDnQ9wPRiaCTGkUzdcJhHWzXgePu3Jj/MfjQnkR44i3G4c6A7D0M4NIiXg01T07/rF3h43Myb2/qz591Uq8AZpPDlIhxvDcFhtcrAwcGHSN3hBKKjKDjynYcRHMDMMCYGPE3673yp4XGTK0ZPiH89qQ/0rxXgCKIje5pbcFjBgWrPExxpZhwNcjbpcEqFn0muaUUHhAMm1sxOqfAbhpo96i/EQ8Mh92TzIEfBkz0AvdILhzUYu+GI5WcFPPx3F+bVo7xshCN0AoPHZyDm+9BUyjMcj2p0KHq29Tfn5ijvyR5iZOrzM4+R1uFwZdxwIBgDR5gZB3/c+K8yHV4o8UoF5WUBHKETGNY1EWN8bCrlR4ajx1mJQQ7s6KN2t/TNIaj9lt2tplZBMTAIRzZQEP6QIciOkg1cZOOAtmsy3wzhACl5erkEFhsqInus1WWPhnjwX+hFzpO1X+3DlnkcrK5V7LeQAGmAg6siTQdMdPBHLCmVA4LjkuCwf1LAzKCXSwsstseFo8fkYLXKgbdHD8Ek7YUjDieObxbDofRQ8p9bbGS+LICDOCvEjW9fvqdHhcOaHFI/PE/ImlWGI1SSdsHh45dL4EB0QEC8TqltngTdFQLHQD1ZCIcgMfU0/tV4x52uTpPDZxnhnitJIFM4YolWZpHW4PCbMBXgYKtIwekAzUIlUpUN5K6MCA6FnBUiKSTPlhqlovm+lhomedcNF+SAdn4Gh0pWxw8/aLgJh6/TIBWkUjis3cHuU5263wsnR2dcv34FOEbQoUMkhajRWE0PCkdPSpbJuR2gs3LMpGcUHWZ0fdQubzU2Anlph+H/hnCUQ6ThjLQec+Hxy7BRz4DAvKy5mbFADsEx0pyjDI5HNDpUz7Q43hwFcFwyOLzoCKJCAEfwNdVSOFyaHAuPGY2Putw45L5sgmMqwyHaPlFND2mRdjU0KSY6eiiHOdwf/UC3t0/gXUoEB6kg5eD4LIkC04g4Rj5M59mHIG1OC9AjHE8QDgKDKPegJnGU8Z5W15hJJufmvqMQ5nAfYkq0qoLDfw4P5wBwpBJjzl3xH9a2yCasGQ1B1rwIBwSASgpRcbZ6fUQ4TOua2JIuaBXoyXJw5O1oFa0CZrj9qwRH1ZdNx0VLcm8AHNayjkxAAMgWza4hTDHfRr768XzZLlelpFVSTpY1bBUzjaFtcUA4nLMS4agHOsBKaMjObyB5WQXgOEM4UPWs+Vs2PC776sfriFR2RJHUVWHaVdzrY8XkOKQMS9Qsb2U4fqUbqVfD0bs06bQPcCDvdcCi02qZtmB6QDhMFq1DcAx5CZh9vWaP2sOQOovPXK38DEolgUdjYBEO0Gi/7QBY2kwd4QAOiiJbTEjheLhAh3NjxYKDD3I0nBX/SSQ6LBw/OThgypTGwBg4ir7ssjVDgH1ZH96AY7HcRIL4K+0lPOtmMY9+OHdFjz0jiTQbHT1AVV26ABqbHWF/lEyAwBAmCJD+N4ZDEOhYuBh3JcIRHOyUcLH/tBOeTs16jYfzZbviX3wJmPsaMkiQ+2zIhv10TPB2KR7SdQM46N4JHg5dgcNclLGdkn80OOxsonLpS/52H+SgH5DAoQAdb58FOHBRuEpzz68GBx0p6OEY1sNxmC7b/tSdl+qyRtmOBP89X004QMUgMk1/Qs2CQVWkghTAEd2Yrd0VmpfVUwyGpc43ZHV5VvTUCmM8mLsy9LixsZUpD2WkK1qrJ8N1FvHuJunx6wMLsSxAmuDYzZelNcaKgQNfAx3gaNaCPRQcfW5sCIAx9x/Yo1XUEB2Z5PhF8+lgY8jnChwbuysg9aYPobW+Ascgh2Pc8pfuvLrc2LI5KnFWwlcAOqjN8SvLmVbh+LkTHHletgWHuybtlPzQ041869XnxhajozJ7NByzWKM1fmSGcRYgTXCAcp9/bwwHKSMdziwcIMzhWGmn5B8Jjr6kCjBH82+KkaNjU3BqzdZo/WLKcBTphYRwXCfQMUrgGAMczQfjgdyVrqRKxY+t1gjm782rcKyXwoSfs2qOEhz7ZlfsNQJAKA6Ok4GjcTHV9DAWaa/gKJujsAxMcPauCgeSMbJs1OHgh8ZtsIC74ixS+/UVOKYAR+vkHwiOTsERW5mY8xsKrZDFQzs+YBkO+7bMk4VwJJWzsS9LR9U24LCe7Kx/VNNTrYyGurPlSnw6LI5ClY9ZwB4V0aY0XezvqMLxx25wZEM6DhgIAsfg4RCEMR7FIu1VKjXB0eGspM8IqnByT5aDY+soWGaR2p9bgeMS4Wid/YPAYXLv5x6lEpqnuc9kWzRttHJPtgDHxu5KvrNGTa30wfEIRofuVCqK74H0f+xwVjqWEsJBRz+tPi4d0mGWAA7d7P1Rj7F3ghUcHU+5KqZVDqihaVM4aNMKgmNrXxaUhE6kselA1Ir1XePbx+DC0W0UmDN6BHdFDWZoao+qLkfOD/3OinA14NjWl4WmD5rDkEsLn6IPv3KK/r3Il717o8N5sR3CuNSQ4BYwObYU8IyzguBI7sp6ONBefgwcSK1MDBzmf9tyoTk57PbLTOOuN5tnn/ABMBYOVe9ZWbwAHM91OFYfFkcgOHdlGzju310xSoXuiNr6xFTRKqVRcWsX48lCOLb0ZdUE+785d4XCEc9UQzhamaXh7i1SbQyOLklcFRydwXPx4pyVveA4vEJbmtnrTQSHxJe9czhs4LrrctYFB3jQNobjswoHnNGx3uaAlShZScdhKzieLsff96xXZqXS56gAwcGrImkZWOfKBrcU4dggaf/09VIwOvylksEhcFfu2ehQtu+862L67XNLQbMlwXPZYbOcLIJj04qOGQ6gV2B7wpiIaMHRjnHdORy61xgFRT78x6A9uqmzcm04fqdD87sPN+FoBzruOoCuuo3RlsUBOyG3dVayvgQCB5jRsQUc0OiAcHz4lwpwDAiOR7ZIrVLpDBmF4Ggp2t5sk124uDAHggO6K2sPZuAAG7hNWRgMzP9eA8fTHW8+rHsdFVDHUboByXrbGA7aYZ/D8XMzONQXTAzBeh8wFl8CR0OGPXWMmL/uUpaNThEcsyqFz+1lj/bBsfbIRnK8pGQanO9zFsNxmB7YIl2yDV25HyG8YdynmCMfv0Dh+I+tomCnAAdndLwki7RlkBa3D01rVlj3aXQs2qKwmo41S9YJ2b9ATvYnD8fz1nAAZxYWGXujQwRH6wFRw33CYZRKd81UU3BAe3Tj5qI8YV+C4+3fq9XKC4Zj5CzSUQCHwF3ZVsBus/SSrU1rBWBuiTshe48cnZUiHCkvuzrQMbgzSP9mLNLQC8vB4bJ2Mjjuz+iwxmj3JazXcbh37OOssGk3Ascf28HxSs6AsUhVuHwYDrS56MTMbybnNX1tK2G3WFanLBccxXckk2Pj4DnrrGA4wNS4NeU+p2iAHoEPAuDwFmk4hhpqcDTdlfszOmZjdEGNdiw5L1/6AdSPbgtH1ie7JxxOUKQIus7DYIcwhbYGx1fzKswW6f0YHRYJrZfIjZBxq8nBJH+3fSDYtBuBA2RX1oB5cjEwZHTAMBj1QAgcY4JjvvMCo0PY+bX/ck1DSg9Lejva1igKge3krMjgWHfwAMef6fDQ6CBfjkedD31wSLaDu85SjYbD+oebbux+JgefdivDsdIiHSgcQF2m/oT4tyIcT5ejwCK9j/SKHXfwsQwNm8FtCQ5kciz+mdwCzkoZjj82gyM4XPEVJveW3p3B8RHhaFukY9vfvcpyW0rIp8KjFSyOmsRWe5kcXCtkBY4fK+Hwvgko6YClgvRmEjimBIfAXbkbo8MNOmhvT8R/uG2N7mdy8Gm3DA7grqw62nsu/SpwPCE40BZOxl1pHGu+ZPdQ8KPcXjTLjDV+nz/6ptQlu7F/ls0u5uB43iYvG8/iCK7UAHNv+GbiWAWFo6UzJNLlCsuw0dcvnVbonK5HVXfqSig6KxSOpHvWZFfSrqfwF5SNDgNH6lAxvmw0Ql+/jq25XxKA9l82Yl4p4aouX+PTEIA7dSXwrZAMHOldy7sTwD4Jf6KX8/RK+NMAG6kV7EiYfVmR0XFzOIzFUavvq61YcV59DGBiZS97tA7H52o4YETjDP8AIx3kMiA4ULvKfOMfBI5hORw+cN5QSXrczx6NcDxX4FifeoNsEDjyKuP0pzIcX+2eyDtIrygnOPoG+ITPBqVS/6jeKwQGnBUZHEvLSBW0O7GjAavBiNGhUQ8C3IHJmCNti/T2cMyCox3h5JdMqeAox6ZwgG63/1uDY20xmLJBvGMBjrLRMcK7CzepF7krQzs9t/fygmMRHCKlAm22osmhXHi2M0TLl4FtDodj4+XyxRnVKPd2pkYHhAOcnIHjAYwOFQRHPxxecDSNFahV+GO4b+p3puVwRNNkiS/rTuAS4MgCoRWjowCAkrgrty/4UUFwdMOhgjXa+hyAo8DRbLqYq98109L+hFQj+FyFA2RX+uHQ9tcdx7EARznSoWtdPBI4bmt0BLNhARzaC47mhnZNkyPQk+U1W0sVnJUyHAuyK87Xupz1qz+L3/jv1UhHGQ6J0XHjKuPQqNYPR4yNtn4+3LuLvVboDV0Xo+TJ5nCsMDq8VNOHAAc9iUpNRzFdZS3S1gW/cZVxvMNTNxxSpdKu5VDl9ETjmweuoYmDA7QndMLhAqNm98P4MzM48kLS+OkaHE2d8dTIZ+68vFax8fPOaRxaplRQLUdhkFwSyy/HHme3aI9uB4fTifae65CTpWU6OL0i/F4JHLc1OrxNeR47d/g7RH0kEBytWg4oOF5i55jo5xfSbhwcyV3pOU3Ahut2y+3ReiFp8YvHr7ZGVjesMtbBphw/7Bjrvqs2Cu2U5nahT18Ijo7cHDt9gYdjmUWqrcbwplIRjprRUVx49nXpTQLDZKdldjNxgkMbOdADRxA5gqdcNSoE1SuB40UcyC+UgbFwLKn38cEvbwcF7ZePcqukV4prhqMd4sK1ZFddOgmOXjgiVe23tspHiVaxsgPK0krQlG2wb8IhVls+aB6aYMPv/J2/sVJIWvzySZCYtZuf30R0KCA4Zjha2TP0UbFSaZscAxUclo74zarcnVm2R3M4lgTQfWA09CqFAtL8LGqFpKXl4Gjm3i7dsZ9tVhIcJ/N89/wIsaeCesLYI7hrfrxcCnRURu8ptoe6BEeySIV3zwVG0z47/hdmzsphmdExiYyOC42rXWcFweHuQxccyheASC7D0IhyWDguHxoGoSEdqhxJ1P+M/mkbjrSpPWeRKubbrSGdKC3bo9VC0uISGR3axMpukJrVPlfv1EkPHC7EITQb00PF55/NA+k2MJouHB3qq9iWXyrmYOFI7gpnkeaGjWcjXZQaHKimQ/ikz3A0e+2tq7ewunfVilrFXqseOJzEKeaU0JKYHP4B0oQOZwMZOAqXMNmjAjj+d8VdYTZs1CEwmn7oSw2OfqNjhkMQ4pov3/HSO9hx/dLQG50Nc7FVrHvy68Dk4Mut57+HEZ6s7Bi+ik1yXXDUisH0RG95TLall3xmBTQ0pYUtUtlTNhubgoZH88TcgA5ojpobI/ZkLVTSWETL5DhML2kGPEOHHssdlEMPHLCbmn7RrBXwHfUJFajtK87KARsdQmdWiSxSZdK3NtpwTTxi5NweVQ/iMIeFSjreGGiVgj3q6hpO4Tdhq/Q82rvEPazmu4vOSh2OvKTjFd/zEDSHdzk02HPOChp0Ld6H6vUiCWJo4/Ka7NeyfsRlK1Zj2GPOYlR4StaMFe+nkOrOCw/UgO1NEvS4uOorHo4UHxXBUeumfsUV5Y5oIkwgHNmZYKNDKFTnk2urIFPUYS7EeWm76pIVE2fOGJTDYbP7Uvu5FeUw2QP0zObh0hcuYG2/u1TM0YCDme8zeyJgzMpgiKQeZM0ePWCqhUaH6V0RBMfn+/T14uoqrsVHEhx9cNhyZPlIueGSTI6CPYqV+PsLCYfV4CiaHBwcYFOePBb8DrSeUxHZsI1w50snCuSd1Oh4QU1PpWXMNuP2Xq4mPmIA7OT/WR2hEJcauio/gBVfuGKzPYpefz+OeTydg0OxW2lU4Khm7acYnwgJFRqtKGdW7NL9esVsGCep9DJNti8vsV5vf+sjlur44+hRFoezsxrkQRmoVfjPvJM/vB8/gJ1S+awqzPSpwAHa3ugX2miLHV/juxAo/3VnJfg3AQ5ZCMjU+0g4Mum3CIcRH+PSOTuyRQTHfHxZomQYrWiTHqbpyJoQF3phhuOQ0cHDUWiTLcLxRwUO5aSFmTbg2ODeUINjiV4x7QmSjLztK/RdM0l+fCybtSM4HBEcMxwScWA9lQ42mo5sBsf8749DRkcLjhyEOhy5RWoFw9E7R7ncmH9SgKN0lRY4s0KLNBqIXwkOx8fSYUyio40QDkFNl53x0hGtAw5e4WEizsp8D+y/Zzqg4cHbHJ+dcMCsfW50gONx2ZF8VFz5XKVGx9NFEgazX54aSODyfGyrYHAAzKxhEqSLbC1hTyQXmhz85SrAgZvaWVFeKeZowsFMnGwl3QMcZe+iX6+4GKnMeI1Nq0C3RECssbSRCImtaukaoT3aC8sbHD3F4S2tksER/w1lB5u71JX4aBOOPAwGAiyspG84KwccQZeVGYMdzNvvtaO5Lk67HBkJMuptCAkWB0w5tm+6aartMUZRVXapXbwIx0E36pJr8dECHDBGmn3lVP2pLWflsEivDBYOsetnpuxMXnqwKmYLJYODo+5ntuGYf1kfG7CJtPR8vBbhSM8y+9m6PdqAgysVDHqDv68q9KyUz1/165VBbHT4pf2gncuFCg+oY9bgoZjq4KFlj/qJgz1sIK1SgoO4IjADNt+uS/luVVKyJTieIxxMZ1OAI6UB4XpqOSvmPVB0iPTK/InuhkflnIkjLz8u7Uk69RWLfGDCqzV/xbLRd1hgjhrNoDiNWINDmzDAVyFTUbdHC3DUtmwKgoq/V4MADqxXBKbEyXS0dfceqCQ+SnQsFx2c4Djo1vyVoc+JNQtrFVtln+fKv7CknuDGnF/H8njUuj3ahqNkkRYs57azghvfRHplGRxmaT2OrHN76VVUZClY5BNfrN93Jzj6xBXSKtpeudycM3DAu/+O4Shft9KMySocfwB3paBXCkZFqYcafwOqJJVcrW6jIy6t3fRYs74oHQtwC18LyorjKnaDh8/0b+4FI2Dn05Nz0KlTarrdzEPm75XJRaXD0NA6+kVVe7QER80idb/wTz6QW4FDD6f4rt5iweVwHFz7QODjgqzUxXAoGhwVLL1g93KiVVzPYyYKXm3lhFEe7sehJO1UCzlV7dECHM81OBwAfAQ0Oiv5ZVdjrLSGyTdZx6+Do1WCXl5KJ0CM+R7gWKpXnDkqLfNzP2FAeWIlCrVgX6Vk7sX0vHNJ5psgg6Nhj5bggGGwLL1i+eXhiM5Kfh/VlAaKdsfBesJghaWdgvEBkOCvLAqHhU6mLKzBdPWkz1g2QpmnMBKHCgR1Ew4nzikc5UxGudlNBMcPxuh4KsMR/dz8hitQud4fB7O3dH1Lm/YBMhc7HZfFSpWOgiP7+tnZ5PWtBnIj7ejUOtKASjlKj55qwFG4bI0QWBGOWqmg0yt1OBjzwNRzRTh6/ZV1Rgf+HfOtdaapExz9oTADmGUjExzm63jpYZSKP1QQYQILBOjfYwccXxCOrwocdZNDAEduc5XhiPYoDweI20GjQzSCYKV3Qb/s+GJZ0/qjG4/YV5+FWJXZFpL9Nu13Lz9pJ7tGGRwkAlZU2hOC44nAUWxnKg4Dq8NRH/Bj5EMdDu7nDMCpQkZH21852fnmm8GhTNuP3cBC6Y+htxhIccFRt8JmwzTgYSSFYUNFoXFhRQ9dcJ7J/Pli10dgKMGR3lGDoxrlEMDBtVM34eBrB754o0PUNOss0m1GBloX4OgElr1ZfZaHYmMcdsVd3jAcTm7oKDWcV31uBj2gV2eUbzE4jYtonr5QEKwMB7/tXxuO6vQn47CycFScFWcnRWcWlaEITNJN4XCCwx1Uu6e6gw5ncfCdl5orGvHGaEAjxmfbJgfZUbMIR/gDA4euwVHXKgI4uF77qWDl1BrsbVQ3VnnAInTR6LvtjA5jj76AncLcLRNbHqrkqtg/DnlNURROY5IaTqk0DqkGUKpjpKu345laCW/gM3DUWqgXw1HdW2MowFFvaHqHO1QPSK+0n9vN4LBt6LBrpJMOPwO/lMoaEx1hDWNaKUrb7pzQ0FexQHAdhnZ5lzfCkYy+SdJCzWuVIhy1eaTqpL743EqA4/eB/tU4eO8w6I5mqgpC6LY/YQu9EtrxwVcHOkSqRRVcFf/tOhYTMWyACL6ZIXbiYyJhoX2aXezTtgqxU3EcNvb/hXC04qM1OKIlyxkdE3vEaI/yNYLod0J/RRLqsKPBNhgKZ8oq6agGpcO2n4KYZdFV8X9HgiItmNoJbNSPRM3Rg0/pwHkvp/TmKQpWA0cASLNpXPenWstKHY56GGxgk/L1BnvrjUdskL8iCaHb/oTVesWW3M6MkeMlOhphD+WqA2uFQhkdhIvARgtETczR8EvBz1PgcqiY8n3yQBi5NPBwKPNFjRBYDY70UeZqDWwiuOqsODiSM4v9lfZNH2xCZCUcTm7kBrBKQcs6HS3BcQhlGwwRkI1CsAwuqFWAhQTZGMCZpB9u4XAy1s0OblWBdcNRH4Ku2Fzf0IYj1SIgf0WgV55szHuV0WEKxk3bLRehiHRUk3Hzjb80BEcQQxU2RAoMaxW2VkRNIAqQLsxTHPzprjFfetPKugnh4KYKTpxdUcms2M8gintDHd4iXSM6qqOhVFIH3pLM36YFguPgy9+LeIyy2mb48MxnPTCaV12CQkaWrRPgJnPkfRjedK52JTTgqM1wmTng7lIls3IItR5gV9A+0aHM5tRr9IpqmpIg6cFkTW1aTTaQWsEoeYaGyGtWuHvMbJHIpseZ8LKD42i2fynfDpCS/VFCoAJH+Cg7ypgrl2w4K06upF+KRlcJQh0u0rFcr4TAZvENKjS8oFAFUuqhrb75Y1F+bYJkCKOxSKuMp2wam1mDlyqkjoRuoMAW++i2yVGBA1aDyRzIOLq4YACRGrdek3Sl0SGYCatCOdCZBCv8H8PGwoLrobLwF/hKyc8dsK/ydGHiG6/8lSNw8M8qgOP/lgiowFErQecvSHX6QpAr6afqvlDHSqPDuKDNms9UbnoG5mlYo2h3YPBd3JL9WqRVZs0xfDEFla9B6ZDP4pFg/O3Q/2qFwKpwVJsiuVV3VsLZJv5xqKNpkqrRGR3LRIfJegh8BJQdw/Jj8Pqhoxkq50P646E5ak554EKjr1Hr4KNmcHBDyRtVYC04evdPqDorsfgL8A/1iiD7ts7o0LJS8VhykfD4wGxcYxAuzLkZveF3RSBbaqY+WPyL8Dww/nYITI4aHNUxHdyKzgr3xwgCkHJYrzSjpIN/cCW/Zc1SEI9zshe8Ubmqi1K4NDJHdeCADPUsDURHcBzHQ75UO7EihWM2OiQPS3BWODiACjlzL0pMUlfTsciZbbQbZe8OvgbgYwoOxzXGFGJz9BQ4wIrl6atw7RSCgy280v/cCg6uBJ1Z5Z4VZF+BE0R6RbLjzstCo6PRqJgtjfEAYQqhJ7puUXM0mXPw2g7p2mGLDRkd/FwOQQisDke1ypg5YDgBLmYGvVb3a219AjwLyd7CLwuNDi6+2FjJF50SGpKcSMcyX8V1N2Fz9BBNT3yrcdUD/Flw+wHedWxn3cRwMOOf8lVusA/tF26UG/i5qEWhbZI6OJbolQVwHKh6OY+bT0YueLewXeUF1gdimxQ5JWj2nkLtLtyBU3v9QjjAmA7JNqJlZ8Wb3vPldZtIgquA9EozKr3Y6FgGR+w+GlPQY8nXlL7du0aZLILmqJWnQE+ARwt7rEjdRroKF0u3s24tOKDR0T7XkrMSRh37jVdRIkh3maSu4GdJxc9COA4xVDHsMPA2qK3sdAYS5Iga217e8HYazoBXz8uefL50OHQsH10MBzQ62uda6lmJo45P/h8efqtw+0xSV/CzwJkdmvuAVVZvdFO2YkAlU9mKCg5sXYSzp3sjIJsttF8ULmhyZItZtyYcPWGw0GBP4PDbSoVkqPnRs68bQ3Z9JulioyPffqxnifueO7/TR2DppR2oOYoVSDgV7WQDHKEF6dAcd/EQEnu0DkejpoOcLR88D/uKJmFoepsiHDTU0SjWt/siLGioXgeHWTtYotbSZQRHPuoVm57eqNNuKgckCWkoVdaCMpOjBUf8jjYc/Kg45feOdInNg3PZwVv6TFIf6eg3Ol5vtZk5t6KTfDlPTHkJGkFgnwM+k2Z0jakC6p7NKKktFsBRrTImi52+QOXGIatc7zNJndHRf6fXS47tVoyf8MF4lWsVqkB8feiXTTmQbSgkdMiiHHI4uEJSfMAQp4GerKvhINnE+QajOF+PSerSK/16ZVg+xGfjFWMnPjKfqSvsx9or5VKyH2Q88PDllE5hB5tKT4wSRTlacECjoxnb9r8POVTcfNQBTwjvEh0+0tEdJB02arNdu2hUPq8mxYLDXSnT8HP5QFN+DvacvH7pnesKYufFQp8eOJpGR4Qj2aM+wIHZUDTPgQaEtUSHsmn7Y7eSuAs4otAAZYMtweHhsE5peoysLI4PmeL3Yy3nk2RRjiYc9X5qdObhhyc4bEZekDHp8WYtHLIhc/hjN4cjxlpTFo9rbdK5GFDv/panK2UuAMg0Y6M0vFi07rUoytEBR8voyBqagtyQlP8hvVKv+jdDXEQ7vuFfd1U4iBMZ68FwFu/CtediP9Zfi8lb9KD73GgU4PMxe6OZAX38OUtNjhYcQK/kg67h8Q5P4VeHt/F7R3Krx5v1DQq9Ac/5Sl0PDr54lJDBj2BQWHDo8OopnEZCgBSFQaM0yJvCA6GEWqUNhzTSQZyVkFARDYPDeqX+ET/srdP5mOG4ni+r0oAflLiDaBQ2r1Rw5610kjGCOFzyP7p34Lm/Lp5UgENqcjThqM4yhmcVbvBv966QUJHcQ+SvtETHYGvQe53Zq8JxgH23sXsF1QydC11vesqio+TvJNgRFnZyzh964AchHITloyI4qhsowCPiaWDO5hYW8WN/peHNugaF7uQbmJB7hUUaVi50nQvTQGBdMf9kDUXFguqpbOVM4XkATbJVR7YLjqpewfZoFxukMbIlbkLyrU90TJItrTdbvu92OhfmL9jKEE5wjEg5cN884GAH/Cx8xKxsKWmVzeAAXZG1CDrqWfFsiFMgVHTU9YobP9zpfVzZl1Vxq5cSGtw5cgGw7D3FIi/k9b0U42FK6shK4ABGR+WmhWJXU8jjrCrh9m3u0x1Wh8/MduqVYYOhQD1LFcYwjLUZD1wALFtFm5TYbsWBPq3RtB1wCGsFQYO9DgEO2WU0K7M6ak/5uKSoY9hswq1w5ft4pD7qwtlJBAcWHeSUkNsn0Cp1X2V7OH6flK0w6HxQicNShWORXtHFkNBOKxUnj4GL2Hlb+o2y/OoTb5NqapReAw6RM5umL9gpn+jcTAltixSSYKmSpacFxYKzL3tdveLoQF6LrlehIsFRUcqVnX1RpLTpyLZMDgkcEmc2NdhnOsXMuWu3EA5y0aG8v9IlCQwc1y/poLHS6puRuyHclxdLhxPs9SiFR/8pjXJI4BA5s9FZGWlCZYbZ3MtmASDqYKkbsx6OPr0yrtiXaflKXLRrcMmko9L70NuyYcZJP6/XKl1wzM5ssWA13tU4rCz8JXR5tsp4kJdeFx0uDtZnYQ5bTU7fa+E4RfG3EpckE4fhOvKDF8y0px9bwlGf/+QWKY8Obzv53QLrzwJz0nVfxxcLdumV4Rr9+SsWERwCX8VfqKxYyL2hsANPj8khgkPgr5RmKaC5//V0KxEdtVjH4MNJPTfb1JDdS6mgX+gMscVROjVylTgZG6Y1FI4pTdcL4RAYHaqkBmHddEOsE5O0poaiXum42QaO6zqzrYUMEaHgGIjgeLGKBeuPgTQk44OKY+e9cBT1ylAK3gzy8AX2ZquiQ8lMUjSUwxjG96NXfBQEjCokgqOgFMaMjVyx2DRXYU9okK6vNiXI4Wh32w8F5RFL0l+O7YD6QK2O8q03cbD28DhcRDn0Z+t2W7ETMtZ7Si0O++fL5etI2xfIm0q+ijhdL4WjrVdeU+Ur+qUxNmYiyV/cLjLwzR2iwwZhWzdbDfDPeroX0QG63WI1j9DisLHn8WNGC28NiNZrRavIWt264PiZ4OBuR7Qs6OPubRHz8+2zsZXosOK1ucOGgptPuK6GOxAdqW8ljZ7rcFXCMEM4GIqcVRkO1RPlEMLxR2N0HBhrh//gqzzsT7Ut1PU6HrnDYooFm8Ou1YTgGPoLyLZfsRPyArvdlEhw2E7S+MjAojBcUfu6kVbphYOfVxs7Iem191EO91P1VKxqDL8di45LOeiuvb9SvdlqGqnRceX8SrY03FGhKDhKPuEEpx+BD2UTwQRapZWuF8NR3dr+EE2O3OD0YQ6PRLfoqNzKwcFRNSLUdKZGx431CmpcScNuZa6KqedHBTyForCncvVon1YRwgGDpMwN8z5JfqcU2gzGnFyP6KgpFu2vcPVmT+gXqfGWoiMOQw8lHmWLo5ij+MKXGFZ2gM88FQW0vLS4C46fAji4G+UGzMQerK9GED0THcV775tm66EO3FvvWilvITpCcnbArZB9rortisRqFFQbgz88xRYAujpNDiEcoOKHMzosHNxwftc+kQYVzXql8Lvj6UpFh8+vNHIw6K+2Rd/0nF5ReoCkPW5d6XZVrC2BLU8QEwNn+lraKavTkRXDUQ+SvlriyS8Kpz6m0zUWVb1XjcQ6Ku6sJIQ+4JJzK21MtFmUQl+9CBe4pBRER0k6tnhCOlcXpLXaHnUWJ22tsikcMPmWH9nOj6A3PUWGkcTL5smVTrchOtTYDqGTkvOgV/YY8cUssBtPXk2atDMWHJURCrMNnoGT1HAQz8M0vTAy3B6po86nB456Jan6amXV/II7nhZOQCw6BKnZYcL2p9v1U1uHcn/hAeC44IXaZKngKH4f54TAyi/7R5tfLGmVnqRbDxyw4ie7qFmBZmmqjJnv3qAoszrKjp3rmq2EOmgTpHVmneiwFZ370qHYHlnaComa3KqBv4nLpqWNJ5ximf+dbZobf0+fIyuHo+6vvGIXq3jdjdFRD3VQh+VYDgmF1Gyt2pI0QQ5eEYVW5yvRgY0N3EENu2PrNU581zxpY+E3/HU/p9NXWQIHp1cGVMMxjE5yMr/PcF7QiOlqYdFRVCy+375ikhqJRnw//wHQCF//NatWnEMLF25cwUqlKgb58AWMopv26a/iwwc27toYjobRAf8RpuAzJ2pT+I2mVVrsVIkm+waW8v0dSfbFRUfMNVY6dAvsKz2Qt5J3JxBrtFqmUJAJwCY9m81CS5Uc/SaHHA5JJan/sV9FhSCBg1od5cqX4dIqNB6ISaKGoIhOcPf6xg9atZht3sAvkgsO66ywBwDBjkvFput2ZHvgSEZHtd1ejZVn3qqVfMsN+g1C0TFMTq9UvD/q6g7pA+GB/rhO1INdaFZLo0L/tdj8SurRC5/vDY/2wFFPviW9gmaX0dsmgiMTHcXZViGEXkneXmj1UbJhk70oayzZfvm58CLBwXqybuEt3comR6ev0gUH8FcqZhOqcqQPfbX2FXwHER3lhvNGT3Vecj4AG1ajjVRugIemgqP25vfihUPtCuUqss8d4ZB0KOBy85csGecYb9bqIfeuolhCqKMoOmxVcR4Hi69VTMUrLE0L7qvGTxkOdNGLJkcSHFKt0gFHq6jDLbylKa0NcyfR8GWpDV9WxipGSWthVEaveGbTthZXsU3digxipXJsdYy+V0x5UOBdjBn2a5VFcFRm/NANYl5QvK7ebwO/JrdJ2SMOIbJUg2Nk9Ep4SBUKROxOh++8dz8IK5VyKNivGhwawFE6crev0gUH0CvFze0THBfrV+HyMA+4oAQ8t0nZI4bUbFEg5yXnAxQdUXhc/O6xexofKeThxFaHp2LWeyXzkJrKSm9Z4Kt0wSFpt4/74F5c1PgF2uC+NqVpkB7kNqmv6qBDOdP3TPSPYbR+fE8q3dvXNk3RMPt7Mk+lJbNWwpG0iqR6dAUcZX8lwOHOVadZHToZ1RI4sr6/wsUbJm5WB0prXbi8PfiEk/RTyIntFFRXgY1QV4zDX4Ip4O/lNrbD4evl0tIq/SZHFxwgDlbSKwEO92AqewWCixaHA0iuPBUdx3OhKcKH0HH2FWiyiZqk2nMQXwwZkJQYC9OHN5MfEY0plHLocar5/Mx6rz1WRrvW4FikVfrgaOuVJyIclKPDytFwNZpBMLsy0cFnomMIHf5Rg9kxBgW89VlsDEjvR5W/YXfhzeSHTlLDlgcerBfbMZjXriocl+PZbdnbztbvBIfAX6FwOOnpdpuKI2ea18GeDxUd/MOl3eBJbJKCXWSdXsEmqWcA8ARuXtQuQX6Ifm3lPLTGkklrRQ0O0Rjw94pFocymTRNfx2uWXuKrdMKBOqq5uTEBDnASNqB1sbO4w1PSvqJmUdFxPHN0KD9bEKkODfogQ1Ux+CsXdUc3EBuny4sKNcjJ+oP670Seyouoh7fSHm3T+aiUG/9Vd03lWAgHapplZYeHA5aY25HN548oOET26CEXHQWPZfCiA95/NRK9gmuRrCr6yqxYTacOZ4CIbRDwmRGi4bbf0cTgkG3b91q5dhaOYqfbDEea9ST3VRbDYerBanCgK+WMxnApzAMrucymZijzWJgSkaBXwHVRI9ErmejwbQ3oVaJbknpBu2M0f3ledD6BLzQSSGdKRSKWbBV3qXrB1nqURngr3Z+tXwAH8lcqcPwPPi06/04NkkdF0VHvrGIJ1YJo2NR4JnrF52HDn70qgtfSlL3mwiNMl8UaBsrFg4ZyIgMDf5ulWxGlItzv00ZBC9E+BweeKgAvZM8gsOVwtPIrfs/y3+THTfBKWJNQREfusTD+rDNqkAkxAzNivYK1jouSfuVbBWGvlgoQLEJKC4TjJ/o9+nTIDA7pTsHq66UoOhwcpW6thb5KLxzNOJjiU2sgMTSefFukhI7M7GASEPZN1iRNfxpAC3Wq/oIfuRg9x4TdPR7ktkYBQmVIJigKXEQ2zGOMlYp4SPz7S3FmdSghLJXMJXNAWCC4CI5ULMiHOlg4Tmnyj7O3jfIRTREVeSxBr4DrpmALtW9I4L6X+xGaUy5EglQXw4XXKS40StgQzwyxQpnfqu41Bgg4H1L/c5lW6YbjJ4CD+52vcOaCX9kGMrZDoTJ9g/tkWbH4De7h/TcNK0l0uOATCYS5ImhWh4dMPnuHu5lIckMfcoMjCsO2pTu9FEXHVIseQa2yKxxNveIUCO6NzPY0dC/8KdAsIn82Fx3Kb6+i/N8tOthhKYsO9wZWuSxfoVMD9zDZpLW7JENTkvpLy7zPmCPlIpkFlcUL4Wjl7d19R2cAdkMN98KVCwoEamaTHhmzIybugYsC5YjTK1h02FhHbTaq4kzTxWiEHjcaGg221/wQNPtJPRzM+0z4qwwH6K3vMkdXwcHqFTzLx/30fIrEEJ7bpmahUtiG0amP4aKkELYBbq+iWNFxuVyq1qBXLtN6NM6xuU7n3rkOZ8DcdNt6FQNK6lIQdmoqxUbdqS70VfrhSM1NVb1y0dE04jYl08Jp+Ye8nvTlkhulRlTbfapTphWVnePC0fia/baK9AqO6To+ztbBcb+Koh6caWNa5bMpvMsdLlLQzpmd9PRViTsrqFW6fJUFcIDmpoq/EjdT5rczjPNJ25olUywMHc4kRQFxFErxiVjc32TueWNwbopbLObjPIJdQnM23JkYC4hRF4HfgHmwk8g1U0MVDtAF2WeOLoEjyaiq6Ag/lpkvAqUJHfnC3CFiwnFGqdMr0PnA7Uy+cBTXdfhCtYohWNqEXrxGVLacGxzOfrKXKA/8xCsXaIhDG8FblVfbxTqIxRGwJXAgf4UVHTbFFq1wOkDigM6zOKEInh31WHKj1GpdkzCJr1u9Et/kE7Ek02bpuPxuyq6F6iWEVOP3UDZMAdPJK85ccABHzQMcA80IJHeFy/uzLNcqC+BoxcGSYjG/l59pluCoT4Hyb6aKJaPD6i4rHKI2Gy+5SUqsT0tHY76h/3wKgrahiLGyD5SGYQwOq1Sc3s0EGAzxoAjAC7bV3MDGChxLgxyL4Hj+AUQHeyWHSzqD19waNStu+yW6NdRjySt/XM3PF3Bg8eY7fqgt/ZTpShdu+JSKdoqEpAhqCrHDg9Eks/19/mpl14Hb1CvJ20SHe1+xSAYWj/YKjiVwAL3Cl5J6gWgFKz9HVVF1Wl9Z8j4zSt2EsBmA5BBNjOjItuk1/oAwtREtkHrwnM3dHjyICHB7Ct7ezuxJuudddGrS03E6JFVV7pD953KtsgSOZgg9qctUxYFFRFQ2sqSTKe3AcGR0WNFgpEesXp0umTebh8vNxZXCET7SyMqWTiFzyUdncGD7Pf1e/GafdkjEGINFR2P9UjrsCnN0ERyCUtLsMSGjd9Nmkie22jD7vnyHIpJlMaLB2qSxWwnvr2JskONXXiowK4pOONzHJECgnzdRg8N1bExZXaV7Pw0MOyEIm02dKAzV/gUBDBvdugXHWjiKIU4j1dHJ4VMPJ6jZNCJzkpnooEbpYF0PELcgc/Ddk8sEqa/RPZ3VcLy4AcZRebCC4wI+4yOpWbdp+HPpwIvzKkvhEPXb6+FjpOcWTz0IDvlDqzPRYegAb3CDtC/JinFz8NHfjy95fc81Vl7xODOsAfL0QljBcR4/kjr1VT60T/2F/3z8njW+yjI4miF0v/KEWzj1gIy1qYTXl9qk1iiD3oAR3JeULaFz8LUXHdenI3Nivbelo4FJQ1j64oMZdA/hguiQjHrq1yrL4GiGOtwCnteJe93t0ZPZ9fzKLrAzSkEcwbwByoYBubYeL3ltzWZL5RaYU4lgwxQS05tlrrcyYuDLXawTLzpKKVkoOK4GR9IrFdEBOu5x3Dq5KnrwHcwSky4zO4yzDDuT7C04pvEKUy46jvKqvK2WztlwvZ3AfyFwDFO0nVK9QxAdDB0lh0sNa3yVhXDgFoXiVYnQ0wkZ8RL5yyayBHJnkDq0XvME2eBiH+DYRpR8CUMrmy01ZGy4XgQFXkZJhBPaekQh0RFPErPGn9HiloR1cLRDHQegVcjo69gzm6xxUaCUVuZmdKiQxfQv2Uw+EBQu0npdm5TRKc6Lxdu6wUf/ZIqX0gWhoiMXoMUxYKuCHMvhEHizCQL825MVBs5SFInKrzOxO4LoiAUQX8jGUMEmbSuxrRbPhgF68FFkd5GowQ6uGd1dMfPbik8WFBw9jW4r4QB6pbyFeajZKAgOQr/MKM0/DINh/qlK+prUevk8xhVFRy7tjAc+4+yGbs7WlqMDxSkGtMcqsDr8d2YD00oHB+boEq2yFI6kV4qiw/c3ZQMFobw4x+dKFvJgXJYjpGPwNqk/5GAbMTl3VnKwDZaRG1lWyEZUjXQwhrjnHcJhHh94zVKmPjBPZukXo6OrghzL4XiWw0HaFFJk7OtisgPhMZDdr6y2wz+K4dudYomiY76KuK/N/V22Ocz6xVhJ8ddMX6G2mNbqGG7Q73sl+hnS4cb8F46+KsixCRzF7BsLR0woOTf0FJ8L4dQOxiiFdNjJpNHQMPmVLxT3CjbpNTwWxciN1DQ9xGZvtEfiwZaEHvlrlmYgBok7y95TKY4I6wOvC8d/JThKoQ5/SihAk1Ju0c3wokQ274cpGoxq3H3/BHmwGR5U/OESYNeIk/JsxAOrGN2lxeMDhYMx7X2ACG4Hlh0fNEEu0yrL4QCi49/8hX4NcGCR6a9SqsrpgiOvRid0OKskll1ebHcKjpMe2XLerRfnefNutLkCQHDOWoQ0PRJv1n9/qBkp5B9Whs7XwIGipDy9r3k2WjEVYLoPjiz5jenwOa5wF3QQFOnzoxEt5Q2gNlqajcrwR7XbkJ/4f9mVwuwdlvTaIMcaOKBJyheExc4lfBnoi36GpmjGoD3pvC4M2h1K+7q5YHVAQWJfsnXFx94an77FxDecKmUfATuwSfkmeWYfvPf4FWdZ/csBm6PXhwMcuzCrY/KXBNRjMaWjvXDkbWOeDn/ltb/53ia1pd0XXJFLpcnmi7U3mF69cEYT2IzZjiCgicpLtDrcWbXF7Oogxyo4Umq2lLgfQl9b+CsQHDkcHfcqrwszIts/l8rT4Yf5uDIPFOywdOzpsegCG8WIBNQktn+NuLLH+Dh4gdj8CQqMAVsqOFbAAQvCSqLDWx3hvrM150HAdMDBFHf4sHSQHS8xmOF+BLIEneyo9rqtWtaVyOmtTL43eiXk3rLmRmV2A2X0cW3NT0gSHAvN0VVwoKoO3upwejfl0MN9/FgHR+hWo3R4w8PffMdDsDqgFgmVAvvQUWCj5j3PdkY8/yd4ycyy0XTyXA0NsadXR0c3g6MYJbVjJqOciJHzM3kwHBz6JL9ZnL3nAmv2O7xocIrFN0ogFLRtX9sl2MEazC/1g0G98uR/LUzL/gYa2RI/NUw0aI7eBI62SWpuwhgreUAsB715Cs/95VIy5/OrWaTDlg66/KtXLD7hQgZLDqOkxKh7mS1JOWeqIabAgNknImhcjhYW7BsLtjKP40DSKkvN0XVwvP1sig77Q8MFoFFgvyZ4EVtb0sTFZWi9WapPXnYkxXLMM/XC8sS+ZVqeWJ3SOK8nD4cKcKT8zwyH6RmNYtdYHZV9p93P2ERwrIJDkGCxvzScZKHmHG9uKA1s51W78Rm14zDMn8NolKsV+bBuirVFGyACvfJELtPgdqJOl+9sB/D9Wf0d62pHN4FDkLg3d8n9JVkc5J0D7M8o7Z3BLFa3WzqM5WE92nOoj7F07F3ko6wpyuiUc4uNg3r9KsBh0tg2BpJ6z22TaQ0OGDl/W65VVsIhsDrmx9YJ95LgmN+Bg1pi2cGUHLurd7Z26ey0hM4WH/faV3QoXqXIVOVTNDpikVT8p/Nywdg9c5AaHFBwLCoB2wIOaJKWcrN+AJNCOpOcS9pRwZuOzWvpPqc5GR5Vi4JjU2zfwq7ZNs2aotbxEEgsq1fi/9mzcIEP4+W6/8NdCVI4VgiOlXC0o6SW/FGDZlduMJq/HpfL1BzFhNYwMY/qC/Ba0vWyLU77weG2AuPYEKL+SvuW/I8dor6BlnsVDrWNOboWDmyS8j/VeGkXsGnCX/lbnkKKzvaNC4vR3WXgBLm7J3ZIRnqrsQd2g0MVvJQOMZic2QFls6dUEYNER8Vb2cgcXQ3Hf7VFh438pvYd7ga9gmdFTZcO60DxHm20SwEdahj3yqYYNHgZxow+LJ3JFCawoFGuChQCwV7ISkAZVfms0Spr4YB6pSI6wNViTgoH0G0voDhlqpjpDP5IzvKA5TH7sKGsA8tbP2LXyxkd3q/7SlcDbr8Epv024NhGq6yFA+qVkuiAc0hYwUGyK3azMrkG4OMdTnicR5E1uGYpN0W/ZBjLgUwYuOmCTv2aiAYMpMfvLn4vHPS0TqushgPqlX9rdk+HJvC+FDlehOFLnH20by94tB6PZoxh1XL+a4GNrgC9vsRqjeECTY5kXTylEy3boxtFR7eAA3izPwr7vsEuHFYg4F0DldtUQS46CrHS+PCO+YCujZby2xUX9NrYdVgQJFVxdLtC5aVP6UBFe1RtZo5uAAfOzbIXI4kOPOAnLB8CSXC89okOtqw03iKnW3bQLmFflpJS6w3ImoIv78qpIHPwjo9D2Hi6YnJsKDjWw4E7Iwv9TaRTnF6VC3kYqvOaue/nI+lReJzBiOmtlg67BZagDIFe8XGHS37SrwSO0F9c2exhO8GxARw/f0LRwf/iIDr4c/LtBKAA+712/szi62uS8PAjyDfTLaqJRmjSnLmVGj1M2blVsOml4eUYuoFLX4kExyo/dhM4QPatnGDxoqMgDWz4Es6Zfq9KTvaa1Oh48dOmt6JDha1YSuIqTZWZNV4rXR8XCIaGA80X4pj++fry58d4qUbWYJvbmrTKRnDgBEs11lEcdE5Lb16rTwf7DXz1T1zHy8UHTdcSouImTmUrOBYtmVK4ZqVPWMOFXqEnZI+aYtKTSzYXtcpmAbCN4ICJ+/I8BhvYqVXKwU/akGlfsNvWhtXweLmkXQwW85H0SU2LRTbCTAiZU2vkKx7TP+RwGGO1LImg4FhcdL4lHKKaH2t0ejjat8Y2y0lm5qMLMxZC6RCPwEffV8dDBKFROcjxnBpYwV4zAtTVK30izEOS4NCTK/upFCpvlY/dDg6cmy1ZHV8VtUKXlRzid8croysmYuLjnEaUSyUIGHveQuNySRkdGNm/CMo6BrIdlzXVkBPXQExt0Oa2MRxYdBQeyidzolIb02XiqjW07BLQ8QL2NxDhAafhT1V98uLMjeR0ZSN4GgIrFXWkf4MXcm8m+6mbCo5t4BA0KbgrJU2LIjh6oow2PdqgwxW6O0I+yqPLlSEn7aMxoVnjxW8GLhGzTUwjR0ud2Sfk4eup9bxs6sc+bw9HxeqYpJskhLKW3we7O3uX9aibdikEBGyOko4Ct0VA+6sIvhMENfhZEfVyUjhj8uDhOAIDpu7eI4tjA62yDRxAr1REB9WolbN893CoBSUYuhzSJgtsoUP3xQi7p8SNdkRfh9pu6GbaCY/yKT3hS/QEcvd2EEP9+iHBsTY6atY2cEgCYW4ur+he+4DqDMeCnkVV6A+oAcJsquPViPiLXIov2RtkwxR4xHLMVOFL9ASGSbhKhtrl01sLjo3gAAmWH29F0TGiEYrOJZv1RuaaqdcAx/C1pGSc7zprAJL24Lr0iIvExhmVjpRKkOwqN/aZE07f4rKwfiMe01lafbb0Rg0JaW0EB25SKNChqejwu+rmez2+JDiWjEpwDSQ99/ZCVsdH/cexOChMW/WrHDPFqtc1v9lr5qr3a3CorRoS0toIDljWUe5vIvZW2E+YPHRxStiHw0SwqXl+pSp1FpsvZnJbcdec+BneMsV6xXdGzpdnsPG9qlbe2lV53g4OkcNC5jbHKRtH1DWgfL2xCYK50SsLmpGUjXJfhY7jOc/pGTiMpqpWEnDQT1D1PqXrc0G2KXvCQHCsLeTways4JMWkdrgfqE6AohfNEnUvuQ7Rl64yXXixbMD0pVdDdC+jIrJgmqnlMj5yzXM6cpYp0itP5KPV3bOHzUpH49oMDlBMWt6hR8G9GImvlzbRAcUfToqIu6vJ0vUM2QbLahS2cDa8qiqmKTPTEOkVRX57RatgwXFvcAC9Utnca4DBZXqhfeQ5tAPaaKDP9S9rc1UuGbKfcrkwGiUcOgbDao5LZo2jICm9RJVGJtSPsJFW2Q4OGAh742dP4pVvSOXG7eFGYi9ZF8oOq1saqbLFy21xLTnT2uGpZQrHgxE4aiYH3Fx4K8GxIRzQJC2VGsP7lk48hZpM+BCXFEa1u7RFPmTZt4Mi/uizsLbMFvtVTFMEPgqS4weorFUUsji2EhwbwoFER2WWC7hi/iqPqRxztvwnNHpSfbGXsGdpZxdu6dn6qJm0LMRIg3MZUFQLlI2dTG+rNLnBIp/NBMeWcMisjrDSjJJQUOeu3RFfigjHqtkrpk9WkK4Vs3F2CTvp4Z0LUrM9jl4GKRwMQnqlkrXcxeLYFI4+0REkZmzVINn20MXyni7gipnDNsO6kfHh5o71FBs6aaDYuT/xSwNsT5dCd+zv8vH2cFWet4UDi47GczWEOw5OGbSuxY1nEhx0CmHv8sH6FeolFIJ0h10m/xBU+2tsxkXhih84zqdcGLeT4NgUDpS5r+1GbFYIgyJpMLsW4UkKcERaWnmn9lIh37qUDp+97Q/JWb1i84w1PLzzg6oBwUCkqwuObeEgDkv1enkK/sSnHBNWcdBi0D6X6bJ6bFOo1ViQWwsio1w5Vj1wtDKr9QQutYuCpDrsvFtOP570ToJjWzhg+q2cnLWLDDeiLyet630Xc9E22gVDhTphkYo5hkTtefH2TirUlQfTu2IaG9MDVZJqN82sUtai9xIcG8MBi34asY4wzQe/Gs1UAoexRfWwWcNaKP9rp26Noz2dl6oTeF6Jd34iZTrgBT4zFuXqoZHg2KTIJ6xt4SCiQwAHrpgNCdnM099+mlcAhFZy0NVRp15ZZrIGKlaomh7YFFOl7R/9n3cTHFvDIbc6WDiGqFUIHMiN2wYUUi1aWrqvw6WwjC2F9hHR5ZEz9gJ0TDbaJThq18ZwEIelcoY8HMEcJSUN84OUQBu2HGhPK4uztZHIInVOBzdhuZKRk9pXOwVH7doaDnGYlLU5giP7OxaWPoUO7ATEdGFHwNz3emJKx6vZfDEce7kqz9vDgUqNa7EOHwTDNaXUVwFwwDddZc/gbRczfMMXMxbokOoVVHK+TXVgXJvD8QeuJi2eYtg78q/8NShOHBwwGqK+VsdKb7Fe+a6TYiWyTK8o5KpsU1ac1uZwoFLjitXB7N4VBQcwRBg4JrtF18ZTnHZfpZauUhuFzCTFFsfGgmMHOKQOy6sHIe8Ry5q+cBzVFenvvGnw5ivrywhLsRvWCfXKjq7K8x5wSJOzceC5P83TgYbO07v+zC0Tm2uQ7sB7B4s6s3CxM7pFJul+MQ6zdoADlBqbwbUlOuKexP4dJ8YcPRz+8ZLB4SXMo1mltVZhbqSZRK+g4sBNg6N27QCHTHScoklqFYQG5T/wEzkcKmB1hW25tlyNCQp5zLRtksKdhXcQHLvAgWIdZcUSvHw3IFxpTqt4ywQPcw5B9seSHawzm1aeruUn+sJv3C0d69cecCDRUbZJ4+ZNdvOLuJcXlr0cHKFN8LhRmvZKC9aVcyuzTFt6BVujW7sqzzvBAUVHJRKWZqIfQYHF5QSTJzU4/A68j7JMXXl9Mo/SKOHSYh+5sTsIjn3gQMnZijvLhY+PZwYOktiPcOy6advWq6FX7EK6pWGSYqWyvcWxFxygrqMaCWPoMFqlBcdrvHrtW3JHq6VX7FJDiqhXZ7Wo3QXHTnAIrY4DU5BNnhYODt9dPVspH2bjNttB0rrm97CMe9a2ksBO7NVQB+5j2kNw7AUHsToqRvow4no9ARzWBz7rQ2xmuHRubXKjpS4yRRhLgY4V5nGNz/YxDrN2goMqlsql8GP7Cg8LA4cbgPRxcHsFBot2cUPc9ZZxwWWTd13zddUg3V+p7AcHsUmbN05xQY4DC4eJJpkAmEINypfyoK27WVxRB79sj011yNP+SmVHOFD+7ZcUjiONa+Vw2JGVplQsWrN+7M1NY2In/x/li8fYn2I6tKQ2tKobUrPgAHDsdA93g+MZWh3N/jcwBwyvHA4nOOLMQdOF7Pw/ZhTK1Zfd8KL4M+wwKCHBqmZFKX0NwbEjHCj/Vm9iOaTuSHpB0KBr906/KT3IsIQtAG+abTEZYrO9Sg1S+Zze+tLDFSyOPeGA7uyPz9ZDHRrg6OsZHHFzXj/zx32xCy3eOp7ut1cpJ33wZo/Lj4Ot0b0Ex55wIHf2syE6QgMcfZ3CEYdk+wb0WA7i6LhtyDS6XKV5AJIgqWBpuK/wfoJjTzig1dFULHzrbA5H7Dr1WuUcLEGXqLmV6HA/O22RWvoZm+gVfSXBsSscWHTUbdLQdE/fROAwMQ4/7vmCRY2TJDcSHYP7SWnUSkl3zHqlkXwTLGyN7ic4doUDWR2N7shgkJJghSJwmMwmHBYGrrS7NZvYe71LTfY3gSFNmQQMawO9gmOjOwqOfeHAiqUqOsKFhTsdHTI4bCHmB/gAHIg8EVqutmZxZn/H64sADknyrb72z8aGtS8cMIheFx1xHise/UXgsKP23Lc8Zcrdafzr6xXlBwDCAV5FONYbHWpAgmPP27cvHNidrYqONN8IXjsMR3RjD6nDOr2XKVS/ygo7scF5w5lLHt98WbJ3HVzXExx7w0Fs0sqNi4kSpkEy6Ar42IXZDOC9dnwYEtqb72DPLOcmzb8azoUsIzq9dO+JipYaPq8R/7JrZzhg/q0e7AgBpCMHx4eLPzIjOsEjGjf/cstt0babfaqs+6pCvGX+XcNLGw5lf/df7n8XHRaHOHYoHAVrbzhonLRS2eFGMeFQKoRDoTEGAY70hQAOM5jFD2vaSXSoIcxwuoTfYRLy54l42PkHL3Tb6a7D6hE9bvveu93hwGU/1VFQOp9vBP1TvEec1fB4n5YIx5DmWdfqZRYvM3rFyaRYNjBrs8nu/WHpqA0bXuXM6utZo89XgAMplvo8F6MKyJ8BHCYLewE77BkARqg2IhwauA3HHXom7bjbL3uHYwH98S+/05BVjzWHZI2/cq2kil/7wwGzs29VxcJdjQSHcRhhDETrDzx4J/ovudug/IC4DcqBlNVY3nBOe8ceP5TvhbWbvFTklRkPtjD5ZpTKFQXHFeBAkTBJURi6HBGOgjg+JbmQ4JgIHHF28epawlmhhHLX8wlNn/6tv3wIxuDTOKWFeoWEOPYWHNeAA1odTcXCXEkHR3M/ZhD5APWDBo7UhlrYVkm84Ph0458AEfV7+Ar2Td2B7th8mX4SK5WdrdHnq8BBFEt7KxZ4PezlP56scm88b2HgBxqX86dpwk33cMnGHOBOw/1PLic0lec81ttM0JcsgoOUf+3sxpp1DThI7r5nKI/PoJywG8tfOw+HeddTvG3nw4DGbmUbc7RuqIKzcSEcs5UB1NfLeZIqi6V65WqZ+riuAgdVLHI6fEhcGze2oRHCvA8TYUqF6WdNRrKhr5nvfJIk3Fxzs6Er3LMQwzGAjqzjRWpmquam9OzSV7ZGn68EB4qEdZkdAY62UsFRMdvbYgVFNgsWVmnN0KXd9kx7FdlwzQ2DTLmQAQzUnyk0hm7qBfdx3PYKVbD+GEJ5Q5TKFQTHleCA2dl2ySBYXq3ELSmabw0hUx/rOPqbCXou0xcp04vpn2HtTM0LCKtZn9R8LgU0Vdgb2qy/wgZyIdQhPSs3DzH8Y5AJEY1zKtcQHFeCAysWwQ5wYXk45uvfLOkPg03xP13dMdofwd9932Xn7pIek35w0RCdbBUis4Ju+SD/FtqjB5t8C7YPlF21RTyVK1ijz1eDAxeFyT0WLw4ESjqYHEEHgJI9N788PeEu7+U1gv1iDf0OK/IHIGsK237EZ/+9Fw6Dk1Mss/D6khQZUKVyFcFxNTiI6JB6LDEN3ny86FzTAEfcrzgZqR8nhQcJAbnhZMeJOK35vQUy6hDgkJ1S+AK3H8NFBJUijSrXYeNqcDRtUv4KxerBj/y9ZtPn5F4MPBywAiDtWPs0IbuSGq3z0XrgKLVVlO+179W7ZLO7Sx+4hVK5IhxEsQg7F8P0Lyo43F6ScFOUiaTwPSsw6BUScscTCG3aPT0xG+ZwyC/ZB450sOb7cfXXVTwVs64HB1Ysec0ge4meOMHh3U50Oy9RKvi3vDMfDA25KG2rFVYqjhgNNgqkj7YicFBYmkshC6f9mNzE4Hi+JhyZYpHIDh/1JPGvyl4U8Q7F7Bj83Lu/9XC7Vue0kP3ezidjw4bNsSkcE/7ubjgOKJ7ffDdVKtcSHNeEg6RnuWE8GS+v7AUcso0ojnT2C3263Qp+BoDrONpB+7FXH35P0D7UKCBw8McCNzc7zyS52r3fioZGr8bGVeEgobCPPHtJ/+3yJXbgAgx6Uz1wjI99hEOzN8w/43DrcBNDeXGBUSiQ7EzDoH54OI4Ejkvp9uZPQYSjzYaphEVs7J+MjeuacKCisB+fho7s0ihcQvr6wmjlaE4eL37fxvEjhMuj8xIwwJ8MyKSZfUbmhA06ZlMm0GErxAOFDTiyf5NTmn8fHyl5EUwU0dSLvZKnYtZV4UCKxZod8KLZuKTG1/H1hbFGwx2Es3wGYmMMtCHOfTTJExD3AgdIvVUf4FupWTBgEAMchRutZrcKf0MwSEWOCjE4rmaNPl8bDljZ4cwOdCHme0MmYb0yVzBuIQn3lKdGIcjf53fFvEtFBxYeIGksV/KXdU65g5Ev5w8GDkrKSMKMK4ExSpXKFS2Oa8NBRAcJoytbdgefMlv6kD238dKCD09s7KHmhKY9bOEBopfrotu8qUnFEknrMO/GHIT9IgRz9KhSuSYb14YjVyzwUtgHFT6AZnsjlxMFyfAwrQG1TZJ8R8EMQDf7H8z3gDTaX0bPvWNl5b4kRDg74MDeeAjmSuLmN2Tj6nD8QemAF4i2Qhshn4veEJBEDdfv5Eb7GFgbDqq1orH4kY6VxWcJHFVf1hcTQsPGfquknFXhoYFXNTierw8HDoWR/SO9uNYhWsoWFQeFjf7gjYMkKbhHntzFV1a4gAzMAQogVfqaeLcL3dOBNj/wX3GipLBo2PyanopZV4cD04HD6ESX8/VfGQfgjp5lcLgD9MHBfA2Fg/dln7wDFEWHFSUSY5Q2TV9ZqdwCjkyxUJcjwGGUCuMBDDU44mXl4RgkcISb2Q8He7/j7mThx1gDVTIV85ZerF3Xh4Mqln8nOjwc7ioq3xtL6zI5OILo/h0UkqKSBH0WwpGV2oSGA3uAgYeDdkvXfFlakqLdWHMJGzhsfm2lchM4ULADdUiG5/8jxLK5boQaHH+RN2UBChjxLMCBhikX4JgIHIXD2fcGj9mzY4tHZMboeLsIh1s3gAPnWKDZ4Z9Ia6vZAn4ugsjC4Z0VCgcfIvEfFcHxlR3rwMCRDwuh741wGK0lmnlIK4qvrlRuA0dmdgSXJVxIkzIxuQ+21IGDI2xgHF975WuskAlRgiNu4HDITGR8w9NHe+D4EpVwZNGvG7BxGzhwBg4YpSF47bKsXqkQo4MboZ85K69EkvglgwNUdmUzC9HXn8hHuFLh1DMZ4BA5KppGOK6vVG4FB/VnAx2oYK8QCajAkXQ+Hz33Dm4DDlj2R8Nd4Xg8HJwvC3I4Xq1I2nXvwOB4vhkcWLHEFBxsTS49YDG1AtJl/vr/D7m/Wa8LipvK4SilZVOItOKupOE/3iAVsUHSbbdQKjeDg6HDXrLULlLsh49Sn8ajoaCoB0hP4IYycAzJgigExrMhqN4l4dyV5Bv73joZGzc3OJ5vBwfOwLkErR0KF0q6zsXWlpCxz6owmnCgDHwXHORNGRxPNTh8W4y8eVprwsZNlMoN4aB0/HJFg8qWlR9peQxcMakePeBwN5MNUIXD27mvEQGyguI6lOGgdzsMjuGlgr50waFpSuVGguOGcPyR02ETU2bk5LnWLxmT6uGWhZ6kJPwVf69QDKycLVMADv5N2fjkAo3owFI4sqj5rdi4IRxZpDSk781o2ZpejvU4ZpigHmNjI7hX+ezrdI+WwEE7HXM4+Nw++rMQjixqfjM2bgkHUSw2UuqDYXWbDRSfX2BjmhCOYwccIaLBvyODo9jZaAulBWHRg7aRUQTHjQyO59vCwdAhapIE0ZAj6EQCT2Yh14FCY0047F+qyRXw/fUy0g44ssjo7di4LRw4yeKaFQQXEO82bAY00DtTuFXo8d4YDj4gEtZTRefAlbNxO6VyYzhyo1Q2uAON8TteQg91AksSPa/AATLytAvhAD8Lwh9ZAB8vIRx5RuWWbNwYDmKUOodWgAfohzSNjJkny8OBXQoZHPmeP+CzAI4nARzN08qbVG6pVG4OB0nBSWVHbFw0G/yesg0UCnmwDeHIAmj+u0vhmaeKyknfkWXbbsvGzeEgZsebsPvejJCebDOkjrvggFRHAY6vreDI8zLVSkH7NW1PNmfjpkrl9nBQs0NKh7kfQcZEOE6+E1sUumrC8ZF/Jq5cb6Uac7Oo9PuHAI4sE3trNm4PR05H994GcTbU6CfSF2pv+uA4QjiovfCPIhw2JaRpFO+1DcfdyY17gIMUHC+gI9Z3h0Zb/8L/Ie9DAdKmK+vufAGOp6zSLKQDXd8/KTcwx2rs7JZn6W9scDzfBRwkFtbcvLpwM929gRRQOF774HCJfVpo7lYRDj8r5JjD0fBkcyf25mzcBRyUDtpg3VpgQL29o6Hgu24otOBwJUGFpEkegoU1bLiK7eQQq8KhsqD5HbBxH3AQs8N2SXYIj1T979L4qYtFI8vQuxgNONTJZfZRSdDxhCpZFYRDMXCA3gOTKDK4/c+hvLJBC1cd4FNcdwHH8x9EonbuyhLnv7l7Ev75m4yRwv5nWXKgfm42npbwiwvCMfvYqMs77RfKL8beuLkxatZ9wJHJDmkg3a0nn367WDswzuz5jQvXSfSjAUewGtg0TUjuJDjA9MojHeZk4aiMomUSKnfBxr3AQV2WPrvDB0yN3DBDzoMc4eE4EziYMkGIA60lBh+FAwXT8MrLOdvi0nxJGQ6dVYzeCRt3Awc1Svtkh91H1MjyYbqcY9qFmIAk/VFuJ5jg27ikSZpYF5hJ4fwztwn2UNnAnEm23YMxatbdwJHLji46/NhKZBbycARVEKqS8wEgLTjMDrJBc2k3gj1UoxWaYCue7B2zcUdw0BycK+/ojHggOOB9V5n7WYbjAl/OEjd2NETabnJeHz5JbAJg7O81P4stTPc65ed9snFPcJAcXGlSaRUOtP8B7klVrywc+V1zG158+ARJgCM9+aYQ7QwpPFsrZ9YopV9bhoOzRe/BiXXrjuBgwh2d0TC79RaoA7rAj1P3sw6HYQFGwWIy3hq/x49XCId5izF5imZFaU/cvHvpx70Yo2bdExy09OfH26fpk+zRLPPVHtOI+9mpBHWlFI7QTJ+VAH65DC+G43gGu3udNYDj+DGZkqNKxbzf5j7/sUZuUHl565sA1l3BkdHx45MOshXyEaNiydkcv3g4qI9pIxbMdqE2euGc5iPcrOd4/mtsNUeP7F5dnL1xT2zcGRwF2dFHh9uz0YsPt5e9iX7Q7hb1RV6AMDD7Oxnjc3SdELMtkzqrZpGhW3lkPTFwMPmU+2Lj3uAoyI7OAo/DwW3X8+XhsJ1PlIUIBxlBO35hF+YJGDEeiLQHnIvJtreTHbICUs3Fvu6LjbuDg7NKO+0Of5PthpCXP7P7G4NgsZ8fmQPWNCFRDbKME6ScgyI1mBU5Aa1ZnXI3TqxbdwdHLjv4fXsky6gXe8PhrQ1FNwkOhAIdvw70SvgCKyzerYOy6Gc5OMZ/UTTujY07hCMLpM+yQ1xXyi4F/U4nKNQJlAhBFqyjimd2EdHhN4R9F80gLi3jpmQ65d7YuEc4cjreTCh9BR4Din54zwLUjyUYlHFUaQycRNYcSpNgI53C4l3Y+2PjLuHI6VgQDkNLo51AXREwLC4M3obdDPBI7zrerzpkaxf/Ht4UvUM27hOOLAlnXNreUDpcJ78PrVcjNvoB9+/0cQob4MrnTSkwjCpKlcYkgCob42OwcadwcJplsVnqb6YLflxilRfZ+Xcc3exTbvJ0DMqTEq8FP0I/EBv3CgejWd7CZKg198ZvVmzgCINtfXI2ChHOzDT7BV5c7+XKH6BZU/Q+2bhbOHLNstosNUs79ZLmz76ckbFa2q/RfM71Xq48PGuK3ikb9wsHQ8fnBnQctBEfxqgMcChAR1b+CT+48sD2Ox6KjTuGg/VZuuqOS8s12cbCsKBrbBJ3CwTKxzXmxuOwcc9w5LFSQ8dq0R4WqBo0cfbLZa212VrOFH0Ue8Ose4aDoaO/wqO40HDik2xozIplzI3Hkht3DkeehQuGxwZ4VLd03Hq5oCgjNu4sD4vXfcPB0bE0iZ/dL37yxi6r5MHeNxv3DgejWYxq2cBrKY1l2WOpgrVx52zcPRwcHZtEPK4IR8lLuXc27h8OzqUNFUCrdMu14FBFlXLHpqhbDwBHgY61dumV4LBlPazYuHs2HgKOZ+7afi4pPYbrGnCoogN7g11i+9dDwMEaHp9eeCzVLVeAw6dgH9AUdesx4GBdWhsRW65bdocjpGA5sXE/LY+19SBw8IaHd1uW0bE7HGWN8hhy44HgYLK0SbcsuXf7whE0Cvur798Udetx4OBlh8FjWQHhjnDoUPDFi41HYeOR4GDN0hAw7adjPzhsMeBYsDYeRaWY9UhwFOhwifxu08N3Om2feAv+K+ejPBQbjwVHSbW8LcFj2geOmo/y4yGiG2k9GBxl4fE59uERN7betIyjITUei42Hg6MsOz79Nk/tlne7YzjeYX6b5QzRsth4HFPUrYeDo4rHKAuZKp262Ehj7Irl7NCi//pwaDwkHAU6vHKR4KHGIe1Ne96kdMhPVeCrvR6UjYeEo46HIOECO2dtd2R9C2zJUq4DtqxRHslLCesx4SjTYf1ag0eNDzSvw+FR3ymnsXQ9sPGYYuP5YeEoeS1BeljPpcgHhaM2mby5Yv9rBY3HZONh4agJj7fPKD4KcJgulS/USL3UZ7FoDGPN1nhUNB4ZjprwcK7LWJIeZnz+eAlrBRzJQamg8bBsPDIcNeEBXdtcfDhN4J55v5YYpDpEvGoK5XHReHA46nh49aL70y6CpWRkPKSTEteDw1GnA+CxNRy1CsDvITaeHx8OCR5BvWyCiFdJztBoSI3HRuM7wNGg4wfyXtYGQ1Uio87Fd2DjO8BR9VuQAPn1ES3RXkaSCfsvgcgw69YXZYP1LeAQSI8fRIBooZ5R6O2jDWi0wfgGUsOsbwKHHA8XAcGIpHXKeEg+76dQZHwXNL4RHDI8zHIaJgQ4ipw4SeGXA0N4gG+CxreCQ45HkCARkxIY8H0/pd9+66uw3fpWcMjxMOtTusRYfC80vh0chd6nLlgWf8E3Q+MbwtEnPbZdtz7zrdc3hONGeHwbMzStbwmHJCy28br1Ce+yvikcz9cVH7c+153W94XjauLjG+oTv74zHM9XEB/fl4znbw/HzuLj1ie38/r2cDzvxsetT2v/9XeAw6yNwfjW2iSuvwsczxsKkFufyNXW3wiOef3XekBufQrXXH8vOOxaDMitf/jV198QDre6EPl7mBjZ+tvC4df/T0Vl/cf/B74FJuH+L5ILAAAAAElFTkSuQmCC",
+  signature: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAfQAAACWCAYAAAAonXpvAAAQAElEQVR4AezdB5g0S1UG4AETigkExACKqCgmRFAUMWBCUcSEoBhAL6aLAXPOIpgzYAZFURFzBBUwXDErgqKiGBHFgGJGPe8+W//T/9yZne7Z6ZnumW+fOtvV3RW/qqlT59Sp6hsu8hcEgkAQCAJBIAjMHoEw9Nk3YSoQBIJAEAgCQWCxGJehB+EgEASCQBAIAkFgLwiEoe8F5mQSBIJAEAgCQWBcBObM0MdFJqkHgSAQBIJAEJgRAmHoM2qsFDUIBIEgEASCwDoEwtDXIZPnQSAIBIEgEARmhEAY+owaK0UNAkEgCASBILAOgTD0dciM+zypB4EgEASCQBDYKQJh6DuFM4kFgSAQBIJAEDgMAmHoh8F93FyTehAIAkEgCJwcAmHoJ9fkqXAQCAJBIAgcIwJh6MfYquPWKakHgSAQBILABBEIQ59go6RIQSAIBIEgEASGIhCGPhSxhB8XgaQeBIJAEAgCWyEQhr4VbIkUBIJAEAgCQWBaCIShT6s9UppxEUjqQSAIBIGjRSAM/WibNhULAkEgCASBU0IgDP2UWjt1HReBpB4EgkAQOCACYegHBD9ZB4EgEASCQBDYFQJh6LtCMukEgXERSOpBIAgEgQsRCEO/EJ68DAJBIAgEgSAwDwTC0OfRTillEBgXgaQeBILA7BEIQ599E6YCQSAIBIEgEAQWizD09IIgEATGRiDpB4EgsAcEwtD3AHKyCAJBIAgEgSAwNgJh6GMjnPSDQBAYF4GkHgSCwBkCYehnMORfEAgCQSAIBIF5IxCGPu/2S+mDQBAYF4GkHgRmg0AY+myaKgUNAkEgCASBILAegTD09djkTRAIAkFgXASSehDYIQJh6DsEM0kFgSAQBIJAEDgUAmHoh0I++QaBIBAExkUgqZ8YAmHoJ9bgqW4QCAJBIAgcJwJh6MfZrqlVEAgCQWBcBJL65BAIQ59ck6RAQSAIBIEgEASGIxCGPhyzxAgCQSAIBIFxEUjqWyAQhr4FaIkSBIJAEAgCQWBqCIShT61FUp4gEASCQBAYF4EjTT0M/UgbNtUKAkEgCASB00IgDP202ju1DQJBIAgEgXEROFjqYegHgz4ZB4EgEASCQBDYHQJh6LvDMikFgSAQBIJAEBgXgQtSD0O/AJy8CgJBIAgEgSAwFwTC0OfSUilnEAgCQSAIBIELENgBQ78g9bwKAkEgCASBIBAE9oJAGPpeYE4mQSAIBIEgEATGRWDyDH3c6h9F6vesWvxb0f916Hnl//MN9MR6/6gl+pS6f98lunfdv07Rq5zTjeoaFwSCQBAIAhNDIAx9Yg2yRXFes+K8dFHX3bxubrWB3qHeX7NED6v771+iJ9T9s4r++pweXte4IHAoBG5QGd++6BFFf1VkIvv0ur5G0Sr3YvXwLYq+pugPin676KOLln8z9ai3M6l9xwrtt2BiLN1H1r1y1SUuCBwGgRNn6IcBfce5fkOlZ5B78bq+ctGrFhnA3q+u9y/6uqJvLnpS0V8U/V3Rtu7vK+Kji+KCwL4RwJjvXpn+atHvF31Ekb5el8Ub1L8HFHUdhv3gevA3RdcVfWzR7YrepMhv5qF19bupS293mwr5rUUvLPrZok8uMjGW7oPK/3tF9yqKCwIHQSAM/SCwj5LpiypVqnYD2NPK/wNF311kIDPYkChuXfefU8Q9o/6R5A1qfUn4X694cUFgXwjom29Tmel3JqV3Lv8/FX1f0U8VNWdZSFiM/3718LlFX1ukz/5vXUnzGHF5z9z7138Mui4b3ctXCBPjZ9f1gUVt3JSeSfJ/1zPOcxMNErz7UBDYKwI64F4zPKXMJljXV6gyfWgR9/P17/lFcUFgighgzG9VBSORP7mudyj6tSIS8C3qiiFbMsKo63bxUvXv1YosGT22rpgwVfh7lR+DffW63rbIs7osaLNei+cCMkGQD6Z97Xk4Gq4vLr/JwMvV1SSZhsDzul3cuP7RltUlLgjsF4Ew9P3ifejc3qgK8GZF1h1/7Pxal7ggcDAEMN7PqNw/qQjTJWlb4/7Duv+lIoz8q+qKcb55XX+0qEnEb1j+pna/a/mp4jHwPyn/Oxd5/0N1beH/tvy0V3VZYNbU8vyrSLm+o158bxE/tb08GId+Vj37syK/o7osaMVovPhDQeBgCIShHwz6y2Y8OL4B7L4Vi/RgUPuV8scFgUMioE8yViPxflkVhCTMANMad90urIvfpDwPKfKuLle5d6s7adRlccv6h/F+eV1NXK1xW4aq25UOM/73lW8Wi9ev5zQDH1xXkwPr5LQFv1z3q9J8iXpOMq/Lgp3Jf/CEgsC+EQhD3zfih8uPNbwtaErwXfXvn4vigsAhEaAmpz7vlsG6OMM1kjoJ2Tp1933zY/Rv2W7qipFivAzV1jFqzN+EtoIvhPlHniViePeUevZ6RW1y8HPlNwGoy0pnMtHU979ZIf6nKC4I7B2BMPS9Q36wDFm+W2O05vjjm0qR90FgDwiQZBmwWRd/l8rvFYveteh3iy5ioPV6geG+MU/RHxVh7hhvedc6UrTfgAAmALZi8jd67/KYULxMXd+zyLkMGH95L3SM9m5aIZSZ9qu8cUFg/wiEoe8f80PkaK2wGcNZU7T+d4hyJM9pI0CCfZ8q4h8X/WURw6+6jOpeUKlbF/+ZuvbVGunP1t1fsuKweLc9U5nr9kLHiK3V6U8r5L8UcerN+I1BHet4a+U/Ui8w6Lpc6BjcmZAI5DCnZ/KEgsAhEAhDPwTq+8/TgRd3q2z/q8hWtj4DVQUdyyXdCSJAwnxclct2R9bgmCZmVY8m5TBf+8vf/bxU31lX1u912eio96nqBTQB+FeeIpI5y3gTXZoCh8/U416OUd4dz0OyS2F4d36bSxDYLwJh6PvF+1C5vUdlTI1oq9qQwaqixZ0AAozAWJQ7jKhV1yEpqwzR2vtDXTFfh8LIn3T+LeXpO0G1J/1lKzzXJgHS+556gJmbJAyVsKn6raFXEgs7R7J+DonQQRAIQz8I7HvN1H5b6kSZGnD6rAkKO1s6LzhJztqmw0VsYTp/vJML6dWZ9yRFFs47SfRAidyp8m1GYOW94kjqTYK98vDAHtvWMPA2btE22arWt1i2bOoXmK540msnv1nLH8rMGdjZJif/f6h/DOLqMtjRoOmnfqfSHJxAIgQBCLQfBn/oOBF406qWoymtDf5E+U/FOezjh6uymC41anl34uwWwACtt9o7fbOdpHqYRDA027vUwVq2PqIkUzScdFa73RkM55TRB4m+vTx9pXPLByZ4FWVhrdvedOnZ6vbh9XAbYzaGeSzrK/qCxE/K5x9CJtyPrwj6adtWWrdxQWA4AmHowzGbUwyz/Q+pApNKqFQNZHV7Eg6TYtXsyM523O1lK36HxWKBmZNqpUWCxRj450ZdBslKnHV5OzmQdL4NcxoLAycckqRtZWt5MFr7nXbT49pd63aq21dXHOl9el1/sGgbR0vTJhiPqQS20X6Jr34+gvRRlQbL/7rEBYHhCIShD8dsTjEMWE3dbJCmapxT+S9T1l+oyKygnWW/bi9zBentXrtCOj/cV+zKe+bYJDQmePZgJv8wkMYgMXN9BEOn1XDq2ddXPfpKvhV0VGcy6uS4JgnLjHEnFfWQ/txd67aF8y6VkI8WOYVum7rC8B6VBkej4dAZ/qHkRDyTDWv5TUMyNI2EDwJnCIShn8FwtP8MgqyXDThOvjraio5cMdKs5QoTpJYVpmINdxtm0NJoV8eJYg43bg9GvGKQlgr0DUZltnyZpNhzLduvqH8swOsyCeejQl+0VBJLKT7WsvR47a06S6cbwJnuX1APttWwmCBYsqgkFtkKusjfFBAIQ59CK4xTBhKEwVrq1kl3pUK1Fmlw/MpKmMW8ozEfVn5rkXU5Osfo7fOqVpi5r3Y1qZB0rv716lLOWeUmWz9ZqfhSV11GdSRBe7jVxdoxCdHRq7QZT62cGZ3VZRLONjMStHGqTZxcv61KN4QRv1KFb8y3vAt1p7mx1979UOouZe1yYje0HBeF9/u3u+WRFcjkBVmnZ9BZj+KOEQE/lGOsV+q0WLCcZRBnALS/2HVbXEg4TuXCdKwTmiB8QiXmiE5HXpLuvqTuhavLIPe2FZqBmbOyfWGrbiflPqxK41AeTMAZ466IJAuLer21MzEyMSAhO7nspzekRO3vdDMGbLDfEHz59YJB38MXi4Xf/aPqah2aOtsZBaR1knvfw10q+qjuBpW6iYdlAGvcTo+rRws2DL/IM4AYr71uJ7y6w73zaJBXe8FMJHvPbfHjPzT5/Ti6loGf9tS+D6pCMYpFlin053oUd4wI+GEfY71OvU4Gww8sEEhdJLDfKv+2zhewWOEyQKIWXpeOL1sxQlv3ftVzUhN1JeMiRnvWb6lXDZirwu/7GQbaDOqcK07Sgyk8rNFfpjz3rMhUx4yiTBA+su5tparLSkdT8Jn1hnre/nDLKHXb25HMGAiagMnncyvm2xf5clhdFnDHCPinQG9dhWAkRrI00TGhNCnFlBgj1uvejn0AqVoE6dFINE2LZ0NJ27UjZNmmDC3P0Pz6hDeBN7l4UgW+c9E6d9G7dXHyfCYIhKHPpKEGFpORjUMyRCNNb3N6ldk+teSzK5G217a8O3MYzGdXahhaXc7czes/psUa32crqQ3r0SCH4RnAL7sE0GWgmIAJjW1FJOnPrxINUflW8KsctTerZof9eNHH0lqdfP1LeNuthhrjOdJVnzB5oF0hrdPcKAPjMIxS2lvTDiOaONGAaAPMlybDJJV07ojYIVnpQ+wFWhzpbatql4aDaUxA+U2qtv0ugv6pTfVXaW1Lfke+VGeSFma9LYpHEi8M/Ugacqka1IEMuUghLLOXXm+8NQhiqD5taVBtEcz+Sc8GV4yASq+9czb2EGtyDIWavcVfvjpkA+NZfn7RvTo/uQIwYPNpzfJu7d6uYmKgGKB1yGvr3u/lS+tq8KzLVg4zh23DFTO1Tkz6XJcgLQk7Bflb5/7GCnhR+Hp9ldNmJHIPqZtN8JyOZjKlTX2h7DITFOnukjA6zAmzdN66yYj6wn6oNExytfSkfCa3NEL825JPszKIE19a29im+H1ZRtBPaWaktQ3pFyY5lkq68R9dN/LwO7XPvWvr8Yx6F3ekCBggjrRqJ1stM3ZrvgD4jfo3dH2PVTzpsUkhlcSZ8ylJRjZd6cbnL89e1r8nFhl069LLOS6TlIJhPm9NDAZHa15d7zEGSVJhvGYi0y3n9QJveEBCJMn5fZggwEK6GALmviH62teWGGwXU1aBMPOPKc9FzNSgbMC2DgwPGowh69zif2LlYfmApkEdMHGqd1fMckh6ldSozkSPBkRd4aPsN1wsFpi7thiauUOFLJNI7wsr8tAJQUW54mDZlrL0dQzd9UqAHh5paM+mNXhWjzirgmhPX5drZyIIox99XHkeWMTOoi4L+TFk5fe7sLTFHzpCBAxYR1itk66SpQUTsAAAEABJREFUD2vYZwsEn4IcMlib1ZPora2Kj5zItepTkqyzWziqxyH7cDHMJnF+QGViicAAx2K+bs+cAXiI4RJjn3YWuUGrK5WcJdjznwGQIREJ0XGeVOy+vmV9nwHZtgwBXtZbScWK8oj6t4mZV5AFiZ51Mv831b+hBmE+HHJNxcN4rJGbUDh0B7b3qedD+kcFH9XB/uMrB5MN9gXsMmib9AXGfEONEGkmMOBKcqG+Q7a6ibNM+qllC89h6XQ4/iFk+YCxnzi2B5Kw+YcQTRTp3iSzxWNXoZ9aOnlRe1hXv1GTwfIutpngixeaCQJh6DNpqAHFJE1iGhixz1L2jUpqJOFirC0OiY4EQLWOIbTnDIwwUJKPZ47gHKJ6tF0Kw7R2bAJhACJtUGd6Rmo3APdlyiyhSV/KIq4tddsyXirah0ioyOc24SlNTNUAXI8HOxMlAy0GI7L1YfYJJCr368iShG1kfqfyFq/bDuvitee0NbbcWR7BLC0h6BsmFuwiTFha2ClcmyEcBo75WApQLtvUGHzxDyGTRZKsOIwa104IBOhBJheYqaDsGIZOhrrb8KRhUocR8/clfcmkrMvMaVpof5YnGNb7uyp9BwYNLXPfciXcBBAwUEygGCnCjhAgeTUp1VrrkPUya9YkuVYUa3xm/Ks+WIEZf9B5QJKrT1j2ZTQGWGpB5aO+7sYz4FJBYvDWet2fZ7P2gmlZW1V3gcQjvfAPJZMaa80tLfcYoUkGPIamJ7w0TJQwA/fUydLbxMxZUlOPY8DiYeZDB39r0dIRv5H1eox9agO7drT90STR6XX6sbrrX+pOXdzq0Od6mwpkElaXhYmpCSL/tqR8bSnLiW5D+5h+RDI3+VQGbav/8/claXTV9eJpT0thyuS+S7QJtoV6htnbdsofOlIEwtCPq2FJ0z6FqVbWwfswRGExWSpNfmTtkkX3KgnOoEKNaeAVluEc6ZF/E2FuBm0q91VrwSQYp3f5ahWpY1N63neZloHb2vfQwV86iHqbRM7fCBYGze7Eo73rc2VcR5shrK/dWWq4iJnDlwEerQjJWjz10p78fUgaJMlPq8D8dVnI00SK1Nu3X4i3LyKdM2SEMxWxL6PJW3/o27+Eb+QbBm1rGWt+hoDt3TbX7lKWLYt2YvRM5yxYW/pwY4/4p5ZnqBYJRn4/FfXMSYONwar27E5AYGrSO3RnxFkm+TcfBMLQ59NWm0pKDW4QM4CbrZMANsXxXngMpG2fsWaMSWMA3i+TAyowPs9Ze1O3828i+bBapwVYpUJVftIrCcaHM/pIkDQFLHqlrbzWvjcZw9mOxxCMyru7b57FMPW0tFpdqDYxQWm3Z0OuJH0Sv98ZXDHYVYNvS9MgTBq1X1yc9nwIQ7Jk4OQ55w/ARxpsE2hbqP1pPzybEqm39lBn+Gsj5TMBov3hH0ImqPqCOCR86nH+y5CJHo0B5qhMQyaN6vSAyrxN0GgONp0NIY6vw5Hq9SMYYeZtIu23ZxlBeSrp6zmW+NbPvWBQGOkcEkdOfkBHXsWTqZ712abWZRTWV4JgVWywakA5n3ydqp70b3BozN+sf52FekvP1eDkkJCH1g1pc5UUzfDOIIwZbRp85M9AjGFSY8q2cm0yGDMoOijGGrKDVAz8VaQzS2DHrpIM3SPM3MB7EQMWbhVpC+v4mAlGKow99wZh/lWkHWglTHq67/vaQqibAZ/dAUbeGA7GjjFQuXbTnZKfwaAPxHTLRO1uojkUf33NxFYfkZ6lEhMa/m3J1i9LUuLrc0PX802yWnyTFAcTSWsdmdCwVLdM4LeiPZcxsh5+9ttbkQjDO3lg/uwRaN/64Ag7J+q138WKpPNoygiEoU+5dYaVzVppUzGyOG8D+qZUuvFIkVTMy7N+P/R7VUKshFkgl3eB8W4yuqNiZ3xlcuHYVOmSeJelaMzMoKM/GqjWSecGOtoBx4Ay9mGspiwYp3jSd79Myu9ITFv4MHTvuxMXBkXNEM47UrIJSJ9BUHikrtYyDfjqizE3yR4zdbytcMukbNY6HVxDqsLAYWH/tbDKfJHKGSM3+NPKUOeLY323TXRoUBwX6/k6gqudEaze1WNduDGeq393CUce2pWdwXPcDCTMU98QDZbqv65fCNOH7GOnmRLW0se6/un9KmIPQMruw1yV34ShGUPaqeK+i5GJoYnKcl7a0e/LyXq0Cd4LJz7/OtJX2AeYRJkA0tC1rW7r4uT5BBEwgE6wWCnSQARYszYp2+CF4fVJwo/WGnQL22Vy7Zm94pixbURNZegdNea6gY2Eiil6b0ChzhbHQLG8FEDV7vhREwXS+/J78QxU71SepxeRPAyOGGBbg5THOilM3uKQfq2D2p/LPsAWNAzXuj1pXN0wEtumrE16V9ld6JSLZT6m4VAd696kKd/btvarLSQg/1Xrl7ClNjUx4scsMA7tx8JeXOWGI3+XGsbSVX7xTRpMTmDZwhqkm3/52iYDJkTX1UuTGjiUd2/OZO7eS7n5LoA2XXq88dbkwERM/xBYe+gn/NuS/knil7a1bxqqTWmRcGlkaLS60j2J26R4VXztZ6kFs9aH9D8aFxNpZWjqc3FNXpelc/0cZpar2riu/61bHlAfkwfv/Sb0Yb8PvyMTyvPvsssuNBcEWsPPpbwp52oEMAGDgLekw1WW6d4tky0wTc1sUDdQGASEw6xIw37gBklXDMc70iApkL8Rya4roWIOGAYmKbwtWAx4Wvotno+M3O/8BjPvGi8ZdKiLDYKO/FRW5aCeNWEwCEpv1QEfDO9Yl7ejaw2QVOj2EluTFk+21jat2/NjJJvWmdXzLhXYliNSNOZLuvHchIRGgqbEIIw5kvJtyasoVxxs1ZnVOotzmhF1srZPe8GgrQU2UeAXx4BrIiIf7Qxj76j3b10eErZw/HV75mDgHPSzm/N/2oVUTwI2GXDkrjRhsWrycB5tlIt+Aa+WuAmMQ4xa+7Tnfa4Mz9RBWNKwtuyrqRJnFWHINCfe0XxdpC0xybIUZBKlbUyYbS/D4MX3+9Ef+BuRjknV+oIlBs9pWiwZaDv9Fj7S9m5Z26Mt9Qn9HPP3ntGesLb+0aTxN5Kf/qqMJg/6Hz5gQmd5yFiyzQE+Lf1cD4iAhjxg9sl6Rwiwbsc8JGeNbpOKVTjkx93imd1jlhgC9TQmSrIk7ZAc5IE5i2dQI4XyG/BIEg6XIRG1iQXmTJVsYDNIrFP7SVcZDODiS9PghWFjZgYX64cYmHVIaUm7bcdRV8xIPBMAgycmRYKxxQejNZCSWk1YpCksko898fzqZMubcrhvRPvhgBN1NDiSXNTFmrvB1ABt+5FJAYnH5MLaJRW2NOCESfN3sX1sPTAhUSaMWp1a3spar8+cNdT/LB/GpIy0JTBwMp8B3KTMRAlDqGALTLp7JoC0SKm0GTBEmDaMMHLSGYM0zLDvRFA+uyCTHhOglhYJmBW+8rVnfa/S0t76kjg0Svow/2WIlN0mSPqn9u+mh2mz/2hLLdT9mCrmyPCNxkTZ9BO7N1pcvxuMW/8gVesL4ulHjCdpXlpY2hp9zT0jUO/0a5omfV+f8E4fNanWZ93bAgpTvwuaEL8p+TVpXJjH1D8TZZMWE5a9Gk1W3nE7RCAMfYdgHigpA4qBXfakEmrzxhg8u4hIqxi2MJi1gYWkTkrCRNsAY8DHUFpY22cwAvmQvg1MmIM0DDgGCBIn9SQ1u7DyWEVtrc+gg8lhxJiOiYBBTBkcdoMxtUNoDFgYt/RuUv8wV6pDjJPkQfrUt8UlTTfJt4Je5boHj1irJsFj6iR4kxt4ksK9U0eDs3RJTcLAAUM1iDMkhIcMlM8+aH6Y3b88mP4qbOW5jI8JQ0W54kwQWp6WSOBiCYKq3vMrActD2reLoLxXOZM3ExiEGagfVbIjeE3YMJyrIuzhBqPE+FpW1s0xwXY/5CotWwTF0Q/Zgixj491Qot3QN8XTBy1t2YaoPS0Bwc0kzkRWfzOJxRz1B3FooFz9TvU38TBhvxsMWFtqC8sO3XjiNKKxMSnAbP3OLNOY9DiPX73bhJVEr39aRhJXfrBAvrXQflPKTKvj909Ct24ufGjmCGj8mVfh5IvvR0m6AgSmNkQqwaAMFOJiLBi3AcPARAImZbaBiWSCIQm7TPJ00AwpA5MYMkCQIFp68kYGIBMD0ooyUFkbzFo4k4smaZPIrMEbmGAhDEMijFxcUnVjtN41wtiadO4ZSZF0aFsd1bXBG+PzTnlIYCRAEwmDMOnIboJVTEPZmsSsfNYkWfCrm8FUOhhZw1YeXVJ3lsqMqUzWqFydmy9PddMW3fDLfqpmecir+85kyQSLhE8VLJ/lMN3wY/tpPkwo5GMJg9aAfxvCDFta0mlq523S6sahFWn3GDA7BQZr2lP/1NdhLW+/J5PYbl/FeMU3KWCfIR78PfM7MwFwT6PQjed9o7Z+TsPDqNNvTB/UF5TB0pjJrPAMAVf9TvVhy1b6k0korc6qcNI4Ejq9aoShz7/NDSTUqaTrrmV1n5phdk06xFhJDwYIjNAZ011GiImShDFB0g/DMeEMLKQTRnIYWZ98u2F8eQxjsQZoQuJjGqQZgxaG1y1Di4ehGbQbM3VVF2UjEZNi3a+K29KgJsWc2333Si1JyrXWKAwJWV2pLElT6wbelob2YBRnOaA9M/Bb38XUpaPM7d3y1TtaEtvrSOHSuaguq+LLg6qWatdERzvxYypUsUPSW05/V/fqSTtA22D92P22aZvAiUvLY2J2mbSk08gWSmvUli1M0vQrbas/wJQ2CtZd248W11XfpjXhx1Rpe/x2SNarJgDCLZNlp1YffcEyjPj6ud9IN7wJhMmpSYbfqe8FmDj5Tflt6U8trW68+I8AgTD0+TeidS/SFmY+lKGSMM3WSQ9U18uq42V0MH+MlJRB6iS1Yq7L4YbcG4Awb+vIGCgpos+AY80fo1V2VwO6sllf3JQ/lTjV6bpw9nIzVDLB6MPAV6VDq0CyVj5k4KcqHdpGq9Lu+8zEg1ROErtsO/XNc0g4zJJWiD2Asg6JuxyWhgnOtnfpU8vvt73XFxm6WYLCRPUzhwX17fu0VyZxykbCpsL32zE56Fsm69z6uDT0KRqpi+Jrb5MMv1PnMzB+U4+++SVcDwSmGCQMfYqtkjKNjYCtZlS08rFUYLBkdW7t3jMSozVN/lAQCAJBYBYIhKHPoplSyB0iQMohxWHi1KdNBUn17wARe4VlR31PkucPBYEgEAT2iMB2WYWhb4dbYs0XAdt3mvRt3b+rnvUxGtvI1I6VujVo/lAQCAJBYPIIhKFPvolSwB0j0I66tW+eRfJy8m2t0drzFNedl8ub+yAQBILAGQJ9GfpZ4PwLAjNHgAGgPeGqYe9w9wAWzxCLcFd7jFn+84eCQBAIApNHIAx98k2UAu4QAYZwtgo5MGbVATz25DOIkyXL6yls7VKWUBAIAkFgIwLTYOgbi5kAQeDSCGDWtpYzT7wAAAVaSURBVMcximP4ZmvacqJO9bK3lzredsDl97kPAkEgCEwWgTD0yTZNCrZjBOwDv8d5mvaDL5+Q5lQ4B3442W2dOv48ei5BIAgEgekhcAoMfXqop0SHQMBBMs6Nd442CX25DI7PFMapXg4Sibp9GaHcB4EgMGkEwtAn3Twp3I4QcOSpL7VJzlfNlo/ptJXNp1Op4320Yvk4TfFCQSAIBIFJIxCGftnmSfw5IODjFlTujOF8oapbZpbvPrbhYyzOT3dUZqTzLkLxB4EgMAsEwtBn0Uwp5CUQ8AENZ8RLwmdJfRyDH1k398lJn2f12VWfxeweNCNMKAgEgSAwCwTC0KfdTCnd5RG4fSVxtyLO18t8CY0fo7dWfk3d+NDFfer6nKK4IBAEgsAsEQhDn2WzpdADELhThWW57lhXKvW6Xdy0/jn2lUTus60+K7lqG1sFiwsCQSAIzAOBMPR5tNM4pTz+VG9UVbxXEXdd/XMy3N3r+rQiVu1Pretdi55ZFBcEgkAQmDUCYeizbr4UfgMCjnG943kYn0zF0Enpt61njN8cIvPc8scFgSAQBGaPQBj67JtwshWYQsFuV4W4ZRF3q/p3i6IXFN236NqiFxbFBYEgEASOAoEw9KNoxlSiJwI+jYqxP67CZ2tagRAXBILA8SAQhn48bXlaNelX26dUMKe/WS+/WfkfXERCr0tcEAgCQeC4EAhDP672TG2uRoBK/fH16AlFzy+KCwJBIAgcLQJh6EfbtKnYJRBI1CAQBILA7BAIQ59dk6XAQSAIBIEgEASuj0AY+vUxyZMgMC4CST0IBIEgMAICYegjgJokg0AQCAJBIAjsG4Ew9H0jnvyCwLgIJPUgEAROFIEw9BNt+FQ7CASBIBAEjguBMPTjas/UJgiMi0BSDwJBYLIIhKFPtmlSsCAQBIJAEAgC/REIQ++PVUIGgSAwLgJJPQgEgUsgEIZ+CfASNQgEgSAQBILAVBAIQ59KS6QcQSAIjItAUg8CR45AGPqRN3CqFwSCQBAIAqeBQBj6abRzahkEgsC4CCT1IHBwBMLQD94EKUAQCAJBIAgEgcsjEIZ+eQyTQhAIAkFgXASSehDogUAYeg+QEiQIBIEgEASCwNQRCEOfegulfEEgCASBcRFI6keCQBj6kTRkqhEEgkAQCAKnjUAY+mm3f2ofBIJAEBgXgaS+NwTC0PcGdTIKAkEgCASBIDAeAmHo42GblINAEAgCQWBcBJJ6B4Ew9A4Y8QaBIBAEgkAQmCsCYehzbbmUOwgEgSAQBMZFYGaph6HPrMFS3CAQBIJAEAgCqxAIQ1+FSp4FgSAQBIJAEBgXgZ2nHoa+c0iTYBAIAkEgCASB/SMQhr5/zJNjEAgCQSAIBIGdI3AVQ9956kkwCASBIBAEgkAQ2AsCYeh7gTmZBIEgEASCQBAYF4E9MvRxK5LUg0AQCAJBIAicMgJh6Kfc+ql7EAgCQSAIHA0CR8PQj6ZFUpEgEASCQBAIAlsgEIa+BWiJEgSCQBAIAkFgagiEofdqkQQKAkEgCASBIDBtBMLQp90+KV0QCAJBIAgEgV4IhKH3gmncQEk9CASBIBAEgsBlEQhDvyyCiR8EgkAQCAJBYAIIhKFPoBHGLUJSDwJBIAgEgVNAIAz9FFo5dQwCQSAIBIGjRyAM/eibeNwKJvUgEASCQBCYBgJh6NNoh5QiCASBIBAEgsClEAhDvxR8iTwuAkk9CASBIBAE+iIQht4XqYQLAkEgCASBIDBhBMLQJ9w4Kdq4CCT1IBAEgsAxIRCGfkytmboEgSAQBILAySIQhn6yTZ+Kj4tAUg8CQSAI7BeB/wcAAP//MlAg6AAAAAZJREFUAwC4V4p4mOW84QAAAABJRU5ErkJggg==",
+};
@@ -0,0 +1,183 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import { createRequire } from 'module';
+
+/**
+ * Fonts embedded into every card/PDF render. Headless Chromium on Vercel
+ * ships no Bengali glyphs, so Noto Sans Bengali (Bengali + Latin subsets)
+ * is inlined as data URIs and never fetched at render time.
+ */
+
+export const CARD_FONT_FAMILY = 'Noto Sans Bengali';
+export const CARD_FONT_STACK = `'${CARD_FONT_FAMILY}', sans-serif`;
+
+const require = createRequire(import.meta.url);
+
+// unicode-range values from @fontsource/noto-sans-bengali
+const FONT_SUBSETS = {
+  bengali:
+    'U+0951-0952,U+0964-0965,U+0980-09FE,U+1CD0,U+1CD2,U+1CD5-1CD6,U+1CD8,U+1CE1,U+1CEA,U+1CED,U+1CF2,U+1CF5-1CF7,U+200C-200D,U+20B9,U+25CC,U+A8F1',
+  'latin-ext':
+    'U+0100-02BA,U+02BD-02C5,U+02C7-02CC,U+02CE-02D7,U+02DD-02FF,U+0304,U+0308,U+0329,U+1D00-1DBF,U+1E00-1E9F,U+1EF2-1EFF,U+2020,U+20A0-20AB,U+20AD-20C0,U+2113,U+2C60-2C7F,U+A720-A7FF',
+  latin:
+    'U+0000-00FF,U+0131,U+0152-0153,U+02BB-02BC,U+02C6,U+02DA,U+02DC,U+0304,U+0308,U+0329,U+2000-206F,U+20AC,U+2122,U+2191,U+2193,U+2212,U+2215,U+FEFF,U+FFFD',
+};
+
+// 600 (used by the card labels) resolves to 700
+const FONT_WEIGHTS = [400, 700];
+
+let cachedCss = null;
+let cachedCoverage = null;
+
+const fontFile = (subset, weight, format) =>
+  require.resolve(
+    `@fontsource/noto-sans-bengali/files/noto-sans-bengali-${subset}-${weight}-normal.${format}`
+  );
+
+const fontFace = (subset, weight) => {
+  const data = fs.readFileSync(fontFile(subset, weight, 'woff2')).toString('base64');
+
+  return `@font-face {
+  font-family: '${CARD_FONT_FAMILY}';
+  font-style: normal;
+  font-display: block;
+  font-weight: ${weight};
+  src: url(data:font/woff2;base64,${data}) format('woff2');
+  unicode-range: ${FONT_SUBSETS[subset]};
+}`;
+};
+
+/**
+ * @font-face rules for the embedded card fonts (built once, ~180 KB)
+ * @returns {String}
+ */
+export const getCardFontCss = () => {
+  if (!cachedCss) {
+    cachedCss = Object.keys(FONT_SUBSETS)
+      .flatMap((subset) => FONT_WEIGHTS.map((weight) => fontFace(subset, weight)))
+      .join('\n');
+  }
+  return cachedCss;
+};
+
+/**
+ * Add the embedded fonts to a full HTML document (before `</head>` when present)
+ * @param {String} html
+ * @returns {String}
+ */
+export const withCardFonts = (html) => {
+  const style = `<style>\n${getCardFontCss()}\n</style>`;
+  const headEnd = html.search(/<\/head>/i);
+  if (headEnd === -1) return `${style}\n${html}`;
+  return `${html.slice(0, headEnd)}${style}\n${html.slice(headEnd)}`;
+};
+
+// "U+0980-09FE,U+20B9" → [[0x980, 0x9fe], [0x20b9, 0x20b9]]
+const parseUnicodeRange = (range) =>
+  range.split(',').map((part) => {
+    const [start, end = start] = part.replace('U+', '').split('-');
+    return [parseInt(start, 16), parseInt(end, 16)];
+  });
+
+// Raw `cmap` table from a WOFF (1.0) file; tables are zlib-compressed one by one
+const readWoffCmap = (buffer) => {
+  const numTables = buffer.readUInt16BE(12);
+  for (let i = 0; i < numTables; i++) {
+    const entry = 44 + i * 20;
+    if (buffer.toString('latin1', entry, entry + 4) !== 'cmap') continue;
+
+    const offset = buffer.readUInt32BE(entry + 4);
+    const compLength = buffer.readUInt32BE(entry + 8);
+    const origLength = buffer.readUInt32BE(entry + 12);
+    const table = buffer.subarray(offset, offset + compLength);
+    return compLength < origLength ? zlib.inflateSync(table) : table;
+  }
+  throw new Error('Font has no cmap table');
+};
+
+// Code points mapped to a real glyph by a Unicode cmap subtable (format 4 or 12)
+const readCmapCodePoints = (cmap) => {
+  const codePoints = new Set();
+  const numTables = cmap.readUInt16BE(2);
+
+  for (let i = 0; i < numTables; i++) {
+    const platformId = cmap.readUInt16BE(4 + i * 8);
+    const offset = cmap.readUInt32BE(8 + i * 8);
+    const format = cmap.readUInt16BE(offset);
+    if (platformId !== 0 && platformId !== 3) continue;
+
+    if (format === 12) {
+      const groups = cmap.readUInt32BE(offset + 12);
+      for (let g = 0; g < groups; g++) {
+        const start = cmap.readUInt32BE(offset + 16 + g * 12);
+        const end = cmap.readUInt32BE(offset + 20 + g * 12);
+        for (let c = start; c <= end; c++) codePoints.add(c);
+      }
+    } else if (format === 4) {
+      const segCount = cmap.readUInt16BE(offset + 6) / 2;
+      const ends = offset + 14;
+      const starts = ends + segCount * 2 + 2;
+      const deltas = starts + segCount * 2;
+      const rangeOffsets = deltas + segCount * 2;
+
+      for (let s = 0; s < segCount; s++) {
+        const start = cmap.readUInt16BE(starts + s * 2);
+        const end = cmap.readUInt16BE(ends + s * 2);
+        const delta = cmap.readInt16BE(deltas + s * 2);
+        const rangeOffset = cmap.readUInt16BE(rangeOffsets + s * 2);
+
+        for (let c = start; c <= end && c !== 0xffff; c++) {
+          let glyph;
+          if (rangeOffset === 0) {
+            glyph = (c + delta) & 0xffff;
+          } else {
+            const at = rangeOffsets + s * 2 + rangeOffset + (c - start) * 2;
+            glyph = cmap.readUInt16BE(at);
+            if (glyph !== 0) glyph = (glyph + delta) & 0xffff;
+          }
+          if (glyph !== 0) codePoints.add(c);
+        }
+      }
+    }
+  }
+
+  return codePoints;
+};
+
+/**
+ * Code points the embedded fonts can draw: each subset's cmap, limited to the
+ * unicode-range it is loaded for
+ * @returns {Set<Number>}
+ */
+export const getCardFontCoverage = () => {
+  if (!cachedCoverage) {
+    cachedCoverage = new Set();
+    for (const [subset, range] of Object.entries(FONT_SUBSETS)) {
+      const ranges = parseUnicodeRange(range);
+      const inRange = (c) => ranges.some(([start, end]) => c >= start && c <= end);
+
+      for (const weight of FONT_WEIGHTS) {
+        const cmap = readWoffCmap(fs.readFileSync(fontFile(subset, weight, 'woff')));
+        for (const c of readCmapCodePoints(cmap)) {
+          if (inRange(c)) cachedCoverage.add(c);
+        }
+      }
+    }
+  }
+  return cachedCoverage;
+};
+
+/**
+ * Characters in `text` the embedded fonts have no glyph for (whitespace ignored)
+ * @param {String} text
+ * @returns {Array<String>} - Unique characters, in order of appearance
+ */
+export const findMissingGlyphs = (text) => {
+  const coverage = getCardFontCoverage();
+  const missing = new Set();
+  for (const char of String(text)) {
+    if (/\s/.test(char)) continue;
+    if (!coverage.has(char.codePointAt(0))) missing.add(char);
+  }
+  return [...missing];
+};
@@ -0,0 +1,58 @@
+/**
+ * Printed card labels, available to templates as {{label.<key>}}.
+ * "bilingual" prints the Bengali label followed by the English one.
+ */
+
+export const CARD_LANGUAGES = ['en', 'bn', 'bilingual'];
+
+const LABELS = {
+  en: {
+    identityCard: 'IDENTITY CARD',
+    address: 'Address',
+    phone: 'Phone',
+    blood: 'Blood',
+    joined: 'Joined',
+    uniqueId: 'Unique ID',
+    validTill: 'Valid Till',
+    signature: 'Signature of President',
+    emergency: 'In case of emergency',
+    emergencyContact: 'Emergency Contact',
+    bloodGroup: 'Blood Group',
+    medicalConditions: 'Medical Conditions',
+    returnTo: 'If found, please return to',
+  },
+  bn: {
+    identityCard: 'পরিচয়পত্র',
+    address: 'ঠিকানা',
+    phone: 'ফোন',
+    blood: 'রক্ত',
+    joined: 'যোগদান',
+    uniqueId: 'ইউনিক আইডি',
+    validTill: 'মেয়াদ',
+    signature: 'সভাপতির স্বাক্ষর',
+    emergency: 'জরুরি অবস্থায়',
+    emergencyContact: 'জরুরি যোগাযোগ',
+    bloodGroup: 'রক্তের গ্রুপ',
+    medicalConditions: 'শারীরিক অসুস্থতা',
+    returnTo: 'পাওয়া গেলে অনুগ্রহ করে ফেরত দিন',
+  },
+};
+
+/**
+ * Label set for a card language (unknown languages fall back to English)
+ * @param {String} language - "en" | "bn" | "bilingual"
+ * @returns {Object} - { address, phone, blood, joined, ... }
+ */
+export const getCardLabels = (language = 'en') => {
+  if (language === 'bilingual') {
+    return Object.fromEntries(
+      Object.entries(LABELS.en).map(([key, en]) => [key, `${LABELS.bn[key]} / ${en}`])
+    );
+  }
+  return LABELS[language] || LABELS.en;
+};
+
+export const normalizeCardLanguage = (value) => {
+  const language = String(value || '').trim().toLowerCase();
+  return CARD_LANGUAGES.includes(language) ? language : null;
+};
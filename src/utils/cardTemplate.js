@@ -0,0 +1,51 @@
+import { DEFAULT_CARD_ASSETS } from './cardAssets.js';
+
+/**
+ * Tiny placeholder engine for card templates.
+ * `{{name}}` / `{{asset.logo}}` are replaced with HTML-escaped values;
+ * unknown placeholders render as an empty string.
+ */
+
+const PLACEHOLDER_REGEX = /\{\{\s*([a-zA-Z0-9_.]+)\s*\}\}/g;
+
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const lookup = (context, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+
+/**
+ * Fill a template with values from `context`
+ * @param {String} html - Template HTML
+ * @param {Object} context - Values (nested objects via dotted paths)
+ * @returns {String}
+ */
+export const renderTemplate = (html, context) =>
+  html.replace(PLACEHOLDER_REGEX, (match, path) => escapeHtml(lookup(context, path)));
+
+/**
+ * Placeholders used by a template, e.g. ['name', 'asset.logo']
+ * @param {String} html - Template HTML
+ * @returns {Array<String>}
+ */
+export const listPlaceholders = (html) => [
+  ...new Set([...html.matchAll(PLACEHOLDER_REGEX)].map((match) => match[1])),
+];
+
+/**
+ * Asset URLs for a template, falling back to the built-in artwork
+ * @param {Object} template - CardTemplate document or built-in template
+ * @returns {Object} - { logo, signature, ... }
+ */
+export const getTemplateAssets = (template) => {
+  const assets = { ...DEFAULT_CARD_ASSETS };
+  for (const asset of template.assets || []) {
+    assets[asset.key] = asset.url;
+  }
+  return assets;
+};
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+
+/**
+ * Signed ID card tokens encoded into the card QR code.
+ * Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+ * Payload: { n: ngoId, i: issuedAt (unix seconds) }
+ */
+
+const getSecret = () => {
+  const secret = process.env.CARD_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('Missing CARD_SIGNING_SECRET / JWT_SECRET for card tokens');
+  }
+  return secret;
+};
+
+const sign = (body) =>
+  crypto.createHmac('sha256', getSecret()).update(body).digest('base64url');
+
+/**
+ * Create a signed card token
+ * @param {Object} data - { ngoId, issuedAt }
+ * @returns {String} - Token safe to put in a URL
+ */
+export const signCardToken = ({ ngoId, issuedAt }) => {
+  const payload = {
+    n: ngoId,
+    i: Math.floor(new Date(issuedAt).getTime() / 1000),
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body)}`;
+};
+
+/**
+ * Verify a card token
+ * @param {String} token - Token from the QR code
+ * @returns {Object|null} - { ngoId, issuedAt } or null if tampered/malformed
+ */
+export const verifyCardToken = (token) => {
+  if (typeof token !== 'string' || token.length > 512) {
+    return null;
+  }
+
+  const [body, signature, extra] = token.split('.');
+  if (!body || !signature || extra !== undefined) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (typeof payload.n !== 'string' || !Number.isInteger(payload.i)) {
+      return null;
+    }
+    return { ngoId: payload.n, issuedAt: new Date(payload.i * 1000) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Public URL encoded into the QR code
+ * @param {String} token - Signed card token
+ * @returns {String}
+ */
+export const buildCardVerifyUrl = (token) => {
+  const base = (
+    process.env.CARD_VERIFY_BASE_URL || 'https://www.bipaderbondhu.in/verify'
+  ).replace(/\/+$/, '');
+  return `${base}/${token}`;
+};
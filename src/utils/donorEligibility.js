@@ -0,0 +1,26 @@
+/**
+ * Whole-blood donation interval. Members are not shortlisted again until
+ * DONATION_GAP_DAYS after their last recorded donation.
+ */
+export const DONATION_GAP_DAYS = parseInt(process.env.DONATION_GAP_DAYS) || 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Date} lastDonationAt - Last donation date (may be empty)
+ * @returns {Date|null} - First date the member may donate again, null if never donated
+ */
+export const getNextEligibleDate = (lastDonationAt) =>
+  lastDonationAt ? new Date(new Date(lastDonationAt).getTime() + DONATION_GAP_DAYS * DAY_MS) : null;
+
+/**
+ * Mongo filter: no donation within the gap
+ * @param {Date} at - Reference date (defaults to now)
+ */
+export const eligibleDonorFilter = (at = new Date()) => ({
+  $or: [
+    { lastDonationAt: { $exists: false } },
+    { lastDonationAt: null },
+    { lastDonationAt: { $lte: new Date(at.getTime() - DONATION_GAP_DAYS * DAY_MS) } },
+  ],
+});
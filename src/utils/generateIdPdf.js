@@ -1,204 +1,235 @@
-import { uploadToCloudinary } from "../config/cloudinary.js";
-import puppeteer from "puppeteer-core";
-import chromium from "@sparticuz/chromium";
+import { renderPdf } from "./renderService.js";
+import { escapeHtml } from "./cardTemplate.js";
 
+// ============================================================
+// 🖨️ PRINT SHEETS (A4, CR80 cards)
+// ============================================================
 
+const A4 = { width: 210, height: 297 }; // mm
+const CR80 = { width: 85.6, height: 54 }; // mm
+const SHEET_COLUMNS = 2;
+const COLUMN_GUTTER = 6; // mm
+const MIN_MARGIN = 5; // mm, printer safe area
+const CROP_MARK_OFFSET = 0.5; // mm gap between card edge and mark
+const CROP_MARK_LENGTH = 1.5; // mm
+
+export const PRINT_LAYOUTS = [8, 10];
 
 /**
- * Generate ID Card PDF and upload to Cloudinary
- * Uses a simple HTML to PDF conversion approach
+ * Card positions (mm, top-left) for one A4 page
+ * @param {Number} cardsPerPage - 8 (2×4) or 10 (2×5)
+ * @returns {Array<Object>} - [{ x, y }] in reading order
  */
-export const generateIdCardPDF = async (data) => {
-  try {
-    const { name, phone, bloodGroup, joiningDate, ngoId, photoUrl } = data;
+export const getPrintSheetLayout = (cardsPerPage = 10) => {
+  const rows = cardsPerPage / SHEET_COLUMNS;
+  const rowGutter = Math.min(
+    8,
+    (A4.height - 2 * MIN_MARGIN - rows * CR80.height) / (rows - 1)
+  );
+
+  const gridWidth = SHEET_COLUMNS * CR80.width + (SHEET_COLUMNS - 1) * COLUMN_GUTTER;
+  const gridHeight = rows * CR80.height + (rows - 1) * rowGutter;
+  const left = (A4.width - gridWidth) / 2;
+  const top = (A4.height - gridHeight) / 2;
+
+  const positions = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < SHEET_COLUMNS; col++) {
+      positions.push({
+        x: left + col * (CR80.width + COLUMN_GUTTER),
+        y: top + row * (CR80.height + rowGutter),
+      });
+    }
+  }
+  return positions;
+};
 
-    // Create HTML template for ID card
-    const htmlTemplate = `
+const cropMarksHtml = ({ x, y }) => {
+  const marks = [];
+  const right = x + CR80.width;
+  const bottom = y + CR80.height;
+  const near = CROP_MARK_OFFSET;
+  const far = CROP_MARK_OFFSET + CROP_MARK_LENGTH;
+
+  for (const cx of [x, right]) {
+    for (const cy of [y, bottom]) {
+      const dx = cx === x ? -1 : 1;
+      const dy = cy === y ? -1 : 1;
+      // horizontal mark, extending outward from the vertical edge
+      marks.push(
+        `<div class="mark h" style="left:${dx < 0 ? cx - far : cx + near}mm;top:${cy}mm"></div>`
+      );
+      // vertical mark, extending outward from the horizontal edge
+      marks.push(
+        `<div class="mark v" style="left:${cx}mm;top:${dy < 0 ? cy - far : cy + near}mm"></div>`
+      );
+    }
+  }
+  return marks.join("");
+};
+
+// Shared back face when a member has no personal back image
+const genericBackHtml = () => `
+  <div class="generic-back">
+    <div class="org">Narayan Pur Bipader Bondhu Welfare Society</div>
+    <div class="line">Reg. No. S0042589 of 2024-2025</div>
+    <div class="line">If found, please return to the society office or contact</div>
+    <div class="line">narayanpurbipaderbondhu@gmail.com • www.bipaderbondhu.in</div>
+  </div>`;
+
+const buildSheetHtml = (pages, cropMarks) => `
 <!DOCTYPE html>
 <html>
 <head>
   <meta charset="UTF-8">
   <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
-    
-    body {
-      font-family: Arial, sans-serif;
-      background: white;
-    }
-    
-    .id-card {
-      width: 600px;
-      height: 380px;
-      background: linear-gradient(135deg, #1e3c72, #2a5298);
-      border-radius: 20px;
-      overflow: hidden;
+    @page { size: A4; margin: 0; }
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: Arial, sans-serif; }
+    .page {
       position: relative;
+      width: ${A4.width}mm;
+      height: ${A4.height}mm;
+      page-break-after: always;
+      overflow: hidden;
     }
-    
-    .card-header {
-      background: white;
-      color: #1e3c72;
-      padding: 15px;
-      font-weight: bold;
-      text-align: center;
-      font-size: 16px;
-    }
-    
-    .card-body {
-      display: flex;
-      padding: 20px;
-      gap: 20px;
-      color: white;
-    }
-    
-    .photo-container {
-      flex-shrink: 0;
-    }
-    
-    .member-photo {
-      width: 120px;
-      height: 140px;
-      object-fit: cover;
-      border-radius: 10px;
-      border: 3px solid white;
-    }
-    
-    .info-section {
-      flex: 1;
-    }
-    
-    .info-row {
-      font-size: 14px;
-      margin-bottom: 8px;
-      line-height: 1.4;
-    }
-    
-    .info-row strong {
-      display: inline-block;
-      width: 80px;
+    .page:last-child { page-break-after: auto; }
+    .card {
+      position: absolute;
+      width: ${CR80.width}mm;
+      height: ${CR80.height}mm;
+      overflow: hidden;
     }
-    
-    .qr-section {
-      background: white;
-      padding: 10px;
-      border-radius: 10px;
-      width: 110px;
-      height: 110px;
+    .card img { width: 100%; height: 100%; display: block; object-fit: cover; }
+    .mark { position: absolute; background: #000; }
+    .mark.h { width: ${CROP_MARK_LENGTH}mm; height: 0.1mm; }
+    .mark.v { width: 0.1mm; height: ${CROP_MARK_LENGTH}mm; }
+    .generic-back {
+      width: 100%;
+      height: 100%;
+      border: 0.3mm solid #1e3c72;
       display: flex;
-      align-items: center;
+      flex-direction: column;
       justify-content: center;
+      align-items: center;
+      text-align: center;
+      padding: 4mm;
+      gap: 1.5mm;
     }
-    
-    .qr-code {
-      width: 90px;
-      height: 90px;
-    }
+    .generic-back .org { font-size: 3.6mm; font-weight: bold; color: #1e3c72; }
+    .generic-back .line { font-size: 2.4mm; color: #111827; }
   </style>
 </head>
 <body>
-  <div class="id-card">
-    <div class="card-header">
-      Narayan Pur Bipader Bondhu Welfare Society
-    </div>
-    
-    <div class="card-body">
-      <div class="photo-container">
-        <img class="member-photo" src="${photoUrl}" alt="Member Photo" />
-      </div>
-      
-      <div class="info-section">
-        <div class="info-row">
-          <strong>Name:</strong> ${name}
-        </div>
-        <div class="info-row">
-          <strong>Phone:</strong> ${phone}
-        </div>
-        <div class="info-row">
-          <strong>Blood:</strong> ${bloodGroup}
-        </div>
-        <div class="info-row">
-          <strong>Joining:</strong> ${joiningDate}
-        </div>
-        <div class="info-row">
-          <strong>ID:</strong> ${ngoId}
-        </div>
-      </div>
-      
-      <div class="qr-section">
-        <img class="qr-code" src="https://api.qrserver.com/v1/create-qr-code/?size=90x90&data=${ngoId}" alt="QR Code" />
-      </div>
-    </div>
-  </div>
+${pages
+  .map(
+    (page) => `
+  <div class="page">
+    ${page
+      .map(
+        ({ position, content }) => `
+    <div class="card" style="left:${position.x}mm;top:${position.y}mm">${content}</div>
+    ${cropMarks ? cropMarksHtml(position) : ""}`
+      )
+      .join("")}
+  </div>`
+  )
+  .join("")}
 </body>
 </html>
-    `;
-
-    // For now, we'll store the HTML as a PDF placeholder
-    // In production, you'd use a service like Puppeteer, PDFKit, or an API
-    
-  
-
-// Generate real PDF
-const browser = await puppeteer.launch({
-  args: chromium.args,
-  executablePath: await chromium.executablePath(),
-  headless: chromium.headless,
-});
-
-const page = await browser.newPage();
-await page.setBypassCSP(true);
-
-await page.setContent(htmlTemplate, { waitUntil: "load" });
-
-// ✅ wait until images load
-await page.waitForSelector("img", { timeout: 5000 });
-
-const pdfBuffer = await page.pdf({
-  width: "85.6mm",
-  height: "54mm",
-  printBackground: true,
-  margin: { top: 0, right: 0, bottom: 0, left: 0 }
-});
-
-await browser.close();
-
-// Upload REAL PDF
-const pdfUpload = await uploadToCloudinary(
-  pdfBuffer,
-  "ngo-id-cards",
-  `${ngoId}-card`,   // ❌ NO .pdf here
-  "raw"
-);
-
-    return pdfUpload.secure_url;
-  } catch (error) {
-    console.error("❌ PDF generation error:", error);
-    throw new Error("Failed to generate PDF: " + error.message);
+`;
+
+/**
+ * Impose card images onto A4 pages for printing
+ * @param {Array<Object>} cards - [{ frontUrl, backUrl? }] image URLs or data URIs
+ * @param {Object} options - { cardsPerPage: 8|10, duplex: Boolean, cropMarks: Boolean }
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+export const generatePrintSheetPDF = async (cards, options = {}) => {
+  const { cardsPerPage = 10, duplex = false, cropMarks = true } = options;
+
+  if (!PRINT_LAYOUTS.includes(cardsPerPage)) {
+    throw new Error(`cardsPerPage must be one of ${PRINT_LAYOUTS.join(", ")}`);
   }
+
+  const layout = getPrintSheetLayout(cardsPerPage);
+  const pages = [];
+
+  for (let i = 0; i < cards.length; i += cardsPerPage) {
+    const chunk = cards.slice(i, i + cardsPerPage);
+
+    pages.push(
+      chunk.map((card, index) => ({
+        position: layout[index],
+        content: `<img src="${escapeHtml(card.frontUrl)}" alt="" />`,
+      }))
+    );
+
+    if (duplex) {
+      // Long-edge flip: columns are mirrored on the back of the sheet
+      pages.push(
+        chunk.map((card, index) => {
+          const row = Math.floor(index / SHEET_COLUMNS);
+          const col = SHEET_COLUMNS - 1 - (index % SHEET_COLUMNS);
+          return {
+            position: layout[row * SHEET_COLUMNS + col],
+            content: card.backUrl ? `<img src="${escapeHtml(card.backUrl)}" alt="" />` : genericBackHtml(),
+          };
+        })
+      );
+    }
+  }
+
+  return renderPdf(buildSheetHtml(pages, cropMarks), { format: "A4" });
 };
 
 /**
- * Alternative: Generate simple text-based PDF info
- * This creates a JSON file with all info that can be downloaded
+ * Single card as a two-page CR80 PDF (front, then back) for card printers
+ * @param {Object} card - { frontUrl, backUrl? } image URLs or data URIs
+ * @returns {Promise<Buffer>} - PDF buffer
  */
-export const generateIdCardData = (data) => {
-  const { name, phone, bloodGroup, joiningDate, ngoId, photoUrl } = data;
-  
-  return {
-    organizationName: "Narayan Pur Bipader Bondhu Welfare Society",
-    memberInfo: {
-      name,
-      phone,
-      bloodGroup,
-      joiningDate,
-      ngoId,
-      photoUrl,
-    },
-    qrCodeUrl: `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${ngoId}`,
-    generatedAt: new Date().toISOString(),
-  };
-};
\ No newline at end of file
+export const generateCardPDF = async ({ frontUrl, backUrl }) => {
+  const face = (content) => `<div class="face">${content}</div>`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    @page { size: ${CR80.width}mm ${CR80.height}mm; margin: 0; }
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: Arial, sans-serif; }
+    .face {
+      width: ${CR80.width}mm;
+      height: ${CR80.height}mm;
+      overflow: hidden;
+      page-break-after: always;
+    }
+    .face:last-child { page-break-after: auto; }
+    .face img { width: 100%; height: 100%; display: block; object-fit: cover; }
+    .generic-back {
+      width: 100%;
+      height: 100%;
+      border: 0.3mm solid #1e3c72;
+      display: flex;
+      flex-direction: column;
+      justify-content: center;
+      align-items: center;
+      text-align: center;
+      padding: 4mm;
+      gap: 1.5mm;
+    }
+    .generic-back .org { font-size: 3.6mm; font-weight: bold; color: #1e3c72; }
+    .generic-back .line { font-size: 2.4mm; color: #111827; }
+  </style>
+</head>
+<body>
+  ${face(`<img src="${escapeHtml(frontUrl)}" alt="" />`)}
+  ${face(backUrl ? `<img src="${escapeHtml(backUrl)}" alt="" />` : genericBackHtml())}
+</body>
+</html>
+`;
+
+  return renderPdf(html, { width: `${CR80.width}mm`, height: `${CR80.height}mm` });
+};
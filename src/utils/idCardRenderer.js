@@ -0,0 +1,865 @@
+import { uploadToCloudinary } from "../config/cloudinary.js";
+import { computeValidity } from "../models/ngoApplication.model.js";
+import { signCardToken, buildCardVerifyUrl } from "./cardToken.js";
+import { generateQrDataUri } from "./qrCode.js";
+import { renderPng, inspectRenderedText } from "./renderService.js";
+import { renderTemplate, getTemplateAssets } from "./cardTemplate.js";
+import { withCardFonts, findMissingGlyphs } from "./cardFonts.js";
+import { getCardLabels } from "./cardLabels.js";
+import CardTemplate from "../models/cardTemplate.model.js";
+
+// Back face of the built-in design. Sized with the viewport so it also fits
+// stored templates that only define a front.
+const DEFAULT_BACK_HTML = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    html, body {
+      width: 100vw;
+      height: 100vh;
+      font-family: 'Noto Sans Bengali', sans-serif;
+      background: #f5f5f5;
+    }
+
+    .id-card-back {
+      width: 100%;
+      height: 100%;
+      background: #ffffff;
+      border: 6px solid #4f46e5;
+      border-radius: 22px;
+      overflow: hidden;
+      display: flex;
+      flex-direction: column;
+    }
+
+    .back-header {
+      background: linear-gradient(135deg, #2563eb 0%, #4f46e5 50%, #6366f1 100%);
+      color: white;
+      padding: 22px 40px;
+      font-size: 34px;
+      font-weight: bold;
+      letter-spacing: 1px;
+      display: flex;
+      gap: 20px;
+      justify-content: space-between;
+      align-items: center;
+    }
+
+    .back-title {
+      text-transform: uppercase;
+    }
+
+    .back-header .member-id {
+      font-size: 28px;
+      background: rgba(255,255,255,0.2);
+      padding: 6px 18px;
+      border-radius: 12px;
+    }
+
+    .back-body {
+      flex: 1;
+      display: flex;
+      gap: 36px;
+      padding: 28px 40px 10px;
+    }
+
+    .back-col {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      gap: 18px;
+    }
+
+    .block-title {
+      font-size: 24px;
+      font-weight: bold;
+      color: #4f46e5;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+      margin-bottom: 6px;
+    }
+
+    .block-value {
+      font-size: 30px;
+      color: #111827;
+      line-height: 1.3;
+      word-break: break-word;
+    }
+
+    .block-value.phone {
+      font-size: 38px;
+      font-weight: bold;
+    }
+
+    .blood-badge {
+      display: inline-block;
+      background: #dc2626;
+      color: white;
+      font-size: 40px;
+      font-weight: bold;
+      padding: 6px 22px;
+      border-radius: 14px;
+    }
+
+    .return-box {
+      background: #eef2ff;
+      border-radius: 16px;
+      padding: 18px 22px;
+      font-size: 26px;
+      color: #1f2937;
+      line-height: 1.4;
+    }
+
+    .terms {
+      padding: 12px 40px 22px;
+      font-size: 19px;
+      color: #4b5563;
+      line-height: 1.4;
+      border-top: 2px solid #e5e7eb;
+    }
+  </style>
+</head>
+<body>
+  <div class="id-card-back">
+    <div class="back-header">
+      <span class="back-title">{{label.emergency}}</span>
+      <span class="member-id">{{ngoId}}</span>
+    </div>
+
+    <div class="back-body">
+      <div class="back-col">
+        <div>
+          <div class="block-title">{{label.emergencyContact}}</div>
+          <div class="block-value">{{emergencyContactName}} {{emergencyContactRelation}}</div>
+          <div class="block-value phone">{{emergencyContactPhone}}</div>
+        </div>
+        <div>
+          <div class="block-title">{{label.bloodGroup}}</div>
+          <span class="blood-badge">{{bloodGroup}}</span>
+        </div>
+        <div>
+          <div class="block-title">{{label.medicalConditions}}</div>
+          <div class="block-value">{{medicalConditions}}</div>
+        </div>
+      </div>
+
+      <div class="back-col">
+        <div class="return-box">
+          <div class="block-title">{{label.returnTo}}</div>
+          Narayan Pur Bipader Bondhu Welfare Society<br>
+          Reg. No. S0042589 of 2024-2025<br>
+          narayanpurbipaderbondhu@gmail.com<br>
+          www.bipaderbondhu.in
+        </div>
+      </div>
+    </div>
+
+    <div class="terms">
+      This card is the property of Narayan Pur Bipader Bondhu Welfare Society and is not
+      transferable. It must be surrendered on request or when membership ends. Scan the QR
+      code on the front to check that the card is genuine and currently valid.
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+/**
+ * Built-in PVC ID card design. Used when no template is active in the
+ * CardTemplate collection; also the starting point for stored templates.
+ */
+export const DEFAULT_CARD_TEMPLATE = {
+  name: "Default PVC card",
+  width: 1220, // card + border
+  height: 778, // card + border
+  html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    
+   body {
+  width: 1220px;   /* card + border */
+  height: 778px;  /* card + border */
+  font-family: 'Noto Sans Bengali', sans-serif;
+  background: #f5f5f5;
+  display: flex;
+  justify-content: center;
+  align-items: center;
+}
+  .address-value {
+  max-width: 520px;        /* protects QR & Unique ID */
+  line-height: 1.3;
+
+  display: -webkit-box;
+  -webkit-box-orient: vertical;
+  -webkit-line-clamp: 2;   /* ONLY 2 lines */
+
+  overflow: hidden;
+  word-break: break-word; /* breaks long words */
+  white-space: normal;    /* allows wrapping */
+  text-overflow: ellipsis;
+}
+
+
+    
+   .id-card {
+  width: 100%;
+  height: 100%;
+  background: linear-gradient(135deg, #2563eb 0%, #4f46e5 50%, #6366f1 100%);
+  border-radius: 22px;   /* inner rounded corners */
+  overflow: hidden;
+  position: relative;
+}
+
+    
+    .card-header {
+      background: linear-gradient(90deg, #e5e7eb 0%, #f3f4f6 100%);
+      padding: 20px 35px;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      border-bottom: 8px solid #f59e0b;
+      height: 140px;
+    }
+    
+    .org-info {
+      display: flex;
+      align-items: center;
+      gap: 20px;
+      flex: 1;
+    }
+    
+    .org-logo {
+      width: 100px;
+      height: 100px;
+      background: white;
+      border-radius: 50%;
+      border: none;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-weight: bold;
+      color: #dc2626;
+      font-size: 28px;
+      flex-shrink: 0;
+      overflow: hidden;
+    }
+
+    .org-logo img {
+      width: 100%;
+      height: 100%;
+      object-fit: contain;
+      padding: 8px;
+    }
+    
+    .org-name {
+      flex: 1;
+    }
+    
+   .org-name h1 {
+  font-size: 36px;
+  font-weight: bold;
+  color: #2563eb;
+  line-height: 1.15;
+  text-transform: uppercase;
+  letter-spacing: 0.5px;
+}
+  .org-title-row {
+  display: flex;
+  align-items: baseline;
+  gap: 14px;
+  flex-wrap: wrap;
+}
+  .org-line1,
+.org-line2 {
+  display: block;
+}
+
+.org-line2 {
+  display: flex;
+  align-items: baseline;
+  gap: 14px;
+}
+
+.reg-no-inline {
+  font-size: 16px;
+  font-weight: bold;
+  color: #1e40af;
+  white-space: nowrap;
+}
+.estd-inline {
+  margin-left: 8px;        /* small clean gap */
+  font-size: 14px;         /* slightly smaller than Reg. No. */
+  font-weight: 600;
+  color: #374151;          /* professional dark gray */
+  white-space: nowrap;
+}
+
+
+
+    
+    .org-name p {
+      font-size: 18px;
+      color: #6b7280;
+      font-style: italic;
+      margin-top: 3px;
+    }
+    
+    .member-badge {
+      background: linear-gradient(135deg, #ea580c, #dc2626);
+      color: white;
+      padding: 12px 28px;
+      border-radius: 35px;
+      font-size: 24px;
+      font-weight: bold;
+      text-align: center;
+      line-height: 1.3;
+      flex-shrink: 0;
+      max-width: 210px;
+    }
+    
+    .card-body {
+      display: flex;
+      padding: 30px 35px 15px 35px;
+      gap: 30px;
+      color: white;
+      height: calc(100% - 140px - 70px);
+      padding-bottom: 70px;
+    }
+
+   .card-wrapper {
+  width: 1220px;
+  height: 778px;
+  padding: 4px;
+  border-radius: 26px; /* semi-round outer border */
+  background:  #d4af37; 
+  box-shadow: 0 10px 28px rgba(212, 175, 55, 0.45);
+}
+ 
+    .photo-section {
+      flex-shrink: 0;
+    }
+    
+    .member-photo {
+      width: 240px;
+      height: 300px;
+      object-fit: cover;
+      border-radius: 20px;
+      border: 6px solid white;
+      box-shadow: 0 5px 20px rgba(0,0,0,0.3);
+    }
+    
+    .info-section {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      padding-right: 10px;
+    }
+    
+    .member-name {
+      font-size: 42px;
+      font-weight: bold;
+      margin-bottom: 8px;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+      line-height: 1.1;
+    }
+    
+    .info-item {
+  background: rgba(255, 255, 255, 0.15);
+  padding: 12px 20px;
+  border-radius: 15px;
+  display: flex;
+  align-items: flex-start; /* 🔥 THIS LINE FIXES EVERYTHING */
+  gap: 15px;
+  font-size: 26px;
+}
+
+    
+    .info-label {
+      color: #fbbf24;
+      font-weight: bold;
+      min-width: 120px;
+      flex-shrink: 0;
+      white-space: nowrap;
+    }
+    
+    .info-value {
+      color: white;
+      font-weight: 600;
+    }
+    
+    .right-section {
+      display: flex;
+      flex-direction: column;
+      gap: 18px;
+      align-items: center;
+      flex-shrink: 0;
+    }
+    
+    .unique-id-box {
+      background: linear-gradient(135deg, #fef3c7, #fde68a);
+      border: 5px solid #f59e0b;
+      border-radius: 20px;
+      padding: 15px 28px;
+      text-align: center;
+      box-shadow: 0 5px 15px rgba(0,0,0,0.2);
+    }
+    
+    .unique-id-label {
+      font-size: 16px;
+      color: #78716c;
+      font-weight: bold;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+    
+    .unique-id-value {
+      font-size: 28px;
+      color: #2563eb;
+      font-weight: bold;
+      margin-top: 5px;
+      letter-spacing: 0.5px;
+    }
+    
+    .qr-section {
+      background: white;
+      padding: 15px;
+      border-radius: 20px;
+      box-shadow: 0 5px 15px rgba(0,0,0,0.2);
+    }
+    
+    .qr-code {
+      width: 180px;
+      height: 180px;
+      display: block;
+    }
+    
+    .validity-badge {
+      background: linear-gradient(135deg, #fbbf24, #f59e0b);
+      color: #1e40af;
+      padding: 10px 25px;
+      border-radius: 25px;
+      font-size: 20px;
+      font-weight: bold;
+      text-align: center;
+    }
+    
+ .footer {
+  position: absolute;
+  bottom: 0;
+  left: 0;
+  right: 0;
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-end;
+  padding: 16px 35px;
+  background: linear-gradient(180deg, #f9fafb, #e5e7eb);
+  border-top: 3px solid #f59e0b;
+}
+
+/* LEFT SIDE */
+.footer-left {
+  font-size: 16px;
+  line-height: 1.6;
+  color: #111827;
+}
+
+.footer-left span {
+  display: block;
+}
+
+/* RIGHT SIDE */
+.footer-right {
+  transform: translateY(-8px); /* slightly lifted for balance */
+}
+
+/* WHITE SIGNATURE CARD */
+.signature-card {
+  background: #ffffff;
+  padding: 14px 22px;
+  border-radius: 12px;
+  box-shadow: 0 6px 14px rgba(0, 0, 0, 0.2);
+  text-align: center;
+}
+
+/* BIG, DARK, PVC-READABLE SIGNATURE */
+.signature-img {
+  width: 260px;                /* 🔥 BIGGER */
+  margin-bottom: 8px;
+  filter: contrast(1.25) brightness(0.95); /* 🔥 darker strokes */
+}
+
+/* TEXT */
+.signature-text {
+  font-size: 15px;
+  font-weight: 700;
+  color: #000000;              /* pure black */
+}
+
+.signature-org {
+  font-size: 13px;
+  font-style: italic;
+  color: #111827;
+}
+
+/* CONTACT CARD (LIKE SIGNATURE STYLE) */
+.contact-card {
+  background: #ffffff;
+  padding: 10px 14px;
+  border-radius: 12px;
+  box-shadow: 0 4px 10px rgba(0,0,0,0.15);
+  min-width: 320px;
+}
+
+/* EACH ROW */
+.contact-row {
+  display: flex;
+  align-items: center;
+  gap: 10px;                 /* 👈 controlled spacing */
+  margin-bottom: 8px;
+}
+
+.contact-row:last-child {
+  margin-bottom: 0;
+}
+
+/* ICON */
+.contact-icon {
+  width: 18px;
+  height: 18px;
+  fill: #000000;            /* gold match */
+  flex-shrink: 0;
+}
+
+/* VALUE TEXT */
+.contact-value {
+  font-size: 14px;
+  font-weight: 600;
+  color: #111827;
+  white-space: nowrap;
+}
+
+ 
+
+
+
+
+
+  </style>
+</head>
+<body>
+<div class="card-wrapper">
+  <div class="id-card">
+    <div class="card-header">
+      <div class="org-info">
+        <div class="org-logo">
+        <img
+  src="{{asset.logo}}"
+  alt="NPBB Logo"
+  crossorigin="anonymous"
+/>
+        </div>
+   <div class="org-name">
+  <h1>
+    <span class="org-line1">NARAYAN PUR BIPADER BONDHU WELFARE</span>
+    <span class="org-line2">
+      SOCIETY
+     <span class="reg-no-inline">
+  Reg. No. S0042589 of 2024-2025
+  <span class="estd-inline">• ESTD: 2020</span>
+</span>
+
+
+    </span>
+  </h1>
+
+  <p>Serving Humanity with Dedication • Government Authorized NGO</p>
+</div>
+
+
+
+      </div>
+      <div class="member-badge">
+       {{label.identityCard}}
+      </div>
+    </div>
+    
+    <div class="card-body">
+      <div class="photo-section">
+        <img class="member-photo" src="{{photoUrl}}" alt="Member Photo" crossorigin="anonymous" />
+      </div>
+      
+      <div class="info-section">
+        <div class="member-name">{{name}}</div>
+        
+       <div class="info-item">
+  <span class="info-label">{{label.address}}:</span>
+  <span class="info-value address-value">
+    {{address}}
+  </span>
+</div>
+
+        
+        <div class="info-item">
+          <span class="info-label">{{label.phone}}:</span>
+          <span class="info-value">{{phone}}</span>
+        </div>
+        
+        <div class="info-item">
+          <span class="info-label">{{label.blood}}:</span>
+          <span class="info-value">{{bloodGroup}}</span>
+        </div>
+        
+        <div class="info-item">
+          <span class="info-label">{{label.joined}}:</span>
+          <span class="info-value">{{joiningDate}}</span>
+        </div>
+      </div>
+      
+      <div class="right-section">
+        <div class="unique-id-box">
+          <div class="unique-id-label">{{label.uniqueId}}</div>
+          <div class="unique-id-value">{{ngoId}}</div>
+        </div>
+        
+        <div class="qr-section">
+          <img class="qr-code" src="{{qrCode}}" alt="QR" />
+        </div>
+        
+        <div class="validity-badge">
+          {{label.validTill}} {{validYear}}
+        </div>
+      </div>
+    </div>
+    
+   
+
+<div class="footer">
+ <div class="footer-left">
+  <div class="contact-card">
+
+    <!-- WEBSITE -->
+    <div class="contact-row">
+      <svg class="contact-icon" viewBox="0 0 24 24">
+        <path d="M12 2a10 10 0 100 20 10 10 0 000-20zm7.93 9h-3.17a15.6 15.6 0 00-1.43-5.02A8.03 8.03 0 0119.93 11zM12 4.07c.83 1.1 1.93 3.17 2.36 5.93H9.64c.43-2.76 1.53-4.83 2.36-5.93z"/>
+      </svg>
+      <span class="contact-value">www.bipaderbondhu.in</span>
+    </div>
+
+    <!-- EMAIL -->
+    <div class="contact-row">
+      <svg class="contact-icon" viewBox="0 0 24 24">
+        <path d="M2 4h20v16H2V4zm10 7L4 6v12h16V6l-8 5z"/>
+      </svg>
+      <span class="contact-value">narayanpurbipaderbondhu@gmail.com</span>
+    </div>
+
+  </div>
+</div>
+
+
+  <div class="footer-right">
+    <div class="signature-card">
+    <img
+      src="{{asset.signature}}"
+      alt="President Signature"
+        class="signature-img"
+        crossorigin="anonymous"
+      />
+      <div class="signature-text">{{label.signature}}</div>
+      <div class="signature-org">
+        Narayan Pur Bipader Bondhu Welfare Society
+      </div>
+    </div>
+  </div>
+</div>
+
+
+</body>
+</html>
+  `,
+  backHtml: DEFAULT_BACK_HTML,
+};
+
+// Fictional member used for template previews
+export const SAMPLE_CARD_DATA = {
+  name: "Sample Member",
+  address: "Narayanpur, Nadia, West Bengal",
+  phone: "9800000000",
+  bloodGroup: "B+",
+  joiningDate: "2024-01-01",
+  ngoId: "NPB-000000-24",
+  // Inline: the render service only fetches from Cloudinary
+  photoUrl:
+    "data:image/svg+xml," +
+    encodeURIComponent(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 120 150"><rect width="120" height="150" fill="#d1d5db"/>' +
+        '<circle cx="60" cy="55" r="28" fill="#9ca3af"/><ellipse cx="60" cy="140" rx="48" ry="42" fill="#9ca3af"/></svg>'
+    ),
+  cardIssuedAt: new Date("2024-01-01T00:00:00Z"),
+  donationCount: 3,
+  lastDonation: "15/08/2024",
+  emergencyContactName: "Rina Das",
+  emergencyContactRelation: "(Mother)",
+  emergencyContactPhone: "9800000001",
+  medicalConditions: "None declared",
+  language: "en",
+};
+
+/**
+ * Template to render with: the given one, else the active stored one, else built-in
+ * @param {Object} template - Optional CardTemplate document
+ * @returns {Promise<Object>}
+ */
+export const resolveCardTemplate = async (template = null) => {
+  if (template) return template;
+  return (await CardTemplate.findOne({ isActive: true })) || DEFAULT_CARD_TEMPLATE;
+};
+
+export const CARD_SIDES = ["front", "back"];
+
+/**
+ * Generate Professional PVC ID Card HTML
+ * @param {Object} data - Card fields (see getCardRenderData)
+ * @param {Object} template - Resolved template (see resolveCardTemplate)
+ * @param {String} side - "front" | "back"
+ * @returns {Promise<String>}
+ */
+export const generateIdCardHTML = async (data, template = DEFAULT_CARD_TEMPLATE, side = "front") => {
+  const validUntil = data.validUntil || computeValidity(data.joiningDate).validUntil;
+  const qrCode = await generateQrDataUri(
+    buildCardVerifyUrl(signCardToken({ ngoId: data.ngoId, issuedAt: data.cardIssuedAt })),
+    { size: 360, errorCorrectionLevel: "Q" }
+  );
+
+  const html = side === "back" ? template.backHtml || DEFAULT_BACK_HTML : template.html;
+
+  const filled = renderTemplate(html, {
+    ...data,
+    validYear: new Date(validUntil).getFullYear(),
+    qrCode,
+    asset: getTemplateAssets(template),
+    label: getCardLabels(data.language),
+  });
+
+  return withCardFonts(filled);
+};
+
+/**
+ * Generate IMAGE from HTML using the shared render service (2x for print quality)
+ */
+export const generateImageFromHTML = (html, template = DEFAULT_CARD_TEMPLATE) =>
+  renderPng(html, { width: template.width, height: template.height, deviceScaleFactor: 2 });
+
+/**
+ * Render one side of a card to PNG with the given (or active) template
+ * @returns {Promise<Buffer>}
+ */
+export const renderCardPng = async (data, template = null, side = "front") => {
+  const resolved = await resolveCardTemplate(template);
+  const html = await generateIdCardHTML(data, resolved, side);
+  return generateImageFromHTML(html, resolved);
+};
+
+/**
+ * Render one side of a card and report text the embedded fonts cannot draw.
+ * Chromium on Vercel has no fallback fonts, so these would print as boxes.
+ * @returns {Promise<Object>} - { ok, missing: [{ text, chars, fonts }], failedFonts }
+ */
+export const checkCardGlyphs = async (data, template = null, side = "front") => {
+  const resolved = await resolveCardTemplate(template);
+  const html = await generateIdCardHTML(data, resolved, side);
+  const { texts, failedFonts } = await inspectRenderedText(html, {
+    width: resolved.width,
+    height: resolved.height,
+  });
+
+  const missing = [];
+  for (const { text, fonts } of texts) {
+    const chars = findMissingGlyphs(text);
+    // Drawn with a system font: works here, boxes wherever that font is absent
+    const systemFonts = fonts.filter((font) => !font.isCustomFont).map((font) => font.familyName);
+
+    if (chars.length > 0 || systemFonts.length > 0) {
+      missing.push({ text, chars, fonts: systemFonts });
+    }
+  }
+
+  return {
+    ok: missing.length === 0 && failedFonts.length === 0,
+    missing,
+    failedFonts,
+  };
+};
+
+/**
+ * Card template data from a stored NgoApplication
+ * @param {Object} application - NgoApplication document
+ * @returns {Object}
+ */
+export const getCardRenderData = (application) => ({
+  name: application.name,
+  address: application.address,
+  phone: application.phone,
+  bloodGroup: application.bloodGroup,
+  joiningDate: application.joiningDate,
+  ngoId: application.ngoId,
+  photoUrl: application.photoUrl,
+  cardIssuedAt: application.cardIssuedAt,
+  validUntil: application.getValidUntil(),
+  donationCount: application.donationCount || 0,
+  lastDonation: application.lastDonationAt
+    ? application.lastDonationAt.toLocaleDateString("en-GB", { timeZone: "Asia/Kolkata" })
+    : "",
+  emergencyContactName: application.emergencyContactName || "Not provided",
+  emergencyContactRelation: application.emergencyContactRelation
+    ? `(${application.emergencyContactRelation})`
+    : "",
+  emergencyContactPhone: application.emergencyContactPhone || "",
+  medicalConditions: application.medicalConditions || "None declared",
+  language: application.cardLanguage || "en",
+});
+
+/**
+ * Render both sides of the ID card for `data` and upload them under fresh
+ * public ids, so the previous images can be deleted once the new ones are saved.
+ * @returns {Promise<Object>} - { imageUrl, backImageUrl }
+ */
+export const renderAndUploadCard = async (data) => {
+  const template = await resolveCardTemplate();
+  const stamp = Date.now();
+  const urls = {};
+
+  for (const side of CARD_SIDES) {
+    console.log(`🎨 Rendering ID Card (${side})...`);
+    const imageBuffer = await renderCardPng(data, template, side);
+
+    console.log(`📤 Uploading ID Card ${side} to Cloudinary...`);
+    const imageUpload = await uploadToCloudinary(
+      imageBuffer,
+      "ngo-id-cards",
+      side === "front" ? `${data.ngoId}-card-${stamp}` : `${data.ngoId}-card-back-${stamp}`,
+      "image"
+    );
+    urls[side === "front" ? "imageUrl" : "backImageUrl"] = imageUpload.secure_url;
+  }
+
+  return urls;
+};
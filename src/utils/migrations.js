@@ -0,0 +1,254 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import mongoose from 'mongoose';
+import Migration from '../models/migration.model.js';
+import MigrationLock from '../models/migrationLock.model.js';
+
+/**
+ * Data migrations.
+ * Each file in src/migrations is named `NNN-description.js` and exports
+ * `description`, `up(context)` and optionally `down(context)`, where
+ * context = { db, dryRun, log, state }. Whatever `up` returns is stored
+ * with the migration record and passed back to `down` as `state`.
+ * In dry-run mode migrations only report what they would change.
+ */
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+const MIGRATION_FILE_REGEX = /^(\d{3})-[a-z0-9-]+\.js$/;
+const LOCK_ID = 'migrations';
+const LOCK_TTL_MS = 30 * 60 * 1000;
+const LOCK_HEARTBEAT_MS = 5 * 60 * 1000;
+
+/**
+ * Migration modules in order
+ * @returns {Promise<Array<Object>>} - [{ name, description, up, down }]
+ */
+export const loadMigrations = async () => {
+  const files = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => MIGRATION_FILE_REGEX.test(file))
+    .sort();
+
+  const seen = new Set();
+  const migrations = [];
+  for (const file of files) {
+    const number = file.slice(0, 3);
+    if (seen.has(number)) {
+      throw new Error(`Duplicate migration number ${number} (${file})`);
+    }
+    seen.add(number);
+
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function') {
+      throw new Error(`Migration ${file} does not export up()`);
+    }
+    migrations.push({
+      name: file.replace(/\.js$/, ''),
+      description: module.description || '',
+      up: module.up,
+      down: typeof module.down === 'function' ? module.down : null,
+    });
+  }
+
+  return migrations;
+};
+
+/**
+ * Every known migration with whether/when it was applied
+ * @returns {Promise<Array<Object>>} - [{ name, description, applied, appliedAt, reversible }]
+ */
+export const getMigrationStatus = async () => {
+  const migrations = await loadMigrations();
+  const applied = new Map((await Migration.find().lean()).map((record) => [record.name, record]));
+
+  const status = migrations.map((migration) => ({
+    name: migration.name,
+    description: migration.description,
+    applied: applied.has(migration.name),
+    appliedAt: applied.get(migration.name)?.appliedAt || null,
+    reversible: Boolean(migration.down),
+  }));
+
+  // Applied records whose file has been removed
+  for (const [name, record] of applied) {
+    if (!migrations.some((migration) => migration.name === name)) {
+      status.push({
+        name,
+        description: record.description,
+        applied: true,
+        appliedAt: record.appliedAt,
+        reversible: false,
+        missing: true,
+      });
+    }
+  }
+
+  return status;
+};
+
+const acquireLock = async () => {
+  const owner = `${os.hostname()}:${process.pid}`;
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + LOCK_TTL_MS);
+
+  try {
+    await MigrationLock.create({ _id: LOCK_ID, lockedBy: owner, lockedAt: now, expiresAt });
+    return owner;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Take over a lock left behind by a crashed run
+  const stale = await MigrationLock.findOneAndUpdate(
+    { _id: LOCK_ID, expiresAt: { $lt: now } },
+    { $set: { lockedBy: owner, lockedAt: now, expiresAt } },
+    { new: true }
+  );
+  if (stale) return owner;
+
+  const current = await MigrationLock.findById(LOCK_ID).lean();
+  throw new Error(
+    `Migrations are already running (locked by ${current?.lockedBy} since ${current?.lockedAt?.toISOString()})`
+  );
+};
+
+const releaseLock = (owner) => MigrationLock.deleteOne({ _id: LOCK_ID, lockedBy: owner });
+
+// Push the expiry forward so a long migration is never taken over as stale
+const renewLock = async (lock) => {
+  const result = await MigrationLock.updateOne(
+    { _id: LOCK_ID, lockedBy: lock.owner },
+    { $set: { expiresAt: new Date(Date.now() + LOCK_TTL_MS) } }
+  );
+  if (result.matchedCount === 0) {
+    lock.lost = true;
+    console.error('❌ Migration lock was lost; another run may have taken over');
+  }
+};
+
+// Checked before every step: a run that lost its lock must not start another migration
+const assertLockHeld = async (lock) => {
+  if (!lock.lost && !(await MigrationLock.exists({ _id: LOCK_ID, lockedBy: lock.owner }))) {
+    lock.lost = true;
+  }
+  if (lock.lost) {
+    throw new Error('Migration lock was lost; stopping before the next migration');
+  }
+};
+
+/**
+ * Run `fn(lock)` under the lock (dry runs only read, so they skip it and get null).
+ * The lock is renewed every few minutes while `fn` runs.
+ */
+const withLock = async (dryRun, fn) => {
+  if (dryRun) return fn(null);
+  const lock = { owner: await acquireLock(), lost: false };
+  const heartbeat = setInterval(() => {
+    renewLock(lock).catch((error) =>
+      console.error('❌ Migration lock renewal failed:', error.message)
+    );
+  }, LOCK_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  try {
+    return await fn(lock);
+  } finally {
+    clearInterval(heartbeat);
+    await releaseLock(lock.owner);
+  }
+};
+
+const runStep = async (migration, direction, { dryRun, state, log, lock }) => {
+  if (lock) await assertLockHeld(lock);
+
+  const prefix = dryRun ? '[dry run] ' : '';
+  log(`${direction === 'up' ? '⬆️' : '⬇️'} ${prefix}${migration.name} - ${migration.description}`);
+
+  const started = Date.now();
+  const result = await migration[direction]({
+    db: mongoose.connection.db,
+    dryRun,
+    state,
+    log: (message) => log(`   ${prefix}${message}`),
+  });
+
+  return { result, durationMs: Date.now() - started };
+};
+
+/**
+ * Apply pending migrations in order
+ * @param {Object} options - { to: "003" (inclusive), dryRun, log }
+ * @returns {Promise<Array<String>>} - Names applied (or that would be)
+ */
+export const migrateUp = async ({ to = null, dryRun = false, log = console.log } = {}) =>
+  withLock(dryRun, async (lock) => {
+    const migrations = await loadMigrations();
+    const applied = new Set((await Migration.find().select('name').lean()).map((r) => r.name));
+
+    const pending = migrations.filter(
+      (migration) => !applied.has(migration.name) && (!to || migration.name.slice(0, 3) <= to)
+    );
+
+    if (pending.length === 0) {
+      log('✅ No pending migrations');
+      return [];
+    }
+
+    const done = [];
+    for (const migration of pending) {
+      const { result, durationMs } = await runStep(migration, 'up', { dryRun, log, lock });
+
+      if (!dryRun) {
+        await Migration.create({
+          name: migration.name,
+          description: migration.description,
+          durationMs,
+          state: result,
+        });
+      }
+      done.push(migration.name);
+    }
+
+    log(`✅ ${dryRun ? 'Would apply' : 'Applied'} ${done.length} migration(s)`);
+    return done;
+  });
+
+/**
+ * Revert the most recently applied migrations
+ * @param {Object} options - { steps (default 1), dryRun, log }
+ * @returns {Promise<Array<String>>} - Names reverted (or that would be)
+ */
+export const migrateDown = async ({ steps = 1, dryRun = false, log = console.log } = {}) =>
+  withLock(dryRun, async (lock) => {
+    const migrations = new Map((await loadMigrations()).map((m) => [m.name, m]));
+    const records = await Migration.find().sort({ name: -1 }).limit(steps);
+
+    if (records.length === 0) {
+      log('✅ Nothing to revert');
+      return [];
+    }
+
+    // Check the whole batch first so a run never stops halfway on an irreversible step
+    for (const record of records) {
+      const migration = migrations.get(record.name);
+      if (!migration) throw new Error(`Migration file for ${record.name} is missing`);
+      if (!migration.down) throw new Error(`Migration ${record.name} cannot be reverted`);
+    }
+
+    const done = [];
+    for (const record of records) {
+      await runStep(migrations.get(record.name), 'down', {
+        dryRun,
+        state: record.state,
+        log,
+        lock,
+      });
+      if (!dryRun) await Migration.deleteOne({ _id: record._id });
+      done.push(record.name);
+    }
+
+    log(`✅ ${dryRun ? 'Would revert' : 'Reverted'} ${done.length} migration(s)`);
+    return done;
+  });
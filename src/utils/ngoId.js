@@ -0,0 +1,132 @@
+import Counter from '../models/counter.model.js';
+import NgoApplication from '../models/ngoApplication.model.js';
+
+/**
+ * Sequential NGO member ID allocation.
+ *
+ * Format tokens (NGO_ID_FORMAT): {prefix} {seq} {yyyy} {yy} {check}
+ * Default "{prefix}-{seq}-{yy}-{check}" → e.g. NPB-000123-25-7
+ * The sequence restarts every calendar year.
+ */
+
+const getConfig = () => ({
+  prefix: process.env.NGO_ID_PREFIX || 'NPB',
+  pad: parseInt(process.env.NGO_ID_PAD) || 6,
+  format: process.env.NGO_ID_FORMAT || '{prefix}-{seq}-{yy}-{check}',
+});
+
+// IDs issued before sequential allocation: NPB-<random 6 digits>-<yy>
+const LEGACY_NGO_ID_REGEX = /^NPB-\d{6}-\d{2}$/;
+
+/**
+ * Luhn check digit over a string of digits
+ * @param {String} digits
+ * @returns {String} - Single digit
+ */
+export const luhnCheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    // Double every second digit counting from the right (check digit position excluded)
+    let d = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+const checkDigitFor = (seq, year) => luhnCheckDigit(`${seq}${year}`);
+
+/**
+ * Build an ngoId from its parts
+ * @param {Number} seq - Sequence number
+ * @param {Number} year - Four-digit year
+ * @returns {String}
+ */
+export const formatNgoId = (seq, year) => {
+  const { prefix, pad, format } = getConfig();
+  const seqText = String(seq).padStart(pad, '0');
+
+  return format
+    .replace('{prefix}', prefix)
+    .replace('{seq}', seqText)
+    .replace('{yyyy}', String(year))
+    .replace('{yy}', String(year).slice(2))
+    .replace('{check}', checkDigitFor(seqText, year));
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildParser = () => {
+  const { prefix, pad, format } = getConfig();
+  const tokens = {
+    '{prefix}': escapeRegex(prefix),
+    '{seq}': `(?<seq>\\d{${pad},})`,
+    '{yyyy}': '(?<yyyy>\\d{4})',
+    '{yy}': '(?<yy>\\d{2})',
+    '{check}': '(?<check>\\d)',
+  };
+
+  const pattern = format
+    .split(/(\{[a-z]+\})/)
+    .map((part) => tokens[part] ?? escapeRegex(part))
+    .join('');
+
+  return new RegExp(`^${pattern}$`, 'i');
+};
+
+/**
+ * Validate an ngoId typed in by a member or admin
+ * @param {String} ngoId
+ * @returns {Object} - { valid, legacy, ngoId (normalized), reason }
+ */
+export const validateNgoId = (ngoId) => {
+  const value = String(ngoId || '').trim().toUpperCase();
+
+  if (LEGACY_NGO_ID_REGEX.test(value)) {
+    return { valid: true, legacy: true, ngoId: value };
+  }
+
+  const match = buildParser().exec(value);
+  if (!match) {
+    return { valid: false, ngoId: value, reason: 'NGO ID format is not recognised' };
+  }
+
+  const { seq, yyyy, yy, check } = match.groups;
+  if (check !== undefined) {
+    // Two-digit years are assumed to be 20xx
+    const year = yyyy || `20${yy}`;
+    if (checkDigitFor(seq, year) !== check) {
+      return { valid: false, ngoId: value, reason: 'NGO ID check digit does not match (typo?)' };
+    }
+  }
+
+  return { valid: true, legacy: false, ngoId: value };
+};
+
+/**
+ * Allocate the next ngoId for the given year (atomic, per-year sequence)
+ * @param {Date} date - Allocation date (defaults to now)
+ * @returns {Promise<String>}
+ */
+export const allocateNgoId = async (date = new Date()) => {
+  const year = date.getFullYear();
+
+  // A few attempts in case a manually created ID already occupies the slot
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: `ngoId:${year}` },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+
+    const ngoId = formatNgoId(counter.seq, year);
+    if (!(await NgoApplication.exists({ ngoId }))) {
+      return ngoId;
+    }
+  }
+
+  throw new Error('Could not allocate a free NGO ID');
+};
@@ -0,0 +1,120 @@
+/**
+ * Applicant notification texts (English and Bengali).
+ * `{{key}}` placeholders are filled from the message context.
+ */
+
+const SIGNATURE = {
+  en: 'Narayan Pur Bipader Bondhu Welfare Society',
+  bn: 'নারায়ণপুর বিপদের বন্ধু ওয়েলফেয়ার সোসাইটি',
+};
+
+const templates = {
+  'application-verified': {
+    en: {
+      subject: 'Your NGO ID card has been approved',
+      text:
+        'Dear {{name}},\n\nYour ID card application ({{ngoId}}) has been verified.\n' +
+        'Download your card: {{cardUrl}}\n\n{{note}}',
+      sms: 'Bipader Bondhu: Your ID card {{ngoId}} is approved. Card: {{cardUrl}}',
+    },
+    bn: {
+      subject: 'আপনার এনজিও পরিচয়পত্র অনুমোদিত হয়েছে',
+      text:
+        'প্রিয় {{name}},\n\nআপনার পরিচয়পত্রের আবেদন ({{ngoId}}) যাচাই করা হয়েছে।\n' +
+        'আপনার কার্ড ডাউনলোড করুন: {{cardUrl}}\n\n{{note}}',
+      sms: 'বিপদের বন্ধু: আপনার পরিচয়পত্র {{ngoId}} অনুমোদিত। কার্ড: {{cardUrl}}',
+    },
+  },
+  'application-rejected': {
+    en: {
+      subject: 'Your NGO ID card application needs changes',
+      text:
+        'Dear {{name}},\n\nYour ID card application ({{ngoId}}) was not approved.\n' +
+        'Reason: {{reason}}\n\n{{note}}\n\n' +
+        'You can correct your details and resubmit the application.',
+      sms: 'Bipader Bondhu: ID card application {{ngoId}} not approved. Reason: {{reason}}',
+    },
+    bn: {
+      subject: 'আপনার এনজিও পরিচয়পত্রের আবেদনে সংশোধন প্রয়োজন',
+      text:
+        'প্রিয় {{name}},\n\nআপনার পরিচয়পত্রের আবেদন ({{ngoId}}) অনুমোদিত হয়নি।\n' +
+        'কারণ: {{reason}}\n\n{{note}}\n\n' +
+        'আপনি তথ্য সংশোধন করে আবার আবেদন জমা দিতে পারেন।',
+      sms: 'বিপদের বন্ধু: পরিচয়পত্রের আবেদন {{ngoId}} অনুমোদিত হয়নি। কারণ: {{reason}}',
+    },
+  },
+  'membership-suspended': {
+    en: {
+      subject: 'Your NGO membership card has been suspended',
+      text:
+        'Dear {{name}},\n\nYour ID card ({{ngoId}}) is suspended from {{effectiveDate}}.\n' +
+        'Reason: {{reason}}\n\nPlease contact the NGO office for details.',
+      sms: 'Bipader Bondhu: ID card {{ngoId}} suspended from {{effectiveDate}}. Reason: {{reason}}',
+    },
+    bn: {
+      subject: 'আপনার এনজিও সদস্য কার্ড স্থগিত করা হয়েছে',
+      text:
+        'প্রিয় {{name}},\n\nআপনার পরিচয়পত্র ({{ngoId}}) {{effectiveDate}} থেকে স্থগিত।\n' +
+        'কারণ: {{reason}}\n\nবিস্তারিত জানতে এনজিও অফিসে যোগাযোগ করুন।',
+      sms: 'বিপদের বন্ধু: পরিচয়পত্র {{ngoId}} {{effectiveDate}} থেকে স্থগিত। কারণ: {{reason}}',
+    },
+  },
+  'membership-revoked': {
+    en: {
+      subject: 'Your NGO membership card has been revoked',
+      text:
+        'Dear {{name}},\n\nYour ID card ({{ngoId}}) is revoked from {{effectiveDate}} and ' +
+        'will no longer verify.\nReason: {{reason}}\n\nPlease contact the NGO office for details.',
+      sms: 'Bipader Bondhu: ID card {{ngoId}} revoked from {{effectiveDate}}. Reason: {{reason}}',
+    },
+    bn: {
+      subject: 'আপনার এনজিও সদস্য কার্ড বাতিল করা হয়েছে',
+      text:
+        'প্রিয় {{name}},\n\nআপনার পরিচয়পত্র ({{ngoId}}) {{effectiveDate}} থেকে বাতিল এবং ' +
+        'আর যাচাই হবে না।\nকারণ: {{reason}}\n\nবিস্তারিত জানতে এনজিও অফিসে যোগাযোগ করুন।',
+      sms: 'বিপদের বন্ধু: পরিচয়পত্র {{ngoId}} {{effectiveDate}} থেকে বাতিল। কারণ: {{reason}}',
+    },
+  },
+  'membership-reinstated': {
+    en: {
+      subject: 'Your NGO membership card has been reinstated',
+      text: 'Dear {{name}},\n\nYour ID card ({{ngoId}}) is valid again.\n\n{{note}}',
+      sms: 'Bipader Bondhu: ID card {{ngoId}} is valid again.',
+    },
+    bn: {
+      subject: 'আপনার এনজিও সদস্য কার্ড পুনর্বহাল করা হয়েছে',
+      text: 'প্রিয় {{name}},\n\nআপনার পরিচয়পত্র ({{ngoId}}) আবার বৈধ।\n\n{{note}}',
+      sms: 'বিপদের বন্ধু: পরিচয়পত্র {{ngoId}} আবার বৈধ।',
+    },
+  },
+};
+
+export const NOTIFICATION_LOCALES = ['en', 'bn'];
+
+const fill = (text, context) =>
+  text.replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (match, key) => context[key] ?? '');
+
+/**
+ * Build a message for a channel
+ * @param {String} key - Template key
+ * @param {String} locale - 'en' | 'bn'
+ * @param {String} channel - 'email' | 'sms' | 'outbox'
+ * @param {Object} context - Placeholder values
+ * @returns {Object} - { subject, body }
+ */
+export const buildNotification = (key, locale, channel, context) => {
+  const template = templates[key];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+
+  const lang = template[locale] ? locale : 'en';
+  const t = template[lang];
+
+  if (channel === 'sms') {
+    return { subject: null, body: fill(t.sms, context) };
+  }
+
+  const body = `${fill(t.text, context).replace(/\n{3,}/g, '\n\n').trim()}\n\n${SIGNATURE[lang]}`;
+  return { subject: fill(t.subject, context), body };
+};
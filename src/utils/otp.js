@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import EmailOtp from '../models/emailOtp.model.js';
+import { sendMail } from '../config/mailer.js';
+import { errorHandler } from './error.js';
+
+/**
+ * Email one-time passwords.
+ * Codes are stored hashed; a successful check returns a short-lived
+ * proof token (JWT) that the follow-up request must carry.
+ */
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_SENDS_PER_HOUR = 5;
+const MAX_ATTEMPTS = 5;
+const PROOF_TTL = '30m';
+// Audience claim so a proof token is never accepted as a user session
+const PROOF_AUDIENCE = 'otp-proof';
+
+const OTP_PURPOSES = {
+  'ngo-apply': 'verify your email for the NGO ID card application',
+};
+
+const hashCode = (email, purpose, code) =>
+  crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${purpose}:${email}:${code}`)
+    .digest('hex');
+
+/**
+ * Register an OTP purpose (used by later flows)
+ * @param {String} purpose - Purpose key
+ * @param {String} description - Shown in the email ("... to <description>")
+ */
+export const registerOtpPurpose = (purpose, description) => {
+  OTP_PURPOSES[purpose] = description;
+};
+
+/**
+ * Generate, store and email a new code
+ * @param {String} email - Recipient (already normalized)
+ * @param {String} purpose - One of the registered purposes
+ * @param {Object} options - { send: false } stores and throttles the code
+ *   without emailing it, so callers can answer the same for unknown emails
+ * @returns {Promise<Object>} - { expiresAt, resendAfter }
+ * @throws {Error} - statusCode 400/429 for invalid purpose or throttling
+ */
+export const issueOtp = async (email, purpose, { send = true } = {}) => {
+  // Own keys only: "__proto__" or "constructor" must not count as a purpose
+  if (!Object.hasOwn(OTP_PURPOSES, purpose)) {
+    throw errorHandler(400, 'Unknown verification purpose');
+  }
+
+  const now = Date.now();
+  const existing = await EmailOtp.findOne({ email, purpose });
+
+  if (existing) {
+    const sinceLast = now - existing.lastSentAt.getTime();
+    if (sinceLast < RESEND_COOLDOWN_MS) {
+      const wait = Math.ceil((RESEND_COOLDOWN_MS - sinceLast) / 1000);
+      throw errorHandler(429, `Please wait ${wait} seconds before requesting another code`);
+    }
+    if (existing.sendCount >= MAX_SENDS_PER_HOUR && sinceLast < 60 * 60 * 1000) {
+      throw errorHandler(429, 'Too many codes requested. Please try again in an hour.');
+    }
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(now + OTP_TTL_MS);
+  const codeHash = hashCode(email, purpose, code);
+  const sendCount =
+    existing && now - existing.lastSentAt.getTime() < 60 * 60 * 1000
+      ? existing.sendCount + 1
+      : 1;
+  const previous = existing && {
+    codeHash: existing.codeHash,
+    attempts: existing.attempts,
+    sendCount: existing.sendCount,
+    lastSentAt: existing.lastSentAt,
+    expiresAt: existing.expiresAt,
+  };
+
+  await EmailOtp.findOneAndUpdate(
+    { email, purpose },
+    {
+      $set: {
+        codeHash,
+        attempts: 0,
+        sendCount,
+        lastSentAt: new Date(now),
+        expiresAt,
+      },
+    },
+    { upsert: true }
+  );
+
+  if (!send) {
+    return { expiresAt, resendAfter: new Date(now + RESEND_COOLDOWN_MS) };
+  }
+
+  try {
+    await sendMail({
+      to: email,
+      subject: `Your verification code: ${code}`,
+      text:
+        `Use the code ${code} to ${OTP_PURPOSES[purpose]}.\n\n` +
+        `The code expires in ${OTP_TTL_MS / 60000} minutes. ` +
+        `If you did not request it, you can ignore this email.\n\n` +
+        `Narayan Pur Bipader Bondhu Welfare Society`,
+    });
+  } catch (error) {
+    console.error('❌ OTP email failed:', error.message);
+    // Undo the unsent code so it neither replaces the last one nor starts the cooldown
+    // (matched on the new hash so a newer request is left alone)
+    if (previous) {
+      await EmailOtp.findOneAndUpdate({ email, purpose, codeHash }, { $set: previous });
+    } else {
+      await EmailOtp.deleteOne({ email, purpose, codeHash });
+    }
+    throw errorHandler(503, 'Could not send the verification email. Please try again.');
+  }
+
+  return { expiresAt, resendAfter: new Date(now + RESEND_COOLDOWN_MS) };
+};
+
+/**
+ * Check a code and return a proof token on success
+ * @param {String} email - Normalized email
+ * @param {String} purpose - Purpose the code was issued for
+ * @param {String} code - Code typed by the user
+ * @returns {Promise<String>} - Proof token
+ * @throws {Error} - statusCode 400/429 on failure
+ */
+export const checkOtp = async (email, purpose, code) => {
+  const otp = await EmailOtp.findOne({ email, purpose });
+
+  if (!otp || otp.expiresAt < new Date()) {
+    throw errorHandler(400, 'Code expired or not found. Please request a new one.');
+  }
+
+  // Count the attempt before comparing so parallel guesses cannot exceed the limit
+  const counted = await EmailOtp.findOneAndUpdate(
+    { _id: otp._id, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!counted) {
+    throw errorHandler(429, 'Too many incorrect attempts. Please request a new code.');
+  }
+
+  const expected = Buffer.from(counted.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(email, purpose, String(code || '').trim()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const left = MAX_ATTEMPTS - counted.attempts;
+    throw errorHandler(400, `Incorrect code. ${left} attempt${left === 1 ? '' : 's'} left.`);
+  }
+
+  // Only one of several parallel correct guesses gets the proof
+  const used = await EmailOtp.deleteOne({ _id: counted._id, codeHash: counted.codeHash });
+  if (used.deletedCount === 0) {
+    throw errorHandler(400, 'Code expired or not found. Please request a new one.');
+  }
+
+  return jwt.sign({ email, purpose, otp: true }, process.env.JWT_SECRET, {
+    expiresIn: PROOF_TTL,
+    audience: PROOF_AUDIENCE,
+  });
+};
+
+/**
+ * Validate a proof token for an email/purpose
+ * @returns {Boolean}
+ */
+export const verifyOtpProof = (token, email, purpose) => {
+  if (!token) return false;
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: PROOF_AUDIENCE });
+    return payload.otp === true && payload.email === email && payload.purpose === purpose;
+  } catch {
+    return false;
+  }
+};
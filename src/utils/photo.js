@@ -0,0 +1,88 @@
+import sharp from 'sharp';
+import { errorHandler } from './error.js';
+
+/**
+ * Photo normalization before upload: sniff the real format, apply EXIF
+ * orientation, centre-crop to the target aspect, resize and re-encode as
+ * JPEG. Metadata (EXIF/GPS) is dropped by the re-encode.
+ */
+
+export const PHOTO_PRESETS = {
+  // Card photo box is 240×300 CSS px, rendered at 2x
+  idCard: { width: 480, height: 600, minWidth: 240, minHeight: 300, quality: 85 },
+  avatar: { width: 400, height: 400, minWidth: 100, minHeight: 100, quality: 85 },
+};
+
+const MAX_INPUT_BYTES = 8 * 1024 * 1024;
+// Reject decompression bombs before sharp allocates the bitmap
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const SIGNATURES = [
+  { type: 'jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'webp', test: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+];
+
+/**
+ * @param {Buffer} buffer
+ * @returns {String|null} - 'jpeg' | 'png' | 'webp', or null if not a supported image
+ */
+export const detectImageType = (buffer) =>
+  (buffer?.length >= 12 && SIGNATURES.find((s) => s.test(buffer))?.type) || null;
+
+/**
+ * Decode a data URI ("data:image/jpeg;base64,...") or bare base64 string
+ * @returns {Buffer}
+ */
+export const decodePhotoBase64 = (value) => {
+  if (typeof value !== 'string' || !value) {
+    throw errorHandler(400, 'Photo is required');
+  }
+  const base64 = value.startsWith('data:') ? value.slice(value.indexOf(',') + 1) : value;
+  return Buffer.from(base64, 'base64');
+};
+
+/**
+ * @param {Buffer} buffer - Uploaded image
+ * @param {String} preset - Key of PHOTO_PRESETS
+ * @returns {Promise<Buffer>} - Normalized JPEG
+ */
+export const normalizePhoto = async (buffer, preset = 'idCard') => {
+  const { width, height, minWidth, minHeight, quality } = PHOTO_PRESETS[preset];
+
+  if (!buffer?.length || buffer.length > MAX_INPUT_BYTES) {
+    throw errorHandler(400, 'Photo must be smaller than 8MB');
+  }
+  if (!detectImageType(buffer)) {
+    throw errorHandler(400, 'Photo must be a JPEG, PNG or WebP image');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    throw errorHandler(400, 'Photo could not be read');
+  }
+
+  // EXIF orientations 5-8 are rotated a quarter turn
+  const rotated = metadata.orientation >= 5;
+  const srcWidth = rotated ? metadata.height : metadata.width;
+  const srcHeight = rotated ? metadata.width : metadata.height;
+
+  // Size of the centre crop at the target aspect ratio
+  const scale = Math.min(srcWidth / width, srcHeight / height);
+  if (width * scale < minWidth || height * scale < minHeight) {
+    throw errorHandler(400, `Photo is too small, at least ${minWidth}×${minHeight} pixels are needed`);
+  }
+
+  try {
+    return await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(width, height, { fit: 'cover', position: 'centre' })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality, mozjpeg: true })
+      .toBuffer();
+  } catch {
+    throw errorHandler(400, 'Photo could not be processed');
+  }
+};
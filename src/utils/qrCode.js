@@ -0,0 +1,71 @@
+import QRCode from 'qrcode';
+
+/**
+ * In-process QR code generation (no third-party QR service at render time)
+ */
+
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+const DEFAULT_OPTIONS = {
+  format: 'png', // 'png' | 'svg'
+  size: 360, // output width/height in pixels
+  errorCorrectionLevel: 'M',
+  margin: 1, // quiet zone in modules
+  dark: '#000000',
+  light: '#ffffff',
+};
+
+const buildOptions = (options = {}) => {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+
+  if (!['png', 'svg'].includes(opts.format)) {
+    throw new Error(`Unsupported QR format: ${opts.format}`);
+  }
+
+  opts.errorCorrectionLevel = String(opts.errorCorrectionLevel).toUpperCase();
+  if (!ERROR_CORRECTION_LEVELS.includes(opts.errorCorrectionLevel)) {
+    throw new Error(`Unsupported QR error correction level: ${opts.errorCorrectionLevel}`);
+  }
+
+  return opts;
+};
+
+/**
+ * Generate a QR code as a data URI
+ * @param {String} text - Content to encode
+ * @param {Object} options - { format, size, errorCorrectionLevel, margin, dark, light }
+ * @returns {Promise<String>} - data:image/png;base64,... or data:image/svg+xml;base64,...
+ */
+export const generateQrDataUri = async (text, options = {}) => {
+  const opts = buildOptions(options);
+  const qrOptions = {
+    errorCorrectionLevel: opts.errorCorrectionLevel,
+    margin: opts.margin,
+    width: opts.size,
+    color: { dark: opts.dark, light: opts.light },
+  };
+
+  if (opts.format === 'svg') {
+    const svg = await QRCode.toString(String(text), { ...qrOptions, type: 'svg' });
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+  }
+
+  return QRCode.toDataURL(String(text), { ...qrOptions, type: 'image/png' });
+};
+
+/**
+ * Generate a QR code as a PNG buffer
+ * @param {String} text - Content to encode
+ * @param {Object} options - { size, errorCorrectionLevel, margin, dark, light }
+ * @returns {Promise<Buffer>}
+ */
+export const generateQrPngBuffer = async (text, options = {}) => {
+  const opts = buildOptions({ ...options, format: 'png' });
+  return QRCode.toBuffer(String(text), {
+    type: 'png',
+    errorCorrectionLevel: opts.errorCorrectionLevel,
+    margin: opts.margin,
+    width: opts.size,
+    color: { dark: opts.dark, light: opts.light },
+  });
+};
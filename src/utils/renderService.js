@@ -0,0 +1,291 @@
+import puppeteer from "puppeteer-core";
+import chromium from "@sparticuz/chromium";
+
+/**
+ * Shared headless Chromium for all card/PDF rendering.
+ * One warm browser, a bounded pool of reusable pages, and automatic
+ * relaunch when the browser crashes or has served too many renders.
+ */
+
+const MAX_PAGES = parseInt(process.env.RENDER_MAX_PAGES) || 2;
+const RECYCLE_AFTER = parseInt(process.env.RENDER_RECYCLE_AFTER) || 200;
+const IDLE_CLOSE_MS = 60 * 1000;
+const RENDER_TIMEOUT_MS = 30 * 1000;
+const ASSET_WAIT_MS = 15 * 1000;
+
+// Template HTML is admin-authored: it may only load inline data and our own uploads
+const ALLOWED_HOSTS = ["res.cloudinary.com"];
+
+let browserPromise = null;
+let renderCount = 0;
+let openPages = 0;
+let idleTimer = null;
+const idlePages = [];
+const waiters = [];
+
+const launchBrowser = async () => {
+  const browser = await puppeteer.launch({
+    args: chromium.args,
+    executablePath: await chromium.executablePath(),
+    headless: chromium.headless,
+  });
+
+  browser.on("disconnected", () => {
+    console.log("⚠️ Render browser disconnected");
+    forgetBrowser(browser);
+  });
+
+  console.log("🧭 Render browser launched");
+  return browser;
+};
+
+// Drop references to a dead/closed browser so the next render relaunches
+const forgetBrowser = (browser) => {
+  if (!browserPromise) return;
+  browserPromise.then((current) => {
+    if (current !== browser) return;
+    browserPromise = null;
+    renderCount = 0;
+    openPages -= idlePages.length;
+    idlePages.length = 0;
+  }, () => {});
+};
+
+const getBrowser = () => {
+  if (!browserPromise) {
+    browserPromise = launchBrowser().catch((error) => {
+      browserPromise = null;
+      throw error;
+    });
+  }
+  return browserPromise;
+};
+
+const closeBrowser = async () => {
+  if (!browserPromise) return;
+  const pending = browserPromise;
+  browserPromise = null;
+  renderCount = 0;
+  openPages -= idlePages.length;
+  idlePages.length = 0;
+
+  try {
+    const browser = await pending;
+    await browser.close();
+  } catch (error) {
+    console.error("❌ Error closing render browser:", error.message);
+  }
+};
+
+const isAllowedUrl = (url) => {
+  if (url.startsWith("data:")) return true;
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === "https:" && ALLOWED_HOSTS.includes(hostname);
+  } catch {
+    return false;
+  }
+};
+
+// No scripts, and no requests outside the allowlist (set once per pooled page)
+const preparePage = async (page) => {
+  await page.setJavaScriptEnabled(false);
+  await page.setRequestInterception(true);
+  page.on("request", (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    if (isAllowedUrl(request.url())) {
+      request.continue();
+    } else {
+      request.abort("blockedbyclient");
+    }
+  });
+  return page;
+};
+
+const acquirePage = async () => {
+  clearTimeout(idleTimer);
+
+  for (;;) {
+    while (idlePages.length > 0) {
+      const page = idlePages.pop();
+      if (!page.isClosed()) return page;
+      openPages--;
+    }
+
+    if (openPages < MAX_PAGES) {
+      openPages++;
+      try {
+        const browser = await getBrowser();
+        return await preparePage(await browser.newPage());
+      } catch (error) {
+        openPages--;
+        throw error;
+      }
+    }
+
+    await new Promise((resolve) => waiters.push(resolve));
+  }
+};
+
+const releasePage = async (page, broken) => {
+  renderCount++;
+
+  if (broken || page.isClosed()) {
+    openPages--;
+    await page.close().catch(() => {});
+  } else {
+    idlePages.push(page);
+  }
+
+  const busy = openPages - idlePages.length;
+  if (busy === 0) {
+    if (renderCount >= RECYCLE_AFTER) {
+      await closeBrowser();
+    } else {
+      idleTimer = setTimeout(closeBrowser, IDLE_CLOSE_MS);
+      idleTimer.unref();
+    }
+  }
+
+  const next = waiters.shift();
+  if (next) next();
+};
+
+const withPage = async (fn) => {
+  const page = await acquirePage();
+  let broken = false;
+  try {
+    return await fn(page);
+  } catch (error) {
+    broken = true;
+    throw error;
+  } finally {
+    await releasePage(page, broken);
+  }
+};
+
+const loadHtml = async (page, html) => {
+  // "networkidle0" never settles on a reused page; images and fonts are awaited below
+  await page.setContent(html, { waitUntil: "load", timeout: RENDER_TIMEOUT_MS });
+
+  let timer;
+  const assetsLoaded = page.evaluate(async () => {
+    const images = Array.from(document.images);
+    await Promise.all(
+      images.map(img =>
+        img.complete
+          ? Promise.resolve()
+          : new Promise(resolve => {
+              img.onload = resolve;
+              img.onerror = resolve;
+            })
+      )
+    );
+    await document.fonts.ready;
+  });
+  assetsLoaded.catch(() => {});
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Images and fonts did not load within ${ASSET_WAIT_MS / 1000}s`)),
+      ASSET_WAIT_MS
+    );
+  });
+
+  try {
+    // A rejection here marks the page broken, so the pending evaluate dies with it
+    await Promise.race([assetsLoaded, timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Render HTML to a PNG screenshot
+ * @param {String} html - Full HTML document
+ * @param {Object} viewport - { width, height, deviceScaleFactor }
+ * @returns {Promise<Buffer>}
+ */
+export const renderPng = (html, viewport) =>
+  withPage(async (page) => {
+    await page.setViewport({ deviceScaleFactor: 1, ...viewport });
+    await loadHtml(page, html);
+    return Buffer.from(await page.screenshot({ type: "png", fullPage: false }));
+  });
+
+/**
+ * Render HTML to a PDF
+ * @param {String} html - Full HTML document
+ * @param {Object} pageSize - { width, height } (CSS units, e.g. "85.6mm") or { format: "A4" }
+ * @returns {Promise<Buffer>}
+ */
+export const renderPdf = (html, pageSize = { format: "A4" }) =>
+  withPage(async (page) => {
+    await loadHtml(page, html);
+    return Buffer.from(
+      await page.pdf({
+        ...pageSize,
+        printBackground: true,
+        margin: { top: 0, right: 0, bottom: 0, left: 0 },
+      })
+    );
+  });
+
+// Elements with their own (non-blank) text, from a DOM.getDocument tree
+const collectTextElements = (node, found = []) => {
+  const text = (node.children || [])
+    .filter((child) => child.nodeType === 3)
+    .map((child) => child.nodeValue)
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (node.nodeType === 1 && text && !["STYLE", "SCRIPT", "TITLE"].includes(node.nodeName)) {
+    found.push({ nodeId: node.nodeId, text });
+  }
+  for (const child of node.children || []) collectTextElements(child, found);
+  return found;
+};
+
+/**
+ * Render HTML and list each element's text with the fonts Chromium drew it
+ * with (used to check embedded font coverage)
+ * @param {String} html - Full HTML document
+ * @param {Object} viewport - { width, height }
+ * @returns {Promise<Object>} - { texts: [{ text, fonts: [{ familyName, isCustomFont }] }], failedFonts }
+ */
+export const inspectRenderedText = (html, viewport) =>
+  withPage(async (page) => {
+    await page.setViewport({ deviceScaleFactor: 1, ...viewport });
+    await loadHtml(page, html);
+
+    const failedFonts = await page.evaluate(() =>
+      [...document.fonts].filter((font) => font.status === "error").map((font) => font.family)
+    );
+
+    const client = await page.createCDPSession();
+    try {
+      await client.send("DOM.enable");
+      await client.send("CSS.enable");
+      const { root } = await client.send("DOM.getDocument", { depth: -1 });
+
+      const texts = [];
+      for (const { nodeId, text } of collectTextElements(root)) {
+        const { fonts } = await client.send("CSS.getPlatformFontsForNode", { nodeId });
+        texts.push({
+          text,
+          fonts: fonts.map(({ familyName, isCustomFont }) => ({ familyName, isCustomFont })),
+        });
+      }
+
+      return { texts, failedFonts: [...new Set(failedFonts)] };
+    } finally {
+      await client.detach();
+    }
+  });
+
+/**
+ * Close the shared browser (graceful shutdown)
+ */
+export const closeRenderService = async () => {
+  clearTimeout(idleTimer);
+  await closeBrowser();
+};
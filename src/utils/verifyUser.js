@@ -1,15 +1,93 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import User from '../models/user.model.js';
 import { errorHandler } from './error.js';
+
+// Cookie first (blog + dashboard), then "Authorization: Bearer <jwt>" for
+// the identity admin panel which talks to the API with a header.
+const readToken = (req) => {
+  if (req.cookies?.access_token) {
+    return req.cookies.access_token;
+  }
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return null;
+};
+
+// The same secret also signs OTP proofs and applicant sessions; those carry an
+// audience and no user id, so they never pass as a signed-in user.
+const isUserSession = (payload) => Boolean(payload?.id) && !payload.aud;
+
 export const verifyToken = (req, res, next) => {
-  const token = req.cookies.access_token;
+  const token = readToken(req);
   if (!token) {
     return next(errorHandler(401, 'Unauthorized'));
   }
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
+    if (err || !isUserSession(user)) {
       return next(errorHandler(401, 'Unauthorized'));
     }
     req.user = user;
     next();
   });
 };
+
+/**
+ * Optional auth: sets req.user for a valid token, otherwise continues anonymously
+ */
+export const readOptionalUser = (req, res, next) => {
+  const token = readToken(req);
+  if (!token) return next();
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    if (!err && isUserSession(user)) req.user = user;
+    next();
+  });
+};
+
+/**
+ * Current admin roles of a signed-in user, read from the database rather
+ * than the token so a 7-day blog session loses them as soon as they are removed
+ * @param {Object} user - req.user
+ * @returns {Promise<Object|null>} - { isAdmin, isNgoAdmin } or null if neither
+ */
+export const loadAdminRoles = async (user) => {
+  if (!user?.id) return null;
+  const stored = await User.findById(user.id).select('isAdmin isNgoAdmin').lean();
+  if (!stored || (!stored.isAdmin && !stored.isNgoAdmin)) return null;
+  return { isAdmin: Boolean(stored.isAdmin), isNgoAdmin: Boolean(stored.isNgoAdmin) };
+};
+
+/**
+ * Must run after verifyToken. Allows blog admins and NGO admins.
+ */
+export const verifyAdmin = async (req, res, next) => {
+  try {
+    const roles = await loadAdminRoles(req.user);
+    if (!roles) {
+      return next(errorHandler(403, 'Admin access required'));
+    }
+    req.user = { ...req.user, ...roles };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Scheduled calls from Vercel Cron, which sends
+ * "Authorization: Bearer <CRON_SECRET>". Rejects everything when
+ * CRON_SECRET is not set.
+ */
+export const verifyCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const header = req.headers.authorization || '';
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(header);
+
+  if (!secret || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return next(errorHandler(401, 'Unauthorized'));
+  }
+  next();
+};
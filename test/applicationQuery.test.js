@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildApplicationFilter } from '../src/utils/applicationQuery.js';
+import { validateApplicationFields, toIsoDate } from '../src/utils/applicationValidation.js';
+import * as normalizeJoiningDate from '../src/migrations/005-normalize-joining-date.js';
+
+// Mongo compares strings the same way for $gte/$lte
+const matchesJoined = (joiningDate, { $gte, $lte }) =>
+  ($gte === undefined || joiningDate >= $gte) && ($lte === undefined || joiningDate <= $lte);
+
+const MIXED_INPUTS = {
+  '2019-08-15': '2019-08-15',
+  '08/15/2019': '2019-08-15',
+  'Aug 15 2019': '2019-08-15',
+  'Jan 1 2024': '2024-01-01',
+  '2024-1-5': '2024-01-05',
+  ' 2023-12-31 ': '2023-12-31',
+  '2020': '2020-01-01',
+};
+
+describe('joiningDate normalization', () => {
+  it('stores every accepted format as YYYY-MM-DD', () => {
+    for (const [input, expected] of Object.entries(MIXED_INPUTS)) {
+      const { values, errors } = validateApplicationFields({ joiningDate: input }, ['joiningDate']);
+      assert.deepEqual(errors, {}, input);
+      assert.equal(values.joiningDate, expected, input);
+    }
+  });
+
+  it('rejects impossible, unparseable and future dates', () => {
+    const nextYear = `${new Date().getFullYear() + 1}-01-01`;
+    for (const input of ['2024-02-30', '15/08/2019', 'soon', '', nextYear]) {
+      const { errors } = validateApplicationFields({ joiningDate: input }, ['joiningDate']);
+      assert.ok(errors.joiningDate, input);
+    }
+  });
+
+  it('filters mixed input formats by their real date', () => {
+    const { filter, error } = buildApplicationFilter({
+      joinedFrom: '2019-08-01',
+      joinedTo: '2023-12-31',
+    });
+    assert.equal(error, undefined);
+
+    const stored = Object.keys(MIXED_INPUTS).map((input) => ({
+      input,
+      joiningDate: validateApplicationFields({ joiningDate: input }, ['joiningDate']).values
+        .joiningDate,
+    }));
+    const included = stored
+      .filter(({ joiningDate }) => matchesJoined(joiningDate, filter.joiningDate))
+      .map(({ input }) => input)
+      .sort();
+
+    // As raw strings "08/15/2019" and "Aug 15 2019" fall outside and "Jan 1 2024" inside
+    assert.deepEqual(included, [' 2023-12-31 ', '08/15/2019', '2019-08-15', '2020', 'Aug 15 2019']);
+  });
+
+  it('rejects non-ISO filter bounds', () => {
+    assert.match(buildApplicationFilter({ joinedFrom: '08/01/2019' }).error, /YYYY-MM-DD/);
+  });
+});
+
+describe('migration 005', () => {
+  const fakeDb = (docs) => {
+    const updates = [];
+    const collection = {
+      find: () => ({ project: () => ({ toArray: async () => docs }) }),
+      updateOne: async (filter, update) => updates.push([filter._id, update.$set.joiningDate]),
+    };
+    return { db: { collection: () => collection }, updates };
+  };
+
+  it('normalizes stored dates and can restore them', async () => {
+    const docs = [
+      { _id: 1, ngoId: 'A', joiningDate: '08/15/2019' },
+      { _id: 2, ngoId: 'B', joiningDate: '2020-02-02' },
+      { _id: 3, ngoId: 'C', joiningDate: 'unknown' },
+    ];
+    const { db, updates } = fakeDb(docs);
+    const log = () => {};
+
+    assert.equal(await normalizeJoiningDate.up({ db, dryRun: true, log }), null);
+    assert.deepEqual(updates, []);
+
+    const state = await normalizeJoiningDate.up({ db, dryRun: false, log });
+    assert.deepEqual(updates, [[1, toIsoDate('08/15/2019')]]);
+
+    await normalizeJoiningDate.down({ db, dryRun: false, state, log });
+    assert.deepEqual(updates.at(-1), [1, '08/15/2019']);
+  });
+});
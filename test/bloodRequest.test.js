@@ -0,0 +1,50 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import BloodRequest from '../src/models/bloodRequest.model.js';
+import { getBloodRequests } from '../src/controllers/bloodRequest.controller.js';
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+describe('blood request list', () => {
+  afterEach(() => mock.restoreAll());
+
+  const mockQueries = () => {
+    const filters = [];
+    mock.method(BloodRequest, 'find', (filter) => {
+      filters.push(filter);
+      return { sort: () => ({ skip: () => ({ limit: async () => [] }) }) };
+    });
+    mock.method(BloodRequest, 'countDocuments', async () => 0);
+    return filters;
+  };
+
+  it('filters by a normalized blood group', async () => {
+    const filters = mockQueries();
+    const res = mockResponse();
+    await getBloodRequests({ query: { group: 'b +ve' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(filters, [{ requiredGroup: 'B+' }]);
+  });
+
+  it('rejects an unrecognized blood group instead of listing everything', async () => {
+    const filters = mockQueries();
+    const res = mockResponse();
+    await getBloodRequests({ query: { group: 'Z+' } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Invalid blood group');
+    assert.deepEqual(filters, []);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CARD_LANGUAGES, getCardLabels } from '../src/utils/cardLabels.js';
+import { findMissingGlyphs } from '../src/utils/cardFonts.js';
+
+// idCardRenderer pulls in the Cloudinary config, which throws without credentials
+process.env.CLOUDINARY_CLOUD_NAME ||= 'test';
+process.env.CLOUDINARY_API_KEY ||= 'test';
+process.env.CLOUDINARY_API_SECRET ||= 'test';
+const { DEFAULT_CARD_TEMPLATE } = await import('../src/utils/idCardRenderer.js');
+
+// Printed text of a template: no styles, tags or {{placeholders}}
+const templateText = (html) =>
+  html
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\{\{[^}]*\}\}/g, ' ');
+
+// Font check from the embedded fonts' cmap tables; scripts/check-card-fonts.js
+// additionally renders the cards in Chromium
+describe('card font coverage', () => {
+  it('covers every card label in every language', () => {
+    for (const language of CARD_LANGUAGES) {
+      for (const [key, label] of Object.entries(getCardLabels(language))) {
+        assert.deepEqual(findMissingGlyphs(label), [], `${language}.${key}: ${label}`);
+      }
+    }
+  });
+
+  it('covers the fixed text of the built-in template', () => {
+    for (const side of ['html', 'backHtml']) {
+      const text = templateText(DEFAULT_CARD_TEMPLATE[side]);
+      assert.deepEqual(findMissingGlyphs(text), [], side);
+    }
+  });
+
+  it('reports characters the fonts cannot draw', () => {
+    assert.deepEqual(findMissingGlyphs('নাম 漢字 名'), ['漢', '字', '名']);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { signCardToken, verifyCardToken } from '../src/utils/cardToken.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+describe('card tokens', () => {
+  const issuedAt = new Date('2025-03-01T10:00:00Z');
+
+  it('round-trips ngoId and issue time', () => {
+    const token = signCardToken({ ngoId: 'NPB-000123-25-7', issuedAt });
+    assert.deepEqual(verifyCardToken(token), { ngoId: 'NPB-000123-25-7', issuedAt });
+  });
+
+  it('rejects a tampered payload or signature', () => {
+    const token = signCardToken({ ngoId: 'NPB-000123-25-7', issuedAt });
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ n: 'NPB-999999-25-1', i: 1740823200 })).toString(
+      'base64url'
+    );
+
+    assert.equal(verifyCardToken(`${forged}.${signature}`), null);
+    assert.equal(verifyCardToken(`${token.slice(0, -1)}${token.endsWith('A') ? 'B' : 'A'}`), null);
+  });
+
+  it('rejects tokens signed with another secret', () => {
+    const token = signCardToken({ ngoId: 'NPB-000123-25-7', issuedAt });
+    process.env.CARD_SIGNING_SECRET = 'rotated';
+    try {
+      assert.equal(verifyCardToken(token), null);
+    } finally {
+      delete process.env.CARD_SIGNING_SECRET;
+    }
+  });
+
+  it('rejects malformed input', () => {
+    for (const token of [undefined, '', 'abc', 'a.b.c', 'x'.repeat(600), 42]) {
+      assert.equal(verifyCardToken(token), null);
+    }
+  });
+});
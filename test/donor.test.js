@@ -0,0 +1,80 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../src/models/user.model.js';
+import NgoApplication from '../src/models/ngoApplication.model.js';
+import DonorAccess from '../src/models/donorAccess.model.js';
+import { searchDonors, revealDonorContact } from '../src/controllers/donor.controller.js';
+
+const DONOR_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const mockRoles = (roles) =>
+  mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => roles }) }));
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+// NgoApplication.find(query).select(fields).sort().skip().limit().lean()
+const mockDonorSearch = (donors) => {
+  const selected = [];
+  const chain = {
+    select: (fields) => {
+      selected.push(fields);
+      return chain;
+    },
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: async () => donors,
+  };
+  mock.method(NgoApplication, 'find', () => chain);
+  mock.method(NgoApplication, 'countDocuments', async () => donors.length);
+  return selected;
+};
+
+describe('donor directory', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('never lists phone numbers, even for admins', async () => {
+    mockRoles({ isAdmin: true, isNgoAdmin: false });
+    const selected = mockDonorSearch([
+      { _id: DONOR_ID, name: 'Donor', bloodGroup: 'O+', address: 'Village, Narayanpur, Howrah' },
+    ]);
+
+    const res = mockResponse();
+    await searchDonors({ query: {}, user: { id: 'admin' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.doesNotMatch(selected[0], /phone/);
+    assert.equal(res.body.donors[0].address, 'Village, Narayanpur, Howrah');
+  });
+
+  it('treats a demoted admin with an old token as a regular user', async () => {
+    mockRoles({ isAdmin: false, isNgoAdmin: false });
+    mockDonorSearch([
+      { _id: DONOR_ID, name: 'Donor', bloodGroup: 'O+', address: 'Village, Narayanpur, Howrah' },
+    ]);
+    const countReveals = mock.method(DonorAccess, 'countDocuments', async () => 20);
+
+    const user = { id: 'demoted', isAdmin: true, isNgoAdmin: true };
+
+    const search = mockResponse();
+    await searchDonors({ query: {}, user }, search);
+    assert.equal(search.body.donors[0].address, undefined);
+    assert.equal(search.body.donors[0].locality, 'Narayanpur, Howrah');
+
+    const reveal = mockResponse();
+    await revealDonorContact({ params: { id: DONOR_ID }, body: { reason: 'Surgery' }, user }, reveal);
+    assert.equal(reveal.statusCode, 429);
+    assert.equal(countReveals.mock.callCount(), 1);
+  });
+});
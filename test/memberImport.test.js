@@ -0,0 +1,118 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import sharp from 'sharp';
+import NgoApplication from '../src/models/ngoApplication.model.js';
+import MemberImport from '../src/models/memberImport.model.js';
+import MemberImportRow from '../src/models/memberImportRow.model.js';
+import Job from '../src/models/job.model.js';
+
+// The import job uploads to Cloudinary, whose config throws without credentials
+process.env.CLOUDINARY_CLOUD_NAME ||= 'test';
+process.env.CLOUDINARY_API_KEY ||= 'test';
+process.env.CLOUDINARY_API_SECRET ||= 'test';
+const { importMembers } = await import('../src/controllers/memberImport.controller.js');
+
+const CSV = [
+  'Name,Address,Phone,Email,Blood Group,Joining Date',
+  'Asha Das,Village Narayanpur Howrah,9830012345,asha@example.com,b +ve,2023-04-01',
+  'Ravi Roy,Village Narayanpur Howrah,9830054321,ravi@example.com,O+,2023-05-01',
+].join('\n');
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+// Second photo inflates to 6MB but its ZIP directory claims 1000 bytes
+const buildArchive = async () => {
+  const photo = await sharp({
+    create: { width: 480, height: 600, channels: 3, background: '#888' },
+  })
+    .jpeg()
+    .toBuffer();
+  const oversized = Buffer.alloc(6 * 1024 * 1024);
+  photo.copy(oversized);
+
+  const zip = new JSZip();
+  zip.file('9830012345.jpg', photo);
+  zip.file('9830054321.jpg', oversized);
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+  const signature = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+  const local = buffer.indexOf(signature, buffer.indexOf(signature) + 4);
+  buffer.writeUInt32LE(1000, local + 22);
+  const central = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  buffer.writeUInt32LE(1000, central + 24);
+  return buffer;
+};
+
+const buildRequest = async (dryRun) => ({
+  body: { dryRun: String(dryRun) },
+  query: {},
+  user: { id: '64b7f0c2a1b2c3d4e5f60718' },
+  files: {
+    csv: [{ buffer: Buffer.from(CSV) }],
+    photos: [{ buffer: await buildArchive() }],
+  },
+});
+
+describe('member import', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('checks photo size on the bytes actually inflated', async () => {
+    mock.method(NgoApplication, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    const res = mockResponse();
+    await importMembers(await buildRequest(true), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.summary, { total: 2, valid: 1, error: 1 });
+    assert.equal(res.body.report[0].result, 'valid');
+    assert.deepEqual(res.body.report[1].errors, { photo: 'Photo is larger than 5MB' });
+  });
+
+  it('stages valid rows and queues them instead of importing in the request', async () => {
+    mock.method(NgoApplication, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    const created = mock.method(NgoApplication, 'create', async () => {
+      throw new Error('records must be created by the import job');
+    });
+    mock.method(MemberImport, 'create', async (doc) => ({ _id: 'import-1', ...doc }));
+    const rows = [];
+    mock.method(MemberImportRow, 'insertMany', async (docs) => rows.push(...docs));
+    const jobs = [];
+    mock.method(Job, 'create', async (doc) => {
+      jobs.push(doc);
+      return doc;
+    });
+    // enqueueJob kicks the in-process worker; give it nothing to claim
+    mock.method(Job, 'findOneAndUpdate', async () => null);
+
+    const res = mockResponse();
+    await importMembers(await buildRequest(false), res);
+    await new Promise((resolve) => setImmediate(resolve)); // let the worker kick run
+
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.body.importId, 'import-1');
+    assert.deepEqual(res.body.summary, { total: 2, queued: 1, error: 1 });
+    assert.equal(created.mock.callCount(), 0);
+
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].result, 'queued');
+    assert.equal(rows[0].values.bloodGroup, 'B+');
+    assert.ok(Buffer.isBuffer(rows[0].photo));
+    assert.equal(rows[1].result, 'error');
+
+    assert.deepEqual(
+      jobs.map((job) => [job.type, job.payload]),
+      [['import-members', { importId: 'import-1' }]]
+    );
+  });
+});
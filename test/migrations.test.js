@@ -0,0 +1,85 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Migration from '../src/models/migration.model.js';
+import MigrationLock from '../src/models/migrationLock.model.js';
+import { migrateUp } from '../src/utils/migrations.js';
+
+const HEARTBEAT_MS = 5 * 60 * 1000;
+const APPLIED = ['001-approved-to-verified', '002-user-auth-provider', '003-backfill-post-slugs'];
+
+let recorded;
+let reads;
+let onRead;
+
+describe('migration lock', () => {
+  beforeEach(() => {
+    recorded = [];
+    reads = 0;
+    onRead = async () => {};
+
+    // Pending: 004 and 005, both reading the (empty) ngoapplications collection
+    mongoose.connection.db = {
+      collection: () => ({
+        find: () => ({
+          project: () => ({
+            toArray: async () => {
+              reads++;
+              await onRead();
+              return [];
+            },
+          }),
+        }),
+      }),
+    };
+    mock.method(Migration, 'find', () => ({
+      select: () => ({ lean: async () => APPLIED.map((name) => ({ name })) }),
+    }));
+    mock.method(Migration, 'create', async (doc) => recorded.push(doc.name));
+    mock.method(MigrationLock, 'create', async () => ({}));
+    mock.method(MigrationLock, 'deleteOne', async () => ({ deletedCount: 1 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+    delete mongoose.connection.db;
+  });
+
+  it('stops before the next migration when renewal finds the lock gone', async () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    mock.method(MigrationLock, 'exists', async () => true);
+    const renewals = mock.method(MigrationLock, 'updateOne', async () => ({ matchedCount: 0 }));
+
+    // A long first migration: the heartbeat fires while it runs
+    onRead = async () => {
+      if (reads === 1) {
+        mock.timers.tick(HEARTBEAT_MS);
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    };
+
+    await assert.rejects(migrateUp({ log: () => {} }), /lock was lost/);
+    assert.equal(renewals.mock.callCount(), 1);
+    assert.equal(reads, 1);
+    // The migration that did run is still recorded
+    assert.deepEqual(recorded, ['004-normalize-blood-group-phone']);
+  });
+
+  it('checks the lock is still held before each step', async () => {
+    let checks = 0;
+    mock.method(MigrationLock, 'exists', async () => ++checks === 1);
+
+    await assert.rejects(migrateUp({ log: () => {} }), /lock was lost/);
+    assert.equal(checks, 2);
+    assert.deepEqual(recorded, ['004-normalize-blood-group-phone']);
+  });
+
+  it('runs every pending migration while the lock is held', async () => {
+    mock.method(MigrationLock, 'exists', async () => true);
+
+    const done = await migrateUp({ log: () => {} });
+    assert.deepEqual(done, ['004-normalize-blood-group-phone', '005-normalize-joining-date']);
+    assert.deepEqual(recorded, done);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { luhnCheckDigit, formatNgoId, validateNgoId } from '../src/utils/ngoId.js';
+
+describe('ngoId', () => {
+  it('computes Luhn check digits', () => {
+    // 7992739871 → 3 is the textbook Luhn example
+    assert.equal(luhnCheckDigit('7992739871'), '3');
+    assert.equal(luhnCheckDigit('0000000000'), '0');
+  });
+
+  it('formats with the default pattern', () => {
+    const id = formatNgoId(123, 2025);
+    assert.match(id, /^NPB-000123-25-\d$/);
+    assert.equal(id.slice(-1), luhnCheckDigit('0001232025'));
+  });
+
+  it('accepts formatted ids in any case and with whitespace', () => {
+    const id = formatNgoId(42, 2026);
+    assert.deepEqual(validateNgoId(` ${id.toLowerCase()} `), {
+      valid: true,
+      legacy: false,
+      ngoId: id,
+    });
+  });
+
+  it('rejects a wrong check digit', () => {
+    const id = formatNgoId(42, 2026);
+    const wrong = `${id.slice(0, -1)}${(Number(id.slice(-1)) + 1) % 10}`;
+    const result = validateNgoId(wrong);
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /check digit/);
+  });
+
+  it('accepts legacy ids without a check digit', () => {
+    assert.deepEqual(validateNgoId('NPB-482913-24'), {
+      valid: true,
+      legacy: true,
+      ngoId: 'NPB-482913-24',
+    });
+  });
+
+  it('rejects unrecognised formats', () => {
+    for (const value of ['', null, 'NPB-12-25-1', 'XYZ-000123-25-7', 'NPB-000123-25-7-1']) {
+      assert.equal(validateNgoId(value).valid, false);
+    }
+  });
+});
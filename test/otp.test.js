@@ -0,0 +1,149 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import EmailOtp from '../src/models/emailOtp.model.js';
+import { getMailTransport } from '../src/config/mailer.js';
+import { issueOtp, checkOtp, verifyOtpProof } from '../src/utils/otp.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const EMAIL = 'member@example.com';
+const PURPOSE = 'ngo-apply';
+
+// In-memory stand-in for the EmailOtp collection (only what otp.js uses)
+let docs;
+let sent;
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, value]) => {
+    if (value && typeof value === 'object' && '$lt' in value) return doc[key] < value.$lt;
+    return String(doc[key]) === String(value);
+  });
+
+const useFakeStore = () => {
+  docs = [];
+  sent = [];
+  let nextId = 1;
+
+  mock.method(EmailOtp, 'findOne', async (filter) => docs.find((doc) => matches(doc, filter)) || null);
+  mock.method(EmailOtp, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    let doc = docs.find((d) => matches(d, filter));
+    if (!doc) {
+      if (!options.upsert) return null;
+      doc = { _id: nextId++, ...filter };
+      docs.push(doc);
+    }
+    Object.assign(doc, update.$set);
+    for (const [key, by] of Object.entries(update.$inc || {})) doc[key] = (doc[key] || 0) + by;
+    return { ...doc };
+  });
+  mock.method(EmailOtp, 'deleteOne', async (filter) => {
+    const before = docs.length;
+    docs = docs.filter((doc) => !matches(doc, filter));
+    return { deletedCount: before - docs.length };
+  });
+  mock.method(getMailTransport(), 'send', async (message) => {
+    sent.push(message);
+    return { id: 'test' };
+  });
+};
+
+const lastCode = () => /code: (\d{6})/.exec(sent.at(-1).subject)[1];
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+describe('email OTP', () => {
+  beforeEach(useFakeStore);
+  afterEach(() => mock.restoreAll());
+
+  it('issues a code and exchanges it for a proof token once', async () => {
+    await issueOtp(EMAIL, PURPOSE);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, EMAIL);
+
+    const code = lastCode();
+    const proof = await checkOtp(EMAIL, PURPOSE, code);
+    assert.equal(verifyOtpProof(proof, EMAIL, PURPOSE), true);
+    assert.equal(verifyOtpProof(proof, 'other@example.com', PURPOSE), false);
+    assert.equal(verifyOtpProof(proof, EMAIL, 'applicant-session'), false);
+
+    await assert.rejects(checkOtp(EMAIL, PURPOSE, code), { statusCode: 400 });
+  });
+
+  it('counts wrong codes and locks after five attempts', async () => {
+    await issueOtp(EMAIL, PURPOSE);
+    const code = lastCode();
+
+    for (let left = 4; left >= 0; left--) {
+      await assert.rejects(checkOtp(EMAIL, PURPOSE, wrongCode(code)), {
+        statusCode: 400,
+        message: new RegExp(`${left} attempts? left`),
+      });
+    }
+
+    // Even the right code is refused once the attempts are used up
+    await assert.rejects(checkOtp(EMAIL, PURPOSE, code), { statusCode: 429 });
+  });
+
+  it('does not let parallel guesses exceed the attempt limit', async () => {
+    await issueOtp(EMAIL, PURPOSE);
+    const code = lastCode();
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 10 }, () => checkOtp(EMAIL, PURPOSE, wrongCode(code)))
+    );
+    assert.equal(results.filter((r) => r.reason?.statusCode === 400).length, 5);
+    assert.equal(results.filter((r) => r.reason?.statusCode === 429).length, 5);
+    assert.equal(docs[0].attempts, 5);
+  });
+
+  it('rejects expired codes', async () => {
+    await issueOtp(EMAIL, PURPOSE);
+    docs[0].expiresAt = new Date(Date.now() - 1000);
+    await assert.rejects(checkOtp(EMAIL, PURPOSE, lastCode()), { statusCode: 400 });
+  });
+
+  it('throttles resends', async () => {
+    await issueOtp(EMAIL, PURPOSE);
+    await assert.rejects(issueOtp(EMAIL, PURPOSE), { statusCode: 429 });
+    assert.equal(sent.length, 1);
+  });
+
+  it('stores and throttles without sending when asked to', async () => {
+    await issueOtp(EMAIL, PURPOSE, { send: false });
+    assert.equal(sent.length, 0);
+    await assert.rejects(issueOtp(EMAIL, PURPOSE), { statusCode: 429 });
+  });
+
+  it('rejects unknown purposes', async () => {
+    for (const purpose of ['no-such-purpose', '__proto__', 'constructor', 'toString']) {
+      await assert.rejects(issueOtp(EMAIL, purpose), { statusCode: 400 }, purpose);
+    }
+  });
+
+  it('drops a first code that could not be emailed', async () => {
+    mock.method(getMailTransport(), 'send', async () => {
+      throw new Error('SMTP down');
+    });
+    await assert.rejects(issueOtp(EMAIL, PURPOSE), { statusCode: 503 });
+    assert.deepEqual(docs, []);
+
+    useFakeStore();
+    await issueOtp(EMAIL, PURPOSE);
+    assert.equal(sent.length, 1);
+  });
+
+  it('keeps the previous code and cooldown when a resend fails', async () => {
+    await issueOtp(EMAIL, PURPOSE);
+    const code = lastCode();
+    docs[0].lastSentAt = new Date(Date.now() - 2 * 60 * 1000);
+    const before = { ...docs[0] };
+
+    mock.method(getMailTransport(), 'send', async () => {
+      throw new Error('SMTP down');
+    });
+    await assert.rejects(issueOtp(EMAIL, PURPOSE), { statusCode: 503 });
+    assert.deepEqual(docs, [before]);
+
+    const proof = await checkOtp(EMAIL, PURPOSE, code);
+    assert.equal(verifyOtpProof(proof, EMAIL, PURPOSE), true);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Job from '../src/models/job.model.js';
+import { registerJobHandler, processJobs } from '../src/jobs/queue.js';
+
+const TYPE = 'test-job';
+
+let outcome;
+let errors;
+registerJobHandler(TYPE, {
+  run: async () => {
+    if (outcome) throw new Error(outcome);
+  },
+  onError: (payload, error, { willRetry }) => errors.push({ message: error.message, willRetry }),
+});
+
+describe('job queue', () => {
+  let claimedBy;
+  let updates;
+
+  // One runnable job, then an empty queue; updates match only if `held`
+  const useQueue = ({ held }) => {
+    mock.method(Job, 'findOneAndUpdate', async (filter, update) => {
+      if (claimedBy) return null;
+      claimedBy = update.$set.lockedBy;
+      return { _id: 'job-1', type: TYPE, payload: {}, attempts: 5, maxAttempts: 5, runAt: new Date() };
+    });
+    mock.method(Job, 'updateOne', async (filter, update) => {
+      updates.push({ filter, status: update.$set.status });
+      return { matchedCount: held ? 1 : 0 };
+    });
+  };
+
+  beforeEach(() => {
+    outcome = null;
+    errors = [];
+    claimedBy = null;
+    updates = [];
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('completes a job only under its own lock', async () => {
+    useQueue({ held: true });
+    assert.equal(await processJobs(), 1);
+    assert.deepEqual(updates, [{ filter: { _id: 'job-1', lockedBy: claimedBy }, status: 'done' }]);
+  });
+
+  it('records a failure under its own lock and runs the error hook', async () => {
+    useQueue({ held: true });
+    outcome = 'boom';
+    await processJobs();
+
+    assert.deepEqual(updates, [{ filter: { _id: 'job-1', lockedBy: claimedBy }, status: 'failed' }]);
+    assert.deepEqual(errors, [{ message: 'boom', willRetry: false }]);
+  });
+
+  it('leaves a job taken over by another worker alone', async () => {
+    useQueue({ held: false });
+    outcome = 'boom';
+    await processJobs();
+
+    assert.equal(updates.length, 1);
+    assert.deepEqual(errors, []);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import User from '../src/models/user.model.js';
+import { verifyToken, readOptionalUser, verifyAdmin, verifyCron } from '../src/utils/verifyUser.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+// Runs a middleware and resolves with the error passed to next (or null)
+const run = (middleware, req) =>
+  new Promise((resolve) => {
+    middleware(req, {}, (error) => resolve(error || null));
+  });
+
+// User.findById(id).select(...).lean()
+const mockUser = (user) =>
+  mock.method(User, 'findById', () => ({
+    select: () => ({ lean: async () => user }),
+  }));
+
+describe('verifyToken', () => {
+  it('accepts a user session', async () => {
+    const req = bearer(jwt.sign({ id: 'u1', isAdmin: false }, process.env.JWT_SECRET));
+    assert.equal(await run(verifyToken, req), null);
+    assert.equal(req.user.id, 'u1');
+  });
+
+  it('reads the access_token cookie first', async () => {
+    const req = {
+      cookies: { access_token: jwt.sign({ id: 'u2' }, process.env.JWT_SECRET) },
+      headers: {},
+    };
+    assert.equal(await run(verifyToken, req), null);
+    assert.equal(req.user.id, 'u2');
+  });
+
+  it('rejects a missing or invalid token', async () => {
+    assert.equal((await run(verifyToken, { headers: {} })).statusCode, 401);
+    assert.equal((await run(verifyToken, bearer('not-a-jwt'))).statusCode, 401);
+    const wrongSecret = jwt.sign({ id: 'u1' }, 'other-secret');
+    assert.equal((await run(verifyToken, bearer(wrongSecret))).statusCode, 401);
+  });
+
+  it('rejects OTP proof and applicant tokens signed with the same secret', async () => {
+    const proof = jwt.sign(
+      { email: 'a@example.com', purpose: 'ngo-apply', otp: true },
+      process.env.JWT_SECRET,
+      { audience: 'otp-proof' }
+    );
+    const applicant = jwt.sign({ applicantEmail: 'a@example.com' }, process.env.JWT_SECRET, {
+      audience: 'applicant-session',
+    });
+    const withAudience = jwt.sign({ id: 'u1' }, process.env.JWT_SECRET, { audience: 'x' });
+
+    for (const token of [proof, applicant, withAudience]) {
+      const req = bearer(token);
+      assert.equal((await run(verifyToken, req)).statusCode, 401);
+      assert.equal(req.user, undefined);
+    }
+  });
+});
+
+describe('readOptionalUser', () => {
+  it('sets req.user only for user sessions', async () => {
+    const req = bearer(jwt.sign({ id: 'u1' }, process.env.JWT_SECRET));
+    assert.equal(await run(readOptionalUser, req), null);
+    assert.equal(req.user.id, 'u1');
+
+    const proof = bearer(
+      jwt.sign({ email: 'a@example.com', otp: true }, process.env.JWT_SECRET, {
+        audience: 'otp-proof',
+      })
+    );
+    assert.equal(await run(readOptionalUser, proof), null);
+    assert.equal(proof.user, undefined);
+  });
+});
+
+describe('verifyAdmin', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('uses the role stored in the database, not the token', async () => {
+    mockUser({ isAdmin: false, isNgoAdmin: false });
+    const req = { user: { id: 'u1', isAdmin: true, isNgoAdmin: true } };
+    assert.equal((await run(verifyAdmin, req)).statusCode, 403);
+  });
+
+  it('allows blog admins and NGO admins', async () => {
+    mockUser({ isAdmin: false, isNgoAdmin: true });
+    const req = { user: { id: 'u1', isAdmin: false, isNgoAdmin: false } };
+    assert.equal(await run(verifyAdmin, req), null);
+    assert.equal(req.user.isNgoAdmin, true);
+
+    mock.restoreAll();
+    mockUser({ isAdmin: true, isNgoAdmin: false });
+    assert.equal(await run(verifyAdmin, { user: { id: 'u1' } }), null);
+  });
+
+  it('rejects deleted users and anonymous requests', async () => {
+    mockUser(null);
+    assert.equal((await run(verifyAdmin, { user: { id: 'gone' } })).statusCode, 403);
+    assert.equal((await run(verifyAdmin, {})).statusCode, 403);
+  });
+});
+
+describe('verifyCron', () => {
+  beforeEach(() => {
+    process.env.CRON_SECRET = 'cron-secret';
+  });
+  afterEach(() => {
+    delete process.env.CRON_SECRET;
+  });
+
+  it('accepts only the configured secret', async () => {
+    assert.equal(await run(verifyCron, bearer('cron-secret')), null);
+    assert.equal((await run(verifyCron, bearer('cron-secreT'))).statusCode, 401);
+    assert.equal((await run(verifyCron, { headers: {} })).statusCode, 401);
+  });
+
+  it('rejects everything when CRON_SECRET is not set', async () => {
+    delete process.env.CRON_SECRET;
+    assert.equal((await run(verifyCron, bearer('undefined'))).statusCode, 401);
+  });
+});